@@ -5,17 +5,46 @@ import {
 	sha256
 } from 'js-sha256';
 import {
-	ec as elliptic
+	ec as elliptic,
+	eddsa
 } from 'elliptic';
 import {
 	ModeOfOperation
 } from 'aes-js';
 import chacha from 'js-chacha20';
+import {
+	chacha20poly1305
+} from '@noble/ciphers/chacha';
+import {
+	gcm
+} from '@noble/ciphers/aes';
+import {
+	ml_kem768
+} from '@noble/post-quantum/ml-kem.js';
 import {
 	Buffer
 } from 'buffer';
+import {
+	runCipherTask
+} from './util.cryptoTasks.js';
+import {
+	runInPool
+} from './util.cryptoPool.js';
 window.Buffer = Buffer;
 
+// Emoji alphabet for short authentication strings; order is part of the protocol
+// 短认证字符串使用的表情字母表；顺序属于协议的一部分
+const SAS_EMOJI = [
+	'🐶', '🐱', '🦁', '🐴', '🦄', '🐷', '🐘', '🐰',
+	'🐼', '🐓', '🐧', '🐢', '🐟', '🐙', '🦋', '🌷',
+	'🌳', '🌵', '🍄', '🌏', '🌙', '☁️', '🔥', '🍌',
+	'🍎', '🍓', '🌽', '🍕', '🎂', '❤️', '😀', '🤖',
+	'🎩', '👓', '🔧', '🎅', '👍', '☂️', '⌛', '⏰',
+	'🎁', '💡', '📕', '✏️', '📎', '✂️', '🔒', '🔑',
+	'🔨', '☎️', '🏁', '🚂', '🚲', '✈️', '🚀', '🏆',
+	'⚽', '🎸', '🎺', '🔔', '⚓', '🎧', '📁', '📌'
+];
+
 // Main NodeCrypt class for secure communication
 // 用于安全通信的 NodeCrypt 主类
 class NodeCrypt {
@@ -28,6 +57,9 @@ class NodeCrypt {
 			reconnectDelay: config.reconnectDelay || 3000,
 			pingInterval: config.pingInterval || 20000,
 			debug: config.debug || false,
+			padding: config.padding || 'standard',
+			hybrid: config.hybrid || false,
+			cover: config.cover || 'off',
 		};
 		this.callbacks = {
 			onServerClosed: callbacks.onServerClosed || null,
@@ -35,20 +67,151 @@ class NodeCrypt {
 			onClientSecured: callbacks.onClientSecured || null,
 			onClientList: callbacks.onClientList || null,
 			onClientMessage: callbacks.onClientMessage || null,
+			onClientRejected: callbacks.onClientRejected || null,
+			onServerKeyChanged: callbacks.onServerKeyChanged || null,
+			onPasswordChanged: callbacks.onPasswordChanged || null,
+			onPasswordProposed: callbacks.onPasswordProposed || null,
+			onMembershipMismatch: callbacks.onMembershipMismatch || null,
+			onKnockPending: callbacks.onKnockPending || null,
+			onKnockRequests: callbacks.onKnockRequests || null,
+			onKnockModeChanged: callbacks.onKnockModeChanged || null,
+			onRolesChanged: callbacks.onRolesChanged || null,
+		};
+		// Relay keys pinned per relay origin on first use
+		// 首次使用时按中继来源固定的中继公钥
+		this.SERVER_KEY_STORAGE = 'nodecrypt_server_pins';
+		this.serverKeyRejected = false;
+		// Highest peer protocol version we speak: 1 is the legacy unauthenticated format, 2 adds the AEAD envelope,
+		// 3 mixes a PBKDF2-stretched room password in with HKDF, 4 runs a double ratchet per peer, 5 broadcasts room
+		// messages once with sender keys, 6 adds counters and timestamps inside the envelope against replays, 7 pads
+		// payloads to length buckets, 8 can mix an ML-KEM-768 secret into the peer key, 9 re-keys the pairwise channel
+		// in place, 10 can rotate the room password during the session, 11 compares digests of the member list,
+		// 12 shares invites with the members, 13 holds newcomers until a member approves them, 14 shares room roles
+		// signed by the room owner and 15 proves the role key with a signature
+		// 我们支持的最高对等协议版本：1 为旧版无认证格式，2 增加 AEAD 信封，3 通过 HKDF 混入经 PBKDF2 拉伸的房间密码，
+		// 4 为每个对等方运行双棘轮，5 使用发送者密钥对房间消息只加密一次并广播，6 在信封内加入计数器和时间戳以防重放，
+		// 7 将负载填充到固定长度桶，8 可将 ML-KEM-768 共享密钥混入对等密钥，9 可在不断开的情况下更换点对点通道密钥，
+		// 10 可在会话中更换房间密码，11 比对成员列表摘要，12 与成员共享邀请，13 在成员批准前搁置新加入者，
+		// 14 共享由房主签名的房间角色，15 以签名证明持有角色密钥
+		this.CLIENT_VERSION = 15;
+		this.PASSWORD_KDF_ITERATIONS = 600000;
+		// Iterations for the room identifier sent to the relay, salted with the relay's room salt
+		// 发送给中继的房间标识符的迭代次数，以中继的房间盐作为盐
+		this.ROOM_ID_ITERATIONS = 300000;
+		// Hex digits of the room shard named in the WebSocket URL of relays that shard rooms
+		// 对房间分片的中继，其 WebSocket 地址中房间分片的十六进制位数
+		this.ROOM_SHARD_DIGITS = 4;
+		// Most message keys skipped in one chain, and most kept for out-of-order delivery
+		// 单条链中最多跳过的消息密钥数，以及为乱序消息保留的最大密钥数
+		this.RATCHET_MAX_SKIP = 1000;
+		this.RATCHET_MAX_SKIPPED_KEYS = 2000;
+		// Sliding window of message counters accepted out of order, and the largest clock difference accepted
+		// 允许乱序接受的消息计数器滑动窗口大小，以及可接受的最大时钟偏差
+		this.REPLAY_WINDOW = 1024;
+		this.REPLAY_MAX_AGE = 10 * 60 * 1000;
+		// Pairwise keys are refreshed after this many messages or this much time, and the previous keys
+		// stay usable for a grace window so messages already in flight still decrypt
+		// 点对点密钥在达到消息数量或时间上限后刷新，旧密钥在宽限期内仍可使用，确保途中的消息仍能解密
+		this.REKEY_AFTER_MESSAGES = 1000;
+		this.REKEY_AFTER_TIME = 60 * 60 * 1000;
+		this.REKEY_GRACE = 2 * 60 * 1000;
+		// Relay handshake versions we speak, newest first; 3 is 2 with padded frames
+		// 我们支持的中继握手版本，按新旧排序；3 为带填充帧的 2
+		this.HANDSHAKE_VERSIONS = [3, 2, 1];
+		// Frames and payloads larger than this are encrypted and decrypted in the crypto worker pool
+		// 大于此大小的帧和负载在加密 Worker 池中加密和解密
+		this.POOL_THRESHOLD = 64 * 1024;
+		// Padding policies: power-of-two buckets up to 64 KiB then multiples of it, or fixed 16 KiB buckets
+		// 填充策略：最大 64 KiB 的 2 的幂桶（之后按其倍数），或固定 16 KiB 的桶
+		this.PADDING_POLICIES = {
+			standard: {
+				buckets: 'pow2',
+				min: 256,
+				max: 65536
+			},
+			paranoid: {
+				buckets: 'fixed',
+				size: 16384
+			}
+		};
+		// Member list digests are exchanged once the list has not changed for this long; a peer whose digest
+		// still differs from ours twice as long after it arrived is reported
+		// 成员列表在此时长内未变化后交换成员列表摘要；摘要到达两倍时长后仍与我们不同的对等方会被报告
+		this.MEMBERSHIP_SETTLE = 3000;
+		// How long a joining client waits for a first member before it enters the room anyway; a member that
+		// holds us for approval stops this wait
+		// 加入中的客户端等待第一位成员的最长时间，超时后仍会进入房间；有成员搁置我们等待批准时停止等待
+		this.ADMISSION_WAIT = 5000;
+		// Room messages that count against slow mode, and how much earlier than the slow mode interval a member's
+		// next message may arrive before it is dropped
+		// 计入慢速模式的房间消息类型，以及成员的下一条消息可比慢速模式间隔提前多久到达而不被丢弃
+		this.SLOW_MODE_TYPES = ['text', 'image', 'file_start'];
+		this.SLOW_MODE_SLACK = 1000;
+		// Most members a role list may name
+		// 角色列表最多可包含的成员数
+		this.ROLES_MAX_MEMBERS = 256;
+		// How far a role list may move the version past the list it replaces, or past the owner's list it builds on,
+		// so nobody can sign a version the owner could never go past
+		// 角色列表的版本号相对被替换的列表（或其所基于的房主列表）最多可前进多少，使任何人都无法签署房主无法超越的版本号
+		this.ROLES_MAX_STEP = 1024;
+		// Cover traffic policies: a dummy frame every interval ms in which no real message was sent,
+		// at most budget bytes of dummies per hour
+		// 掩护流量策略：在没有发送真实消息的每个 interval 毫秒内发送一个虚假帧，每小时虚假帧最多 budget 字节
+		this.COVER_POLICIES = {
+			low: {
+				interval: 15000,
+				budget: 1024 * 1024
+			},
+			standard: {
+				interval: 5000,
+				budget: 4 * 1024 * 1024
+			}
 		};
-		this.SERVER_KEY_STORAGE = 'nodecrypt_server_key';
 		try {
-			this.clientEc = new elliptic('curve25519')
+			this.clientEc = new elliptic('curve25519');
+			this.edwards = new eddsa('ed25519')
 		} catch (error) {
 			this.logEvent('constructor', error, 'error')
 		}
+		this.serverInfo = null;
+		this.serverHello = null;
 		this.serverKeys = null;
 		this.serverShared = null;
+		this.roomIdTask = null;
+		this.relayInfo = null;
+		this.relayShard = null;
+		this.connectAttempt = 0;
+		this.identity = null;
+		this.identityTask = null;
+		this.invite = null;
+		this.invites = {};
+		this.knock = null;
+		this.roles = null;
+		this.ownerRoles = null;
+		this.rolesConflicts = new Set();
+		this.roleKey = null;
+		this.lastPost = 0;
+		this.joining = null;
+		this.listSeen = false;
 		this.credentials = null;
 		this.connection = null;
 		this.reconnect = null;
 		this.ping = null;
+		this.cover = null;
+		this.coverUsage = {
+			since: 0,
+			bytes: 0
+		};
+		this.realSent = false;
+		this.bytesSent = 0;
+		this.membershipTimer = null;
+		this.membershipChangedAt = 0;
+		this.clientId = null;
 		this.channel = {};
+		this.senderKey = null;
+		this.messageCounter = 0;
+		this.outbox = [];
+		this.inbox = Promise.resolve();
 		this.setCredentials = this.setCredentials.bind(this);
 		this.connect = this.connect.bind(this);
 		this.destruct = this.destruct.bind(this);
@@ -66,6 +229,7 @@ class NodeCrypt {
 		this.disconnect = this.disconnect.bind(this);
 		this.sendMessage = this.sendMessage.bind(this);
 		this.sendChannelMessage = this.sendChannelMessage.bind(this);
+		this.sendClientMessage = this.sendClientMessage.bind(this);
 		this.encryptServerMessage = this.encryptServerMessage.bind(this);
 		this.decryptServerMessage = this.decryptServerMessage.bind(this);
 		this.encryptClientMessage = this.encryptClientMessage.bind(this);
@@ -79,8 +243,14 @@ class NodeCrypt {
 		try {
 			this.credentials = {
 				username: username,
+				room: channel,
 				channel: sha256(channel),
-				password: sha256(password)
+				roomIds: {},
+				password: sha256(password),
+				passwordKey: null,
+				passwordKeyTask: this.derivePasswordKey(password, channel),
+				passwordRound: 0,
+				passwordProposal: null
 			}
 		} catch (error) {
 			this.logEvent('setCredentials', error, 'error');
@@ -98,28 +268,101 @@ class NodeCrypt {
 		this.logEvent('connect', this.config.wsAddress);
 		this.stopReconnect();
 		this.stopPing();
+		this.stopCover();
+		this.stopMembershipCheck();
+		this.stopJoin();
+		this.serverInfo = null;
+		this.serverHello = null;
 		this.serverKeys = null;
 		this.serverShared = null;
+		this.roomIdTask = null;
+		this.clientId = null;
+		this.listSeen = false;
 		this.channel = {};
-		try {
-			this.connection = new WebSocket(this.config.wsAddress);
+		this.senderKey = null;
+		this.messageCounter = 0;
+		this.outbox = [];
+		this.inbox = Promise.resolve();
+		this.connection = null;
+		const attempt = ++this.connectAttempt;
+		this.resolveRelayAddress().then((address) => {
+			if (attempt !== this.connectAttempt || !this.credentials) {
+				return
+			}
+			this.connection = new WebSocket(address);
 			this.connection.onopen = this.onOpen;
 			this.connection.onmessage = this.onMessage;
 			this.connection.onerror = this.onError;
 			this.connection.onclose = this.onClose
-		} catch (error) {
+		}).catch((error) => {
 			this.logEvent('connect', error, 'error');
-			return (false)
-		}
+			if (attempt === this.connectAttempt) {
+				this.onClose(error)
+			}
+		});
 		return (true)
 	}
 
+	// WebSocket address for the current room. Relays that shard rooms over several instances (the Worker) publish
+	// their room salt at /api/relay; the room identifier derived from it picks the shard, named in the URL by a
+	// short hash so the URL never carries the identifier. Other relays (the Node server) are used as they are
+	// 当前房间的 WebSocket 地址。将房间分布到多个实例的中继（Worker）在 /api/relay 发布房间盐；由其派生的房间标识符
+	// 决定分片，并以简短哈希写入 URL，URL 中不会出现标识符本身。其他中继（Node 服务器）直接使用原地址
+	async resolveRelayAddress() {
+		this.relayShard = null;
+		const info = await this.loadRelayInfo();
+		if (!info) {
+			return (this.config.wsAddress)
+		}
+		const url = new URL(this.config.wsAddress);
+		this.relayShard = this.getRoomShard(await this.deriveRoomId(info.roomSalt));
+		url.searchParams.set('shard', this.relayShard);
+		return (url.toString())
+	}
+
+	// Read the relay info once per relay address: {roomSalt} when it shards rooms, null when it does not. Network
+	// errors throw instead of falling back, as joining unsharded would split the room from members in its shard
+	// 每个中继地址只读取一次中继信息：对房间分片时为 {roomSalt}，否则为 null。网络错误会抛出而不是回退，
+	// 因为以不分片方式加入会使我们与该分片中的成员分隔开
+	async loadRelayInfo() {
+		const address = this.config.wsAddress;
+		if (this.relayInfo && this.relayInfo.address === address) {
+			return (this.relayInfo.info)
+		}
+		const response = await fetch(new URL('/api/relay', address.replace(/^ws/, 'http')), {
+			cache: 'no-store'
+		});
+		let info = null;
+		try {
+			const data = response.ok ? await response.json() : null;
+			if (this.isObject(data) && data.shards === true && this.isString(data.roomSalt)) {
+				info = {
+					roomSalt: data.roomSalt
+				}
+			}
+		} catch (error) {
+			this.logEvent('loadRelayInfo', 'relay does not shard rooms')
+		}
+		this.relayInfo = {
+			address,
+			info
+		};
+		return (info)
+	}
+
+	// Shard of a room identifier: leading hex digits of a hash of it, so several rooms share each shard
+	// 房间标识符所属的分片：其哈希的前几位十六进制数字，因此每个分片由多个房间共用
+	getRoomShard(roomId) {
+		return (sha256('nodecrypt-shard|' + roomId).slice(0, this.ROOM_SHARD_DIGITS))
+	}
+
 	// Clean up and disconnect
 	// 清理并断开连接
 	destruct() {
 		this.logEvent('destruct');
 		this.stopReconnect();
 		this.stopPing();
+		this.stopCover();
 		this.reconnect = null;
 		this.ping = null;
 		this.config = {
@@ -134,26 +377,47 @@ class NodeCrypt {
 		this.callbacks.onClientSecured = null;
 		this.callbacks.onClientList = null;
 		this.callbacks.onClientMessage = null;
+		this.callbacks.onClientRejected = null;
+		this.callbacks.onServerKeyChanged = null;
+		this.callbacks.onPasswordChanged = null;
+		this.callbacks.onPasswordProposed = null;
+		this.callbacks.onMembershipMismatch = null;
+		this.callbacks.onKnockPending = null;
+		this.callbacks.onKnockRequests = null;
+		this.callbacks.onKnockModeChanged = null;
+		this.callbacks.onRolesChanged = null;
+		this.stopMembershipCheck();
+		this.stopJoin();
 		this.clientEc = null;
+		this.edwards = null;
+		this.serverInfo = null;
+		this.serverHello = null;
 		this.serverKeys = null;
 		this.serverShared = null;
+		this.roomIdTask = null;
 		this.credentials = null;
-		this.connection.onopen = null;
-		this.connection.onmessage = null;
-		this.connection.onerror = null;
-		this.connection.onclose = null;
-		try {
-			this.connection.removeAllListeners()
-		} catch (error) {
-			this.logEvent('destruct', error, 'error')
-		}
-		try {
-			this.connection.close()
-		} catch (error) {
-			this.logEvent('destruct', error, 'error')
+		this.connectAttempt++;
+		if (this.connection) {
+			this.connection.onopen = null;
+			this.connection.onmessage = null;
+			this.connection.onerror = null;
+			this.connection.onclose = null;
+			try {
+				this.connection.removeAllListeners()
+			} catch (error) {
+				this.logEvent('destruct', error, 'error')
+			}
+			try {
+				this.connection.close()
+			} catch (error) {
+				this.logEvent('destruct', error, 'error')
+			}
 		}
 		this.connection = null;
+		this.clientId = null;
 		this.channel = {};
+		this.senderKey = null;
+		this.outbox = [];
 		return (true)
 	}
 
@@ -162,21 +426,149 @@ class NodeCrypt {
 	async onOpen() {
 		this.logEvent('onOpen');
 		this.startPing();
+		this.startCover();
 		try {
+			if (!this.credentials.passwordKey) {
+				this.credentials.passwordKey = await this.credentials.passwordKeyTask
+			}
+			if (this.identityTask) {
+				const secret = await this.identityTask;
+				this.identity = secret ? this.edwards.keyFromSecret([...secret]) : null;
+				this.identityTask = null
+			}
 			this.serverKeys = await crypto.subtle.generateKey({
 				name: 'ECDH',
 				namedCurve: 'P-384'
 			}, false, ['deriveKey', 'deriveBits']);
 			this.serverShared = null;
-			this.sendMessage(Buffer.from(await crypto.subtle.exportKey('raw', this.serverKeys.publicKey)).toString('hex'))
+			await this.sendHello()
 		} catch (error) {
 			this.logEvent('onOpen', error, 'error')
 		}
 	}
 
-	// WebSocket message event handler
-	// WebSocket 消息事件处理
-	async onMessage(event) {
+	// Send our handshake once both our keys and the relay's server-key frame are ready
+	// 在本地密钥和中继 server-key 消息都就绪后发送握手
+	async sendHello() {
+		if (this.serverHello || !this.serverKeys || !this.serverInfo) {
+			return
+		}
+		const publicKey = Buffer.from(await crypto.subtle.exportKey('raw', this.serverKeys.publicKey)).toString('hex');
+		if (this.serverHello) {
+			return
+		}
+		const versions = this.serverInfo.versions;
+		if (Array.isArray(versions) && (versions.indexOf(2) >= 0 || versions.indexOf(3) >= 0) && this.isString(this.serverInfo.edKey)) {
+			this.serverHello = JSON.stringify({
+				a: 'h',
+				v: this.HANDSHAKE_VERSIONS,
+				k: publicKey
+			})
+		} else {
+			this.serverHello = publicKey
+		}
+		this.sendMessage(this.serverHello)
+	}
+
+	// Finish a v2 or v3 handshake: verify the relay's Ed25519 signature and derive per-direction AES-GCM keys
+	// 完成 v2 或 v3 握手：验证中继的 Ed25519 签名并派生双向 AES-GCM 密钥
+	async handleServerHello(reply) {
+		if (!this.serverHello || (reply.v !== 2 && reply.v !== 3) || !this.isString(reply.k) || !this.isString(reply.s)) {
+			return (false)
+		}
+		const transcript = Buffer.from('nodecrypt-relay-v' + reply.v + '|' + this.serverHello + '|' + reply.k, 'utf8');
+		const edKey = Buffer.from(this.serverInfo.edKey, 'base64');
+		if (!this.edwards.verify(transcript.toString('hex'), Buffer.from(reply.s, 'base64').toString('hex'), [...edKey])) {
+			this.logEvent('handleServerHello', 'Invalid relay signature', 'error');
+			return (false)
+		}
+		const secret = await crypto.subtle.deriveBits({
+			name: 'ECDH',
+			namedCurve: 'P-384',
+			public: await crypto.subtle.importKey('raw', Buffer.from(reply.k, 'hex'), {
+				name: 'ECDH',
+				namedCurve: 'P-384'
+			}, true, [])
+		}, this.serverKeys.privateKey, 384);
+		const hkdfKey = await crypto.subtle.importKey('raw', secret, 'HKDF', false, ['deriveBits']);
+		const salt = await crypto.subtle.digest('SHA-256', transcript);
+		const derive = async (info) => new Uint8Array(await crypto.subtle.deriveBits({
+			name: 'HKDF',
+			hash: 'SHA-256',
+			salt: salt,
+			info: Buffer.from(info, 'utf8')
+		}, hkdfKey, 256));
+		this.serverShared = {
+			version: reply.v,
+			send: await derive('nodecrypt relay v2 c2s'),
+			recv: await derive('nodecrypt relay v2 s2c'),
+			sendSeq: 0,
+			recvSeq: 0,
+			padded: reply.v >= 3
+		};
+		return (true)
+	}
+
+	// Send the join request once the relay channel is secured. Listeners hear about it when a member lets us in,
+	// the room turns out to be empty or nobody answered in time
+	// 中继通道建立后发送加入请求。有成员接纳我们、房间为空或无人及时应答时通知监听者
+	async onServerChannelReady() {
+		const serverShared = this.serverShared;
+		const channel = this.roomIdTask ? await this.roomIdTask : this.credentials.channel;
+		if (this.serverShared !== serverShared) {
+			return
+		}
+		this.stopJoin();
+		this.joining = {
+			timer: null,
+			knocked: false
+		};
+		this.sendMessage(this.encryptServerMessage({
+			a: 'j',
+			p: channel
+		}, this.serverShared))
+	}
+
+	// We are in the room: tell listeners the connection is secured. Peers held only while we were joining are
+	// let in now unless the room asks for approval
+	// 我们已进入房间：通知监听者连接已建立安全通道。仅因我们加入中而搁置的对等方现在被放行，除非房间要求批准
+	finishJoin() {
+		if (!this.joining) {
+			return
+		}
+		this.stopJoin();
+		this.releaseHeldClients();
+		this.emitKnockRequests();
+		if (this.callbacks.onServerSecured) {
+			try {
+				this.callbacks.onServerSecured()
+			} catch (error) {
+				this.logEvent('onMessage-server-secured-callback', error, 'error')
+			}
+		}
+	}
+
+	// Stop waiting for a first member
+	// 停止等待第一位成员
+	stopJoin() {
+		if (this.joining && this.joining.timer) {
+			clearTimeout(this.joining.timer)
+		}
+		this.joining = null
+	}
+
+	// WebSocket message event handler. Frames are handled one after another, also while a large one is
+	// being decrypted in the crypto worker pool
+	// WebSocket 消息事件处理。帧按顺序逐个处理，大帧在加密 Worker 池中解密时也保持顺序
+	onMessage(event) {
+		const connection = this.connection;
+		this.inbox = this.inbox.then(() => connection === this.connection ? this.handleMessage(event) : undefined).catch(error => this.logEvent('onMessage', error, 'error'));
+		return (this.inbox)
+	}
+
+	// Handle one frame from the relay
+	// 处理来自中继的一帧
+	async handleMessage(event) {
 		if (!event || !this.isString(event.data)) {
 			return
 		}
@@ -184,16 +576,31 @@ class NodeCrypt {
 			return
 		}
 		this.logEvent('onMessage', event.data);
-		try {
-			const data = JSON.parse(event.data);
-			if (data.type === 'server-key') {
-				const result = await this.handleServerKey(data.key);
-				if (!result) {
+		if (!this.serverShared && event.data.charAt(0) === '{') {
+			try {
+				const data = JSON.parse(event.data);
+				if (data.type === 'server-key') {
+					const result = await this.handleServerKey(data);
+					if (!result) {
+						return
+					}
+					this.serverInfo = data;
+					this.roomIdTask = this.deriveRoomId(data.roomSalt);
+					await this.sendHello();
 					return
 				}
+				if (data.a === 'h' && await this.handleServerHello(data)) {
+					await this.onServerChannelReady()
+				}
+			} catch (error) {
+				this.logEvent('onMessage', error, 'error')
 			}
-		} catch (e) {}
+			return
+		}
 		if (!this.serverShared) {
+			if (!this.serverHello || this.serverHello.charAt(0) === '{') {
+				return
+			}
 			const parts = event.data.split('|');
 			if (!parts[0] || !parts[1]) {
 				return
@@ -215,141 +622,349 @@ class NodeCrypt {
 							namedCurve: 'P-384'
 						}, true, [])
 					}, this.serverKeys.privateKey, 384)).slice(8, 40);
-					this.sendMessage(this.encryptServerMessage({
-						a: 'j',
-						p: this.credentials.channel
-					}, this.serverShared));
-					if (this.callbacks.onServerSecured) {
-						try {
-							this.callbacks.onServerSecured()
-						} catch (error) {
-							this.logEvent('onMessage-server-secured-callback', error, 'error')
-						}
-					}
+					await this.onServerChannelReady()
 				}
 			} catch (error) {
 				this.logEvent('onMessage', error, 'error')
 			}
 			return
 		}
-		const serverDecrypted = this.decryptServerMessage(event.data, this.serverShared);
+		const serverShared = this.serverShared;
+		const serverDecrypted = event.data.length > this.POOL_THRESHOLD && serverShared.version >= 2 ? await this.runInPool(this.serverFrameOpenTask(event.data, serverShared), 'decryptServerFrame') : this.decryptServerMessage(event.data, serverShared);
+		if (serverShared !== this.serverShared) {
+			return
+		}
 		this.logEvent('onMessage-server-decrypted', serverDecrypted);
+		if (serverDecrypted === null) {
+			this.connection.close();
+			return
+		}
 		if (!this.isObject(serverDecrypted) || !this.isString(serverDecrypted.a)) {
 			return
 		}
 		if (serverDecrypted.a === 'l' && this.isArray(serverDecrypted.p)) {
+			if (this.isString(serverDecrypted.s)) {
+				this.clientId = serverDecrypted.s
+			}
 			try {
+				let knockLeft = false;
 				for (const clientId in this.channel) {
 					if (serverDecrypted.p.indexOf(clientId) < 0) {
-						delete(this.channel[clientId])
+						knockLeft = knockLeft || !!this.channel[clientId].knock;
+						delete(this.channel[clientId]);
+						this.senderKey = null
 					}
 				}
 				let payloads = {};
+				let offers = {};
 				for (const clientId of serverDecrypted.p) {
 					if (!this.channel[clientId]) {
+						this.senderKey = null;
 						this.channel[clientId] = {
 							username: null,
 							keys: this.clientEc.genKeyPair(),
 							shared: null,
+							version: 1,
+							newcomer: this.listSeen,
 						};
-						payloads[clientId] = this.channel[clientId].keys.getPublic('hex')
+						payloads[clientId] = this.channel[clientId].keys.getPublic('hex');
+						const offer = this.getHybridOffer(clientId);
+						if (offer) {
+							offers[clientId] = offer
+						}
 					}
 				}
 				if (Object.keys(payloads).length > 0) {
 					this.sendMessage(this.encryptServerMessage({
 						a: 'w',
 						p: payloads,
-					}, this.serverShared))
-				}
-			} catch (error) {
-				this.logEvent('onMessage-list', error, 'error')
-			}
-			if (this.callbacks.onClientList) {
-				let clients = [];
-				for (const clientId in this.channel) {
-					if (this.channel[clientId].shared && this.channel[clientId].username) {
-						clients.push({
-							clientId: clientId,
-							username: this.channel[clientId].username
-						})
+						v: this.getAdvertisedVersion(),
+						k: offers
+					}, this.serverShared));
+					for (const clientId in payloads) {
+						this.channel[clientId].sentVersion = this.getAdvertisedVersion()
 					}
 				}
-				try {
-					this.callbacks.onClientList(clients)
-				} catch (error) {
-					this.logEvent('onMessage-client-list-callback', error, 'error')
+				this.listSeen = true;
+				if (knockLeft) {
+					this.emitKnockRequests()
+				}
+				// Alone in the room there is nobody to wait for, and whoever opens a room owns it. Whether the room is
+				// empty is what the relay says, so the relay, and otherwise the first member with an owner's list, decides
+				// who owns a room; lists naming another owner later only raise a warning
+				// 房间中只有我们时无需等待，开启房间的人即为房主。房间是否为空取决于中继的说法，因此房主由中继决定，
+				// 否则由第一个发来房主列表的成员决定；之后收到指定其他房主的列表只会发出警告
+				if (this.joining && serverDecrypted.p.length === 0) {
+					if (!this.roles) {
+						this.roles = this.signRoles({
+							o: this.getRoleKey().getPublic('hex'),
+							n: 0,
+							m: [],
+							k: [],
+							u: [],
+							s: 0,
+							a: 0
+						});
+						this.ownerRoles = this.roles
+					}
+					this.finishJoin()
+				} else if (this.joining && !this.joining.timer && !this.joining.knocked) {
+					this.joining.timer = setTimeout(() => this.finishJoin(), this.ADMISSION_WAIT)
 				}
+				this.scheduleMembershipDigest()
+			} catch (error) {
+				this.logEvent('onMessage-list', error, 'error')
 			}
+			this.emitClientList();
 			return
 		}
 		if (!this.isString(serverDecrypted.p) || !this.isString(serverDecrypted.c)) {
 			return
 		}
+		// A kicked member is ignored until it leaves
+		// 被踢出的成员在离开前一直被忽略
+		if (this.channel[serverDecrypted.c] && this.channel[serverDecrypted.c].kicked) {
+			return
+		}
 		if (serverDecrypted.a === 'c' && (!this.channel[serverDecrypted.c] || !this.channel[serverDecrypted.c].shared)) {
 			try {
+				let created = false;
 				if (!this.channel[serverDecrypted.c]) {
 					this.channel[serverDecrypted.c] = {
 						username: null,
 						keys: this.clientEc.genKeyPair(),
 						shared: null,
+						version: 1,
+						newcomer: this.listSeen,
 					};
+					created = true
+				}
+				this.channel[serverDecrypted.c].version = this.negotiateVersion(serverDecrypted.v);
+				this.channel[serverDecrypted.c].peerVersion = typeof serverDecrypted.v === 'number' ? Math.floor(serverDecrypted.v) : 1;
+				const answer = this.answerHybridOffer(serverDecrypted.c, serverDecrypted.k);
+				if (created || answer) {
 					this.sendMessage(this.encryptServerMessage({
 						a: 'c',
 						p: this.channel[serverDecrypted.c].keys.getPublic('hex'),
+						c: serverDecrypted.c,
+						v: this.getAdvertisedVersion(),
+						k: answer || this.getHybridOffer(serverDecrypted.c)
+					}, this.serverShared));
+					this.channel[serverDecrypted.c].sentVersion = this.getAdvertisedVersion()
+				}
+				if (!this.completeHybridExchange(serverDecrypted.c, serverDecrypted.k)) {
+					return
+				}
+				this.channel[serverDecrypted.c].remoteKey = serverDecrypted.p;
+				this.channel[serverDecrypted.c].shared = this.derivePeerKey(serverDecrypted.c, serverDecrypted.p);
+				this.channel[serverDecrypted.c].keyedAt = Date.now();
+				this.channel[serverDecrypted.c].sinceRekey = 0;
+				this.channel[serverDecrypted.c].keyTag = this.getPasswordTag();
+				this.channel[serverDecrypted.c].passwordTag = this.channel[serverDecrypted.c].keyTag;
+				if (this.channel[serverDecrypted.c].version >= 4) {
+					this.channel[serverDecrypted.c].ratchet = this.initRatchet(serverDecrypted.c)
+				}
+				// Members of a room that asks for approval prove it first, then anyone we hold back hears our name
+				// only once let in
+				// 要求批准的房间中成员先出示证明；被我们搁置的对等方只有在被放行后才会收到我们的用户名
+				if (this.knock && this.channel[serverDecrypted.c].version >= 13) {
+					this.sendControlMessage(serverDecrypted.c, {
+						a: 't',
+						h: this.knockTicket(this.channel[serverDecrypted.c].keys.getPublic('hex'), serverDecrypted.p)
+					})
+				}
+				if (this.shouldHoldClient(serverDecrypted.c)) {
+					this.channel[serverDecrypted.c].held = true
+				} else {
+					this.sendMessage(this.encryptServerMessage({
+						a: 'c',
+						p: this.encryptForClient(serverDecrypted.c, this.createUsernameAnnouncement(serverDecrypted.c)),
 						c: serverDecrypted.c
 					}, this.serverShared))
 				}
-				this.channel[serverDecrypted.c].shared = Buffer.from(this.xorHex(this.channel[serverDecrypted.c].keys.derive(this.clientEc.keyFromPublic(serverDecrypted.p, 'hex').getPublic()).toString('hex').padEnd(64, '8').substr(0, 64), this.credentials.password), 'hex');
-				this.sendMessage(this.encryptServerMessage({
-					a: 'c',
-					p: this.encryptClientMessage({
-						a: 'u',
-						p: this.credentials.username
-					}, this.channel[serverDecrypted.c].shared),
-					c: serverDecrypted.c
-				}, this.serverShared))
 			} catch (error) {
 				this.logEvent('onMessage-client', error, 'error')
 			}
 			return
 		}
 		if (serverDecrypted.a === 'c' && this.channel[serverDecrypted.c] && this.channel[serverDecrypted.c].shared) {
-			const clientDecrypted = this.decryptClientMessage(serverDecrypted.p, this.channel[serverDecrypted.c].shared);
+			const clientDecrypted = serverDecrypted.p.length > this.POOL_THRESHOLD ? await this.decryptFromClientAsync(serverDecrypted.c, serverDecrypted.p) : this.decryptFromClient(serverDecrypted.c, serverDecrypted.p);
+			if (!this.channel[serverDecrypted.c]) {
+				return
+			}
 			this.logEvent('onMessage-client-decrypted', clientDecrypted);
+			if (clientDecrypted === null) {
+				this.rejectClient(serverDecrypted.c, this.channel[serverDecrypted.c].username ? 'integrity' : 'password');
+				return
+			}
 			if (!this.isObject(clientDecrypted) || !this.isString(clientDecrypted.a)) {
 				return
 			}
-			if (clientDecrypted.a === 'u' && this.isString(clientDecrypted.p) && clientDecrypted.p.match(/\S+/) && !this.channel[serverDecrypted.c].username) {
-				this.channel[serverDecrypted.c].username = clientDecrypted.p.replace(/^\s+/, '').replace(/\s+$/, '');
-				if (this.callbacks.onClientSecured) {
-					try {
-						this.callbacks.onClientSecured({
-							clientId: serverDecrypted.c,
-							username: this.channel[serverDecrypted.c].username
-						})
-					} catch (error) {
-						this.logEvent('onMessage-client-secured-callback', error, 'error')
-					}
-				}
+			if (!this.checkReplay(serverDecrypted.c, clientDecrypted)) {
+				this.rejectClient(serverDecrypted.c, 'replay');
+				return
+			}
+			// Cover traffic is dropped here without telling the UI
+			// 掩护流量在此丢弃，不通知界面
+			if (clientDecrypted.a === 'x') {
 				return
-			}			if (!this.channel[serverDecrypted.c].username) {
+			}
+			// Approval tickets and the notice that we are held arrive before the peer is a member
+			// 批准凭证以及我们被搁置的通知在对等方成为成员之前到达
+			if (clientDecrypted.a === 't') {
+				this.checkKnockTicket(serverDecrypted.c, clientDecrypted);
 				return
 			}
-			if (clientDecrypted.a === 'm' && this.isString(clientDecrypted.t) && (this.isString(clientDecrypted.d) || this.isObject(clientDecrypted.d))) {
-				if (this.callbacks.onClientMessage) {
-					try {
-						this.callbacks.onClientMessage({
-							clientId: serverDecrypted.c,
-							username: this.channel[serverDecrypted.c].username,
-							type: clientDecrypted.t,
-							data: clientDecrypted.d
-						})
-					} catch (error) {
-						this.logEvent('onMessage-client-message-callback', error, 'error')
-					}
+			if (clientDecrypted.a === 'n') {
+				this.handleKnockPending(serverDecrypted.c);
+				return
+			}
+			if (clientDecrypted.a === 'u' && this.isString(clientDecrypted.p) && clientDecrypted.p.match(/\S+/) && !this.channel[serverDecrypted.c].username && !this.channel[serverDecrypted.c].knock && !this.channel[serverDecrypted.c].inviteRefused) {
+				if (!this.checkVersionEcho(serverDecrypted.c, clientDecrypted)) {
+					this.rejectClient(serverDecrypted.c, 'downgrade');
+					return
+				}
+				const identity = this.verifyUsernameAnnouncement(serverDecrypted.c, clientDecrypted);
+				if (identity === false) {
+					this.rejectClient(serverDecrypted.c, 'integrity');
+					return
 				}
+				const inviteError = this.checkInviteProof(serverDecrypted.c, clientDecrypted);
+				if (inviteError) {
+					this.refuseInvite(serverDecrypted.c, inviteError, clientDecrypted.p);
+					return
+				}
+				// A valid invite vouches for the newcomer like a member's approval
+				// 有效的邀请如同成员的批准，为新加入者担保
+				if (this.isString(clientDecrypted.j) && this.invites[clientDecrypted.j]) {
+					this.channel[serverDecrypted.c].approved = true
+				}
+				const roleKey = this.announcedRoleKey(serverDecrypted.c, clientDecrypted, identity);
+				if (roleKey === false) {
+					this.rejectClient(serverDecrypted.c, 'integrity');
+					return
+				}
+				this.channel[serverDecrypted.c].roleKey = roleKey;
+				if (this.roles && this.roles.k.includes(this.memberKey(serverDecrypted.c))) {
+					this.kickClient(serverDecrypted.c);
+					return
+				}
+				if (this.shouldHoldClient(serverDecrypted.c)) {
+					this.holdClient(serverDecrypted.c, clientDecrypted, identity);
+					return
+				}
+				this.secureClient(serverDecrypted.c, clientDecrypted, identity);
+				this.admitClient(serverDecrypted.c);
+				return
+			}
+			if (!this.channel[serverDecrypted.c].username) {
+				return
+			}
+			if (clientDecrypted.a === 'k') {
+				this.storeSenderKey(serverDecrypted.c, clientDecrypted);
+				return
+			}
+			if (clientDecrypted.a === 'r') {
+				this.handleRekey(serverDecrypted.c, clientDecrypted);
+				return
+			}
+			if (clientDecrypted.a === 'p') {
+				this.handlePasswordRotation(serverDecrypted.c, clientDecrypted);
+				return
+			}
+			if (clientDecrypted.a === 'v') {
+				this.handleMembershipDigest(serverDecrypted.c, clientDecrypted);
+				return
+			}
+			if (clientDecrypted.a === 'i') {
+				this.storeInvite(clientDecrypted);
+				return
+			}
+			if (clientDecrypted.a === 'j') {
+				this.rejectClient(serverDecrypted.c, 'invite_refused');
+				return
+			}
+			if (clientDecrypted.a === 'a') {
+				this.handleKnockApproval(clientDecrypted);
+				return
+			}
+			if (clientDecrypted.a === 'g') {
+				this.handleKnockMode(serverDecrypted.c, clientDecrypted);
+				return
+			}
+			if (clientDecrypted.a === 'o') {
+				this.adoptRoles(serverDecrypted.c, clientDecrypted.d, clientDecrypted.e);
+				return
+			}
+			if (clientDecrypted.a === 'm') {
+				this.emitClientMessage(serverDecrypted.c, clientDecrypted);
+				return
+			}
+		}
+		if (serverDecrypted.a === 'b' && this.channel[serverDecrypted.c] && this.channel[serverDecrypted.c].username) {
+			const groupDecrypted = serverDecrypted.p.length > this.POOL_THRESHOLD ? await this.runInPool(this.groupOpenTask(serverDecrypted.c, serverDecrypted.p), 'decryptGroupMessage') : this.decryptGroupMessage(serverDecrypted.c, serverDecrypted.p);
+			if (!this.channel[serverDecrypted.c]) {
+				return
+			}
+			this.logEvent('onMessage-group-decrypted', groupDecrypted);
+			if (groupDecrypted === null) {
+				this.rejectClient(serverDecrypted.c, 'integrity');
 				return
 			}
+			if (this.isObject(groupDecrypted) && !this.checkReplay(serverDecrypted.c, groupDecrypted)) {
+				this.rejectClient(serverDecrypted.c, 'replay');
+				return
+			}
+			// Only chat messages reach the UI; cover traffic ('x') is dropped here
+			// 只有聊天消息会传给界面；掩护流量（'x'）在此丢弃
+			if (this.isObject(groupDecrypted) && groupDecrypted.a === 'm') {
+				this.emitClientMessage(serverDecrypted.c, groupDecrypted)
+			}
+		}
+	}
+
+	// Pass the secured members to the listener
+	// 将已建立安全连接的成员传递给监听者
+	emitClientList() {
+		if (this.callbacks.onClientList) {
+			let clients = [];
+			for (const clientId in this.channel) {
+				if (this.channel[clientId].shared && this.channel[clientId].username) {
+					clients.push({
+						clientId: clientId,
+						username: this.channel[clientId].username,
+						identity: this.channel[clientId].identity || null
+					})
+				}
+			}
+			try {
+				this.callbacks.onClientList(clients, this.clientId)
+			} catch (error) {
+				this.logEvent('onMessage-client-list-callback', error, 'error')
+			}
+		}
+	}
+
+	// Pass a decrypted chat message from a client to the listener, unless the room roles hold it back
+	// 将解密后的客户端聊天消息传递给监听者，除非房间角色规则将其拦下
+	emitClientMessage(clientId, decrypted) {
+		if (!this.isString(decrypted.t) || (!this.isString(decrypted.d) && !this.isObject(decrypted.d))) {
+			return
+		}
+		if (!this.acceptPost(clientId, decrypted)) {
+			return
+		}
+		if (this.callbacks.onClientMessage) {
+			try {
+				this.callbacks.onClientMessage({
+					clientId: clientId,
+					username: this.channel[clientId].username,
+					type: decrypted.t,
+					data: decrypted.d
+				})
+			} catch (error) {
+				this.logEvent('onMessage-client-message-callback', error, 'error')
+			}
 		}
 	}
 
@@ -358,7 +973,7 @@ class NodeCrypt {
 	async onError(event) {
 		this.logEvent('onError', event, 'error');
 		this.disconnect();
-		if (this.credentials) {
+		if (this.credentials && !this.serverKeyRejected) {
 			this.startReconnect()
 		}
 		if (this.callbacks.onServerClosed) {
@@ -375,7 +990,7 @@ class NodeCrypt {
 	async onClose(event) {
 		this.logEvent('onClose', event);
 		this.disconnect();
-		if (this.credentials) {
+		if (this.credentials && !this.serverKeyRejected) {
 			this.startReconnect()
 		}
 		if (this.callbacks.onServerClosed) {
@@ -413,6 +1028,9 @@ class NodeCrypt {
 	// 启动重连定时器
 	startReconnect() {
 		this.stopReconnect();
+		// An invite only vouches for the first connection, afterwards we join like any member who knows the password
+		// 邀请只为首次连接担保，之后我们像其他知道密码的成员一样加入
+		this.invite = null;
 		this.logEvent('startReconnect');
 		this.reconnect = setTimeout(() => {
 			this.reconnect = null;
@@ -436,7 +1054,8 @@ class NodeCrypt {
 		this.stopPing();
 		this.logEvent('startPing');
 		this.ping = setInterval(() => {
-			this.sendMessage('ping')
+			this.sendMessage('ping');
+			this.checkRekeys()
 		}, this.config.pingInterval)
 	}
 
@@ -450,11 +1069,113 @@ class NodeCrypt {
 		}
 	}
 
+	// Start sending cover traffic at the rate of the current policy, when one is set
+	// 按当前策略的速率开始发送掩护流量（如已设置策略）
+	startCover() {
+		this.stopCover();
+		const policy = this.getCoverPolicy();
+		if (!policy) {
+			return
+		}
+		this.logEvent('startCover');
+		this.cover = setInterval(() => {
+			this.sendCoverTraffic()
+		}, policy.interval)
+	}
+
+	// Stop cover traffic timer
+	// 停止掩护流量定时器
+	stopCover() {
+		if (this.cover) {
+			this.logEvent('stopCover');
+			clearInterval(this.cover);
+			this.cover = null
+		}
+	}
+
+	// Resolve a cover traffic policy by name, or use a custom {interval, budget} object as is; null when off
+	// 按名称解析掩护流量策略，或直接使用自定义的 {interval, budget} 对象；关闭时返回 null
+	getCoverPolicy() {
+		const policy = this.config.cover;
+		return (this.isObject(policy) ? policy : (this.COVER_POLICIES[policy] || null))
+	}
+
+	// Switch the cover traffic policy, 'off' stops it
+	// 切换掩护流量策略，'off' 表示停止
+	setCoverPolicy(policy) {
+		this.config.cover = policy || 'off';
+		if (this.isOpen()) {
+			this.startCover()
+		} else {
+			this.stopCover()
+		}
+	}
+
+	// Whether the browser reports a metered or mobile connection, where cover traffic is paused
+	// 浏览器是否报告为按流量计费或移动网络连接，此时暂停掩护流量
+	isMeteredConnection() {
+		const connection = typeof navigator !== 'undefined' ? (navigator.connection || navigator.mozConnection || navigator.webkitConnection) : null;
+		return (!!connection && (connection.saveData === true || connection.metered === true || connection.type === 'cellular'))
+	}
+
+	// Send one dummy frame, shaped either like a room message to everyone or like a private message to a random
+	// member. Nothing is sent when a real message went out during this interval, frames are still waiting in the
+	// outbox, the hourly budget is spent or the connection is metered. Returns whether a frame was sent
+	// 发送一个虚假帧，形式为发给所有人的房间消息或发给随机成员的私聊消息。本周期内已发送真实消息、
+	// 发件箱中仍有帧等待、每小时预算已用完或连接按流量计费时不发送。返回是否已发送
+	sendCoverTraffic() {
+		const policy = this.getCoverPolicy();
+		const realSent = this.realSent;
+		this.realSent = false;
+		if (!policy || realSent || !this.serverShared || this.outbox.length > 0 || this.isMeteredConnection()) {
+			return (false)
+		}
+		const now = Date.now();
+		if (now - this.coverUsage.since >= 60 * 60 * 1000) {
+			this.coverUsage = {
+				since: now,
+				bytes: 0
+			}
+		}
+		if (this.coverUsage.bytes >= policy.budget) {
+			return (false)
+		}
+		const peers = Object.keys(this.channel).filter(clientId => this.channel[clientId].shared && this.channel[clientId].username);
+		if (peers.length === 0) {
+			return (false)
+		}
+		const random = crypto.getRandomValues(new Uint8Array(3));
+		const message = {
+			a: 'x',
+			d: 'x'.repeat(random[0] % 192)
+		};
+		const before = this.bytesSent;
+		let sent = false;
+		try {
+			if (random[1] & 1) {
+				sent = this.broadcastMessage(message)
+			} else {
+				const clientId = peers[random[2] % peers.length];
+				sent = this.sendMessage(this.encryptServerMessage({
+					a: 'c',
+					p: this.encryptForClient(clientId, message),
+					c: clientId
+				}, this.serverShared))
+			}
+		} catch (error) {
+			this.logEvent('sendCoverTraffic', error, 'error')
+		}
+		this.coverUsage.bytes += this.bytesSent - before;
+		return (sent)
+	}
+
 	// Disconnect from server
 	// 从服务器断开连接
 	disconnect() {
 		this.stopReconnect();
 		this.stopPing();
+		this.stopCover();
+		this.connectAttempt++;
 		if (!this.isClosed()) {
 			try {
 				this.logEvent('disconnect');
@@ -465,12 +1186,19 @@ class NodeCrypt {
 		}
 	}
 
-	// Send a message to the server
-	// 向服务器发送消息
+	// Send a message to the server. While frames queued before it are still being encrypted it waits in the outbox
+	// 向服务器发送消息。排在前面的帧仍在加密时，消息在发件箱中等待
 	sendMessage(message) {
+		if (this.outbox.length > 0) {
+			this.outbox.push({
+				payload: message
+			});
+			return (this.isOpen())
+		}
 		try {
 			if (this.isOpen()) {
 				this.connection.send(message);
+				this.bytesSent += message.length;
 				return (true)
 			}
 		} catch (error) {
@@ -482,21 +1210,37 @@ class NodeCrypt {
 	// Send a message to all channels
 	// 向所有频道发送消息
 	sendChannelMessage(type, data) {
+		if (!this.claimPost(type)) {
+			return (false)
+		}
+		this.realSent = true;
+		return (this.broadcastMessage({
+			a: 'm',
+			t: type,
+			d: data
+		}))
+	}
+
+	// Send a message to every member: once with our sender key for current clients, separately for older ones
+	// 向所有成员发送消息：对当前客户端使用发送者密钥只加密一次，对旧客户端单独加密
+	broadcastMessage(message) {
 		if (this.serverShared) {
 			try {
 				let payloads = {};
+				let group = [];
 				for (const clientId in this.channel) {
-					if (this.channel[clientId].shared && this.channel[clientId].username) {
-						payloads[clientId] = this.encryptClientMessage({
-							a: 'm',
-							t: type,
-							d: data
-						}, this.channel[clientId].shared);
+					if (this.channel[clientId].shared && this.channel[clientId].username && this.channel[clientId].version >= 5) {
+						group.push(clientId)
+					} else if (this.channel[clientId].shared && this.channel[clientId].username) {
+						payloads[clientId] = this.encryptForClient(clientId, message);
 						if (payloads[clientId].length === 0) {
 							return (false)
 						}
 					}
 				}
+				if (group.length > 0 && !this.sendGroupMessage(group, message)) {
+					return (false)
+				}
 				if (Object.keys(payloads).length > 0) {
 					const payload = this.encryptServerMessage({
 						a: 'w',
@@ -505,37 +1249,242 @@ class NodeCrypt {
 					if (!this.isOpen() || payload.length === 0 || payload.length > (8 * 1024 * 1024)) {
 						return (false)
 					}
-					this.connection.send(payload)
+					this.sendMessage(payload)
 				}
 				return (true)
 			} catch (error) {
-				this.logEvent('sendChannelMessage', error, 'error')
+				this.logEvent('broadcastMessage', error, 'error')
 			}
 		}
 		return (false)
 	}
 
-	// Encrypt a message for the server
-	// 加密发送给服务器的消息
-	encryptServerMessage(message, key) {
-		let encrypted = '';
-		try {
-			message = Buffer.from(JSON.stringify(message), 'utf8');
-			if ((message.length % 16) !== 0) {
-				message = Buffer.from([...message, ...Buffer.alloc(16 - (message.length % 16))])
-			}
-			const iv = Buffer.from(crypto.getRandomValues(new Uint8Array(16)));
-			const cipher = new ModeOfOperation.cbc(key, iv);
-			encrypted = iv.toString('base64') + '|' + Buffer.from(cipher.encrypt(message)).toString('base64')
-		} catch (error) {
-			this.logEvent('encryptServerMessage', error, 'error')
+	// Encrypt a message once with our sender key and have the relay fan it out to the recipients
+	// 使用发送者密钥只加密一次消息，由中继分发给各接收方
+	sendGroupMessage(recipients, message) {
+		this.distributeSenderKey(recipients);
+		const encrypted = this.encryptGroupMessage(this.stampMessage(message), recipients.every(clientId => this.channel[clientId].version >= 7));
+		if (encrypted.length === 0) {
+			return (false)
 		}
-		return (encrypted)
-	}
+		const payload = this.encryptServerMessage({
+			a: 'b',
+			p: encrypted,
+			r: recipients
+		}, this.serverShared);
+		if (!this.isOpen() || payload.length === 0 || payload.length > (8 * 1024 * 1024)) {
+			return (false)
+		}
+		this.sendMessage(payload);
+		return (true)
+	}
+
+	// Send our sender key to the recipients that do not have it yet, creating it when needed
+	// 将发送者密钥发给尚未持有的接收方，必要时先创建
+	distributeSenderKey(recipients) {
+		if (!this.senderKey) {
+			this.senderKey = this.createSenderKey()
+		}
+		for (const clientId of recipients) {
+			if (!this.senderKey.sentTo.has(clientId)) {
+				this.sendMessage(this.encryptServerMessage({
+					a: 'c',
+					p: this.encryptForClient(clientId, {
+						a: 'k',
+						i: this.senderKey.id,
+						k: this.senderKey.ck.toString('base64'),
+						n: this.senderKey.n,
+						s: this.senderKey.sign.getPublic('hex')
+					}),
+					c: clientId
+				}, this.serverShared));
+				this.senderKey.sentTo.add(clientId)
+			}
+		}
+	}
+
+	// Send a message to a single client
+	// 向单个客户端发送消息
+	sendClientMessage(clientId, type, data) {
+		if (this.serverShared && this.channel[clientId] && this.channel[clientId].shared && this.claimPost(type)) {
+			this.realSent = true;
+			try {
+				const encrypted = this.encryptForClient(clientId, {
+					a: 'm',
+					t: type,
+					d: data
+				});
+				if (encrypted.length === 0) {
+					return (false)
+				}
+				const payload = this.encryptServerMessage({
+					a: 'c',
+					p: encrypted,
+					c: clientId
+				}, this.serverShared);
+				if (payload.length === 0 || payload.length > (8 * 1024 * 1024)) {
+					return (false)
+				}
+				return (this.sendMessage(payload))
+			} catch (error) {
+				this.logEvent('sendClientMessage', error, 'error')
+			}
+		}
+		return (false)
+	}
+
+	// Send a message to all channels, encrypting it in the crypto worker pool. Resolves once the frames are sent
+	// 向所有频道发送消息，在加密 Worker 池中加密。帧发送后返回
+	async sendChannelMessageAsync(type, data) {
+		if (!this.serverShared || !this.claimPost(type)) {
+			return (false)
+		}
+		this.realSent = true;
+		const message = {
+			a: 'm',
+			t: type,
+			d: data
+		};
+		const group = [];
+		const single = [];
+		for (const clientId in this.channel) {
+			if (this.channel[clientId].shared && this.channel[clientId].username) {
+				(this.channel[clientId].version >= 5 ? group : single).push(clientId)
+			}
+		}
+		const frames = [];
+		try {
+			if (group.length > 0) {
+				this.distributeSenderKey(group);
+				const encrypted = this.runInPool(this.groupSealTask(this.stampMessage(message), group.every(clientId => this.channel[clientId].version >= 7)), 'encryptGroupMessage');
+				frames.push(this.queueServerMessage(encrypted.then(p => p && {
+					a: 'b',
+					p: p,
+					r: group
+				})))
+			}
+			if (single.length > 0) {
+				const encrypted = Promise.all(single.map(clientId => this.encryptForClientAsync(clientId, message)));
+				frames.push(this.queueServerMessage(encrypted.then(list => list.every(p => p) && {
+					a: 'w',
+					p: Object.fromEntries(single.map((clientId, i) => [clientId, list[i]]))
+				})))
+			}
+		} catch (error) {
+			this.logEvent('sendChannelMessageAsync', error, 'error')
+		}
+		return ((await Promise.all(frames)).every(sent => sent))
+	}
+
+	// Send a message to a single client, encrypting it in the crypto worker pool. Resolves once the frame is sent
+	// 向单个客户端发送消息，在加密 Worker 池中加密。帧发送后返回
+	async sendClientMessageAsync(clientId, type, data) {
+		if (!this.serverShared || !this.channel[clientId] || !this.channel[clientId].shared || !this.claimPost(type)) {
+			return (false)
+		}
+		this.realSent = true;
+		const encrypted = this.encryptForClientAsync(clientId, {
+			a: 'm',
+			t: type,
+			d: data
+		});
+		return (this.queueServerMessage(encrypted.then(p => p && {
+			a: 'c',
+			p: p,
+			c: clientId
+		})))
+	}
+
+	// Queue a frame whose content may still be encrypting. Its relay sequence number is taken now, so frames
+	// leave in the order they were queued; resolves to whether the frame was sent
+	// 将内容可能仍在加密的帧加入队列。中继序号在此时确定，帧按入队顺序发出；返回该帧是否已发送
+	queueServerMessage(message) {
+		const session = this.serverShared;
+		const seq = session.version >= 2 ? session.sendSeq++ : null;
+		const entry = {
+			payload: null
+		};
+		this.outbox.push(entry);
+		return (Promise.resolve(message).then(message => {
+			if (!message || session !== this.serverShared) {
+				return ('')
+			}
+			if (seq === null) {
+				return (this.encryptServerMessage(message, session))
+			}
+			const prepared = this.serverFrameSealTask(message, session, seq);
+			return (prepared[0].data.length > this.POOL_THRESHOLD ? this.runInPool(prepared, 'encryptServerFrame') : prepared[1](runCipherTask(prepared[0])))
+		}).catch(error => {
+			this.logEvent('queueServerMessage', error, 'error');
+			return ('')
+		}).then(payload => {
+			entry.payload = payload || '';
+			entry.sent = !!payload && payload.length <= 8 * 1024 * 1024 && this.isOpen();
+			this.flushOutbox();
+			return (entry.sent)
+		}))
+	}
+
+	// Send the frames at the head of the outbox that are ready
+	// 发送发件箱开头已就绪的帧
+	flushOutbox() {
+		while (this.outbox.length > 0 && this.outbox[0].payload !== null) {
+			const entry = this.outbox.shift();
+			if (entry.payload.length === 0 || entry.sent === false) {
+				continue
+			}
+			try {
+				if (this.isOpen()) {
+					this.connection.send(entry.payload);
+					this.bytesSent += entry.payload.length
+				}
+			} catch (error) {
+				this.logEvent('flushOutbox', error, 'error')
+			}
+		}
+	}
+
+	// Run a prepared [task, finish] pair in the crypto worker pool, null when it fails
+	// 在加密 Worker 池中执行准备好的 [任务, 收尾] 对，失败时返回 null
+	async runInPool(prepared, source) {
+		if (!prepared) {
+			return (null)
+		}
+		try {
+			return (prepared[1](await runInPool(prepared[0])))
+		} catch (error) {
+			this.logEvent(source, error, 'error')
+		}
+		return (null)
+	}
+
+	// Encrypt a message for the server
+	// 加密发送给服务器的消息
+	encryptServerMessage(message, key) {
+		if (key && key.version >= 2) {
+			return (this.encryptServerFrame(message, key))
+		}
+		let encrypted = '';
+		try {
+			message = Buffer.from(JSON.stringify(message), 'utf8');
+			if ((message.length % 16) !== 0) {
+				message = Buffer.concat([message, Buffer.alloc(16 - (message.length % 16))])
+			}
+			const iv = Buffer.from(crypto.getRandomValues(new Uint8Array(16)));
+			const cipher = new ModeOfOperation.cbc(key, iv);
+			encrypted = iv.toString('base64') + '|' + Buffer.from(cipher.encrypt(message)).toString('base64')
+		} catch (error) {
+			this.logEvent('encryptServerMessage', error, 'error')
+		}
+		return (encrypted)
+	}
 
 	// Decrypt a message from the server
 	// 解密来自服务器的消息
 	decryptServerMessage(message, key) {
+		if (key && key.version >= 2) {
+			return (this.decryptServerFrame(message, key))
+		}
 		let decrypted = {};
 		try {
 			const parts = message.split('|');
@@ -547,14 +1496,90 @@ class NodeCrypt {
 		return (decrypted)
 	}
 
+	// Build the AES-GCM nonce for a relay frame sequence number
+	// 为中继帧序号构造 AES-GCM nonce
+	serverFrameNonce(seq) {
+		const nonce = new Uint8Array(12);
+		const view = new DataView(nonce.buffer);
+		view.setUint32(4, Math.floor(seq / 0x100000000));
+		view.setUint32(8, seq >>> 0);
+		return (nonce)
+	}
+
+	// Build the [task, finish] pair sealing a v2 relay frame with the send key and a sequence number, padded on v3 sessions
+	// 构建使用发送密钥和序号加密 v2 中继帧的 [任务, 收尾] 对，v3 会话会进行填充
+	serverFrameSealTask(message, session, seq) {
+		return ([{
+			op: 'seal',
+			cipher: 'aes-gcm',
+			key: session.send,
+			nonce: this.serverFrameNonce(seq),
+			data: this.encodePayload(message, session.padded),
+			output: 'base64'
+		}, result => seq + '|' + result.data])
+	}
+
+	// Build the [task, finish] pair opening a v2 relay frame, null when it is out of sequence.
+	// finish returns null when the padding is invalid
+	// 构建解密 v2 中继帧的 [任务, 收尾] 对，序号不符时返回 null。填充无效时 finish 返回 null
+	serverFrameOpenTask(message, session) {
+		const parts = message.split('|');
+		const seq = Number(parts[0]);
+		if (parts.length !== 2 || seq !== session.recvSeq) {
+			return (null)
+		}
+		return ([{
+			op: 'open',
+			cipher: 'aes-gcm',
+			key: session.recv,
+			nonce: this.serverFrameNonce(seq),
+			data: parts[1]
+		}, result => {
+			const decrypted = this.decodePayload(result.data, session.padded);
+			if (decrypted !== null) {
+				session.recvSeq++
+			}
+			return (decrypted)
+		}])
+	}
+
+	// Encrypt a v2 relay frame with the next sequence number
+	// 使用下一个序号加密 v2 中继帧
+	encryptServerFrame(message, session) {
+		let encrypted = '';
+		try {
+			const [task, finish] = this.serverFrameSealTask(message, session, session.sendSeq);
+			encrypted = finish(runCipherTask(task));
+			session.sendSeq++
+		} catch (error) {
+			this.logEvent('encryptServerFrame', error, 'error')
+		}
+		return (encrypted)
+	}
+
+	// Decrypt a v2 relay frame, null when authentication or sequencing fails
+	// 解密 v2 中继帧，认证或序号校验失败时返回 null
+	decryptServerFrame(message, session) {
+		try {
+			const prepared = this.serverFrameOpenTask(message, session);
+			return (prepared ? prepared[1](runCipherTask(prepared[0])) : null)
+		} catch (error) {
+			this.logEvent('decryptServerFrame', error, 'error')
+		}
+		return (null)
+	}
+
 	// Encrypt a message for a client
 	// 加密发送给客户端的消息
-	encryptClientMessage(message, key) {
+	encryptClientMessage(message, key, ad) {
+		if (ad) {
+			return (this.encryptClientEnvelope(message, key, ad))
+		}
 		let encrypted = '';
 		try {
 			message = Buffer.from(JSON.stringify(message), 'utf8');
 			if ((message.length % 16) !== 0) {
-				message = Buffer.from([...message, ...Buffer.alloc(16 - (message.length % 16))])
+				message = Buffer.concat([message, Buffer.alloc(16 - (message.length % 16))])
 			}
 			const iv = Buffer.from(crypto.getRandomValues(new Uint8Array(12)));
 			const counter = Buffer.from(crypto.getRandomValues(new Uint8Array(4)));
@@ -568,7 +1593,10 @@ class NodeCrypt {
 
 	// Decrypt a message from a client
 	// 解密来自客户端的消息
-	decryptClientMessage(message, key) {
+	decryptClientMessage(message, key, ad) {
+		if (ad) {
+			return (this.decryptClientEnvelope(message, key, ad))
+		}
 		let decrypted = {};
 		try {
 			const parts = message.split('|');
@@ -580,43 +1608,2271 @@ class NodeCrypt {
 		return (decrypted)
 	}
 
-	// XOR two hex strings
-	// 对两个十六进制字符串进行异或
-	xorHex(a, b) {
-		let result = '',
-			hexLength = Math.min(a.length, b.length);
-		for (let i = 0; i < hexLength; ++i) {
-			result += (parseInt(a.charAt(i), 16) ^ parseInt(b.charAt(i), 16)).toString(16)
+	// Encrypt a message for a client into an authenticated v2 envelope
+	// 将发送给客户端的消息加密为带认证的 v2 信封
+	encryptClientEnvelope(message, key, ad) {
+		let encrypted = '';
+		try {
+			const nonce = Buffer.from(crypto.getRandomValues(new Uint8Array(12)));
+			const cipher = chacha20poly1305(key, nonce, ad);
+			encrypted = 'v2|' + nonce.toString('base64') + '|' + Buffer.from(cipher.encrypt(Buffer.from(JSON.stringify(message), 'utf8'))).toString('base64')
+		} catch (error) {
+			this.logEvent('encryptClientEnvelope', error, 'error')
 		}
-		return (result)
+		return (encrypted)
 	}
 
-	// Check if value is a string
-	// 检查值是否为字符串
-	isString(value) {
-		return (value && Object.prototype.toString.call(value) === '[object String]' ? true : false)
+	// Decrypt an authenticated v2 envelope, returns null when the frame fails its integrity check
+	// 解密带认证的 v2 信封，完整性校验失败时返回 null
+	decryptClientEnvelope(message, key, ad) {
+		const parts = this.isString(message) ? message.split('|') : [];
+		if (parts.length !== 3 || parts[0] !== 'v2') {
+			return (null)
+		}
+		let plaintext = null;
+		try {
+			plaintext = chacha20poly1305(key, Buffer.from(parts[1], 'base64'), ad).decrypt(Buffer.from(parts[2], 'base64'))
+		} catch (error) {
+			this.logEvent('decryptClientEnvelope', error, 'error');
+			return (null)
+		}
+		let decrypted = {};
+		try {
+			decrypted = JSON.parse(Buffer.from(plaintext).toString('utf8'))
+		} catch (error) {
+			this.logEvent('decryptClientEnvelope', error, 'error')
+		}
+		return (decrypted)
 	}
 
-	// Check if value is an array
-	// 检查值是否为数组
-	isArray(value) {
-		return (value && Object.prototype.toString.call(value) === '[object Array]' ? true : false)
+	// Build associated data binding a frame to its sender and recipient
+	// 构建将帧绑定到发送方和接收方的关联数据
+	clientAd(sender, recipient) {
+		return (Buffer.from('nodecrypt-peer-v2|' + sender + '|' + recipient, 'utf8'))
 	}
 
-	// Check if value is an object
-	// 检查值是否为对象
-	isObject(value) {
-		return (value && Object.prototype.toString.call(value) === '[object Object]' ? true : false)
+	// Encrypt a message for a client using the negotiated format
+	// 使用协商的格式加密发送给客户端的消息
+	encryptForClient(clientId, message) {
+		const client = this.channel[clientId];
+		if (client.version >= 6) {
+			message = this.stampMessage(message)
+		}
+		client.sinceRekey++;
+		if (client.version >= 4) {
+			return (this.ratchetEncrypt(clientId, message))
+		}
+		if (client.version >= 2) {
+			return (this.encryptClientMessage(message, client.shared, this.clientAd(this.clientId, clientId)))
+		}
+		return (this.encryptClientMessage(message, client.shared))
 	}
 
-	// Handle server public key
-	// 处理服务器公钥
-	async handleServerKey(serverKey) {
-		this.logEvent('handleServerKey', 'Received server key');
-		localStorage.removeItem(this.SERVER_KEY_STORAGE);
-		localStorage.setItem(this.SERVER_KEY_STORAGE, serverKey);
-		this.config.rsaPublic = serverKey;
-		return true
+	// Encrypt a message for a client in the crypto worker pool; formats before the ratchet are encrypted right here
+	// 在加密 Worker 池中加密发送给客户端的消息；棘轮之前的格式直接在此加密
+	encryptForClientAsync(clientId, message) {
+		const client = this.channel[clientId];
+		if (client.version < 4) {
+			return (Promise.resolve(this.encryptForClient(clientId, message)))
+		}
+		if (client.version >= 6) {
+			message = this.stampMessage(message)
+		}
+		client.sinceRekey++;
+		try {
+			return (this.runInPool(this.ratchetSealTask(clientId, message), 'ratchetEncrypt').then(encrypted => encrypted || ''))
+		} catch (error) {
+			this.logEvent('encryptForClientAsync', error, 'error')
+		}
+		return (Promise.resolve(''))
+	}
+
+	// Decrypt a message from a client in the crypto worker pool, like decryptFromClient
+	// 在加密 Worker 池中解密来自客户端的消息，与 decryptFromClient 相同
+	async decryptFromClientAsync(clientId, message) {
+		const client = this.channel[clientId];
+		if (client.version < 4) {
+			return (this.decryptFromClient(clientId, message))
+		}
+		let decrypted = await this.runInPool(this.ratchetOpenTask(clientId, message, client), 'ratchetDecrypt');
+		if (decrypted === null && client.previous && client.previous.expires > Date.now()) {
+			decrypted = await this.runInPool(this.ratchetOpenTask(clientId, message, client.previous), 'ratchetDecrypt')
+		}
+		if (decrypted !== null) {
+			client.sinceRekey++
+		}
+		return (decrypted)
+	}
+
+	// Decrypt a message from a client using the negotiated format, null on integrity failure.
+	// Right after a rekey, messages the peer sent with the previous keys are still accepted
+	// 使用协商的格式解密来自客户端的消息，完整性失败时返回 null。刚更换密钥后，仍接受对等方使用旧密钥发送的消息
+	decryptFromClient(clientId, message) {
+		const client = this.channel[clientId];
+		let decrypted = this.decryptWithKeys(clientId, message, client);
+		if (decrypted === null && client.previous && client.previous.expires > Date.now()) {
+			decrypted = this.decryptWithKeys(clientId, message, client.previous)
+		}
+		if (decrypted !== null) {
+			client.sinceRekey++
+		}
+		return (decrypted)
+	}
+
+	// Decrypt a message from a client with one generation of its keys
+	// 使用客户端某一代密钥解密其消息
+	decryptWithKeys(clientId, message, keys) {
+		const client = this.channel[clientId];
+		if (client.version >= 4) {
+			return (this.ratchetDecrypt(clientId, message, keys))
+		}
+		if (client.version >= 2) {
+			return (this.decryptClientMessage(message, keys.shared, this.clientAd(clientId, this.clientId)))
+		}
+		return (this.decryptClientMessage(message, keys.shared))
+	}
+
+	// Start a fresh curve25519 exchange with a peer over the current channel, unless one is still running
+	// 通过当前通道与对等方开始新的 curve25519 交换，除非上一次交换仍在进行
+	requestRekey(clientId) {
+		const client = this.channel[clientId];
+		if (!client || !client.shared || !client.username || client.version < 9 || (client.rekey && Date.now() - client.rekey.sentAt < this.REKEY_GRACE)) {
+			return (false)
+		}
+		try {
+			client.rekey = {
+				keys: this.clientEc.genKeyPair(),
+				sentAt: Date.now(),
+				passwordKey: this.credentials.passwordKey,
+				tag: this.getPasswordTag()
+			};
+			return (this.sendMessage(this.encryptServerMessage({
+				a: 'c',
+				p: this.encryptForClient(clientId, {
+					a: 'r',
+					k: client.rekey.keys.getPublic('hex'),
+					e: client.version >= 10 ? client.rekey.tag : undefined
+				}),
+				c: clientId
+			}, this.serverShared)))
+		} catch (error) {
+			this.logEvent('requestRekey', error, 'error')
+		}
+		return (false)
+	}
+
+	// Refresh the keys with every peer and start a new sender key, returns how many peers were asked
+	// 与所有对等方刷新密钥并启用新的发送者密钥，返回发起请求的对等方数量
+	rekeyAll() {
+		let count = 0;
+		for (const clientId in this.channel) {
+			if (this.requestRekey(clientId)) {
+				count++
+			}
+		}
+		if (count > 0) {
+			this.senderKey = null
+		}
+		return (count)
+	}
+
+	// Refresh the keys of peers that exchanged too many messages, were keyed too long ago
+	// or still use keys from the previous room password
+	// 为消息过多、密钥使用时间过长或仍在使用旧房间密码密钥的对等方刷新密钥
+	checkRekeys() {
+		const now = Date.now();
+		for (const clientId in this.channel) {
+			const client = this.channel[clientId];
+			if (client.previous && client.previous.expires <= now) {
+				client.previous = null
+			}
+			if (client.keyedAt && (client.sinceRekey >= this.REKEY_AFTER_MESSAGES || now - client.keyedAt >= this.REKEY_AFTER_TIME || this.needsPasswordRekey(clientId))) {
+				this.requestRekey(clientId)
+			}
+		}
+	}
+
+	// Answer a peer's rekey request, or finish our own when the answer arrives. The answer still goes out
+	// with the current keys; when both sides ask at once, the request of the lower clientId wins.
+	// From version 10 a request is only answered when both sides use the same room password
+	// 响应对等方的换钥请求，或在收到应答时完成我们自己的请求。应答仍使用当前密钥发送；
+	// 双方同时发起时，以 clientId 较小一方的请求为准。从版本 10 起，只有双方使用相同房间密码时才会应答
+	handleRekey(clientId, message) {
+		const client = this.channel[clientId];
+		if (client.version < 9 || !this.isString(message.k) || !/^[0-9a-f]+$/.test(message.k)) {
+			return
+		}
+		try {
+			if (message.r) {
+				if (client.rekey) {
+					this.switchPeerKeys(clientId, client.rekey.keys, message.k, client.rekey.passwordKey, client.rekey.tag)
+				}
+				return
+			}
+			if (client.version >= 10 && message.e !== this.getPasswordTag()) {
+				return
+			}
+			if (client.rekey && this.clientId < clientId && Date.now() - client.rekey.sentAt < this.REKEY_GRACE) {
+				return
+			}
+			const keys = this.clientEc.genKeyPair();
+			this.sendMessage(this.encryptServerMessage({
+				a: 'c',
+				p: this.encryptForClient(clientId, {
+					a: 'r',
+					k: keys.getPublic('hex'),
+					r: 1
+				}),
+				c: clientId
+			}, this.serverShared));
+			this.switchPeerKeys(clientId, keys, message.k, this.credentials.passwordKey, this.getPasswordTag())
+		} catch (error) {
+			this.logEvent('handleRekey', error, 'error')
+		}
+	}
+
+	// Move a peer to keys derived from a fresh exchange chained to the current key, keeping the current
+	// keys for the grace window. From version 10 the room password the exchange was made under is mixed in.
+	// The keys behind the safety number stay the same
+	// 将对等方切换到由新交换并链接当前密钥派生的密钥，当前密钥在宽限期内保留。从版本 10 起混入交换时使用的房间密码。
+	// 安全码所依据的密钥保持不变
+	switchPeerKeys(clientId, keys, remoteKey, passwordKey, tag) {
+		const client = this.channel[clientId];
+		const secret = keys.derive(this.clientEc.keyFromPublic(remoteKey, 'hex').getPublic()).toArray('be', 32);
+		client.previous = {
+			shared: client.shared,
+			ratchet: client.ratchet,
+			expires: Date.now() + this.REKEY_GRACE
+		};
+		if (client.version >= 10) {
+			client.shared = this.hkdf([...secret, ...passwordKey], client.shared, 'nodecrypt peer rekey v10', 32);
+			client.keyTag = tag
+		} else {
+			client.shared = this.hkdf(secret, client.shared, 'nodecrypt peer rekey v9', 32)
+		}
+		client.ratchet = this.initRatchet(clientId, keys, remoteKey);
+		client.rekey = null;
+		client.keyedAt = Date.now();
+		client.sinceRekey = 0;
+		this.logEvent('switchPeerKeys', clientId);
+		this.syncPasswordKeys(clientId)
+	}
+
+	// Short tag naming a room password, so peers can tell whether they use the same one
+	// 标识房间密码的短标签，便于对等方判断是否使用相同的密码
+	passwordTag(hashedPassword) {
+		return (sha256('nodecrypt-password-tag|' + hashedPassword).slice(0, 16))
+	}
+
+	// Tag of the room password we use now
+	// 当前使用的房间密码的标签
+	getPasswordTag() {
+		return (this.passwordTag(this.credentials.password))
+	}
+
+	// Propose a new room password to every member. Resolves to false when a member's client cannot follow
+	// 向所有成员提议新的房间密码。有成员的客户端无法跟随时返回 false
+	async rotatePassword(password) {
+		if (!this.credentials || !this.isString(password) || password.length === 0) {
+			return (false)
+		}
+		for (const clientId in this.channel) {
+			if (this.channel[clientId].shared && this.channel[clientId].username && this.channel[clientId].version < 10) {
+				return (false)
+			}
+		}
+		return (this.adoptPassword(password, this.credentials.passwordRound + 1, null))
+	}
+
+	// Whether a rotated password beats ours: a later round wins, and the smaller tag within one round
+	// 轮换后的密码是否优先于当前密码：轮次更大者优先，同一轮次中标签较小者优先
+	isNewerPassword(round, tag) {
+		return (round > this.credentials.passwordRound || (round === this.credentials.passwordRound && tag < this.getPasswordTag()))
+	}
+
+	// Switch to a rotated room password, pass it on to every member and re-key the pairs that both use it.
+	// Newcomers joining with the old password can no longer derive our keys
+	// 切换到轮换后的房间密码，转发给所有成员，并为双方都已使用新密码的成员对重新派生密钥。
+	// 使用旧密码加入的新成员将无法再派生出我们的密钥
+	async adoptPassword(password, round, origin) {
+		const credentials = this.credentials;
+		const passwordKey = await this.derivePasswordKey(password, credentials.room);
+		if (!passwordKey || this.credentials !== credentials || !this.isNewerPassword(round, this.passwordTag(sha256(password)))) {
+			return (false)
+		}
+		credentials.password = sha256(password);
+		credentials.passwordKey = passwordKey;
+		credentials.passwordKeyTask = Promise.resolve(passwordKey);
+		credentials.passwordRound = round;
+		this.senderKey = null;
+		for (const clientId in this.channel) {
+			const client = this.channel[clientId];
+			if (!client.shared || !client.username || client.version < 10) {
+				continue
+			}
+			this.sendMessage(this.encryptServerMessage({
+				a: 'c',
+				p: this.encryptForClient(clientId, {
+					a: 'p',
+					p: password,
+					n: round
+				}),
+				c: clientId
+			}, this.serverShared));
+			this.syncPasswordKeys(clientId)
+		}
+		if (this.callbacks.onPasswordChanged) {
+			try {
+				this.callbacks.onPasswordChanged({
+					clientId: origin,
+					username: origin && this.channel[origin] ? this.channel[origin].username : null,
+					password: password
+				})
+			} catch (error) {
+				this.logEvent('adoptPassword-callback', error, 'error')
+			}
+		}
+		return (true)
+	}
+
+	// Record the room password a peer moved to. One that beats ours waits as a proposal until the user accepts it,
+	// so a member cannot move the room to a password of its choosing on its own
+	// 记录对等方切换到的房间密码。优先于当前密码的会作为提议等待用户接受，成员无法独自将房间切换到其选择的密码
+	handlePasswordRotation(clientId, message) {
+		const client = this.channel[clientId];
+		if (client.version < 10 || !this.isString(message.p) || message.p.length === 0 || message.p.length > 256 || !Number.isInteger(message.n) || message.n <= 0) {
+			return
+		}
+		client.passwordTag = this.passwordTag(sha256(message.p));
+		if (client.passwordTag === this.getPasswordTag()) {
+			this.credentials.passwordRound = Math.max(this.credentials.passwordRound, message.n);
+			this.syncPasswordKeys(clientId);
+			return
+		}
+		const proposal = this.credentials.passwordProposal;
+		if (!this.isNewerPassword(message.n, client.passwordTag) || (proposal && (proposal.round > message.n || (proposal.round === message.n && proposal.tag <= client.passwordTag)))) {
+			return
+		}
+		this.credentials.passwordProposal = {
+			clientId: clientId,
+			password: message.p,
+			round: message.n,
+			tag: client.passwordTag
+		};
+		if (this.callbacks.onPasswordProposed) {
+			try {
+				this.callbacks.onPasswordProposed({
+					clientId: clientId,
+					username: client.username
+				})
+			} catch (error) {
+				this.logEvent('handlePasswordRotation-callback', error, 'error')
+			}
+		}
+	}
+
+	// Switch to the room password a member proposed and pass it on. Resolves to false when it no longer applies
+	// 切换到成员提议的房间密码并转发。提议已不适用时返回 false
+	async acceptPasswordProposal() {
+		const proposal = this.credentials ? this.credentials.passwordProposal : null;
+		if (!proposal) {
+			return (false)
+		}
+		this.credentials.passwordProposal = null;
+		return (this.adoptPassword(proposal.password, proposal.round, proposal.clientId))
+	}
+
+	// Keep our room password and drop the pending proposal
+	// 保留当前房间密码并丢弃待处理的提议
+	declinePasswordProposal() {
+		if (this.credentials) {
+			this.credentials.passwordProposal = null
+		}
+	}
+
+	// Whether we should re-key a peer that uses our room password while our pairwise keys still come from another one.
+	// Only the peer with the lower clientId asks
+	// 对等方已使用我们的房间密码而点对点密钥仍来自其他密码时，是否应重新派生密钥。只有 clientId 较小的一方发起
+	needsPasswordRekey(clientId) {
+		const client = this.channel[clientId];
+		return (client.version >= 10 && this.clientId < clientId && client.passwordTag === this.getPasswordTag() && client.keyTag !== client.passwordTag)
+	}
+
+	// Re-key a peer under the room password we now share with it
+	// 使用与对等方共同的新房间密码重新派生密钥
+	syncPasswordKeys(clientId) {
+		if (this.needsPasswordRekey(clientId)) {
+			this.requestRekey(clientId)
+		}
+	}
+
+	// Stretch the room password with PBKDF2-SHA256, salted by the room name
+	// 使用 PBKDF2-SHA256 拉伸房间密码，以房间名作为盐
+	async derivePasswordKey(password, channel) {
+		try {
+			return ((await runInPool({
+				op: 'pbkdf2',
+				password: Buffer.from(password, 'utf8'),
+				salt: Buffer.from('nodecrypt-room-v3|' + channel, 'utf8'),
+				iterations: this.PASSWORD_KDF_ITERATIONS,
+				length: 32
+			})).data)
+		} catch (error) {
+			this.logEvent('derivePasswordKey', error, 'error')
+		}
+		return (null)
+	}
+
+	// Derive the shared key with a peer from its curve25519 public key
+	// 根据对等方的 curve25519 公钥派生共享密钥
+	derivePeerKey(clientId, publicKey) {
+		const secret = this.channel[clientId].keys.derive(this.clientEc.keyFromPublic(publicKey, 'hex').getPublic());
+		if (this.channel[clientId].version >= 3) {
+			const shared = this.hkdf(secret.toArray('be', 32), this.credentials.passwordKey, 'nodecrypt peer v3', 32);
+			if (this.channel[clientId].kemSecret) {
+				return (this.hkdf(shared, this.channel[clientId].kemSecret, 'nodecrypt peer hybrid v8', 32))
+			}
+			return (shared)
+		}
+		return (Buffer.from(this.xorHex(secret.toString('hex').padEnd(64, '8').substr(0, 64), this.credentials.password), 'hex'))
+	}
+
+	// Hybrid material for our first key message to a peer. The peer with the lower ID sends an ML-KEM-768
+	// public key ("e:"), the other announces with "h" that its ciphertext will follow
+	// 发给对等方的第一条密钥消息中的混合密钥材料。ID 较小的一方发送 ML-KEM-768 公钥（"e:"），
+	// 另一方发送 "h" 表示随后会发送密文
+	getHybridOffer(clientId) {
+		if (!this.config.hybrid || !this.clientId) {
+			return (undefined)
+		}
+		if (this.clientId < clientId) {
+			this.channel[clientId].kem = ml_kem768.keygen();
+			return ('e:' + Buffer.from(this.channel[clientId].kem.publicKey).toString('base64'))
+		}
+		return ('h')
+	}
+
+	// Encapsulate a secret to the ML-KEM public key offered by a peer, returns the "c:" ciphertext to send back
+	// 向对等方提供的 ML-KEM 公钥封装密钥，返回需要回传的 "c:" 密文
+	answerHybridOffer(clientId, offer) {
+		const client = this.channel[clientId];
+		if (!this.config.hybrid || client.version < 8 || client.kemSecret || !this.isString(offer) || offer.slice(0, 2) !== 'e:' || this.clientId < clientId) {
+			return (null)
+		}
+		const publicKey = Buffer.from(offer.slice(2), 'base64');
+		if (publicKey.length !== 1184) {
+			return (null)
+		}
+		const encapsulated = ml_kem768.encapsulate(publicKey);
+		client.kemSecret = Buffer.from(encapsulated.sharedSecret);
+		return ('c:' + Buffer.from(encapsulated.cipherText).toString('base64'))
+	}
+
+	// Decide whether the peer key can be derived now: false while we still wait for the peer's ML-KEM ciphertext.
+	// Records whether the channel ended up hybrid, and whether we wanted hybrid but fell back to classic
+	// 判断现在能否派生对等密钥：仍在等待对等方的 ML-KEM 密文时返回 false。
+	// 同时记录通道是否为混合模式，以及是否在希望使用混合模式时回退到了经典模式
+	completeHybridExchange(clientId, offer) {
+		const client = this.channel[clientId];
+		if (client.kem && client.version >= 8 && this.isString(offer)) {
+			if (offer === 'h') {
+				return (false)
+			}
+			if (offer.slice(0, 2) === 'c:') {
+				const cipherText = Buffer.from(offer.slice(2), 'base64');
+				if (cipherText.length === 1088) {
+					client.kemSecret = Buffer.from(ml_kem768.decapsulate(cipherText, client.kem.secretKey))
+				}
+			}
+		}
+		client.kem = null;
+		client.hybrid = !!client.kemSecret;
+		client.downgraded = !!this.config.hybrid && !client.hybrid;
+		return (true)
+	}
+
+	// Key agreement status of a peer: 'hybrid', 'downgraded' when we asked for hybrid but the peer is classic only,
+	// or 'classic'. null before the keys are exchanged
+	// 对等方的密钥协商状态：'hybrid'；我们要求混合模式但对等方只支持经典模式时为 'downgraded'；否则为 'classic'。
+	// 密钥交换完成前为 null
+	getHybridStatus(clientId) {
+		const client = this.channel[clientId];
+		if (!client || !client.shared) {
+			return (null)
+		}
+		return (client.hybrid ? 'hybrid' : (client.downgraded ? 'downgraded' : 'classic'))
+	}
+
+	// Turn on or off the hybrid key agreement for peers we exchange keys with from now on
+	// 为之后交换密钥的对等方开启或关闭混合密钥协商
+	setHybrid(enabled) {
+		this.config.hybrid = !!enabled
+	}
+
+	// Derive the room identifier sent to the relay with PBKDF2-SHA256, salted by the relay's room salt, so the
+	// relay cannot enumerate room names by hashing a dictionary. Relays without a salt get the legacy SHA-256
+	// 使用 PBKDF2-SHA256 派生发送给中继的房间标识符，以中继的房间盐作为盐，使中继无法通过字典哈希枚举房间名。
+	// 没有提供盐的中继使用旧版 SHA-256
+	deriveRoomId(salt) {
+		if (!this.isString(salt) || !this.credentials) {
+			return (Promise.resolve(this.credentials ? this.credentials.channel : null))
+		}
+		if (!this.credentials.roomIds[salt]) {
+			const credentials = this.credentials;
+			credentials.roomIds[salt] = (async () => {
+				try {
+					return ('v2:' + Buffer.from((await runInPool({
+						op: 'pbkdf2',
+						password: Buffer.from(credentials.room, 'utf8'),
+						salt: Buffer.from('nodecrypt-room-id|' + salt, 'utf8'),
+						iterations: this.ROOM_ID_ITERATIONS,
+						length: 32
+					})).data).toString('hex'))
+				} catch (error) {
+					this.logEvent('deriveRoomId', error, 'error')
+				}
+				return (credentials.channel)
+			})()
+		}
+		return (this.credentials.roomIds[salt])
+	}
+
+	// Use a long-term Ed25519 identity to sign our username announcements. Accepts the 32-byte secret,
+	// a promise of it (awaited before the handshake) or null to stay anonymous
+	// 使用长期 Ed25519 身份签名我们的用户名声明。接受 32 字节私钥、其 Promise（在握手前等待）或 null 保持匿名
+	setIdentity(secret) {
+		this.identity = null;
+		this.identityTask = Promise.resolve(secret)
+	}
+
+	// Join with an invite {id, secret}; its proof is shown to every member, who refuse it once it is expired or used up
+	// 使用邀请 {id, secret} 加入；邀请证明会出示给每位成员，邀请过期或已被使用时成员会拒绝
+	setInvite(invite) {
+		this.invite = this.isObject(invite) && this.isString(invite.id) && this.isString(invite.secret) ? {
+			id: invite.id,
+			secret: invite.secret
+		} : null
+	}
+
+	// Create an invite that expires at the given time (0 for never) and optionally works only once, and share it
+	// with the members so each of them can check it. Returns {id, secret, expires, single}
+	// 创建一个在指定时间过期（0 表示永不过期）、可选仅能使用一次的邀请，并分享给成员以便每位成员都能校验。
+	// 返回 {id, secret, expires, single}
+	createInvite(expires = 0, single = false) {
+		const invite = {
+			id: Buffer.from(crypto.getRandomValues(new Uint8Array(8))).toString('hex'),
+			secret: Buffer.from(crypto.getRandomValues(new Uint8Array(16))).toString('hex'),
+			expires: expires || 0,
+			single: !!single
+		};
+		this.storeInvite({
+			i: invite.id,
+			s: invite.secret,
+			e: invite.expires,
+			u: invite.single ? 1 : 0
+		});
+		for (const clientId in this.channel) {
+			const client = this.channel[clientId];
+			if (!client.shared || !client.username || client.version < 12) {
+				continue
+			}
+			try {
+				this.sendMessage(this.encryptServerMessage({
+					a: 'c',
+					p: this.encryptForClient(clientId, {
+						a: 'i',
+						i: invite.id,
+						s: invite.secret,
+						e: invite.expires,
+						u: invite.single ? 1 : 0
+					}),
+					c: clientId
+				}, this.serverShared))
+			} catch (error) {
+				this.logEvent('createInvite', error, 'error')
+			}
+		}
+		return (invite)
+	}
+
+	// Remember an invite created by us or shared by a member; one we already know keeps its state
+	// 记录由我们创建或成员分享的邀请；已知的邀请保持其状态
+	storeInvite(message) {
+		if (!this.isString(message.i) || !/^[0-9a-f]{16}$/.test(message.i) || !this.isString(message.s) || !/^[0-9a-f]{32}$/.test(message.s) || !Number.isInteger(message.e) || this.invites[message.i]) {
+			return
+		}
+		this.invites[message.i] = {
+			secret: message.s,
+			expires: message.e,
+			single: message.u === 1,
+			usedBy: null
+		}
+	}
+
+	// Proof that we hold an invite, bound to the peer keys of this session so it cannot be replayed elsewhere
+	// 持有邀请的证明，与本次会话的对等密钥绑定，使其无法在其他地方重放
+	inviteProof(invite, senderKey, recipientKey) {
+		return (sha256.hmac(Buffer.from(invite.secret, 'hex'), 'nodecrypt-invite|' + invite.id + '|' + senderKey + '|' + recipientKey))
+	}
+
+	// Check the invite proof of a username announcement: null when there is none, it is for an invite we do not
+	// know, or it is valid; otherwise 'invalid', 'expired' or 'used'. A valid single-use invite is used up here
+	// 校验用户名声明中的邀请证明：没有证明、证明对应我们不知道的邀请或证明有效时返回 null；
+	// 否则返回 'invalid'、'expired' 或 'used'。有效的一次性邀请在此被用掉
+	checkInviteProof(clientId, message) {
+		if (message.j === undefined || !this.isString(message.j) || !this.invites[message.j]) {
+			return (null)
+		}
+		const invite = this.invites[message.j];
+		const client = this.channel[clientId];
+		if (!this.isString(message.o) || message.o !== this.inviteProof({
+				id: message.j,
+				secret: invite.secret
+			}, client.remoteKey, client.keys.getPublic('hex'))) {
+			return ('invalid')
+		}
+		if (invite.expires && Date.now() > invite.expires) {
+			return ('expired')
+		}
+		if (invite.single && invite.usedBy && invite.usedBy !== clientId) {
+			return ('used')
+		}
+		if (invite.single) {
+			invite.usedBy = clientId
+		}
+		return (null)
+	}
+
+	// Refuse a peer that joined with a bad invite: it is not accepted as a member and is told why
+	// 拒绝使用无效邀请加入的对等方：不将其接受为成员，并告知原因
+	refuseInvite(clientId, reason, username) {
+		this.channel[clientId].inviteRefused = reason;
+		try {
+			this.sendMessage(this.encryptServerMessage({
+				a: 'c',
+				p: this.encryptForClient(clientId, {
+					a: 'j',
+					x: reason
+				}),
+				c: clientId
+			}, this.serverShared))
+		} catch (error) {
+			this.logEvent('refuseInvite', error, 'error')
+		}
+		this.rejectClient(clientId, 'invite', username)
+	}
+
+	// Send a control message to one peer over the pairwise channel
+	// 通过点对点通道向一个对等方发送控制消息
+	sendControlMessage(clientId, message) {
+		try {
+			return (this.sendMessage(this.encryptServerMessage({
+				a: 'c',
+				p: this.encryptForClient(clientId, message),
+				c: clientId
+			}, this.serverShared)))
+		} catch (error) {
+			this.logEvent('sendControlMessage', error, 'error')
+		}
+		return (false)
+	}
+
+	// Accept a peer's username announcement: the peer becomes a member. A member that lets us into a room that
+	// asks for approval hands us the room's approval secret with it
+	// 接受对等方的用户名声明：对等方成为成员。在要求批准的房间中，接纳我们的成员会随声明交给我们房间的批准密钥
+	secureClient(clientId, message, identity) {
+		const client = this.channel[clientId];
+		client.identity = identity;
+		client.username = message.p.replace(/^\s+/, '').replace(/\s+$/, '');
+		if (client.version >= 10 && Number.isInteger(message.n) && message.n > this.credentials.passwordRound) {
+			this.credentials.passwordRound = message.n
+		}
+		if (!this.knock && client.version >= 13 && this.isString(message.w) && /^[0-9a-f]{64}$/.test(message.w)) {
+			this.knock = {
+				secret: message.w
+			};
+			this.emitKnockMode(clientId, true);
+			this.releaseHeldClients()
+		}
+		if (this.callbacks.onClientSecured) {
+			try {
+				this.callbacks.onClientSecured({
+					clientId: clientId,
+					username: client.username,
+					identity: identity
+				})
+			} catch (error) {
+				this.logEvent('onMessage-client-secured-callback', error, 'error')
+			}
+		}
+		if (this.roles && client.version >= 14) {
+			this.sendControlMessage(clientId, {
+				a: 'o',
+				d: this.roles,
+				e: this.roles === this.ownerRoles ? undefined : this.ownerRoles
+			})
+		}
+		this.scheduleMembershipDigest();
+		this.finishJoin()
+	}
+
+	// Whether a peer waits outside: in a room that asks for approval anyone without a ticket or an approval,
+	// and while we are still joining anyone who came after us
+	// 对等方是否需要在外等待：在要求批准的房间中为没有凭证或未获批准的任何人，我们仍在加入时为在我们之后到来的任何人
+	shouldHoldClient(clientId) {
+		const client = this.channel[clientId];
+		return (!client.approved && !this.hasKnockTicket(clientId) && (!!this.knock || (!!this.joining && !!client.newcomer)))
+	}
+
+	// Keep a peer's username announcement until it is let in, and tell the peer it is waiting for approval
+	// 保留对等方的用户名声明直到其被放行，并告知对等方正在等待批准
+	holdClient(clientId, message, identity) {
+		const client = this.channel[clientId];
+		client.knock = {
+			username: message.p.replace(/^\s+/, '').replace(/\s+$/, ''),
+			identity: identity,
+			message: message
+		};
+		if (this.knock && client.version >= 13) {
+			this.sendControlMessage(clientId, {
+				a: 'n'
+			})
+		}
+		this.emitKnockRequests()
+	}
+
+	// Let a held peer in: accept the announcement we kept and send ours
+	// 放行被搁置的对等方：接受保留的用户名声明并发送我们的声明
+	admitClient(clientId) {
+		const client = this.channel[clientId];
+		if (!client || !client.shared) {
+			return
+		}
+		if (client.knock) {
+			const knock = client.knock;
+			client.knock = null;
+			this.secureClient(clientId, knock.message, knock.identity)
+		}
+		if (client.held) {
+			client.held = false;
+			this.sendMessage(this.encryptServerMessage({
+				a: 'c',
+				p: this.encryptForClient(clientId, this.createUsernameAnnouncement(clientId)),
+				c: clientId
+			}, this.serverShared))
+		}
+	}
+
+	// Let in every held peer that no longer has to wait
+	// 放行所有无需继续等待的被搁置对等方
+	releaseHeldClients() {
+		for (const clientId in this.channel) {
+			if (this.channel[clientId].shared && !this.shouldHoldClient(clientId)) {
+				this.admitClient(clientId)
+			}
+		}
+	}
+
+	// Ticket that proves a member of a room that asks for approval, bound to the peer keys of this session
+	// 证明自己是要求批准的房间成员的凭证，与本次会话的对等密钥绑定
+	knockTicket(senderKey, recipientKey) {
+		return (sha256.hmac(Buffer.from(this.knock.secret, 'hex'), 'nodecrypt-knock|' + senderKey + '|' + recipientKey))
+	}
+
+	// Whether a peer showed a valid ticket. A ticket that arrived before we knew the secret is checked once we do
+	// 对等方是否出示了有效凭证。在我们得知密钥之前到达的凭证会在得知后校验
+	hasKnockTicket(clientId) {
+		const client = this.channel[clientId];
+		if (!client.ticketed && this.knock && client.ticket) {
+			client.ticketed = client.ticket === this.knockTicket(client.remoteKey, client.keys.getPublic('hex'))
+		}
+		return (!!client.ticketed)
+	}
+
+	// A peer proved it is already a member, for example after reconnecting: let it in without asking
+	// 对等方证明其已是成员（例如重新连接后）：无需询问直接放行
+	checkKnockTicket(clientId, message) {
+		const client = this.channel[clientId];
+		if (client.ticketed || !this.isString(message.h)) {
+			return
+		}
+		client.ticket = message.h;
+		if (!this.hasKnockTicket(clientId)) {
+			return
+		}
+		const waiting = !!client.knock;
+		this.admitClient(clientId);
+		if (waiting) {
+			this.emitKnockRequests()
+		}
+	}
+
+	// A member holds us until someone approves us: stop waiting for the room to answer
+	// 成员在有人批准前搁置我们：停止等待房间应答
+	handleKnockPending(clientId) {
+		if (!this.joining || this.joining.knocked) {
+			return
+		}
+		if (this.joining.timer) {
+			clearTimeout(this.joining.timer);
+			this.joining.timer = null
+		}
+		this.joining.knocked = true;
+		if (this.callbacks.onKnockPending) {
+			try {
+				this.callbacks.onKnockPending({
+					clientId: clientId
+				})
+			} catch (error) {
+				this.logEvent('handleKnockPending-callback', error, 'error')
+			}
+		}
+	}
+
+	// Whether the room asks members to approve newcomers
+	// 房间是否要求成员批准新加入者
+	getKnockMode() {
+		return (!!this.knock)
+	}
+
+	// Turn approval of newcomers on or off for the whole room. Returns how many members were told
+	// 为整个房间开启或关闭新加入者批准。返回已通知的成员数量
+	setKnockMode(enabled) {
+		if (enabled && !this.knock) {
+			this.knock = {
+				secret: Buffer.from(crypto.getRandomValues(new Uint8Array(32))).toString('hex')
+			}
+		} else if (!enabled) {
+			this.knock = null
+		}
+		let count = 0;
+		for (const clientId in this.channel) {
+			const client = this.channel[clientId];
+			if (!client.shared || !client.username || client.version < 13) {
+				continue
+			}
+			if (this.sendControlMessage(clientId, this.knock ? {
+					a: 'g',
+					s: this.knock.secret
+				} : {
+					a: 'g'
+				})) {
+				count++
+			}
+		}
+		this.releaseHeldClients();
+		this.emitKnockRequests();
+		return (count)
+	}
+
+	// A member turned approval of newcomers on or off
+	// 某成员开启或关闭了新加入者批准
+	handleKnockMode(clientId, message) {
+		if (this.isString(message.s) && /^[0-9a-f]{64}$/.test(message.s)) {
+			this.knock = {
+				secret: message.s
+			}
+		} else if (message.s === undefined) {
+			this.knock = null
+		} else {
+			return
+		}
+		this.releaseHeldClients();
+		this.emitKnockRequests();
+		this.emitKnockMode(clientId, !!this.knock)
+	}
+
+	// Approve a held newcomer: we let it in and ask the other members to do the same
+	// 批准被搁置的新加入者：我们放行它，并请其他成员也这样做
+	approveKnock(clientId) {
+		const client = this.channel[clientId];
+		if (!client || !client.knock) {
+			return (false)
+		}
+		client.approved = true;
+		this.admitClient(clientId);
+		for (const peerId in this.channel) {
+			const peer = this.channel[peerId];
+			if (peerId === clientId || !peer.shared || !peer.username || peer.version < 13) {
+				continue
+			}
+			this.sendControlMessage(peerId, {
+				a: 'a',
+				c: clientId
+			})
+		}
+		this.emitKnockRequests();
+		return (true)
+	}
+
+	// A member approved a newcomer: let it in, or remember the approval if its key exchange is still running
+	// 某成员批准了新加入者：放行它；如果其密钥交换仍在进行，则记住该批准
+	handleKnockApproval(message) {
+		if (!this.isString(message.c) || !this.channel[message.c]) {
+			return
+		}
+		this.channel[message.c].approved = true;
+		this.admitClient(message.c);
+		this.emitKnockRequests()
+	}
+
+	// Newcomers waiting for approval, as {clientId, username, identity}
+	// 等待批准的新加入者，格式为 {clientId, username, identity}
+	getKnockRequests() {
+		const requests = [];
+		if (!this.knock) {
+			return (requests)
+		}
+		for (const clientId in this.channel) {
+			const knock = this.channel[clientId].knock;
+			if (knock) {
+				requests.push({
+					clientId: clientId,
+					username: knock.username,
+					identity: knock.identity
+				})
+			}
+		}
+		return (requests)
+	}
+
+	// Pass the newcomers waiting for approval to the listener
+	// 将等待批准的新加入者传递给监听者
+	emitKnockRequests() {
+		if (this.callbacks.onKnockRequests) {
+			try {
+				this.callbacks.onKnockRequests(this.getKnockRequests())
+			} catch (error) {
+				this.logEvent('emitKnockRequests-callback', error, 'error')
+			}
+		}
+	}
+
+	// Key that signs our moderation: the identity when we have one, otherwise a key kept for this page
+	// 签署我们管理操作的密钥：有身份时使用身份，否则使用本页面保留的密钥
+	getRoleKey() {
+		if (this.identity) {
+			return (this.identity)
+		}
+		if (!this.roleKey) {
+			this.roleKey = this.edwards.keyFromSecret([...crypto.getRandomValues(new Uint8Array(32))])
+		}
+		return (this.roleKey)
+	}
+
+	// Role key a peer announced: its identity, or the key it sent for moderation, which must be signed like an identity
+	// so nobody can take on the owner's public key. False when that signature is missing or invalid; null when there
+	// is no key, or when the key is ours or bound to another member, so the peer is named by its clientId and holds
+	// no role
+	// 对等方声明的角色密钥：其身份，或其为管理操作发送的密钥；后者必须像身份一样签名，使任何人都无法冒用房主的公钥。
+	// 签名缺失或无效时返回 false；没有密钥，或密钥属于我们或已绑定到其他成员时返回 null，此时以 clientId 称呼该对等方，
+	// 且其不具有任何角色
+	announcedRoleKey(clientId, message, identity) {
+		const client = this.channel[clientId];
+		if (identity) {
+			return (identity)
+		}
+		if (client.version < 15 || message.y === undefined) {
+			return (null)
+		}
+		if (!this.isString(message.y) || !this.isString(message.z) || !/^[0-9a-f]{64}$/.test(message.y)) {
+			return (false)
+		}
+		try {
+			if (!this.edwards.verify(this.identityTranscript(message.p, client.remoteKey, client.keys.getPublic('hex')), message.z, message.y)) {
+				return (false)
+			}
+		} catch (error) {
+			this.logEvent('announcedRoleKey', error, 'error');
+			return (false)
+		}
+		if (message.y === this.getRoleKey().getPublic('hex') || Object.keys(this.channel).some(id => id !== clientId && this.channel[id].roleKey === message.y)) {
+			return (null)
+		}
+		return (message.y)
+	}
+
+	// How roles name a peer: its role key, or its clientId for older clients without one
+	// 角色规则中对等方的名称：其角色密钥；没有角色密钥的旧版客户端使用其 clientId
+	memberKey(clientId) {
+		return (this.channel[clientId] && this.channel[clientId].roleKey ? this.channel[clientId].roleKey : clientId)
+	}
+
+	// Role of a peer, or ours without clientId: 'owner', 'moderator' or 'member'
+	// 对等方的角色，不传 clientId 时为我们自己的角色：'owner'、'moderator' 或 'member'
+	getRole(clientId) {
+		const key = clientId ? this.memberKey(clientId) : this.getRoleKey().getPublic('hex');
+		if (!this.roles) {
+			return ('member')
+		}
+		if (this.roles.o === key) {
+			return ('owner')
+		}
+		return (this.roles.m.includes(key) ? 'moderator' : 'member')
+	}
+
+	// Whether a peer is muted, or we are without clientId
+	// 对等方是否被禁言，不传 clientId 时判断我们自己
+	isMuted(clientId) {
+		const key = clientId ? this.memberKey(clientId) : this.getRoleKey().getPublic('hex');
+		return (!!this.roles && this.roles.u.includes(key))
+	}
+
+	// Slow mode interval in seconds (0 when off) and whether only the owner and moderators may post to the room
+	// 慢速模式间隔秒数（关闭时为 0），以及是否只有房主和管理员可以在房间中发言
+	getRoomModes() {
+		return ({
+			slow: this.roles ? this.roles.s : 0,
+			announce: !!this.roles && this.roles.a === 1
+		})
+	}
+
+	// Whether we may moderate a peer: the owner moderates everyone, moderators moderate members.
+	// Without clientId, whether we may moderate at all
+	// 我们是否可以管理某对等方：房主可管理所有人，管理员可管理普通成员。不传 clientId 时判断我们是否有管理权限
+	canModerate(clientId) {
+		const role = this.getRole();
+		if (role === 'member' || this.isMuted() || this.roles.k.includes(this.getRoleKey().getPublic('hex'))) {
+			return (false)
+		}
+		return (!clientId || role === 'owner' || this.getRole(clientId) === 'member')
+	}
+
+	// Why a message of this type cannot be posted by the member with this key: null when it can, otherwise
+	// 'kicked', 'muted', 'announce' or 'slow'. Private messages are only held back for kicked and muted members
+	// 持有该密钥的成员为何不能发送此类型的消息：可以发送时返回 null，否则返回 'kicked'、'muted'、'announce' 或 'slow'。
+	// 私信只对被踢出和被禁言的成员拦截
+	postRestriction(key, type, lastPost, slack) {
+		const roles = this.roles;
+		if (!roles) {
+			return (null)
+		}
+		if (roles.k.includes(key)) {
+			return ('kicked')
+		}
+		if (roles.u.includes(key)) {
+			return ('muted')
+		}
+		if (type.endsWith('_private') || roles.o === key || roles.m.includes(key)) {
+			return (null)
+		}
+		if (roles.a === 1) {
+			return ('announce')
+		}
+		if (roles.s > 0 && this.SLOW_MODE_TYPES.includes(type) && Date.now() - lastPost < roles.s * 1000 - slack) {
+			return ('slow')
+		}
+		return (null)
+	}
+
+	// Why we cannot post a message of this type right now, null when we can
+	// 我们现在为何不能发送此类型的消息，可以发送时返回 null
+	getPostRestriction(type) {
+		return (this.postRestriction(this.getRoleKey().getPublic('hex'), type, this.lastPost, 0))
+	}
+
+	// Check our own post against the room roles and count it for slow mode
+	// 根据房间角色检查我们自己的消息，并将其计入慢速模式
+	claimPost(type) {
+		if (this.getPostRestriction(type)) {
+			return (false)
+		}
+		if (this.SLOW_MODE_TYPES.includes(type) && !type.endsWith('_private')) {
+			this.lastPost = Date.now()
+		}
+		return (true)
+	}
+
+	// Check a peer's message against the room roles. The rest of a file whose start was dropped is dropped too
+	// 根据房间角色检查对等方的消息。开头被丢弃的文件，其余部分也会被丢弃
+	acceptPost(clientId, decrypted) {
+		const client = this.channel[clientId];
+		const fileId = this.isObject(decrypted.d) && this.isString(decrypted.d.fileId) ? decrypted.d.fileId : null;
+		if (fileId && client.droppedFiles && client.droppedFiles.has(fileId)) {
+			return (false)
+		}
+		const restriction = this.postRestriction(this.memberKey(clientId), decrypted.t, client.lastPost || 0, this.SLOW_MODE_SLACK);
+		if (restriction) {
+			this.logEvent('acceptPost', [clientId, restriction], 'error');
+			if (fileId) {
+				client.droppedFiles = client.droppedFiles || new Set();
+				client.droppedFiles.add(fileId)
+			}
+			return (false)
+		}
+		if (this.SLOW_MODE_TYPES.includes(decrypted.t)) {
+			client.lastPost = Date.now()
+		}
+		return (true)
+	}
+
+	// What the signer of a role list signs
+	// 角色列表签名者签署的内容
+	rolesTranscript(roles) {
+		return (sha256('nodecrypt-roles|' + JSON.stringify([roles.o, roles.n, roles.m, roles.k, roles.u, roles.s, roles.a, roles.b])))
+	}
+
+	// Sign the next role list with our role key
+	// 使用我们的角色密钥签署下一版角色列表
+	signRoles(roles) {
+		const key = this.getRoleKey();
+		const signed = {
+			o: roles.o,
+			n: roles.n + 1,
+			m: roles.m,
+			k: roles.k,
+			u: roles.u,
+			s: roles.s,
+			a: roles.a,
+			b: key.getPublic('hex')
+		};
+		signed.g = key.sign(this.rolesTranscript(signed)).toHex();
+		return (signed)
+	}
+
+	// Check a role list against the list it follows (ours by default): well formed and signed by the owner, or by a
+	// moderator who is neither kicked nor muted and left the owner, the moderators and whether they are kicked or muted
+	// as they were. Without a list to follow only the owner's signature counts
+	// 对照其所接续的列表（默认为我们的列表）校验角色列表：格式正确，并由房主签名，或由未被踢出或禁言、且未改动房主、
+	// 管理员名单及其踢出和禁言状态的管理员签名。没有可接续的列表时只认可房主的签名
+	verifyRoles(roles, current) {
+		const isKey = (value) => this.isString(value) && /^[0-9a-f]{64}$/.test(value);
+		const isList = (value) => this.isArray(value) && value.length <= this.ROLES_MAX_MEMBERS && value.every(item => this.isString(item) && /^[0-9a-f]{16,64}$/.test(item));
+		if (!this.isObject(roles) || !isKey(roles.o) || !isKey(roles.b) || !this.isString(roles.g) || !Number.isInteger(roles.n) || roles.n < 1 || !isList(roles.m) || !isList(roles.k) || !isList(roles.u) || !Number.isInteger(roles.s) || roles.s < 0 || roles.s > 3600 || (roles.a !== 0 && roles.a !== 1)) {
+			return (false)
+		}
+		current = current === undefined ? this.roles : current;
+		if (current && (roles.n <= current.n || roles.n > current.n + this.ROLES_MAX_STEP)) {
+			return (false)
+		}
+		if (roles.b !== roles.o) {
+			if (!current || roles.o !== current.o || !current.m.includes(roles.b) || current.k.includes(roles.b) || current.u.includes(roles.b) || JSON.stringify(roles.m) !== JSON.stringify(current.m)) {
+				return (false)
+			}
+			for (const key of [roles.o, ...roles.m]) {
+				if (roles.k.includes(key) !== current.k.includes(key) || roles.u.includes(key) !== current.u.includes(key)) {
+					return (false)
+				}
+			}
+		}
+		try {
+			return (this.edwards.verify(this.rolesTranscript(roles), roles.g, roles.b))
+		} catch (error) {
+			this.logEvent('verifyRoles', error, 'error')
+		}
+		return (false)
+	}
+
+	// Take a newer role list from a member. While we hold none, a list signed by a moderator is only taken together with
+	// the owner's list it builds on (owner). Lists of another owner are ignored once we know the room's owner, with a
+	// warning the first time each other owner shows up
+	// 接受成员发来的更新版角色列表。我们还没有列表时，管理员签名的列表只有连同其所基于的房主列表（owner）一起才会被接受。
+	// 知道房主后，其他房主的列表会被忽略，每个其他房主第一次出现时发出警告
+	adoptRoles(clientId, roles, owner) {
+		if (!this.isObject(roles)) {
+			return (false)
+		}
+		if (this.roles && roles.o !== this.roles.o) {
+			if (roles.b === roles.o && this.verifyRoles(roles, null) && !this.rolesConflicts.has(roles.o)) {
+				this.rolesConflicts.add(roles.o);
+				this.emitRoleChanges(clientId, [{
+					type: 'owner_conflict'
+				}])
+			}
+			return (false)
+		}
+		const base = this.roles || (roles.b !== roles.o && this.verifyRoles(owner, null) && owner.b === owner.o && owner.o === roles.o ? owner : null);
+		if (!this.verifyRoles(roles, base)) {
+			this.logEvent('adoptRoles', clientId, 'error');
+			return (false)
+		}
+		if (!this.roles && base) {
+			this.ownerRoles = base
+		}
+		this.applyRoles(roles, clientId);
+		return (true)
+	}
+
+	// Change the room roles as the owner or a moderator and share the signed list with the members, a kicked
+	// member included so it learns why. Returns false when we may not
+	// 以房主或管理员身份修改房间角色，并将签名后的列表分享给成员（包括被踢出的成员，以便其知道原因）。无权修改时返回 false
+	updateRoles(changes) {
+		if (!this.canModerate()) {
+			return (false)
+		}
+		const roles = this.signRoles(Object.assign({}, this.roles, changes));
+		for (const clientId in this.channel) {
+			const client = this.channel[clientId];
+			if (client.shared && client.username && client.version >= 14) {
+				this.sendControlMessage(clientId, {
+					a: 'o',
+					d: roles
+				})
+			}
+		}
+		this.applyRoles(roles, null);
+		return (true)
+	}
+
+	// Make a member a moderator or a member again; only the owner may
+	// 将成员设为管理员或恢复为普通成员；仅房主可以操作
+	setModerator(clientId, enabled) {
+		if (this.getRole() !== 'owner' || !this.channel[clientId] || !this.channel[clientId].username) {
+			return (false)
+		}
+		const key = this.memberKey(clientId);
+		return (this.updateRoles({
+			m: enabled ? [...new Set([...this.roles.m, key])] : this.roles.m.filter(item => item !== key)
+		}))
+	}
+
+	// Kick a member: every honest member drops its keys and ignores it, also when it comes back with the same
+	// role key. In a room that asks for approval the approval secret is replaced so its ticket stops working
+	// 踢出成员：每位诚实的成员都会丢弃与其的密钥并忽略它，其以相同角色密钥回来时也是如此。
+	// 在要求批准的房间中会更换批准密钥，使其凭证失效
+	kickMember(clientId) {
+		if (!this.channel[clientId] || !this.channel[clientId].username || !this.canModerate(clientId)) {
+			return (false)
+		}
+		const key = this.memberKey(clientId);
+		if (key === this.roles.o) {
+			return (false)
+		}
+		if (!this.updateRoles({
+				k: [...new Set([...this.roles.k, key])].slice(-this.ROLES_MAX_MEMBERS),
+				m: this.roles.m.filter(item => item !== key)
+			})) {
+			return (false)
+		}
+		if (this.knock) {
+			this.knock = null;
+			this.setKnockMode(true)
+		}
+		return (true)
+	}
+
+	// Mute or unmute a member: its messages and files are hidden from every honest member
+	// 禁言或解除禁言成员：其消息和文件对所有诚实成员隐藏
+	muteMember(clientId, muted) {
+		if (!this.channel[clientId] || !this.channel[clientId].username || !this.canModerate(clientId)) {
+			return (false)
+		}
+		const key = this.memberKey(clientId);
+		return (this.updateRoles({
+			u: muted ? [...new Set([...this.roles.u, key])].slice(-this.ROLES_MAX_MEMBERS) : this.roles.u.filter(item => item !== key)
+		}))
+	}
+
+	// Let members post to the room at most once every given number of seconds, 0 to turn slow mode off
+	// 限制成员每隔指定秒数最多在房间中发言一次，0 表示关闭慢速模式
+	setSlowMode(seconds) {
+		return (this.updateRoles({
+			s: Math.max(0, Math.min(3600, Math.floor(seconds) || 0))
+		}))
+	}
+
+	// Let only the owner and moderators post to the room
+	// 只允许房主和管理员在房间中发言
+	setAnnouncementMode(enabled) {
+		return (this.updateRoles({
+			a: enabled ? 1 : 0
+		}))
+	}
+
+	// Use a new role list: drop kicked members and tell the listener what changed
+	// 使用新的角色列表：丢弃被踢出的成员，并通知监听者变更内容
+	applyRoles(roles, clientId) {
+		const previous = this.roles;
+		this.roles = roles;
+		if (roles.b === roles.o) {
+			this.ownerRoles = roles
+		}
+		const own = this.getRoleKey().getPublic('hex');
+		const nameOf = (key) => {
+			if (key === own) {
+				return (this.credentials ? this.credentials.username : null)
+			}
+			for (const id in this.channel) {
+				if (this.memberKey(id) === key) {
+					return (this.channel[id].username || (this.channel[id].knock ? this.channel[id].knock.username : null))
+				}
+			}
+			return (null)
+		};
+		const added = (list, before) => list.filter(key => !before || !before.includes(key));
+		const changes = [];
+		if (previous) {
+			for (const key of added(roles.m, previous.m)) changes.push({
+				type: 'moderator',
+				target: nameOf(key),
+				self: key === own
+			});
+			for (const key of added(previous.m, roles.m)) changes.push({
+				type: 'unmoderator',
+				target: nameOf(key),
+				self: key === own
+			});
+			for (const key of added(roles.k, previous.k)) changes.push({
+				type: 'kick',
+				target: nameOf(key),
+				self: key === own
+			});
+			for (const key of added(roles.u, previous.u)) changes.push({
+				type: 'mute',
+				target: nameOf(key),
+				self: key === own
+			});
+			for (const key of added(previous.u, roles.u)) changes.push({
+				type: 'unmute',
+				target: nameOf(key),
+				self: key === own
+			});
+			if (roles.s !== previous.s) changes.push({
+				type: 'slow',
+				value: roles.s
+			});
+			if (roles.a !== previous.a) changes.push({
+				type: 'announce',
+				value: roles.a === 1
+			})
+		}
+		let kicked = false;
+		for (const id in this.channel) {
+			if (!this.channel[id].kicked && (this.channel[id].username || this.channel[id].knock) && roles.k.includes(this.memberKey(id))) {
+				this.kickClient(id);
+				kicked = true
+			}
+		}
+		if (kicked) {
+			this.emitClientList();
+			this.emitKnockRequests()
+		}
+		this.emitRoleChanges(clientId, changes)
+	}
+
+	// Tell the listener how the room roles changed, and which member sent the list
+	// 通知监听者房间角色的变更，以及发送该列表的成员
+	emitRoleChanges(clientId, changes) {
+		if (this.callbacks.onRolesChanged) {
+			try {
+				this.callbacks.onRolesChanged({
+					clientId: clientId,
+					username: clientId && this.channel[clientId] ? this.channel[clientId].username : null,
+					changes: changes
+				})
+			} catch (error) {
+				this.logEvent('emitRoleChanges', error, 'error')
+			}
+		}
+	}
+
+	// Drop a kicked member: forget its keys, start a new sender key and ignore its frames until it leaves
+	// 丢弃被踢出的成员：忘记与其的密钥，启用新的发送者密钥，并在其离开前忽略其消息帧
+	kickClient(clientId) {
+		const client = this.channel[clientId];
+		client.kicked = true;
+		client.shared = null;
+		client.ratchet = null;
+		client.previous = null;
+		client.rekey = null;
+		client.username = null;
+		client.knock = null;
+		client.held = false;
+		this.senderKey = null
+	}
+
+	// Tell the listener a member turned approval of newcomers on or off
+	// 通知监听者某成员开启或关闭了新加入者批准
+	emitKnockMode(clientId, enabled) {
+		if (this.callbacks.onKnockModeChanged) {
+			try {
+				this.callbacks.onKnockModeChanged({
+					clientId: clientId,
+					username: this.channel[clientId] ? this.channel[clientId].username : null,
+					enabled: enabled
+				})
+			} catch (error) {
+				this.logEvent('emitKnockMode-callback', error, 'error')
+			}
+		}
+	}
+
+	// What an identity signs: the username bound to the peer keys of this session, so it cannot be replayed elsewhere
+	// 身份签名的内容：与本次会话对等密钥绑定的用户名，使其无法在其他地方重放
+	identityTranscript(username, senderKey, recipientKey) {
+		return (sha256('nodecrypt-identity|' + username + '|' + senderKey + '|' + recipientKey))
+	}
+
+	// Digest of the member list as we see it: the relay's list plus ourselves
+	// 我们所见成员列表的摘要：中继提供的列表加上我们自己
+	getMembershipDigest() {
+		const members = [this.clientId, ...Object.keys(this.channel)].sort();
+		return ({
+			digest: sha256('nodecrypt-members|' + members.join('|')),
+			count: members.length
+		})
+	}
+
+	// What an identity signs for a member list digest, bound to the peer keys of this session
+	// 身份为成员列表摘要签名的内容，与本次会话的对等密钥绑定
+	membershipTranscript(digest, senderKey, recipientKey) {
+		return (sha256('nodecrypt-members-signed|' + digest + '|' + senderKey + '|' + recipientKey))
+	}
+
+	// Send our member list digest once the list has settled
+	// 在成员列表稳定后发送我们的成员列表摘要
+	scheduleMembershipDigest() {
+		this.membershipChangedAt = Date.now();
+		if (this.membershipTimer) {
+			clearTimeout(this.membershipTimer)
+		}
+		this.membershipTimer = setTimeout(() => {
+			this.membershipTimer = null;
+			this.sendMembershipDigest()
+		}, this.MEMBERSHIP_SETTLE)
+	}
+
+	// Stop the pending member list digest
+	// 停止待发送的成员列表摘要
+	stopMembershipCheck() {
+		if (this.membershipTimer) {
+			clearTimeout(this.membershipTimer);
+			this.membershipTimer = null
+		}
+	}
+
+	// Send our member list digest to every secured peer that compares them, signed when we have an identity.
+	// Without an identity the pairwise channel authenticates it. Returns how many peers it was sent to
+	// 将我们的成员列表摘要发送给所有支持比对的已建立安全连接的对等方，有身份时附带签名。
+	// 没有身份时由两两通道对其进行认证。返回发送的对等方数量
+	sendMembershipDigest() {
+		if (!this.serverShared || !this.clientId) {
+			return (0)
+		}
+		const own = this.getMembershipDigest();
+		let count = 0;
+		for (const clientId in this.channel) {
+			const client = this.channel[clientId];
+			if (!client.shared || !client.username || client.version < 11) {
+				continue
+			}
+			const message = {
+				a: 'v',
+				h: own.digest,
+				n: own.count
+			};
+			if (this.identity) {
+				message.g = this.identity.sign(this.membershipTranscript(own.digest, client.keys.getPublic('hex'), client.remoteKey)).toHex()
+			}
+			try {
+				if (this.sendMessage(this.encryptServerMessage({
+						a: 'c',
+						p: this.encryptForClient(clientId, message),
+						c: clientId
+					}, this.serverShared))) {
+					count++
+				}
+			} catch (error) {
+				this.logEvent('sendMembershipDigest', error, 'error')
+			}
+		}
+		return (count)
+	}
+
+	// Store a peer's member list digest and compare it with ours. A peer with an identity must sign it
+	// 保存对等方的成员列表摘要并与我们的进行比对。有身份的对等方必须对其签名
+	handleMembershipDigest(clientId, message) {
+		const client = this.channel[clientId];
+		if (!this.isString(message.h) || !/^[0-9a-f]{64}$/.test(message.h) || !Number.isInteger(message.n)) {
+			return
+		}
+		if (client.identity) {
+			let valid = false;
+			try {
+				valid = this.isString(message.g) && this.edwards.verify(this.membershipTranscript(message.h, client.remoteKey, client.keys.getPublic('hex')), message.g, client.identity)
+			} catch (error) {
+				this.logEvent('handleMembershipDigest', error, 'error')
+			}
+			if (!valid) {
+				this.rejectClient(clientId, 'integrity');
+				return
+			}
+		}
+		client.membership = {
+			digest: message.h,
+			count: message.n
+		};
+		if (message.h !== this.getMembershipDigest().digest) {
+			setTimeout(() => this.checkMembership(clientId, client), 2 * this.MEMBERSHIP_SETTLE)
+		}
+	}
+
+	// Report a peer whose member list still differs from ours after both had time to settle; waits longer while
+	// our own list is still changing. Each differing pair of lists is reported once
+	// 在双方都有时间稳定后，报告成员列表仍与我们不同的对等方；我们自己的列表仍在变化时继续等待。每对不同的列表只报告一次
+	checkMembership(clientId, client) {
+		if (this.channel[clientId] !== client || !client.membership) {
+			return
+		}
+		const settled = Date.now() - this.membershipChangedAt;
+		if (settled < this.MEMBERSHIP_SETTLE) {
+			setTimeout(() => this.checkMembership(clientId, client), this.MEMBERSHIP_SETTLE - settled);
+			return
+		}
+		const own = this.getMembershipDigest();
+		const mismatch = own.digest + '|' + client.membership.digest;
+		if (own.digest === client.membership.digest || client.membershipReported === mismatch) {
+			return
+		}
+		client.membershipReported = mismatch;
+		this.logEvent('checkMembership', [clientId, own.count, client.membership.count], 'error');
+		if (this.callbacks.onMembershipMismatch) {
+			try {
+				this.callbacks.onMembershipMismatch({
+					clientId: clientId,
+					username: client.username,
+					members: own.count,
+					peerMembers: client.membership.count
+				})
+			} catch (error) {
+				this.logEvent('checkMembership-callback', error, 'error')
+			}
+		}
+	}
+
+	// Build the username announcement for a peer, signed when we have an identity
+	// 构建发给对等方的用户名声明，有身份时附带签名
+	createUsernameAnnouncement(clientId) {
+		const message = {
+			a: 'u',
+			p: this.credentials.username,
+			b: [this.channel[clientId].sentVersion || this.getAdvertisedVersion(), this.channel[clientId].peerVersion || 1]
+		};
+		if (this.credentials.passwordRound > 0) {
+			message.n = this.credentials.passwordRound
+		}
+		if (this.identity) {
+			message.i = this.identity.getPublic('hex');
+			message.g = this.identity.sign(this.identityTranscript(message.p, this.channel[clientId].keys.getPublic('hex'), this.channel[clientId].remoteKey)).toHex()
+		}
+		if (!this.identity && this.channel[clientId].version >= 15) {
+			message.y = this.getRoleKey().getPublic('hex');
+			message.z = this.getRoleKey().sign(this.identityTranscript(message.p, this.channel[clientId].keys.getPublic('hex'), this.channel[clientId].remoteKey)).toHex()
+		}
+		if (this.knock && !this.hasKnockTicket(clientId) && this.channel[clientId].version >= 13) {
+			message.w = this.knock.secret
+		}
+		if (this.invite) {
+			message.j = this.invite.id;
+			message.o = this.inviteProof(this.invite, this.channel[clientId].keys.getPublic('hex'), this.channel[clientId].remoteKey)
+		}
+		return (message)
+	}
+
+	// Check the identity signature of a username announcement. Returns the identity public key,
+	// null for an unsigned announcement, or false when the signature is invalid
+	// 校验用户名声明的身份签名。返回身份公钥；未签名时返回 null；签名无效时返回 false
+	verifyUsernameAnnouncement(clientId, message) {
+		if (message.i === undefined && message.g === undefined) {
+			return (null)
+		}
+		if (!this.isString(message.i) || !this.isString(message.g) || !/^[0-9a-f]{64}$/.test(message.i)) {
+			return (false)
+		}
+		try {
+			const transcript = this.identityTranscript(message.p, this.channel[clientId].remoteKey, this.channel[clientId].keys.getPublic('hex'));
+			return (this.edwards.verify(transcript, message.g, message.i) ? message.i : false)
+		} catch (error) {
+			this.logEvent('verifyUsernameAnnouncement', error, 'error')
+		}
+		return (false)
+	}
+
+	// Turn a public key into a 30-digit fingerprint
+	// 将公钥转换为 30 位数字指纹
+	keyFingerprint(publicKey) {
+		const hash = Buffer.from(sha256.array('nodecrypt-fingerprint|' + publicKey));
+		let digits = '';
+		for (let i = 0; i < 30; i += 5) {
+			digits += String(hash.readUIntBE(i, 5) % 100000).padStart(5, '0')
+		}
+		return (digits)
+	}
+
+	// Safety number and emoji SAS for the keys exchanged with a peer, identical on both sides. When both sides have an
+	// identity key, which signs the session keys, the code comes from the identity keys and is stable across reconnects;
+	// otherwise it comes from this session's keys
+	// 与对等方交换的密钥对应的安全码和表情短认证串，双方计算结果一致。双方都有为会话密钥签名的身份密钥时，
+	// 安全码由身份密钥计算，重新连接后保持不变；否则由本次会话的密钥计算
+	getSafetyCode(clientId) {
+		const client = this.channel[clientId];
+		if (!client || !client.shared || !client.remoteKey) {
+			return (null)
+		}
+		const stable = !!(this.identity && client.identity);
+		const localKey = stable ? this.identity.getPublic('hex') : client.keys.getPublic('hex');
+		const remoteKey = stable ? client.identity : client.remoteKey;
+		const localFingerprint = this.keyFingerprint(localKey);
+		const remoteFingerprint = this.keyFingerprint(remoteKey);
+		const sorted = [localKey, remoteKey].sort();
+		const sas = sha256.array('nodecrypt-sas|' + sorted.join('|')).slice(0, 6).map(b => SAS_EMOJI[b % SAS_EMOJI.length]);
+		return ({
+			localKey: localKey,
+			remoteKey: remoteKey,
+			localFingerprint: localFingerprint,
+			remoteFingerprint: remoteFingerprint,
+			safetyNumber: [localFingerprint, remoteFingerprint].sort().join(''),
+			emoji: sas,
+			stable: stable
+		})
+	}
+
+	// HKDF-SHA256 (RFC 5869)
+	// HKDF-SHA256（RFC 5869）
+	hkdf(ikm, salt, info, length) {
+		const prk = sha256.hmac.array(salt, ikm);
+		let block = [];
+		let output = [];
+		for (let i = 1; output.length < length; i++) {
+			block = sha256.hmac.array(prk, [...block, ...Buffer.from(info, 'utf8'), i]);
+			output = output.concat(block)
+		}
+		return (Buffer.from(output.slice(0, length)))
+	}
+
+	// Set up the double ratchet for a peer from the shared key and the given DH keys, the channel keys by default.
+	// The peer with the lower clientId starts with a fresh DH step; the other one can send on an initial symmetric chain until then
+	// 根据共享密钥和给定的 DH 密钥（默认为通道密钥）为对等方初始化双棘轮。
+	// clientId 较小的一方立即执行一次 DH 步进，另一方在此之前使用初始对称链发送
+	initRatchet(clientId, keys, remoteKey) {
+		const client = this.channel[clientId];
+		const initiator = this.clientId < clientId;
+		const responderChain = this.hkdf(client.shared, Buffer.alloc(32), 'nodecrypt ratchet responder chain', 32);
+		const ratchet = {
+			dhs: keys || client.keys,
+			dhr: remoteKey || client.remoteKey,
+			rk: client.shared,
+			cks: null,
+			ckr: null,
+			ns: 0,
+			nr: 0,
+			pn: 0,
+			skipped: new Map()
+		};
+		if (initiator) {
+			ratchet.dhs = this.clientEc.genKeyPair();
+			[ratchet.rk, ratchet.cks] = this.ratchetRootStep(ratchet.rk, ratchet.dhs, ratchet.dhr);
+			ratchet.ckr = responderChain
+		} else {
+			ratchet.cks = responderChain
+		}
+		return (ratchet)
+	}
+
+	// Root KDF: mix a DH output into the root key, returns [root key, chain key]
+	// 根 KDF：将 DH 输出混入根密钥，返回 [根密钥, 链密钥]
+	ratchetRootStep(rk, dhs, dhr) {
+		const dh = dhs.derive(this.clientEc.keyFromPublic(dhr, 'hex').getPublic()).toArray('be', 32);
+		const output = this.hkdf(dh, rk, 'nodecrypt ratchet root', 64);
+		return ([output.subarray(0, 32), output.subarray(32, 64)])
+	}
+
+	// Chain KDF: advance a chain key, returns [next chain key, message key]
+	// 链 KDF：推进链密钥，返回 [下一个链密钥, 消息密钥]
+	ratchetChainStep(ck) {
+		return ([Buffer.from(sha256.hmac.array(ck, [2])), Buffer.from(sha256.hmac.array(ck, [1]))])
+	}
+
+	// ChaCha20-Poly1305 task sealing or opening data with a one-time message key
+	// 使用一次性消息密钥加密或解密数据的 ChaCha20-Poly1305 任务
+	ratchetCipherTask(op, mk, ad, data) {
+		const material = this.hkdf(mk, Buffer.alloc(32), 'nodecrypt ratchet message', 44);
+		return ({
+			op: op,
+			cipher: 'chacha20poly1305',
+			key: material.subarray(0, 32),
+			nonce: material.subarray(32, 44),
+			ad: ad,
+			data: data,
+			output: op === 'seal' ? 'base64' : undefined
+		})
+	}
+
+	// Advance the sending chain and build the [task, finish] pair encrypting a message for a peer
+	// 推进发送链，并构建加密发送给对等方的消息的 [任务, 收尾] 对
+	ratchetSealTask(clientId, message) {
+		const ratchet = this.channel[clientId].ratchet;
+		let mk;
+		[ratchet.cks, mk] = this.ratchetChainStep(ratchet.cks);
+		const header = Buffer.from(JSON.stringify({
+			d: ratchet.dhs.getPublic('hex'),
+			p: ratchet.pn,
+			n: ratchet.ns
+		}), 'utf8').toString('base64');
+		ratchet.ns++;
+		const ad = Buffer.concat([this.clientAd(this.clientId, clientId), Buffer.from(header, 'utf8')]);
+		return ([this.ratchetCipherTask('seal', mk, ad, this.encodePayload(message, this.channel[clientId].version >= 7)), result => 'v4|' + header + '|' + result.data])
+	}
+
+	// Encrypt a message for a peer with the next key of the sending chain
+	// 使用发送链的下一个密钥加密发送给对等方的消息
+	ratchetEncrypt(clientId, message) {
+		let encrypted = '';
+		try {
+			const [task, finish] = this.ratchetSealTask(clientId, message);
+			encrypted = finish(runCipherTask(task))
+		} catch (error) {
+			this.logEvent('ratchetEncrypt', error, 'error')
+		}
+		return (encrypted)
+	}
+
+	// Decrypt a ratchet message with the ratchet of the given keys, null when it fails authentication.
+	// State only advances on success
+	// 使用给定密钥的棘轮解密消息，认证失败时返回 null。只有成功时才推进状态
+	ratchetDecrypt(clientId, message, keys) {
+		const prepared = this.ratchetOpenTask(clientId, message, keys);
+		if (!prepared) {
+			return (null)
+		}
+		try {
+			return (prepared[1](runCipherTask(prepared[0])))
+		} catch (error) {
+			this.logEvent('ratchetDecrypt', error, 'error')
+		}
+		return (null)
+	}
+
+	// Build the [task, finish] pair decrypting a ratchet message on a copy of the ratchet of the given keys,
+	// null when the message is malformed. finish commits the copy
+	// 在给定密钥的棘轮副本上构建解密棘轮消息的 [任务, 收尾] 对，消息格式错误时返回 null。finish 会提交该副本
+	ratchetOpenTask(clientId, message, keys) {
+		const parts = this.isString(message) ? message.split('|') : [];
+		if (parts.length !== 3 || parts[0] !== 'v4' || !keys.ratchet) {
+			return (null)
+		}
+		const base = keys.ratchet;
+		const state = {
+			...base,
+			skipped: new Map(base.skipped)
+		};
+		try {
+			const header = JSON.parse(Buffer.from(parts[1], 'base64').toString('utf8'));
+			if (!this.isObject(header) || !this.isString(header.d) || !Number.isInteger(header.p) || !Number.isInteger(header.n) || header.p < 0 || header.n < 0) {
+				return (null)
+			}
+			const ad = Buffer.concat([this.clientAd(clientId, this.clientId), Buffer.from(parts[1], 'utf8')]);
+			const skippedId = header.d + ':' + header.n;
+			let mk = state.skipped.get(skippedId);
+			if (mk) {
+				state.skipped.delete(skippedId)
+			} else {
+				if (header.d !== state.dhr) {
+					this.ratchetSkip(state, header.p);
+					state.pn = state.ns;
+					state.ns = 0;
+					state.nr = 0;
+					state.dhr = header.d;
+					[state.rk, state.ckr] = this.ratchetRootStep(state.rk, state.dhs, state.dhr);
+					state.dhs = this.clientEc.genKeyPair();
+					[state.rk, state.cks] = this.ratchetRootStep(state.rk, state.dhs, state.dhr)
+				}
+				this.ratchetSkip(state, header.n);
+				[state.ckr, mk] = this.ratchetChainStep(state.ckr);
+				state.nr++
+			}
+			return ([this.ratchetCipherTask('open', mk, ad, parts[2]), result => {
+				this.commitRatchet(keys, base, state);
+				return (this.decodePayload(result.data, this.channel[clientId].version >= 7))
+			}])
+		} catch (error) {
+			this.logEvent('ratchetOpenTask', error, 'error')
+		}
+		return (null)
+	}
+
+	// Commit a ratchet copy after a successful decryption. Messages sent while it was decrypted in the worker pool
+	// advanced the live sending chain, which is kept unless the decryption made a DH step that restarts it
+	// 解密成功后提交棘轮副本。在 Worker 池中解密期间发送的消息已推进了实际的发送链，
+	// 除非此次解密执行了重新开始发送链的 DH 步进，否则保留实际发送链
+	commitRatchet(keys, base, state) {
+		if (keys.ratchet !== base) {
+			return
+		}
+		if (state.dhs !== base.dhs) {
+			state.pn = base.ns;
+			keys.ratchet = state
+		} else {
+			base.ckr = state.ckr;
+			base.nr = state.nr;
+			base.skipped = state.skipped
+		}
+	}
+
+	// Store the keys of messages we have not received yet on the current receiving chain
+	// 保存当前接收链上尚未收到的消息密钥
+	ratchetSkip(state, until) {
+		if (!state.ckr) {
+			return
+		}
+		if (until - state.nr > this.RATCHET_MAX_SKIP) {
+			throw new Error('Too many skipped messages')
+		}
+		while (state.nr < until) {
+			let mk;
+			[state.ckr, mk] = this.ratchetChainStep(state.ckr);
+			state.skipped.set(state.dhr + ':' + state.nr, mk);
+			state.nr++;
+			if (state.skipped.size > this.RATCHET_MAX_SKIPPED_KEYS) {
+				state.skipped.delete(state.skipped.keys().next().value)
+			}
+		}
+	}
+
+	// Create a fresh sender key: a chain key for encryption and an Ed25519 key so members cannot forge each other's messages
+	// 创建新的发送者密钥：用于加密的链密钥，以及防止成员互相伪造消息的 Ed25519 签名密钥
+	createSenderKey() {
+		return ({
+			id: Buffer.from(crypto.getRandomValues(new Uint8Array(8))).toString('hex'),
+			ck: Buffer.from(crypto.getRandomValues(new Uint8Array(32))),
+			n: 0,
+			sign: this.edwards.keyFromSecret([...crypto.getRandomValues(new Uint8Array(32))]),
+			sentTo: new Set()
+		})
+	}
+
+	// Store a sender key distributed by a peer, keeping the previous one for messages still in flight
+	// 保存对等方分发的发送者密钥，并保留上一个密钥用于仍在途中的消息
+	storeSenderKey(clientId, data) {
+		if (!this.isString(data.i) || !this.isString(data.k) || !Number.isInteger(data.n) || data.n < 0 || !this.isString(data.s)) {
+			return
+		}
+		const ck = Buffer.from(data.k, 'base64');
+		if (ck.length !== 32) {
+			return
+		}
+		const client = this.channel[clientId];
+		const keys = (client.senderKeys || []).filter(key => key.id !== data.i).slice(-1);
+		keys.push({
+			id: data.i,
+			ck: ck,
+			n: data.n,
+			sig: data.s,
+			skipped: new Map()
+		});
+		client.senderKeys = keys
+	}
+
+	// Associated data binding a group message to its sender, key, position in the chain and format
+	// 将群组消息绑定到发送方、密钥、链上位置和格式的关联数据
+	groupAd(sender, id, n, format) {
+		return (Buffer.from((format === 'v7' ? 'nodecrypt-group-v7|' : 'nodecrypt-group|') + sender + '|' + id + '|' + n, 'utf8'))
+	}
+
+	// Advance our sender chain and build the [task, finish] pair encrypting and signing a message,
+	// padded when every recipient supports it
+	// 推进发送者链，并构建加密并签名消息的 [任务, 收尾] 对，所有接收方都支持时进行填充
+	groupSealTask(message, padded) {
+		const senderKey = this.senderKey;
+		const n = senderKey.n;
+		let mk;
+		[senderKey.ck, mk] = this.ratchetChainStep(senderKey.ck);
+		senderKey.n++;
+		const format = padded ? 'v7' : 'v5';
+		const ad = this.groupAd(this.clientId, senderKey.id, n, format);
+		const task = this.ratchetCipherTask('seal', mk, ad, this.encodePayload(message, padded));
+		task.hashPrefix = ad.toString('utf8') + '|';
+		return ([task, result => format + '|' + senderKey.id + '|' + n + '|' + result.data + '|' + senderKey.sign.sign(result.digest).toHex()])
+	}
+
+	// Encrypt and sign a message with the next key of our sender chain
+	// 使用发送者链的下一个密钥加密并签名消息
+	encryptGroupMessage(message, padded) {
+		let encrypted = '';
+		try {
+			const [task, finish] = this.groupSealTask(message, padded);
+			encrypted = finish(runCipherTask(task))
+		} catch (error) {
+			this.logEvent('encryptGroupMessage', error, 'error')
+		}
+		return (encrypted)
+	}
+
+	// Verify and decrypt a group message from a peer, null when it fails. State only advances on success
+	// 验证并解密来自对等方的群组消息，失败时返回 null。只有成功时才推进状态
+	decryptGroupMessage(clientId, message) {
+		const prepared = this.groupOpenTask(clientId, message);
+		if (!prepared) {
+			return (null)
+		}
+		try {
+			return (prepared[1](runCipherTask(prepared[0])))
+		} catch (error) {
+			this.logEvent('decryptGroupMessage', error, 'error')
+		}
+		return (null)
+	}
+
+	// Build the [task, finish] pair decrypting a group message on a copy of the sender key state, null when
+	// the message is malformed. finish checks the signature and commits the copy, null when the signature is invalid
+	// 在发送者密钥状态副本上构建解密群组消息的 [任务, 收尾] 对，消息格式错误时返回 null。
+	// finish 校验签名并提交副本，签名无效时返回 null
+	groupOpenTask(clientId, message) {
+		const parts = this.isString(message) ? message.split('|') : [];
+		const n = Number(parts[2]);
+		if (parts.length !== 5 || (parts[0] !== 'v5' && parts[0] !== 'v7') || !Number.isInteger(n) || n < 0) {
+			return (null)
+		}
+		const senderKey = (this.channel[clientId].senderKeys || []).find(key => key.id === parts[1]);
+		if (!senderKey) {
+			return (null)
+		}
+		const state = {
+			ck: senderKey.ck,
+			n: senderKey.n,
+			skipped: new Map(senderKey.skipped)
+		};
+		try {
+			const ad = this.groupAd(clientId, parts[1], n, parts[0]);
+			let mk = state.skipped.get(n);
+			if (mk) {
+				state.skipped.delete(n)
+			} else {
+				if (n < state.n || n - state.n > this.RATCHET_MAX_SKIP) {
+					return (null)
+				}
+				while (state.n < n) {
+					[state.ck, mk] = this.ratchetChainStep(state.ck);
+					state.skipped.set(state.n, mk);
+					state.n++;
+					if (state.skipped.size > this.RATCHET_MAX_SKIPPED_KEYS) {
+						state.skipped.delete(state.skipped.keys().next().value)
+					}
+				}
+				[state.ck, mk] = this.ratchetChainStep(state.ck);
+				state.n++
+			}
+			const task = this.ratchetCipherTask('open', mk, ad, parts[3]);
+			task.hashPrefix = ad.toString('utf8') + '|';
+			return ([task, result => {
+				if (!this.edwards.verify(result.digest, parts[4], senderKey.sig)) {
+					return (null)
+				}
+				Object.assign(senderKey, state);
+				return (this.decodePayload(result.data, parts[0] === 'v7'))
+			}])
+		} catch (error) {
+			this.logEvent('groupOpenTask', error, 'error')
+		}
+		return (null)
+	}
+
+	// Resolve a padding policy by name, or use a custom {buckets, min, max, size} object as is
+	// 按名称解析填充策略，或直接使用自定义的 {buckets, min, max, size} 对象
+	getPaddingPolicy() {
+		const policy = this.config.padding;
+		return (this.isObject(policy) ? policy : (this.PADDING_POLICIES[policy] || this.PADDING_POLICIES.standard))
+	}
+
+	// Switch the padding policy used for the following messages
+	// 切换后续消息使用的填充策略
+	setPaddingPolicy(policy) {
+		this.config.padding = policy || 'standard'
+	}
+
+	// Size of the bucket a payload of the given length is padded to, leaving room for the marker byte
+	// 给定长度的负载所填充到的桶大小，并为标记字节预留空间
+	getPaddedLength(length) {
+		const policy = this.getPaddingPolicy();
+		const needed = length + 1;
+		if (policy.buckets === 'fixed') {
+			return (Math.ceil(needed / policy.size) * policy.size)
+		}
+		let size = policy.min;
+		while (size < needed && size < policy.max) {
+			size *= 2
+		}
+		return (size < needed ? Math.ceil(needed / policy.max) * policy.max : size)
+	}
+
+	// Serialize a message, optionally padded with a 0x80 marker and zeros up to its bucket
+	// 序列化消息，可选地使用 0x80 标记和零字节填充到所在的桶
+	encodePayload(message, padded) {
+		const data = Buffer.from(JSON.stringify(message), 'utf8');
+		if (!padded) {
+			return (data)
+		}
+		const result = Buffer.alloc(this.getPaddedLength(data.length));
+		data.copy(result);
+		result[data.length] = 0x80;
+		return (result)
+	}
+
+	// Strip the padding and parse a message, null when the padding marker is missing.
+	// Only trailing zeros after the last 0x80 are removed, so payload bytes are never touched
+	// 去除填充并解析消息，缺少填充标记时返回 null。只移除最后一个 0x80 之后的零字节，不会改动负载内容
+	decodePayload(plaintext, padded) {
+		let data = Buffer.from(plaintext);
+		if (padded) {
+			let end = data.length - 1;
+			while (end >= 0 && data[end] === 0) {
+				end--
+			}
+			if (end < 0 || data[end] !== 0x80) {
+				return (null)
+			}
+			data = data.subarray(0, end)
+		}
+		let decrypted = {};
+		try {
+			decrypted = JSON.parse(data.toString('utf8'))
+		} catch (error) {
+			this.logEvent('decodePayload', error, 'error')
+		}
+		return (decrypted)
+	}
+
+	// Add our next message counter and the send time to a peer message
+	// 为对等方消息加上下一个消息计数器和发送时间
+	stampMessage(message) {
+		return ({
+			...message,
+			q: ++this.messageCounter,
+			ts: Date.now()
+		})
+	}
+
+	// Accept each counter from a peer at most once within a sliding window, and only with a recent timestamp. The age is
+	// measured against the peer's clock: its offset from ours is learned from the first message after the key exchange,
+	// so a peer whose clock is wrong is not mistaken for a relay holding messages back
+	// 在滑动窗口内每个计数器只接受一次，且时间戳必须是最近的。时间按对等方的时钟计算：与本地时钟的偏差从密钥交换后的
+	// 第一条消息中得出，因此时钟不准的对等方不会被误认为是中继在扣留消息
+	checkReplay(clientId, message) {
+		const client = this.channel[clientId];
+		if (client.version < 6) {
+			return (true)
+		}
+		if (!Number.isInteger(message.q) || message.q <= 0 || typeof message.ts !== 'number' || !Number.isFinite(message.ts)) {
+			return (false)
+		}
+		if (!client.replay) {
+			client.replay = {
+				max: 0,
+				seen: new Set(),
+				offset: Date.now() - message.ts
+			}
+		}
+		if (Math.abs(Date.now() - client.replay.offset - message.ts) > this.REPLAY_MAX_AGE) {
+			return (false)
+		}
+		const replay = client.replay;
+		if (message.q <= replay.max - this.REPLAY_WINDOW || replay.seen.has(message.q)) {
+			return (false)
+		}
+		replay.seen.add(message.q);
+		if (message.q > replay.max) {
+			replay.max = message.q
+		}
+		if (replay.seen.size > this.REPLAY_WINDOW * 2) {
+			for (const q of replay.seen) {
+				if (q <= replay.max - this.REPLAY_WINDOW) {
+					replay.seen.delete(q)
+				}
+			}
+		}
+		return (true)
+	}
+
+	// Version we advertise to peers, only possible once the relay told us our own clientId
+	// 向对等方通告的版本，只有在中继告知自身 clientId 后才可用
+	getAdvertisedVersion() {
+		return (this.clientId ? this.CLIENT_VERSION : 1)
+	}
+
+	// Compare the versions a peer says it sent and received in the key exchange ('b' of its announcement, which the
+	// pairwise key protects) with what we received and sent. A relay that rewrote them to push both sides down to an
+	// older protocol is caught here. Announcements from clients that do not send them pass
+	// 将对等方声明的密钥交换中发送和收到的版本（其声明中的 'b'，受点对点密钥保护）与我们收到和发送的版本比较。
+	// 中继改写版本以迫使双方降级到旧协议时会在此被发现。不发送该字段的客户端的声明直接通过
+	checkVersionEcho(clientId, message) {
+		if (message.b === undefined) {
+			return (true)
+		}
+		const client = this.channel[clientId];
+		return (Array.isArray(message.b) && message.b.length === 2 && message.b[0] === (client.peerVersion || 1) && message.b[1] === (client.sentVersion || this.getAdvertisedVersion()))
+	}
+
+	// Pick the highest version both sides support
+	// 选择双方都支持的最高版本
+	negotiateVersion(peerVersion) {
+		if (!this.clientId || typeof peerVersion !== 'number' || peerVersion < 2) {
+			return (1)
+		}
+		return (Math.min(this.CLIENT_VERSION, Math.floor(peerVersion)))
+	}
+
+	// Report a frame from a client that was dropped, naming the client by the username it announced if it has none yet
+	// 报告来自客户端且被丢弃的帧；客户端尚无用户名时使用其声明的用户名
+	rejectClient(clientId, reason, username) {
+		this.logEvent('rejectClient', [clientId, reason], 'error');
+		// A member we cannot talk to still shows us the room, unless someone holds us for approval
+		// 无法通信的成员仍让我们进入房间，除非有成员搁置我们等待批准
+		if (this.joining && !this.joining.knocked) {
+			this.finishJoin()
+		}
+		if (this.callbacks.onClientRejected) {
+			try {
+				this.callbacks.onClientRejected({
+					clientId: clientId,
+					username: username || (this.channel[clientId] ? this.channel[clientId].username : null),
+					reason: reason
+				})
+			} catch (error) {
+				this.logEvent('rejectClient-callback', error, 'error')
+			}
+		}
+	}
+
+	// XOR two hex strings
+	// 对两个十六进制字符串进行异或
+	xorHex(a, b) {
+		let result = '',
+			hexLength = Math.min(a.length, b.length);
+		for (let i = 0; i < hexLength; ++i) {
+			result += (parseInt(a.charAt(i), 16) ^ parseInt(b.charAt(i), 16)).toString(16)
+		}
+		return (result)
+	}
+
+	// Check if value is a string
+	// 检查值是否为字符串
+	isString(value) {
+		return (value && Object.prototype.toString.call(value) === '[object String]' ? true : false)
+	}
+
+	// Check if value is an array
+	// 检查值是否为数组
+	isArray(value) {
+		return (value && Object.prototype.toString.call(value) === '[object Array]' ? true : false)
+	}
+
+	// Check if value is an object
+	// 检查值是否为对象
+	isObject(value) {
+		return (value && Object.prototype.toString.call(value) === '[object Object]' ? true : false)
+	}
+
+	// Handle server public key, checking it against the key pinned for this relay (trust on first use)
+	// 处理服务器公钥，并与该中继固定的公钥进行比对（首次使用即信任）
+	async handleServerKey(data) {
+		this.logEvent('handleServerKey', 'Received server key');
+		if (!this.isString(data.key)) {
+			return (false)
+		}
+		const connection = this.connection;
+		const origin = this.getServerOrigin();
+		const presented = {
+			key: data.key,
+			edKey: this.isString(data.edKey) ? data.edKey : null
+		};
+		const pins = this.loadServerPins();
+		const pinned = pins[origin];
+		let trusted = !pinned || this.isSameServerKey(pinned, presented) || this.verifyServerRotation(pinned, presented, data.rotations);
+		if (!trusted && this.callbacks.onServerKeyChanged) {
+			try {
+				trusted = await this.callbacks.onServerKeyChanged({
+					origin: origin,
+					pinnedFingerprint: this.keyFingerprint(pinned.edKey || pinned.key),
+					presentedFingerprint: this.keyFingerprint(presented.edKey || presented.key)
+				}) === true
+			} catch (error) {
+				this.logEvent('handleServerKey-callback', error, 'error')
+			}
+		}
+		if (this.connection !== connection) {
+			return (false)
+		}
+		if (!trusted) {
+			this.logEvent('handleServerKey', 'Relay key does not match the pinned key', 'error');
+			this.serverKeyRejected = true;
+			this.disconnect();
+			return (false)
+		}
+		pins[origin] = presented;
+		this.saveServerPins(pins);
+		this.config.rsaPublic = data.key;
+		return (true)
+	}
+
+	// Relay origin used as the pinning key. Each shard of a sharded relay has its own keys and is pinned on its own
+	// 用作固定键的中继来源。分片中继的每个分片拥有独立密钥，并单独固定
+	getServerOrigin() {
+		let origin = this.config.wsAddress;
+		try {
+			origin = new URL(this.config.wsAddress).host
+		} catch (error) {
+			this.logEvent('getServerOrigin', error, 'error')
+		}
+		return (this.relayShard ? origin + '/' + this.relayShard : origin)
+	}
+
+	// Load pinned relay keys from localStorage
+	// 从 localStorage 读取已固定的中继公钥
+	loadServerPins() {
+		try {
+			const pins = JSON.parse(localStorage.getItem(this.SERVER_KEY_STORAGE));
+			if (this.isObject(pins)) {
+				return (pins)
+			}
+		} catch (error) {
+			this.logEvent('loadServerPins', error, 'error')
+		}
+		return ({})
+	}
+
+	// Save pinned relay keys to localStorage
+	// 将已固定的中继公钥保存到 localStorage
+	saveServerPins(pins) {
+		try {
+			localStorage.setItem(this.SERVER_KEY_STORAGE, JSON.stringify(pins))
+		} catch (error) {
+			this.logEvent('saveServerPins', error, 'error')
+		}
+	}
+
+	// Compare presented relay keys with a pin; a pin without an Ed25519 key is upgraded in place
+	// 比较中继公钥与固定值；没有 Ed25519 公钥的旧固定值会被直接升级
+	isSameServerKey(pinned, presented) {
+		return (pinned.key === presented.key && (!pinned.edKey || pinned.edKey === presented.edKey))
+	}
+
+	// Follow rotation certificates from the pinned keys to the presented ones, each signed by the previous Ed25519 key
+	// 沿着轮换证书从固定公钥追溯到当前公钥，每一步都由上一个 Ed25519 密钥签名
+	verifyServerRotation(pinned, presented, rotations) {
+		if (!Array.isArray(rotations) || !pinned.edKey) {
+			return (false)
+		}
+		let current = pinned;
+		for (let i = 0; i < rotations.length; i++) {
+			if (this.isSameServerKey(current, presented)) {
+				break
+			}
+			const cert = rotations.find(r => this.isObject(r) && this.isObject(r.from) && r.from.key === current.key && r.from.edKey === current.edKey);
+			if (!cert || !this.isObject(cert.to) || !this.isString(cert.to.key) || !this.isString(cert.to.edKey) || !this.isString(cert.sig)) {
+				return (false)
+			}
+			try {
+				const message = Buffer.from('nodecrypt-relay-rotation|' + cert.to.key + '|' + cert.to.edKey, 'utf8').toString('hex');
+				if (!this.edwards.verify(message, Buffer.from(cert.sig, 'base64').toString('hex'), [...Buffer.from(current.edKey, 'base64')])) {
+					return (false)
+				}
+			} catch (error) {
+				this.logEvent('verifyServerRotation', error, 'error');
+				return (false)
+			}
+			current = cert.to
+		}
+		return (current.key === presented.key && current.edKey === presented.edKey)
 	}
 };
 
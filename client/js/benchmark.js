@@ -0,0 +1,137 @@
+// Crypto benchmark page: throughput and main-thread jank with and without the crypto worker pool
+// 加密性能测试页面：对比使用与不使用加密 Worker 池时的吞吐量和主线程卡顿
+
+import {
+	runCryptoTask
+} from './util.cryptoTasks.js';
+import {
+	runInPool,
+	getCryptoPoolSize
+} from './util.cryptoPool.js';
+
+// Frames slower than this count as jank
+// 超过此时长的帧计为卡顿
+const JANK_FRAME = 50;
+
+// Random bytes; getRandomValues fills at most 64 KiB per call
+// 随机字节；getRandomValues 每次最多填充 64 KiB
+function randomBytes(length) {
+	const bytes = new Uint8Array(length);
+	for (let i = 0; i < length; i += 65536) {
+		crypto.getRandomValues(bytes.subarray(i, Math.min(length, i + 65536)))
+	}
+	return bytes
+}
+
+// Record frame gaps while a run is in progress and move the ticker every frame
+// 运行期间记录帧间隔，并在每帧移动进度条
+function watchFrames() {
+	const ticker = document.getElementById('bench-ticker');
+	const stats = {
+		longest: 0,
+		janky: 0
+	};
+	let last = performance.now();
+	let running = true;
+	let offset = 0;
+	const frame = (now) => {
+		const gap = now - last;
+		last = now;
+		stats.longest = Math.max(stats.longest, gap);
+		if (gap > JANK_FRAME) stats.janky++;
+		offset = (offset + 4) % 700;
+		ticker.style.transform = `translateX(${offset}px)`;
+		if (running) requestAnimationFrame(frame)
+	};
+	requestAnimationFrame(frame);
+	return () => {
+		running = false;
+		return stats
+	}
+}
+
+// Seal then open one payload with the given runner
+// 使用给定的执行方式加密并解密一个负载
+async function roundTrip(run, payload) {
+	const key = randomBytes(32);
+	const nonce = randomBytes(12);
+	const sealed = await run({
+		op: 'seal',
+		cipher: 'chacha20poly1305',
+		key,
+		nonce,
+		data: payload
+	});
+	return run({
+		op: 'open',
+		cipher: 'chacha20poly1305',
+		key,
+		nonce,
+		data: sealed.data
+	})
+}
+
+// Main thread: one message after another, as NodeCrypt did before the pool
+// 主线程：逐条处理消息，与引入加密池之前的 NodeCrypt 相同
+async function runMainThread(payloads) {
+	for (const payload of payloads) {
+		await roundTrip(runCryptoTask, payload)
+	}
+}
+
+// Pool: all messages at once, spread over the workers
+// 加密池：所有消息同时提交，分配给各个 Worker
+async function runWorkers(payloads) {
+	await Promise.all(payloads.map(payload => roundTrip(runInPool, payload)))
+}
+
+// Time one mode and add a row to the results table
+// 对一种模式计时并在结果表中添加一行
+async function measure(label, runner, size, count) {
+	const payloads = Array.from({
+		length: count
+	}, () => randomBytes(size));
+	await new Promise(resolve => requestAnimationFrame(resolve));
+	const stop = watchFrames();
+	const start = performance.now();
+	await runner(payloads);
+	const elapsed = performance.now() - start;
+	await new Promise(resolve => requestAnimationFrame(resolve));
+	const frames = stop();
+	const row = document.createElement('tr');
+	for (const text of [label, `${elapsed.toFixed(0)} ms`, `${(size * count * 2 / 1048576 / (elapsed / 1000)).toFixed(1)} MB/s`, `${frames.longest.toFixed(0)} ms`, String(frames.janky)]) {
+		const cell = document.createElement('td');
+		cell.textContent = text;
+		row.appendChild(cell)
+	}
+	document.getElementById('bench-results').appendChild(row)
+}
+
+document.getElementById('bench-run').addEventListener('click', async (event) => {
+	const button = event.currentTarget;
+	const status = document.getElementById('bench-status');
+	const size = Number(document.getElementById('bench-size').value);
+	const count = Math.max(1, Math.min(500, Number(document.getElementById('bench-count').value) || 1));
+	button.disabled = true;
+	document.getElementById('bench-results').innerHTML = '';
+	try {
+		status.textContent = 'Main thread… / 主线程…';
+		await measure('Main thread / 主线程', runMainThread, size, count);
+		// Warm the workers up so their start-up is not counted
+		// 预热 Worker，使其启动时间不计入结果
+		await runInPool({
+			op: 'seal',
+			cipher: 'chacha20poly1305',
+			key: randomBytes(32),
+			nonce: randomBytes(12),
+			data: randomBytes(16)
+		});
+		status.textContent = 'Worker pool… / Worker 池…';
+		await measure(`Worker pool (${getCryptoPoolSize()}) / Worker 池`, runWorkers, size, count);
+		status.textContent = ''
+	} catch (error) {
+		status.textContent = error.message
+	} finally {
+		button.disabled = false
+	}
+});
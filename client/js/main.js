@@ -51,7 +51,8 @@ import {
 import {
 	roomsData,         // 当前所有房间的数据 / Data of all rooms
 	activeRoomIndex,   // 当前激活的房间索引 / Index of the active room
-	joinRoom           // 加入房间的函数 / Function to join a room
+	joinRoom,          // 加入房间的函数 / Function to join a room
+	getPostRestrictionMessage // 房间角色禁止发言的原因 / Why the room roles do not let us post
 } from './room.js';
 
 // 从 chat.js 中导入聊天功能相关的函数
@@ -191,6 +192,13 @@ window.addEventListener('DOMContentLoaded', () => {
 		const rd = roomsData[activeRoomIndex]; // 当前房间数据 / Current room data
 		
 		if (rd && rd.chat) {
+			// 房间角色规则（禁言、公告模式、慢速模式）禁止发送时提示原因
+			// Explain why when the room roles (mute, announcement mode, slow mode) do not let us post
+			const restriction = getPostRestrictionMessage(rd, (images.length > 0 ? 'image' : 'text') + (rd.privateChatTargetId ? '_private' : ''));
+			if (restriction) {
+				addSystemMsg(restriction);
+				return;
+			}
 			if (images.length > 0) {
 				// 发送包含图片的消息 (支持多图和文字合并)
 				// Send message with images (supports multiple images and text combined)
@@ -200,30 +208,20 @@ window.addEventListener('DOMContentLoaded', () => {
 				};
 
 				if (rd.privateChatTargetId) {
-					// 私聊图片消息加密并发送
-					// Encrypt and send private image message
-					const targetClient = rd.chat.channel[rd.privateChatTargetId];
-					if (targetClient && targetClient.shared) {
-						const clientMessagePayload = {
-							a: 'm',
-							t: 'image_private',
-							d: messageContent
-						};
-						const encryptedClientMessage = rd.chat.encryptClientMessage(clientMessagePayload, targetClient.shared);
-						const serverRelayPayload = {
-							a: 'c',
-							p: encryptedClientMessage,
-							c: rd.privateChatTargetId
-						};
-						const encryptedMessageForServer = rd.chat.encryptServerMessage(serverRelayPayload, rd.chat.serverShared);						rd.chat.sendMessage(encryptedMessageForServer);
-						addMsg(messageContent, false, 'image_private');
-					} else {
-						addSystemMsg(`${t('system.private_message_failed', 'Cannot send private message to')} ${rd.privateChatTargetName}. ${t('system.user_not_connected', 'User might not be fully connected.')}`)
-					}
+					// 私聊图片消息在加密 Worker 池中加密并发送
+					// Encrypt private image message in the crypto worker pool and send it
+					const targetName = rd.privateChatTargetName;
+					rd.chat.sendClientMessageAsync(rd.privateChatTargetId, 'image_private', messageContent).then(sent => {
+						if (sent) {
+							addMsg(messageContent, false, 'image_private');
+						} else {
+							addSystemMsg(`${t('system.private_message_failed', 'Cannot send private message to')} ${targetName}. ${t('system.user_not_connected', 'User might not be fully connected.')}`)
+						}
+					});
 				} else {
-					// 公共频道图片消息发送
-					// Send image message to public channel
-					rd.chat.sendChannelMessage('image', messageContent);
+					// 公共频道图片消息在加密 Worker 池中加密并发送
+					// Encrypt image message for the public channel in the crypto worker pool and send it
+					rd.chat.sendChannelMessageAsync('image', messageContent);
 					addMsg(messageContent, false, 'image');
 				}
 				
@@ -234,21 +232,8 @@ window.addEventListener('DOMContentLoaded', () => {
 				if (rd.privateChatTargetId) {
 					// 私聊消息加密并发送
 					// Encrypt and send private message
-					const targetClient = rd.chat.channel[rd.privateChatTargetId];
-					if (targetClient && targetClient.shared) {
-						const clientMessagePayload = {
-							a: 'm',
-							t: 'text_private',
-							d: text
-						};
-						const encryptedClientMessage = rd.chat.encryptClientMessage(clientMessagePayload, targetClient.shared);
-						const serverRelayPayload = {
-							a: 'c',
-							p: encryptedClientMessage,
-							c: rd.privateChatTargetId
-						};
-						const encryptedMessageForServer = rd.chat.encryptServerMessage(serverRelayPayload, rd.chat.serverShared);
-						rd.chat.sendMessage(encryptedMessageForServer);					addMsg(text, false, 'text_private');
+					if (rd.chat.sendClientMessage(rd.privateChatTargetId, 'text_private', text)) {
+						addMsg(text, false, 'text_private');
 					} else {
 						addSystemMsg(`${t('system.private_message_failed', 'Cannot send private message to')} ${rd.privateChatTargetName}. ${t('system.user_not_connected', 'User might not be fully connected.')}`)
 					}
@@ -278,6 +263,7 @@ window.addEventListener('DOMContentLoaded', () => {
 	
 	// 设置发送文件功能
 	// Setup file sending functionality
+	const blockedFiles = new Set();
 	setupFileSend({
 		inputSelector: '.input-message-input', // 消息输入框选择器 / Message input selector
 		attachBtnSelector: '.chat-attach-btn', // 附件按钮选择器 / Attach button selector
@@ -287,35 +273,37 @@ window.addEventListener('DOMContentLoaded', () => {
 			if (rd && rd.chat) {
 				const userName = rd.myUserName || '';
 				const msgWithUser = { ...message, userName };
+				// 开头被房间角色规则拦下的文件，其余分卷也不再发送
+				// The rest of a file whose start the room roles held back is not sent either
+				if (blockedFiles.has(msgWithUser.fileId)) {
+					return;
+				}
+				const restriction = msgWithUser.type === 'file_start' ? getPostRestrictionMessage(rd, msgWithUser.type + (rd.privateChatTargetId ? '_private' : '')) : null;
+				if (restriction) {
+					blockedFiles.add(msgWithUser.fileId);
+					addSystemMsg(restriction);
+					return;
+				}
 				if (rd.privateChatTargetId) {
-					// 私聊文件加密并发送
-					// Encrypt and send private file message
-					const targetClient = rd.chat.channel[rd.privateChatTargetId];
-					if (targetClient && targetClient.shared) {
-						const clientMessagePayload = {
-							a: 'm',
-							t: msgWithUser.type + '_private',
-							d: msgWithUser
-						};
-						const encryptedClientMessage = rd.chat.encryptClientMessage(clientMessagePayload, targetClient.shared);
-						const serverRelayPayload = {
-							a: 'c',
-							p: encryptedClientMessage,
-							c: rd.privateChatTargetId
-						};
-						const encryptedMessageForServer = rd.chat.encryptServerMessage(serverRelayPayload, rd.chat.serverShared);
-						rd.chat.sendMessage(encryptedMessageForServer);
-						
-						// 添加到自己的聊天记录
-						if (msgWithUser.type === 'file_start') {
+					// 私聊文件在加密 Worker 池中加密并发送
+					// Encrypt private file message in the crypto worker pool and send it
+					const targetName = rd.privateChatTargetName;
+					rd.chat.sendClientMessageAsync(rd.privateChatTargetId, msgWithUser.type + '_private', msgWithUser).then(sent => {
+						if (msgWithUser.type !== 'file_start') {
+							return;
+						}
+						// 发送成功后添加到自己的聊天记录
+						// Add to our own chat once it was sent
+						if (sent) {
 							addMsg(msgWithUser, false, 'file_private');
-						}					} else {
-						addSystemMsg(`${t('system.private_file_failed', 'Cannot send private file to')} ${rd.privateChatTargetName}. ${t('system.user_not_connected', 'User might not be fully connected.')}`)
-					}
+						} else {
+							addSystemMsg(`${t('system.private_file_failed', 'Cannot send private file to')} ${targetName}. ${t('system.user_not_connected', 'User might not be fully connected.')}`)
+						}
+					});
 				} else {
-					// 公共频道文件发送
-					// Send file to public channel
-					rd.chat.sendChannelMessage(msgWithUser.type, msgWithUser);
+					// 公共频道文件在加密 Worker 池中加密并发送
+					// Encrypt file for the public channel in the crypto worker pool and send it
+					rd.chat.sendChannelMessageAsync(msgWithUser.type, msgWithUser);
 					
 					// 添加到自己的聊天记录
 					if (msgWithUser.type === 'file_start') {
@@ -21,9 +21,42 @@ import {
 	createElement
 } from './util.dom.js';
 import { t } from './util.i18n.js';
+import {
+	checkVerifiedPeer,
+	confirmServerKeyChange
+} from './util.verify.js';
+import {
+	loadIdentity,
+	checkIdentityBinding,
+	rememberIdentity
+} from './util.identity.js';
 let roomsData = [];
 let activeRoomIndex = -1;
 
+// Apply a new padding policy to every open room
+// 将新的填充策略应用到所有已打开的房间
+window.addEventListener('paddingChange', (e) => {
+	roomsData.forEach(rd => {
+		if (rd.chat) rd.chat.setPaddingPolicy(e.detail)
+	})
+});
+
+// Apply the hybrid key agreement setting to every open room
+// 将混合密钥协商设置应用到所有已打开的房间
+window.addEventListener('hybridChange', (e) => {
+	roomsData.forEach(rd => {
+		if (rd.chat) rd.chat.setHybrid(e.detail)
+	})
+});
+
+// Apply the cover traffic policy to every open room
+// 将掩护流量策略应用到所有已打开的房间
+window.addEventListener('coverChange', (e) => {
+	roomsData.forEach(rd => {
+		if (rd.chat) rd.chat.setCoverPolicy(e.detail)
+	})
+});
+
 // Get a new room data object
 // 获取一个新的房间数据对象
 export function getNewRoomData() {
@@ -37,6 +70,12 @@ export function getNewRoomData() {
 		messages: [],
 		prevUserList: [],
 		knownUserIds: new Set(),
+		verifiedPeers: {},
+		keyChangedPeers: new Set(),
+		identityStatus: {},
+		knockRequests: [],
+		knockWaiting: null,
+		passwordPrompt: null,
 		unreadCount: 0,
 		privateChatTargetId: null,
 		privateChatTargetName: null
@@ -94,7 +133,7 @@ export function renderRooms(activeId = 0) {
 
 // Join a room
 // 加入一个房间
-export function joinRoom(userName, roomName, password, modal = null, onResult) {
+export function joinRoom(userName, roomName, password, modal = null, onResult, invite = null) {
 	const newRd = getNewRoomData();
 	newRd.roomName = roomName;
 	newRd.myUserName = userName;
@@ -114,6 +153,7 @@ export function joinRoom(userName, roomName, password, modal = null, onResult) {
 				onResult(false)
 			}
 		},		onServerSecured: () => {
+			closeKnockWaiting(newRd);
 			if (modal) modal.remove();
 			else {
 				const loginContainer = $id('login-container');
@@ -132,10 +172,26 @@ export function joinRoom(userName, roomName, password, modal = null, onResult) {
 		onClientSecured: (user) => handleClientSecured(idx, user),
 		onClientList: (list, selfId) => handleClientList(idx, list, selfId),
 		onClientLeft: (clientId) => handleClientLeft(idx, clientId),
-		onClientMessage: (msg) => handleClientMessage(idx, msg)
+		onClientMessage: (msg) => handleClientMessage(idx, msg),
+		onClientRejected: (info) => handleClientRejected(idx, info),
+		onServerKeyChanged: (info) => confirmServerKeyChange(info),
+		onPasswordChanged: (info) => handlePasswordChanged(idx, info),
+		onPasswordProposed: (info) => handlePasswordProposed(idx, info),
+		onMembershipMismatch: (info) => handleMembershipMismatch(idx, info),
+		onKnockPending: () => openKnockWaiting(newRd, () => {
+			if (onResult && !closed) {
+				closed = true;
+				onResult(false)
+			}
+		}),
+		onKnockRequests: (requests) => handleKnockRequests(idx, requests),
+		onKnockModeChanged: (info) => handleKnockModeChanged(idx, info),
+		onRolesChanged: (info) => handleRolesChanged(idx, info)
 	};
 	const chatInst = new window.NodeCrypt(window.config, callbacks);
 	chatInst.setCredentials(userName, roomName, password);
+	chatInst.setIdentity(loadIdentity());
+	chatInst.setInvite(invite);
 	chatInst.connect();
 	roomsData[idx].chat = chatInst
 }
@@ -175,6 +231,40 @@ export function handleClientSecured(idx, user) {
 	const rd = roomsData[idx];
 	if (!rd) return;
 	rd.userMap[user.clientId] = user;
+	const identityStatus = checkIdentityBinding(user.identity, user.username);
+	rd.identityStatus[user.clientId] = identityStatus;
+	if (identityStatus === 'new') rememberIdentity(user.identity, user.username);
+	if (identityStatus === 'changed' || identityStatus === 'unsigned') {
+		const msg = identityStatus === 'changed' ?
+			`⚠️ ${user.username}: ${t('system.identity_changed', 'this name was used by a different identity key before. It may be someone else using the same name.')}` :
+			`⚠️ ${user.username}: ${t('system.identity_unsigned', 'this name was signed by an identity key before, but comes without one now. It may be someone else using the same name.')}`;
+		rd.messages.push({
+			type: 'system',
+			text: msg
+		});
+		if (activeRoomIndex === idx) addSystemMsg(msg, true)
+	}
+	const verifiedStatus = checkVerifiedPeer(rd, user);
+	if (verifiedStatus === 'session') {
+		const name = user.userName || user.username || user.name || t('ui.anonymous', 'Anonymous');
+		const msg = `ℹ️ ${name}: ${t('system.verified_new_session', 'reconnected with new session keys, so the safety number is new. Verify again to keep them marked as verified.')}`;
+		rd.messages.push({
+			type: 'system',
+			text: msg
+		});
+		if (activeRoomIndex === idx) addSystemMsg(msg, true)
+	} else if (verifiedStatus === 'changed') {
+		const name = user.userName || user.username || user.name || t('ui.anonymous', 'Anonymous');
+		const msg = `🚨 ${name}: ${t('system.verified_key_changed', 'the identity key of this verified member has changed. Someone may be impersonating them or intercepting the conversation. Verify again before trusting it.')}`;
+		rd.messages.push({
+			type: 'system',
+			text: msg
+		});
+		if (activeRoomIndex === idx) addSystemMsg(msg, true);
+		if (window.notifyMessage) {
+			window.notifyMessage(rd.roomName, 'system', msg)
+		}
+	}
 	const existingUserIndex = rd.userList.findIndex(u => u.clientId === user.clientId);
 	if (existingUserIndex === -1) {
 		rd.userList.push(user)
@@ -337,6 +427,210 @@ export function handleClientMessage(idx, msg) {
 	}
 }
 
+// Handle a frame from a peer that was dropped by NodeCrypt
+// 处理被 NodeCrypt 丢弃的对等方消息帧
+export function handleClientRejected(idx, info) {
+	const rd = roomsData[idx];
+	if (!rd) return;
+	const user = rd.userMap[info.clientId];
+	const name = info.username || (user ? (user.userName || user.username || user.name) : '') || t('ui.anonymous', 'Anonymous');
+	const msg = info.reason === 'replay' ?
+		`⚠️ ${name}: ${t('system.replay_rejected', 'a message was replayed, or arrived much later than earlier messages from this member, and was dropped. The relay may be replaying or holding back messages, or the clock of this member changed.')}` :
+		info.reason === 'invite' ?
+		`⚠️ ${name}: ${t('system.invite_rejected', 'tried to join with an invite link that is expired, already used or forged, and was refused.')}` :
+		info.reason === 'invite_refused' ?
+		`⚠️ ${name}: ${t('system.invite_refused', 'refused your invite link because it is expired or was already used. Ask a member for a new one.')}` :
+		info.reason === 'downgrade' ?
+		`🚨 ${name}: ${t('system.downgrade_rejected', 'the protocol versions you exchanged were changed on the way, pushing you to an older protocol. The connection was refused; the relay may be attacking the encryption.')}` :
+		info.reason === 'password' ?
+		`⚠️ ${name}: ${t('system.password_rejected', 'uses a different room password, so no messages can be exchanged.')}` :
+		`⚠️ ${name}: ${t('system.integrity_failure', 'a message failed its integrity check and was dropped. The relay may be tampering with traffic.')}`;
+	rd.messages.push({
+		type: 'system',
+		text: msg
+	});
+	if (activeRoomIndex === idx) addSystemMsg(msg, true)
+}
+
+// Handle a room password change, proposed by us or passed on by a member
+// 处理房间密码变更，由我们发起或由成员转发
+export function handlePasswordChanged(idx, info) {
+	const rd = roomsData[idx];
+	if (!rd) return;
+	rd.password = info.password;
+	const msg = info.username ?
+		`🔑 ${info.username}: ${t('system.password_changed_by', 'changed the room password. Share links now use the new password.')}` :
+		`🔑 ${t('system.password_changed', 'The room password was changed. Share links now use the new password.')}`;
+	rd.messages.push({
+		type: 'system',
+		text: msg
+	});
+	if (activeRoomIndex === idx) addSystemMsg(msg, true)
+}
+
+// Ask whether to switch to the room password a member proposed. A later proposal replaces the open dialog
+// 询问是否切换到成员提议的房间密码。新的提议会替换已打开的对话框
+export function handlePasswordProposed(idx, info) {
+	const rd = roomsData[idx];
+	if (!rd) return;
+	if (rd.passwordPrompt) rd.passwordPrompt.remove();
+	const name = info.username || t('ui.anonymous', 'Anonymous');
+	const modal = createElement('div', {
+		class: 'login-modal verify-modal'
+	}, `<div class="login-modal-bg"></div><div class="login-modal-card verify-card"><h2>${t('action.password_proposed_title', '🔑 New room password proposed')}</h2><p class="verify-desc">${t('action.password_proposed_desc', '{name} wants to change the room password. If you accept, you switch to it and pass it on to the others, and newcomers need the new password. Decline if you did not expect this change.').replace('{name}', escapeHTML(name))}</p><button class="login-btn password-decline-btn">${t('action.password_decline', 'Keep the current password')}</button><button class="verify-trust-btn password-accept-btn">${t('action.password_accept', 'Accept the new password')}</button></div>`);
+	document.body.appendChild(modal);
+	rd.passwordPrompt = modal;
+	const finish = (accepted) => {
+		modal.remove();
+		if (rd.passwordPrompt === modal) rd.passwordPrompt = null;
+		if (!rd.chat) return;
+		if (accepted) {
+			rd.chat.acceptPasswordProposal();
+			return
+		}
+		rd.chat.declinePasswordProposal();
+		const msg = `🔑 ${name}: ${t('system.password_declined', 'proposed a new room password, which you declined. Members who switch can still talk to you, but newcomers with the new password cannot.')}`;
+		rd.messages.push({
+			type: 'system',
+			text: msg
+		});
+		if (activeRoomIndex === idx) addSystemMsg(msg, true)
+	};
+	modal.querySelector('.password-decline-btn').onclick = () => finish(false);
+	modal.querySelector('.password-accept-btn').onclick = () => finish(true)
+}
+
+// Warn that a member sees a different member list than we do
+// 警告某成员看到的成员列表与我们不同
+export function handleMembershipMismatch(idx, info) {
+	const rd = roomsData[idx];
+	if (!rd) return;
+	const name = info.username || t('ui.anonymous', 'Anonymous');
+	const msg = `🚨 ${name}: ${t('system.membership_mismatch', 'sees a different member list than you ({theirs} members, you see {ours}). The relay may be hiding members from some of you or adding a hidden listener.').replace('{theirs}', info.peerMembers).replace('{ours}', info.members)}`;
+	rd.messages.push({
+		type: 'system',
+		text: msg
+	});
+	if (activeRoomIndex === idx) addSystemMsg(msg, true);
+	if (window.notifyMessage) {
+		window.notifyMessage(rd.roomName, 'system', msg)
+	}
+}
+
+// Show the waiting screen while members decide whether to let us in. Cancelling leaves the room
+// 在成员决定是否接纳我们时显示等待界面。取消则离开房间
+function openKnockWaiting(rd, onCancel) {
+	if (rd.knockWaiting) return;
+	const modal = createElement('div', {
+		class: 'login-modal knock-waiting'
+	}, `<div class="login-modal-bg"></div><div class="login-modal-card"><h1>#${escapeHTML(rd.roomName)}</h1><div class="knock-waiting-spinner"></div><p class="verify-desc">${t('knock.waiting', 'This room asks members to approve newcomers. You will enter as soon as a member lets you in.')}</p><button class="login-btn knock-cancel-btn">${t('knock.cancel', 'Cancel')}</button></div>`);
+	document.body.appendChild(modal);
+	rd.knockWaiting = modal;
+	modal.querySelector('.knock-cancel-btn').onclick = () => {
+		closeKnockWaiting(rd);
+		if (rd.chat) rd.chat.destruct();
+		rd.chat = null;
+		const index = roomsData.indexOf(rd);
+		if (index >= 0) roomsData.splice(index, 1);
+		if (roomsData.length > 0) switchRoom(0);
+		onCancel()
+	}
+}
+
+// Remove the waiting screen
+// 移除等待界面
+function closeKnockWaiting(rd) {
+	if (!rd.knockWaiting) return;
+	rd.knockWaiting.remove();
+	rd.knockWaiting = null
+}
+
+// Show newcomers waiting for approval in the member list, announcing each new one
+// 在成员列表中显示等待批准的新加入者，并提示每位新到来者
+export function handleKnockRequests(idx, requests) {
+	const rd = roomsData[idx];
+	if (!rd) return;
+	const known = new Set(rd.knockRequests.map(r => r.clientId));
+	rd.knockRequests = requests;
+	for (const request of requests) {
+		if (known.has(request.clientId)) continue;
+		const msg = `🚪 ${request.username}: ${t('system.knock_request', 'wants to join. Approve them in the member list.')}`;
+		rd.messages.push({
+			type: 'system',
+			text: msg
+		});
+		if (activeRoomIndex === idx) addSystemMsg(msg, true);
+		if (window.notifyMessage) {
+			window.notifyMessage(rd.roomName, 'system', msg)
+		}
+	}
+	if (activeRoomIndex === idx) renderUserList(false)
+}
+
+// Announce that join approval was turned on or off
+// 提示加入批准已开启或关闭
+export function handleKnockModeChanged(idx, info) {
+	const rd = roomsData[idx];
+	if (!rd) return;
+	const msg = info.enabled ?
+		`🚪 ${t('system.knock_on', 'Join approval is on: newcomers wait until a member lets them in.')}` :
+		`🚪 ${t('system.knock_off', 'Join approval is off: anyone with the password can join.')}`;
+	rd.messages.push({
+		type: 'system',
+		text: msg
+	});
+	if (activeRoomIndex === idx) {
+		addSystemMsg(msg, true);
+		renderMainHeader()
+	}
+}
+
+// Announce changes to the room roles and modes
+// 提示房间角色和模式的变更
+export function handleRolesChanged(idx, info) {
+	const rd = roomsData[idx];
+	if (!rd) return;
+	for (const change of info.changes) {
+		const name = change.target || t('ui.anonymous', 'Anonymous');
+		let msg;
+		if (change.type === 'moderator') {
+			msg = change.self ? `🛡️ ${t('roles.you_moderator', 'You are now a moderator.')}` : `🛡️ ${name} ${t('roles.moderator', 'is now a moderator.')}`
+		} else if (change.type === 'unmoderator') {
+			msg = change.self ? `🛡️ ${t('roles.you_unmoderator', 'You are no longer a moderator.')}` : `🛡️ ${name} ${t('roles.unmoderator', 'is no longer a moderator.')}`
+		} else if (change.type === 'kick') {
+			msg = change.self ? `🚫 ${t('roles.you_kicked', 'You were removed from this room by a moderator. Members no longer receive your messages.')}` : `🚫 ${name} ${t('roles.kicked', 'was removed from the room.')}`
+		} else if (change.type === 'mute') {
+			msg = change.self ? `🔇 ${t('roles.you_muted', 'You were muted by a moderator.')}` : `🔇 ${name} ${t('roles.muted', 'was muted.')}`
+		} else if (change.type === 'unmute') {
+			msg = change.self ? `🔈 ${t('roles.you_unmuted', 'You can post again.')}` : `🔈 ${name} ${t('roles.unmuted', 'can post again.')}`
+		} else if (change.type === 'slow') {
+			msg = change.value > 0 ? `🐢 ${t('roles.slow_on', 'Slow mode is on: members can post once every {seconds} seconds.').replace('{seconds}', change.value)}` : `🐢 ${t('roles.slow_off', 'Slow mode is off.')}`
+		} else if (change.type === 'announce') {
+			msg = change.value ? `📢 ${t('roles.announce_on', 'Announcement mode is on: only the owner and moderators can post to the room.')}` : `📢 ${t('roles.announce_off', 'Announcement mode is off.')}`
+		} else if (change.type === 'owner_conflict') {
+			msg = `⚠️ ${info.username || name}: ${t('roles.owner_conflict', 'sent a role list signed by a different room owner. The owner you learned first is kept; the relay or this member may be trying to take over the room.')}`
+		}
+		if (!msg) continue;
+		rd.messages.push({
+			type: 'system',
+			text: msg
+		});
+		if (activeRoomIndex === idx) addSystemMsg(msg, true)
+	}
+	if (activeRoomIndex === idx) renderUserList(false)
+}
+
+// Explain why we cannot post a message of this type to the room, null when we can
+// 说明为何无法向房间发送此类型的消息，可以发送时返回 null
+export function getPostRestrictionMessage(rd, type) {
+	const restriction = rd && rd.chat ? rd.chat.getPostRestriction(type) : null;
+	if (restriction === 'kicked') return t('roles.blocked_kicked', 'You were removed from this room.');
+	if (restriction === 'muted') return t('roles.blocked_muted', 'You are muted in this room.');
+	if (restriction === 'announce') return t('roles.blocked_announce', 'Only the owner and moderators can post in announcement mode.');
+	if (restriction === 'slow') return t('roles.blocked_slow', 'Slow mode: you can post once every {seconds} seconds.').replace('{seconds}', rd.chat.getRoomModes().slow);
+	return null
+}
+
 // Toggle private chat with a user
 // 切换与某用户的私聊
 export function togglePrivateChat(targetId, targetName) {
@@ -25,22 +25,24 @@ import {
 import {
 	updateChatInputStyle
 } from './chat.js';
+import {
+	isPeerVerified,
+	isPeerKeyChanged,
+	openVerifyModal
+} from './util.verify.js';
+import {
+	openInviteModal,
+	readInviteLink
+} from './util.invite.js';
+import {
+	trustIdentity
+} from './util.identity.js';
 
 // Utility functions for security and error handling
 // 安全和错误处理工具函数
 
-// Simple encryption/decryption using base64 and character shifting
-// 使用base64和字符偏移的简单加密/解密
-function simpleEncrypt(text) {
-	if (!text) return '';
-	// Convert to base64 and shift characters
-	const base64 = btoa(unescape(encodeURIComponent(text)));
-	return base64.split('').map(char => {
-		const code = char.charCodeAt(0);
-		return String.fromCharCode(code + 3);
-	}).join('');
-}
-
+// Decode the base64 and character shifting of old share links
+// 解码旧分享链接中的 base64 和字符偏移
 function simpleDecrypt(encrypted) {
 	if (!encrypted) return '';
 	try {
@@ -107,6 +109,15 @@ function executeMenuAction(action, closeMenuCallback) {
 			case 'share':
 				handleShareAction();
 				break;
+			case 'password':
+				handleChangePasswordAction();
+				break;
+			case 'rekey':
+				handleRekeyAction();
+				break;
+			case 'knock':
+				handleKnockAction();
+				break;
 			case 'exit':
 				handleExitAction();
 				break;
@@ -121,6 +132,57 @@ function executeMenuAction(action, closeMenuCallback) {
 	}
 }
 
+// Handle rekey action: run a fresh key exchange with every member of the current room
+// 处理刷新密钥操作：与当前房间的每位成员重新进行密钥交换
+function handleRekeyAction() {
+	const rd = roomsData[activeRoomIndex];
+	if (!rd || !rd.chat) return;
+	const count = rd.chat.rekeyAll();
+	if (count > 0) {
+		window.addSystemMsg && window.addSystemMsg(t('action.rekey_started', 'Refreshing keys with {count} members.').replace('{count}', count))
+	} else {
+		window.addSystemMsg && window.addSystemMsg(t('action.rekey_none', 'No members can refresh keys right now.'))
+	}
+}
+
+// Handle join approval action: turn approval of newcomers on or off for the whole room
+// 处理加入批准操作：为整个房间开启或关闭新加入者批准
+function handleKnockAction() {
+	const rd = roomsData[activeRoomIndex];
+	if (!rd || !rd.chat) return;
+	const enabled = !rd.chat.getKnockMode();
+	rd.chat.setKnockMode(enabled);
+	window.addSystemMsg && window.addSystemMsg(enabled ?
+		`🚪 ${t('system.knock_on', 'Join approval is on: newcomers wait until a member lets them in.')}` :
+		`🚪 ${t('system.knock_off', 'Join approval is off: anyone with the password can join.')}`);
+	renderMainHeader()
+}
+
+// Handle change password action: ask for a new room password and rotate it for every member
+// 处理更换密码操作：输入新的房间密码并为所有成员轮换
+function handleChangePasswordAction() {
+	const rd = roomsData[activeRoomIndex];
+	if (!rd || !rd.chat) return;
+	const modal = document.createElement('div');
+	modal.className = 'login-modal';
+	modal.innerHTML = `<div class="login-modal-bg"></div><div class="login-modal-card"><button class="login-modal-close login-modal-close-abs">&times;</button><h1>${t('action.change_password', 'Change room password')}</h1><form id="password-form-modal"><div class="input-group"><input id="new-password-modal" type="password" autocomplete="off" required minlength="1" maxlength="15" placeholder=""><label for="new-password-modal" class="floating-label">${t('ui.new_password', 'New Node Password')}</label></div><button type="submit" class="login-btn">${t('action.change_password_submit', 'CHANGE')}</button></form></div>`;
+	document.body.appendChild(modal);
+	modal.querySelector('.login-modal-close').onclick = () => modal.remove();
+	const input = modal.querySelector('#new-password-modal');
+	preventSpaceInput(input);
+	modal.querySelector('#password-form-modal').addEventListener('submit', async function(e) {
+		e.preventDefault();
+		const password = input.value.trim();
+		if (!password) return;
+		modal.querySelector('.login-btn').disabled = true;
+		const changed = await rd.chat.rotatePassword(password);
+		modal.remove();
+		if (!changed) {
+			window.addSystemMsg && window.addSystemMsg(t('action.change_password_failed', 'The password was not changed: some members use an older client.'))
+		}
+	})
+}
+
 // Handle share action
 // 处理分享操作
 function handleShareAction() {
@@ -131,20 +193,11 @@ function handleShareAction() {
 	}
 
 	const rd = roomsData[activeRoomIndex];
-	const roomName = rd.roomName.trim();
-	const password = rd.password || '';
-	
-	// Encrypt room name and password
-	const encryptedRoom = simpleEncrypt(roomName);
-	const encryptedPwd = password ? simpleEncrypt(password) : '';
-	
-	// Create share URL with encrypted data
-	let url = `${location.origin}${location.pathname}?r=${encodeURIComponent(encryptedRoom)}`;
-	if (encryptedPwd) {
-		url += `&p=${encodeURIComponent(encryptedPwd)}`;
-	}
-	
-	copyToClipboard(url, t('action.share_copied', 'Share link copied!'), t('action.copy_url_failed', 'Copy failed, url:'));
+	if (!rd.chat) return;
+
+	// Show an invite link and QR code; the room secrets stay in the fragment
+	// 显示邀请链接和二维码；房间密钥保留在 URL 片段中
+	openInviteModal(rd, url => copyToClipboard(url, t('action.share_copied', 'Share link copied!'), t('action.copy_url_failed', 'Copy failed, url:')));
 }
 
 // Handle exit action
@@ -172,7 +225,7 @@ export function renderMainHeader() {
 		onlineCount += 1
 	}
 	const safeRoomName = escapeHTML(roomName);
-	$id("main-header").innerHTML = `<button class="mobile-menu-btn"id="mobile-menu-btn"aria-label="Open Sidebar"><svg width="35px"height="35px"viewBox="0 0 24 24"fill="none"xmlns="http://www.w3.org/2000/svg"><g id="SVGRepo_bgCarrier"stroke-width="0"></g><g id="SVGRepo_tracerCarrier"stroke-linecap="round"stroke-linejoin="round"></g><g id="SVGRepo_iconCarrier"><path fill-rule="evenodd"clip-rule="evenodd"d="M21.4498 10.275L11.9998 3.1875L2.5498 10.275L2.9998 11.625H3.7498V20.25H20.2498V11.625H20.9998L21.4498 10.275ZM5.2498 18.75V10.125L11.9998 5.0625L18.7498 10.125V18.75H14.9999V14.3333L14.2499 13.5833H9.74988L8.99988 14.3333V18.75H5.2498ZM10.4999 18.75H13.4999V15.0833H10.4999V18.75Z"fill="#808080"></path></g></svg></button><div class="main-header-center"id="main-header-center"><div class="main-header-flex"><div class="group-title group-title-bold">#${safeRoomName}</div><span class="main-header-members">${onlineCount} ${t('ui.members', 'members')}</span></div></div><div class="main-header-actions"><button class="more-btn"id="more-btn"aria-label="More Options"><svg width="35px"height="35px"viewBox="0 0 24 24"fill="none"xmlns="http://www.w3.org/2000/svg"><g id="SVGRepo_bgCarrier"stroke-width="0"></g><g id="SVGRepo_tracerCarrier"stroke-linecap="round"stroke-linejoin="round"></g><g id="SVGRepo_iconCarrier"><circle cx="12"cy="6"r="1.5"fill="#808080"></circle><circle cx="12"cy="12"r="1.5"fill="#808080"></circle><circle cx="12"cy="18"r="1.5"fill="#808080"></circle></g></svg></button><button class="mobile-info-btn"id="mobile-info-btn"aria-label="Open Members"><svg width="35px"height="35px"viewBox="0 0 24 24"fill="none"xmlns="http://www.w3.org/2000/svg"><g id="SVGRepo_bgCarrier"stroke-width="0"></g><g id="SVGRepo_tracerCarrier"stroke-linecap="round"stroke-linejoin="round"></g><g id="SVGRepo_iconCarrier"><path fill-rule="evenodd"clip-rule="evenodd"d="M16.0603 18.307C14.89 19.0619 13.4962 19.5 12 19.5C10.5038 19.5 9.10996 19.0619 7.93972 18.307C8.66519 16.7938 10.2115 15.75 12 15.75C13.7886 15.75 15.3349 16.794 16.0603 18.307ZM17.2545 17.3516C16.2326 15.5027 14.2632 14.25 12 14.25C9.73663 14.25 7.76733 15.5029 6.74545 17.3516C5.3596 15.9907 4.5 14.0958 4.5 12C4.5 7.85786 7.85786 4.5 12 4.5C16.1421 4.5 19.5 7.85786 19.5 12C19.5 14.0958 18.6404 15.9908 17.2545 17.3516ZM21 12C21 16.9706 16.9706 21 12 21C7.02944 21 3 16.9706 3 12C3 7.02944 7.02944 3 12 3C16.9706 3 21 7.02944 21 12ZM12 12C13.2426 12 14.25 10.9926 14.25 9.75C14.25 8.50736 13.2426 7.5 12 7.5C10.7574 7.5 9.75 8.50736 9.75 9.75C9.75 10.9926 10.7574 12 12 12ZM12 13.5C14.0711 13.5 15.75 11.8211 15.75 9.75C15.75 7.67893 14.0711 6 12 6C9.92893 6 8.25 7.67893 8.25 9.75C8.25 11.8211 9.92893 13.5 12 13.5Z"fill="#808080"></path></g></svg></button><div class="more-menu"id="more-menu"><div class="more-menu-item"data-action="share">${t('action.share', 'Share')}</div><div class="more-menu-item"data-action="exit">${t('action.exit', 'Quit')}</div></div></div>`;
+	$id("main-header").innerHTML = `<button class="mobile-menu-btn"id="mobile-menu-btn"aria-label="Open Sidebar"><svg width="35px"height="35px"viewBox="0 0 24 24"fill="none"xmlns="http://www.w3.org/2000/svg"><g id="SVGRepo_bgCarrier"stroke-width="0"></g><g id="SVGRepo_tracerCarrier"stroke-linecap="round"stroke-linejoin="round"></g><g id="SVGRepo_iconCarrier"><path fill-rule="evenodd"clip-rule="evenodd"d="M21.4498 10.275L11.9998 3.1875L2.5498 10.275L2.9998 11.625H3.7498V20.25H20.2498V11.625H20.9998L21.4498 10.275ZM5.2498 18.75V10.125L11.9998 5.0625L18.7498 10.125V18.75H14.9999V14.3333L14.2499 13.5833H9.74988L8.99988 14.3333V18.75H5.2498ZM10.4999 18.75H13.4999V15.0833H10.4999V18.75Z"fill="#808080"></path></g></svg></button><div class="main-header-center"id="main-header-center"><div class="main-header-flex"><div class="group-title group-title-bold">#${safeRoomName}</div><span class="main-header-members">${onlineCount} ${t('ui.members', 'members')}</span></div></div><div class="main-header-actions"><button class="more-btn"id="more-btn"aria-label="More Options"><svg width="35px"height="35px"viewBox="0 0 24 24"fill="none"xmlns="http://www.w3.org/2000/svg"><g id="SVGRepo_bgCarrier"stroke-width="0"></g><g id="SVGRepo_tracerCarrier"stroke-linecap="round"stroke-linejoin="round"></g><g id="SVGRepo_iconCarrier"><circle cx="12"cy="6"r="1.5"fill="#808080"></circle><circle cx="12"cy="12"r="1.5"fill="#808080"></circle><circle cx="12"cy="18"r="1.5"fill="#808080"></circle></g></svg></button><button class="mobile-info-btn"id="mobile-info-btn"aria-label="Open Members"><svg width="35px"height="35px"viewBox="0 0 24 24"fill="none"xmlns="http://www.w3.org/2000/svg"><g id="SVGRepo_bgCarrier"stroke-width="0"></g><g id="SVGRepo_tracerCarrier"stroke-linecap="round"stroke-linejoin="round"></g><g id="SVGRepo_iconCarrier"><path fill-rule="evenodd"clip-rule="evenodd"d="M16.0603 18.307C14.89 19.0619 13.4962 19.5 12 19.5C10.5038 19.5 9.10996 19.0619 7.93972 18.307C8.66519 16.7938 10.2115 15.75 12 15.75C13.7886 15.75 15.3349 16.794 16.0603 18.307ZM17.2545 17.3516C16.2326 15.5027 14.2632 14.25 12 14.25C9.73663 14.25 7.76733 15.5029 6.74545 17.3516C5.3596 15.9907 4.5 14.0958 4.5 12C4.5 7.85786 7.85786 4.5 12 4.5C16.1421 4.5 19.5 7.85786 19.5 12C19.5 14.0958 18.6404 15.9908 17.2545 17.3516ZM21 12C21 16.9706 16.9706 21 12 21C7.02944 21 3 16.9706 3 12C3 7.02944 7.02944 3 12 3C16.9706 3 21 7.02944 21 12ZM12 12C13.2426 12 14.25 10.9926 14.25 9.75C14.25 8.50736 13.2426 7.5 12 7.5C10.7574 7.5 9.75 8.50736 9.75 9.75C9.75 10.9926 10.7574 12 12 12ZM12 13.5C14.0711 13.5 15.75 11.8211 15.75 9.75C15.75 7.67893 14.0711 6 12 6C9.92893 6 8.25 7.67893 8.25 9.75C8.25 11.8211 9.92893 13.5 12 13.5Z"fill="#808080"></path></g></svg></button><div class="more-menu"id="more-menu"><div class="more-menu-item"data-action="share">${t('action.share', 'Share')}</div><div class="more-menu-item"data-action="password">${t('action.change_password', 'Change room password')}</div><div class="more-menu-item"data-action="knock">${rd && rd.chat && rd.chat.getKnockMode() ? t('action.knock_off', 'Stop asking to approve newcomers') : t('action.knock_on', 'Ask to approve newcomers')}</div><div class="more-menu-item"data-action="rekey">${t('action.rekey', 'Refresh keys with everyone')}</div><div class="more-menu-item"data-action="exit">${t('action.exit', 'Quit')}</div></div></div>`;
 	setupMoreBtnMenu();
 	setupMobileUIHandlers()
 }
@@ -296,6 +349,7 @@ export function renderUserList(updateHeader = false) {
 		tip.textContent = t('ui.start_private_chat', '选择用户开始私信');
 		userListEl.appendChild(tip);
 	}
+	(rd.knockRequests || []).forEach(request => userListEl.appendChild(createKnockItem(rd, request)));
 	if (me) userListEl.appendChild(createUserItem(me, true));
 	others.forEach(u => userListEl.appendChild(createUserItem(u, false)));
 	if (updateHeader) {
@@ -303,6 +357,19 @@ export function renderUserList(updateHeader = false) {
 	}
 }
 
+// Create a member list item for a newcomer waiting for approval
+// 为等待批准的新加入者创建成员列表项
+function createKnockItem(rd, request) {
+	const div = document.createElement('div');
+	div.className = 'member member-knock';
+	div.innerHTML = `<span class="avatar"></span><div class="member-info"><div class="member-name">${escapeHTML(request.username)}</div><div class="member-knock-text">${t('knock.request', 'wants to join')}</div></div><button class="member-knock-btn">${t('knock.approve', 'Let in')}</button>`;
+	div.querySelector('.avatar').innerHTML = createAvatarSVG(request.username).replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '');
+	div.querySelector('.member-knock-btn').onclick = () => {
+		if (rd.chat) rd.chat.approveKnock(request.clientId)
+	};
+	return div
+}
+
 // Create a user list item
 // 创建一个用户列表项
 export function createUserItem(user, isMe) {
@@ -312,7 +379,40 @@ export function createUserItem(user, isMe) {
 	div.className = 'member' + (isMe ? ' me' : '') + (isPrivateTarget ? ' private-chat-active' : '');
 	const rawName = user.userName || user.username || user.name || '';
 	const safeUserName = escapeHTML(rawName);
-	div.innerHTML = `<span class="avatar"></span><div class="member-info"><div class="member-name">${safeUserName}${isMe?t('ui.me', ' (me)'):''}</div></div>`;
+	let badge = '';
+	if (!isMe && isPeerVerified(rd, user)) {
+		badge = `<span class="member-verified" title="${t('verify.verified', 'Verified')}">✔</span>`
+	} else if (!isMe && isPeerKeyChanged(rd, user)) {
+		badge = `<span class="member-key-changed" title="${t('verify.key_changed_badge', 'Key changed')}">⚠️</span>`
+	}
+	const identityStatus = !isMe && rd && rd.identityStatus ? rd.identityStatus[user.clientId] : null;
+	if (identityStatus === 'known') {
+		badge += `<span class="member-identity" title="${t('identity.known_badge', 'Same identity key as last time')}">ID</span>`
+	} else if (identityStatus === 'new') {
+		badge += `<span class="member-identity member-identity-new" title="${t('identity.new_badge', 'First time seeing this identity key')}">ID</span>`
+	} else if (identityStatus === 'changed') {
+		badge += `<span class="member-identity member-identity-changed" title="${t('identity.changed_badge', 'New identity key, same name as someone seen before')}">ID</span>`
+	} else if (identityStatus === 'unsigned') {
+		badge += `<span class="member-identity member-identity-changed" title="${t('identity.unsigned_badge', 'No identity key, but this name had one before')}">ID</span>`
+	}
+	const hybridStatus = !isMe && rd && rd.chat ? rd.chat.getHybridStatus(user.clientId) : null;
+	if (hybridStatus === 'hybrid') {
+		badge += `<span class="member-pq" title="${t('verify.hybrid_badge', 'Post-quantum hybrid keys (X25519 + ML-KEM-768)')}">PQ</span>`
+	} else if (hybridStatus === 'downgraded') {
+		badge += `<span class="member-pq member-pq-downgraded" title="${t('verify.hybrid_downgraded', 'Classic keys only: this member does not support post-quantum key exchange')}">PQ</span>`
+	}
+	const role = rd && rd.chat ? rd.chat.getRole(isMe ? null : user.clientId) : 'member';
+	if (role === 'owner') {
+		badge += `<span class="member-role member-role-owner" title="${t('roles.owner_title', 'Opened this room and appoints moderators')}">${t('roles.owner_badge', 'Owner')}</span>`
+	} else if (role === 'moderator') {
+		badge += `<span class="member-role" title="${t('roles.moderator_title', 'Can mute and kick members and change the room modes')}">${t('roles.moderator_badge', 'Mod')}</span>`
+	}
+	if (rd && rd.chat && rd.chat.isMuted(isMe ? null : user.clientId)) {
+		badge += `<span class="member-muted" title="${t('roles.muted_badge', 'Muted')}">🔇</span>`
+	}
+	const canModerate = rd && rd.chat && rd.chat.canModerate(isMe ? null : user.clientId);
+	const menuBtn = canModerate ? `<button class="member-menu-btn" title="${t('roles.menu', 'Moderation')}">⋯</button>` : '';
+	div.innerHTML = `<span class="avatar"></span><div class="member-info"><div class="member-name">${safeUserName}${isMe?t('ui.me', ' (me)'):''}${badge}</div></div>${identityStatus === 'changed' ? `<button class="member-verify-btn member-identity-trust-btn">${t('identity.trust', 'Trust key')}</button>` : ''}${isMe?'':`<button class="member-verify-btn">${t('verify.action', 'Verify')}</button>`}${menuBtn}`;
 	const avatarEl = div.querySelector('.avatar');
 	if (avatarEl) {
 		const svg = createAvatarSVG(rawName);
@@ -320,11 +420,85 @@ export function createUserItem(user, isMe) {
 		avatarEl.innerHTML = cleanSvg
 	}
 	if (!isMe) {
-		div.onclick = () => togglePrivateChat(user.clientId, safeUserName)
+		div.onclick = () => togglePrivateChat(user.clientId, safeUserName);
+		div.querySelector('.member-verify-btn:not(.member-identity-trust-btn)').onclick = (e) => {
+			e.stopPropagation();
+			openVerifyModal(rd, user, () => renderUserList())
+		}
+	}
+	if (identityStatus === 'changed') {
+		div.querySelector('.member-identity-trust-btn').onclick = (e) => {
+			e.stopPropagation();
+			if (!confirm(t('identity.trust_confirm', 'Trust the new identity key of {name}? Only do this if they told you they changed devices or reset their key. The key seen before under this name is forgotten.').replace('{name}', rawName))) return;
+			trustIdentity(user.identity, user.username);
+			rd.identityStatus[user.clientId] = 'known';
+			renderUserList()
+		}
+	}
+	if (canModerate) {
+		div.querySelector('.member-menu-btn').onclick = (e) => {
+			e.stopPropagation();
+			openMemberMenu(rd, user, isMe, div)
+		}
 	}
 	return div
 }
 
+// Open the moderation menu of a user item: member actions on others, room modes on ourselves
+// 打开用户项的管理菜单：对他人为成员操作，对自己为房间模式
+function openMemberMenu(rd, user, isMe, item) {
+	const open = document.querySelector('.member-menu');
+	if (open) open.remove();
+	const chat = rd.chat;
+	const actions = [];
+	if (isMe) {
+		const modes = chat.getRoomModes();
+		[0, 10, 30, 60].forEach(seconds => actions.push([
+			(modes.slow === seconds ? '✓ ' : '') + (seconds ? t('roles.slow_seconds', 'Slow mode: {seconds} s').replace('{seconds}', seconds) : t('roles.slow_none', 'Slow mode: off')),
+			() => chat.setSlowMode(seconds)
+		]));
+		actions.push([
+			modes.announce ? t('roles.announce_disable', 'Let everyone post') : t('roles.announce_enable', 'Announcement mode'),
+			() => chat.setAnnouncementMode(!modes.announce)
+		])
+	} else {
+		if (chat.getRole() === 'owner') {
+			const isModerator = chat.getRole(user.clientId) === 'moderator';
+			actions.push([
+				isModerator ? t('roles.remove_moderator', 'Remove moderator') : t('roles.make_moderator', 'Make moderator'),
+				() => chat.setModerator(user.clientId, !isModerator)
+			])
+		}
+		const muted = chat.isMuted(user.clientId);
+		actions.push([
+			muted ? t('roles.unmute', 'Unmute') : t('roles.mute', 'Mute'),
+			() => chat.muteMember(user.clientId, !muted)
+		]);
+		actions.push([
+			t('roles.kick', 'Kick'),
+			() => confirm(t('roles.kick_confirm', 'Remove {name} from the room?').replace('{name}', user.username || '')) && chat.kickMember(user.clientId)
+		])
+	}
+	const menu = document.createElement('div');
+	menu.className = 'member-menu';
+	actions.forEach(([label, run]) => {
+		const entry = document.createElement('div');
+		entry.className = 'member-menu-item';
+		entry.textContent = label;
+		entry.onclick = (e) => {
+			e.stopPropagation();
+			menu.remove();
+			run();
+			renderUserList(false)
+		};
+		menu.appendChild(entry)
+	});
+	item.appendChild(menu);
+	setTimeout(() => document.addEventListener('click', () => menu.remove(), {
+		once: true
+	}))
+}
+
 // Setup the 'more' button menu
 // 设置"更多"按钮菜单
 export function setupMoreBtnMenu() {
@@ -452,12 +626,16 @@ export function loginFormHandler(modal) {
 			btn.disabled = true;
 			btn.innerText = t('ui.connecting', 'Connecting...')
 		}
+		const invite = pendingInvite && pendingInvite.room === roomName ? pendingInvite.invite : null;
 		window.joinRoom(userName, roomName, password, modal, function(success) {
+			if (success && invite) {
+				pendingInvite = null
+			}
 			if (!success && btn) {
 				btn.disabled = false;
 				btn.innerText = 'ENTER'
 			}
-		})
+		}, invite)
 	}
 }
 
@@ -505,12 +683,29 @@ export function setupTabs() {
 	}
 }
 
+// Invite read from the link, handed to NodeCrypt when joining its room
+// 从链接读取的邀请，加入对应房间时交给 NodeCrypt
+let pendingInvite = null;
+
 // Autofill room and password from URL
 // 从 URL 自动填充房间和密码
 export function autofillRoomPwd(formPrefix = '') {
 	const params = new URLSearchParams(window.location.search);
 	
-	// Check for new encrypted format first
+	// Invite links keep the room and password in the fragment
+	const invite = readInviteLink();
+	if (invite) {
+		window.history.replaceState({}, '', location.pathname);
+		if (invite.expired) {
+			if (window.addSystemMsg) {
+				window.addSystemMsg(t('system.invite_expired', '⚠️ This invite link has expired. Ask a member for a new one.'), true);
+			}
+			return;
+		}
+		pendingInvite = invite;
+	}
+	
+	// Then the obfuscated query format of older share links
 	const encryptedRoom = params.get('r');
 	const encryptedPwd = params.get('p');
 	
@@ -522,8 +717,11 @@ export function autofillRoomPwd(formPrefix = '') {
 	let pwdValue = '';
 	let isPlaintext = false;
 	
-	if (encryptedRoom) {
-		// New encrypted format
+	if (invite) {
+		roomValue = invite.room;
+		pwdValue = invite.password;
+	} else if (encryptedRoom) {
+		// Obfuscated format
 		roomValue = simpleDecrypt(decodeURIComponent(encryptedRoom));
 		if (encryptedPwd) {
 			pwdValue = simpleDecrypt(decodeURIComponent(encryptedPwd));
@@ -0,0 +1,129 @@
+// Pool of crypto workers so large payloads are encrypted and decrypted off the main thread
+// 加密 Worker 池，使大负载在主线程之外加密和解密
+
+import {
+	runCryptoTask,
+	getTransferables
+} from './util.cryptoTasks.js';
+
+// Most workers in the pool; one core is left to the page
+// 池中 Worker 的最大数量；保留一个核心给页面
+const MAX_WORKERS = 4;
+
+// Running workers as {worker, busy}, and tasks waiting for an answer by id. A waiting task keeps its input
+// unless its buffers were moved to the worker
+// 运行中的 Worker（{worker, busy}），以及按 id 记录的等待结果的任务。缓冲区未被转移时等待中的任务会保留其输入
+const workers = [];
+const pending = new Map();
+let nextId = 0;
+let unavailable = false;
+
+// Number of workers to start for this device
+// 当前设备上启动的 Worker 数量
+function getPoolSize() {
+	const cores = typeof navigator !== 'undefined' && navigator.hardwareConcurrency ? navigator.hardwareConcurrency : 2;
+	return Math.max(1, Math.min(MAX_WORKERS, cores - 1))
+}
+
+// Start the workers on first use; without worker support tasks run on the main thread
+// 首次使用时启动 Worker；不支持 Worker 时任务在主线程执行
+function startWorkers() {
+	if (workers.length > 0 || unavailable) return;
+	if (typeof Worker === 'undefined') {
+		unavailable = true;
+		return
+	}
+	try {
+		for (let i = 0; i < getPoolSize(); i++) {
+			const entry = {
+				worker: new Worker(new URL('./util.cryptoWorker.js', import.meta.url), {
+					type: 'module'
+				}),
+				busy: 0
+			};
+			entry.worker.onmessage = (event) => finishTask(entry, event.data);
+			entry.worker.onerror = (event) => failPool(event.message || 'Crypto worker failed');
+			workers.push(entry)
+		}
+	} catch (error) {
+		failPool(error.message)
+	}
+}
+
+// Hand a worker's answer to the waiting task
+// 将 Worker 的结果交给等待中的任务
+function finishTask(entry, message) {
+	const task = pending.get(message.id);
+	if (!task) return;
+	pending.delete(message.id);
+	entry.busy--;
+	if (message.error) {
+		task.reject(new Error(message.error))
+	} else {
+		task.resolve(message.result)
+	}
+}
+
+// A worker crashed or could not load: run everything on the main thread from now on. Waiting tasks that still
+// hold their input are run again here, the others fail
+// Worker 崩溃或无法加载：之后所有任务都在主线程执行。仍持有输入的等待任务在此重新执行，其余任务失败
+function failPool(reason) {
+	console.error('Crypto worker pool disabled:', reason);
+	unavailable = true;
+	const waiting = [...pending.values()];
+	pending.clear();
+	terminateCryptoPool();
+	for (const entry of waiting) {
+		if (entry.task) {
+			runCryptoTask(entry.task).then(entry.resolve, entry.reject)
+		} else {
+			entry.reject(new Error('Crypto worker failed'))
+		}
+	}
+}
+
+// Run a task on the least busy worker, resolves to its result. Byte arrays that own their buffer are moved
+// to the worker and must not be used afterwards. Runs on the main thread when workers are unavailable
+// 在最空闲的 Worker 上执行任务，返回其结果。独占缓冲区的字节数组会被转移到 Worker，之后不可再使用。
+// 无法使用 Worker 时在主线程执行
+export function runInPool(task) {
+	startWorkers();
+	if (workers.length === 0) {
+		return runCryptoTask(task)
+	}
+	const entry = workers.reduce((best, candidate) => candidate.busy < best.busy ? candidate : best);
+	const id = nextId++;
+	const transfer = getTransferables(task);
+	entry.busy++;
+	return new Promise((resolve, reject) => {
+		pending.set(id, {
+			resolve,
+			reject,
+			task: transfer.length === 0 ? task : null
+		});
+		entry.worker.postMessage({
+			id,
+			task
+		}, transfer)
+	})
+}
+
+// Number of workers in the pool, 0 when tasks run on the main thread
+// 池中 Worker 的数量，任务在主线程执行时为 0
+export function getCryptoPoolSize() {
+	startWorkers();
+	return workers.length
+}
+
+// Stop all workers and fail the tasks still waiting; the pool starts again on the next task
+// 停止所有 Worker 并使仍在等待的任务失败；下一个任务会重新启动加密池
+export function terminateCryptoPool() {
+	for (const entry of workers) {
+		entry.worker.terminate()
+	}
+	workers.length = 0;
+	for (const task of pending.values()) {
+		task.reject(new Error('Crypto worker pool stopped'))
+	}
+	pending.clear()
+}
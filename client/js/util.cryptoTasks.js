@@ -0,0 +1,83 @@
+// Crypto tasks run by the crypto worker pool, or on the main thread where workers are unavailable
+// 由加密 Worker 池执行的加密任务，无法使用 Worker 时在主线程执行
+
+import {
+	sha256
+} from 'js-sha256';
+import {
+	chacha20poly1305
+} from '@noble/ciphers/chacha';
+import {
+	gcm
+} from '@noble/ciphers/aes';
+import {
+	Buffer
+} from 'buffer';
+
+// AEAD ciphers a task can name
+// 任务可以使用的 AEAD 算法
+const CIPHERS = {
+	'chacha20poly1305': chacha20poly1305,
+	'aes-gcm': gcm
+};
+
+// Task input is either raw bytes or a base64 string
+// 任务输入为原始字节或 base64 字符串
+function toBytes(data) {
+	return typeof data === 'string' ? Buffer.from(data, 'base64') : new Uint8Array(data)
+}
+
+// Seal or open data with an AEAD cipher. With output 'base64' the result is encoded here, so large payloads
+// are never encoded on the main thread. With hashPrefix the SHA-256 hex of hashPrefix + the base64 ciphertext
+// is returned as well, which is what group message signatures cover. Throws when authentication fails
+// 使用 AEAD 算法加密或解密数据。output 为 'base64' 时在此处编码，大负载不会在主线程编码。
+// 提供 hashPrefix 时同时返回 hashPrefix + base64 密文的 SHA-256 十六进制值，即群组消息签名的内容。认证失败时抛出异常
+export function runCipherTask(task) {
+	const cipher = CIPHERS[task.cipher];
+	if (!cipher || (task.op !== 'seal' && task.op !== 'open')) {
+		throw new Error('Unknown cipher task')
+	}
+	const instance = cipher(toBytes(task.key), toBytes(task.nonce), task.ad ? toBytes(task.ad) : undefined);
+	const output = task.op === 'seal' ? instance.encrypt(toBytes(task.data)) : instance.decrypt(toBytes(task.data));
+	const data = task.output === 'base64' ? Buffer.from(output.buffer, output.byteOffset, output.length).toString('base64') : output;
+	const result = {
+		data
+	};
+	if (typeof task.hashPrefix === 'string') {
+		result.digest = sha256(task.hashPrefix + (task.op === 'seal' ? data : task.data))
+	}
+	return result
+}
+
+// Stretch a password with PBKDF2-SHA256
+// 使用 PBKDF2-SHA256 拉伸密码
+async function runPbkdf2Task(task) {
+	const baseKey = await crypto.subtle.importKey('raw', toBytes(task.password), 'PBKDF2', false, ['deriveBits']);
+	return {
+		data: new Uint8Array(await crypto.subtle.deriveBits({
+			name: 'PBKDF2',
+			hash: 'SHA-256',
+			salt: toBytes(task.salt),
+			iterations: task.iterations
+		}, baseKey, task.length * 8))
+	}
+}
+
+// Run any task: 'seal' and 'open' for AEAD, 'pbkdf2' for key derivation
+// 执行任意任务：'seal' 和 'open' 用于 AEAD，'pbkdf2' 用于密钥派生
+export async function runCryptoTask(task) {
+	if (task.op === 'pbkdf2') {
+		return runPbkdf2Task(task)
+	}
+	return runCipherTask(task)
+}
+
+// Buffers that can be moved instead of copied: byte arrays that own their whole buffer
+// 可以转移而无需复制的缓冲区：独占整个底层缓冲区的字节数组
+export function getTransferables(value) {
+	const data = value && value.data;
+	if (data instanceof Uint8Array && data.byteOffset === 0 && data.byteLength === data.buffer.byteLength) {
+		return [data.buffer]
+	}
+	return []
+}
@@ -0,0 +1,26 @@
+// Crypto worker: runs tasks posted by the pool and moves binary results back
+// 加密 Worker：执行加密池提交的任务，并将二进制结果转移回主线程
+
+import {
+	runCryptoTask,
+	getTransferables
+} from './util.cryptoTasks.js';
+
+self.onmessage = async (event) => {
+	const {
+		id,
+		task
+	} = event.data;
+	try {
+		const result = await runCryptoTask(task);
+		self.postMessage({
+			id,
+			result
+		}, getTransferables(result))
+	} catch (error) {
+		self.postMessage({
+			id,
+			error: error.message || String(error)
+		})
+	}
+};
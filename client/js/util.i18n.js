@@ -22,6 +22,7 @@ const LANGUAGES = {
 			'ui.username': 'Username',
 			'ui.node_name': 'Node Name',
 			'ui.node_password': 'Node Password',
+			'ui.new_password': 'New Node Password',
 			'ui.optional': '(optional)',
 			'ui.enter': 'ENTER',
 			'ui.connecting': 'Connecting...',
@@ -41,6 +42,25 @@ const LANGUAGES = {
 			'settings.language': 'Language Settings',
 			'settings.desktop_notifications': 'Desktop Notifications',
 			'settings.sound_notifications': 'Sound Notifications',
+			'settings.privacy': 'Privacy Settings',
+			'settings.paranoid_padding': 'Paranoid Padding',
+			'settings.paranoid_padding_desc': 'Pad every chat message to the same size so the relay cannot tell them apart by length. Uses more data.',
+			'settings.hybrid_keys': 'Post-Quantum Key Exchange',
+			'settings.identity': 'Identity',
+			'settings.identity_key': 'Persistent Identity Key',
+			'settings.identity_key_desc': 'Sign your name with a key stored encrypted on this device, so others can tell it is you next time.',
+			'settings.identity_fingerprint': 'Fingerprint',
+			'settings.identity_passphrase': 'Backup passphrase',
+			'settings.identity_export': 'Export',
+			'settings.identity_import': 'Import',
+			'settings.identity_delete_confirm': 'Delete your identity key? Others will see a new key next time unless you import a backup.',
+			'settings.identity_passphrase_required': 'Enter a passphrase to protect the backup.',
+			'settings.identity_export_failed': 'Could not export the identity.',
+			'settings.identity_imported': 'Identity imported. It is used for rooms you join from now on.',
+			'settings.identity_import_failed': 'Could not import the identity. Check the file and passphrase.',
+			'settings.hybrid_keys_desc': 'Combine X25519 with ML-KEM-768 for members who support it, against traffic recorded today and decrypted later. Applies to members you exchange keys with from now on.',
+			'settings.cover_traffic': 'Cover Traffic',
+			'settings.cover_traffic_desc': 'Send encrypted dummy messages at a steady rate so the relay cannot tell when and to whom you write. Uses up to about 4 MB per hour and pauses on metered or mobile connections.',
 			'settings.language_switch': 'Language',
 			'settings.chinese': 'Chinese',
 			'settings.english': 'English',
@@ -72,6 +92,18 @@ const LANGUAGES = {
 			// Actions and menu
 			'action.share': 'Share',
 			'action.exit': 'Exit',
+			'action.rekey': 'Refresh keys with everyone',
+			'action.change_password': 'Change room password',
+			'action.change_password_submit': 'CHANGE',
+			'action.change_password_failed': 'The password was not changed: some members use an older client.',
+			'action.password_proposed_title': '🔑 New room password proposed',
+			'action.password_proposed_desc': '{name} wants to change the room password. If you accept, you switch to it and pass it on to the others, and newcomers need the new password. Decline if you did not expect this change.',
+			'action.password_accept': 'Accept the new password',
+			'action.password_decline': 'Keep the current password',
+			'action.rekey_started': 'Refreshing keys with {count} members.',
+			'action.rekey_none': 'No members can refresh keys right now.',
+			'action.knock_on': 'Ask to approve newcomers',
+			'action.knock_off': 'Stop asking to approve newcomers',
 			'action.emoji': 'Emoji',
 			'action.settings': 'Settings',
 			'action.back': 'Back',
@@ -92,6 +124,102 @@ const LANGUAGES = {
 			'system.private_message_failed': 'Cannot send private message to',
 			'system.private_file_failed': 'Cannot send private file to',
 			'system.user_not_connected': 'User might not be fully connected.',
+			'system.integrity_failure': 'a message failed its integrity check and was dropped. The relay may be tampering with traffic.',
+			'system.identity_changed': 'this name was used by a different identity key before. It may be someone else using the same name.',
+			'system.identity_unsigned': 'this name was signed by an identity key before, but comes without one now. It may be someone else using the same name.',
+			'system.replay_rejected': 'a message was replayed, or arrived much later than earlier messages from this member, and was dropped. The relay may be replaying or holding back messages, or the clock of this member changed.',
+			'system.password_changed': 'The room password was changed. Share links now use the new password.',
+			'system.password_changed_by': 'changed the room password. Share links now use the new password.',
+			'system.password_declined': 'proposed a new room password, which you declined. Members who switch can still talk to you, but newcomers with the new password cannot.',
+			'system.password_rejected': 'uses a different room password, so no messages can be exchanged.',
+			'system.downgrade_rejected': 'the protocol versions you exchanged were changed on the way, pushing you to an older protocol. The connection was refused; the relay may be attacking the encryption.',
+			'system.invite_rejected': 'tried to join with an invite link that is expired, already used or forged, and was refused.',
+			'system.invite_refused': 'refused your invite link because it is expired or was already used. Ask a member for a new one.',
+			'system.invite_expired': '⚠️ This invite link has expired. Ask a member for a new one.',
+			'system.knock_request': 'wants to join. Approve them in the member list.',
+			'system.knock_on': 'Join approval is on: newcomers wait until a member lets them in.',
+			'system.knock_off': 'Join approval is off: anyone with the password can join.',
+			'system.verified_key_changed': 'the identity key of this verified member has changed. Someone may be impersonating them or intercepting the conversation. Verify again before trusting it.',
+			'system.verified_new_session': 'reconnected with new session keys, so the safety number is new. Verify again to keep them marked as verified.',
+			'system.membership_mismatch': 'sees a different member list than you ({theirs} members, you see {ours}). The relay may be hiding members from some of you or adding a hidden listener.',
+
+			// Peer verification
+			'verify.action': 'Verify',
+			'verify.title': 'Verify {name}',
+			'verify.description': 'Compare these codes with {name} in person or over a trusted channel. If they match, nobody is intercepting your conversation.',
+			'verify.your_code': 'Your code',
+			'verify.their_code': "{name}'s code",
+			'verify.paste_scanned': 'Paste the code scanned from their QR',
+			'verify.match': '✔ Codes match',
+			'verify.mismatch': '✘ Codes do not match',
+			'verify.mark': 'Mark as verified',
+			'verify.unmark': 'Remove verification',
+			'verify.verified': 'Verified',
+			'verify.key_changed_badge': 'Key changed',
+			'verify.session_only': 'This code comes from the keys of this session and changes when either of you reconnects. With identity keys on both sides it stays the same.',
+			'identity.known_badge': 'Same identity key as last time',
+			'identity.new_badge': 'First time seeing this identity key',
+			'identity.changed_badge': 'New identity key, same name as someone seen before',
+			'identity.unsigned_badge': 'No identity key, but this name had one before',
+			'identity.trust': 'Trust key',
+			'identity.trust_confirm': 'Trust the new identity key of {name}? Only do this if they told you they changed devices or reset their key. The key seen before under this name is forgotten.',
+			'verify.hybrid_badge': 'Post-quantum hybrid keys (X25519 + ML-KEM-768)',
+			'verify.hybrid_downgraded': 'Classic keys only: this member does not support post-quantum key exchange',
+			'verify.not_ready': 'keys are not exchanged yet, try again in a moment.',
+			'verify.server_key_changed_title': '⚠️ Relay key changed',
+			'verify.server_key_changed_desc': 'The relay at {origin} presented a different key than the one seen before, without a valid rotation signature. Someone may be impersonating the relay. Only continue if the operator confirmed the key was reset.',
+			'verify.pinned_key': 'Pinned key',
+			'verify.presented_key': 'Presented key',
+			'verify.disconnect': 'Disconnect',
+			'verify.trust_new_key': 'Trust the new key',
+			'invite.title': 'Invite link',
+			'invite.description': 'The room name and password travel after the # of the link, which browsers never send to servers. Expiry and single use only hold for people who open the link as it is: it carries the room password, and anyone who takes the password out of it can still join. Change the room password to keep them out.',
+			'invite.expiry': 'Expires after',
+			'invite.expiry_hour': '1 hour',
+			'invite.expiry_day': '24 hours',
+			'invite.expiry_week': '7 days',
+			'invite.expiry_never': 'Never',
+			'invite.single_use': 'Single use',
+			'invite.copy': 'Copy link',
+			'knock.waiting': 'This room asks members to approve newcomers. You will enter as soon as a member lets you in.',
+			'knock.cancel': 'Cancel',
+			'knock.request': 'wants to join',
+			'knock.approve': 'Let in',
+			'roles.owner_badge': 'Owner',
+			'roles.owner_title': 'Opened this room and appoints moderators',
+			'roles.moderator_badge': 'Mod',
+			'roles.moderator_title': 'Can mute and kick members and change the room modes',
+			'roles.muted_badge': 'Muted',
+			'roles.menu': 'Moderation',
+			'roles.make_moderator': 'Make moderator',
+			'roles.remove_moderator': 'Remove moderator',
+			'roles.mute': 'Mute',
+			'roles.unmute': 'Unmute',
+			'roles.kick': 'Kick',
+			'roles.kick_confirm': 'Remove {name} from the room?',
+			'roles.slow_none': 'Slow mode: off',
+			'roles.slow_seconds': 'Slow mode: {seconds} s',
+			'roles.announce_enable': 'Announcement mode',
+			'roles.announce_disable': 'Let everyone post',
+			'roles.moderator': 'is now a moderator.',
+			'roles.unmoderator': 'is no longer a moderator.',
+			'roles.kicked': 'was removed from the room.',
+			'roles.muted': 'was muted.',
+			'roles.unmuted': 'can post again.',
+			'roles.you_moderator': 'You are now a moderator.',
+			'roles.you_unmoderator': 'You are no longer a moderator.',
+			'roles.you_kicked': 'You were removed from this room by a moderator. Members no longer receive your messages.',
+			'roles.you_muted': 'You were muted by a moderator.',
+			'roles.you_unmuted': 'You can post again.',
+			'roles.slow_on': 'Slow mode is on: members can post once every {seconds} seconds.',
+			'roles.slow_off': 'Slow mode is off.',
+			'roles.announce_on': 'Announcement mode is on: only the owner and moderators can post to the room.',
+			'roles.announce_off': 'Announcement mode is off.',
+			'roles.owner_conflict': 'sent a role list signed by a different room owner. The owner you learned first is kept; the relay or this member may be trying to take over the room.',
+			'roles.blocked_kicked': 'You were removed from this room.',
+			'roles.blocked_muted': 'You are muted in this room.',
+			'roles.blocked_announce': 'Only the owner and moderators can post in announcement mode.',
+			'roles.blocked_slow': 'Slow mode: you can post once every {seconds} seconds.',
 					// Help page
 			'help.title': 'User Guide',
 			'help.back_to_login': 'Back to Login',
@@ -146,6 +274,7 @@ const LANGUAGES = {
 			'ui.username': '用户名',
 			'ui.node_name': '节点名称',
 			'ui.node_password': '节点密码',
+			'ui.new_password': '新节点密码',
 			'ui.optional': '（可选）',
 			'ui.enter': '确定',
 			'ui.connecting': '连接中...',
@@ -165,6 +294,25 @@ const LANGUAGES = {
 			'settings.language': '语言设置',
 			'settings.desktop_notifications': '桌面通知',
 			'settings.sound_notifications': '声音通知',
+			'settings.privacy': '隐私设置',
+			'settings.paranoid_padding': '偏执填充',
+			'settings.paranoid_padding_desc': '将每条聊天消息填充到相同大小，使中继无法通过长度区分消息。会消耗更多流量。',
+			'settings.hybrid_keys': '后量子密钥交换',
+			'settings.identity': '身份',
+			'settings.identity_key': '长期身份密钥',
+			'settings.identity_key_desc': '使用加密保存在本设备上的密钥为你的名字签名，下次其他人可以确认是你本人。',
+			'settings.identity_fingerprint': '指纹',
+			'settings.identity_passphrase': '备份口令',
+			'settings.identity_export': '导出',
+			'settings.identity_import': '导入',
+			'settings.identity_delete_confirm': '删除身份密钥？除非导入备份，否则其他人下次会看到新的密钥。',
+			'settings.identity_passphrase_required': '请输入用于保护备份的口令。',
+			'settings.identity_export_failed': '无法导出身份。',
+			'settings.identity_imported': '身份已导入，将用于之后加入的房间。',
+			'settings.identity_import_failed': '无法导入身份，请检查文件和口令。',
+			'settings.hybrid_keys_desc': '对支持的成员将 X25519 与 ML-KEM-768 结合，防范“先存储、后解密”的攻击。对之后交换密钥的成员生效。',
+			'settings.cover_traffic': '掩护流量',
+			'settings.cover_traffic_desc': '以固定速率发送加密的虚假消息，使中继无法得知您何时、向谁发送消息。每小时最多约 4 MB，在按流量计费或移动网络下自动暂停。',
 			'settings.language_switch': '语言',
 			'settings.chinese': '中文',
 			'settings.english': 'English',
@@ -196,6 +344,18 @@ const LANGUAGES = {
 			// Actions and menu
 			'action.share': '分享',
 			'action.exit': '退出',
+			'action.rekey': '与所有人刷新密钥',
+			'action.change_password': '更换房间密码',
+			'action.change_password_submit': '更换',
+			'action.change_password_failed': '密码未更换：部分成员使用的是旧版客户端。',
+			'action.password_proposed_title': '🔑 有人提议新的房间密码',
+			'action.password_proposed_desc': '{name} 想要更换房间密码。接受后您将切换到新密码并转发给其他成员，新加入者需要使用新密码。如果您没有预料到这次更换，请拒绝。',
+			'action.password_accept': '接受新密码',
+			'action.password_decline': '保留当前密码',
+			'action.rekey_started': '正在与 {count} 位成员刷新密钥。',
+			'action.rekey_none': '暂无可以刷新密钥的成员。',
+			'action.knock_on': '新加入者需经批准',
+			'action.knock_off': '取消新加入者批准',
 			'action.emoji': '表情',
 			'action.settings': '设置',
 			'action.back': '返回',
@@ -216,6 +376,102 @@ const LANGUAGES = {
 			'system.private_message_failed': '无法发送私信给',
 			'system.private_file_failed': '无法发送私密文件给',
 			'system.user_not_connected': '用户可能未完全连接。',
+			'system.integrity_failure': '一条消息未通过完整性校验已被丢弃，中继服务器可能在篡改流量。',
+			'system.identity_changed': '这个名字之前由另一个身份密钥使用过，可能是其他人在使用相同的名字。',
+			'system.identity_unsigned': '这个名字之前有身份密钥签名，这次却没有，可能是其他人在使用相同的名字。',
+			'system.replay_rejected': '一条消息被重放，或比发送者之前的消息晚到很多，已被丢弃。可能是中继服务器在重放或扣留消息，也可能是发送者的时钟被调整了。',
+			'system.password_changed': '房间密码已更换，分享链接将使用新密码。',
+			'system.password_changed_by': '更换了房间密码，分享链接将使用新密码。',
+			'system.password_declined': '提议了新的房间密码，您已拒绝。已切换的成员仍可与您交流，但使用新密码的新加入者无法与您交流。',
+			'system.password_rejected': '使用了不同的房间密码，无法互相收发消息。',
+			'system.downgrade_rejected': '你们交换的协议版本在途中被篡改，试图迫使双方使用旧协议。连接已被拒绝，中继服务器可能在攻击加密。',
+			'system.invite_rejected': '尝试使用已过期、已被使用或伪造的邀请链接加入，已被拒绝。',
+			'system.invite_refused': '拒绝了您的邀请链接，因为它已过期或已被使用。请向成员索取新的链接。',
+			'system.invite_expired': '⚠️ 此邀请链接已过期，请向成员索取新的链接。',
+			'system.knock_request': '请求加入。请在成员列表中批准。',
+			'system.knock_on': '加入批准已开启：新加入者需等待成员放行。',
+			'system.knock_off': '加入批准已关闭：知道密码的任何人都可以加入。',
+			'system.verified_key_changed': '这位已验证成员的身份密钥发生了变化，可能有人在冒充对方或拦截对话。请重新验证后再信任。',
+			'system.verified_new_session': '使用新的会话密钥重新连接，安全码已更新。请重新验证以保持已验证标记。',
+			'system.membership_mismatch': '看到的成员列表与您不同（对方 {theirs} 人，您看到 {ours} 人）。中继可能对部分成员隐藏了成员，或加入了隐藏的监听者。',
+
+			// Peer verification
+			'verify.action': '验证',
+			'verify.title': '验证 {name}',
+			'verify.description': '请当面或通过可信渠道与 {name} 核对以下代码。如果一致，说明没有人在拦截你们的对话。',
+			'verify.your_code': '你的代码',
+			'verify.their_code': '{name} 的代码',
+			'verify.paste_scanned': '粘贴从对方二维码扫描到的代码',
+			'verify.match': '✔ 代码一致',
+			'verify.mismatch': '✘ 代码不一致',
+			'verify.mark': '标记为已验证',
+			'verify.unmark': '取消验证',
+			'verify.verified': '已验证',
+			'verify.key_changed_badge': '密钥已变化',
+			'verify.session_only': '此代码由本次会话的密钥计算，任一方重新连接后都会改变。双方都使用身份密钥时则保持不变。',
+			'identity.known_badge': '与上次相同的身份密钥',
+			'identity.new_badge': '首次见到此身份密钥',
+			'identity.changed_badge': '新的身份密钥，但名字与之前见过的人相同',
+			'identity.unsigned_badge': '没有身份密钥，但这个名字之前有过',
+			'identity.trust': '信任密钥',
+			'identity.trust_confirm': '信任 {name} 的新身份密钥？仅在对方告知您更换了设备或重置了密钥时才这样做。此名字之前使用的密钥将被遗忘。',
+			'verify.hybrid_badge': '后量子混合密钥（X25519 + ML-KEM-768）',
+			'verify.hybrid_downgraded': '仅经典密钥：该成员不支持后量子密钥交换',
+			'verify.not_ready': '密钥尚未交换完成，请稍后再试。',
+			'verify.server_key_changed_title': '⚠️ 中继公钥已变化',
+			'verify.server_key_changed_desc': '{origin} 上的中继出示了与之前不同的公钥，且没有有效的轮换签名。可能有人在冒充中继。只有在运营者确认已重置密钥时才继续。',
+			'verify.pinned_key': '已固定的公钥',
+			'verify.presented_key': '当前出示的公钥',
+			'verify.disconnect': '断开连接',
+			'verify.trust_new_key': '信任新公钥',
+			'invite.title': '邀请链接',
+			'invite.description': '房间名和密码位于链接 # 之后，浏览器永远不会将这部分发送给服务器。有效期和仅限一次只对直接打开链接的人有效：链接中包含房间密码，从中取出密码的人仍然可以加入。如需将其拒之门外，请更换房间密码。',
+			'invite.expiry': '有效期',
+			'invite.expiry_hour': '1 小时',
+			'invite.expiry_day': '24 小时',
+			'invite.expiry_week': '7 天',
+			'invite.expiry_never': '永不过期',
+			'invite.single_use': '仅限一次',
+			'invite.copy': '复制链接',
+			'knock.waiting': '此房间的新加入者需经成员批准。成员放行后您将立即进入。',
+			'knock.cancel': '取消',
+			'knock.request': '请求加入',
+			'knock.approve': '放行',
+			'roles.owner_badge': '房主',
+			'roles.owner_title': '开启此房间并任命管理员',
+			'roles.moderator_badge': '管理',
+			'roles.moderator_title': '可以禁言和踢出成员，并更改房间模式',
+			'roles.muted_badge': '已禁言',
+			'roles.menu': '管理',
+			'roles.make_moderator': '设为管理员',
+			'roles.remove_moderator': '取消管理员',
+			'roles.mute': '禁言',
+			'roles.unmute': '解除禁言',
+			'roles.kick': '踢出',
+			'roles.kick_confirm': '将 {name} 移出房间？',
+			'roles.slow_none': '慢速模式：关闭',
+			'roles.slow_seconds': '慢速模式：{seconds} 秒',
+			'roles.announce_enable': '公告模式',
+			'roles.announce_disable': '允许所有人发言',
+			'roles.moderator': '已成为管理员。',
+			'roles.unmoderator': '不再是管理员。',
+			'roles.kicked': '已被移出房间。',
+			'roles.muted': '已被禁言。',
+			'roles.unmuted': '可以重新发言。',
+			'roles.you_moderator': '您已成为管理员。',
+			'roles.you_unmoderator': '您不再是管理员。',
+			'roles.you_kicked': '您已被管理员移出此房间，成员将不再收到您的消息。',
+			'roles.you_muted': '您已被管理员禁言。',
+			'roles.you_unmuted': '您可以重新发言了。',
+			'roles.slow_on': '慢速模式已开启：成员每 {seconds} 秒只能发言一次。',
+			'roles.slow_off': '慢速模式已关闭。',
+			'roles.announce_on': '公告模式已开启：只有房主和管理员可以在房间中发言。',
+			'roles.announce_off': '公告模式已关闭。',
+			'roles.owner_conflict': '发来了由另一位房主签名的角色列表。将保留最先得知的房主；中继服务器或该成员可能在试图接管房间。',
+			'roles.blocked_kicked': '您已被移出此房间。',
+			'roles.blocked_muted': '您在此房间中已被禁言。',
+			'roles.blocked_announce': '公告模式下只有房主和管理员可以发言。',
+			'roles.blocked_slow': '慢速模式：您每 {seconds} 秒只能发言一次。',
 			
 			// Help page
 			'help.title': '使用说明',
@@ -0,0 +1,241 @@
+// Persistent identity keys that sign username announcements
+// 用于签名用户名声明的长期身份密钥
+
+import {
+	sha256
+} from 'js-sha256';
+import {
+	eddsa
+} from 'elliptic';
+
+// IndexedDB database holding the encrypted identity and its wrapping key
+// 保存加密身份及其包装密钥的 IndexedDB 数据库
+const DB_NAME = 'nodecrypt';
+const DB_STORE = 'identity';
+
+// localStorage key of the identity → name bindings we have seen
+// 已见过的身份 → 名称绑定在 localStorage 中的键名
+const BINDINGS_STORAGE = 'nodecrypt_identity_names';
+
+// PBKDF2 iterations protecting exported backups
+// 保护导出备份的 PBKDF2 迭代次数
+const BACKUP_KDF_ITERATIONS = 600000;
+
+// Base64 helpers for binary data
+// 二进制数据的 Base64 辅助函数
+function toBase64(bytes) {
+	return btoa(String.fromCharCode(...new Uint8Array(bytes)))
+}
+
+function fromBase64(text) {
+	return Uint8Array.from(atob(text), c => c.charCodeAt(0))
+}
+
+// Open the database, creating the object store on first use
+// 打开数据库，首次使用时创建对象仓库
+function openDb() {
+	return new Promise((resolve, reject) => {
+		const request = indexedDB.open(DB_NAME, 1);
+		request.onupgradeneeded = () => request.result.createObjectStore(DB_STORE);
+		request.onsuccess = () => resolve(request.result);
+		request.onerror = () => reject(request.error)
+	})
+}
+
+// Run a single request against the object store
+// 对对象仓库执行单个请求
+async function withStore(mode, action) {
+	const db = await openDb();
+	try {
+		return await new Promise((resolve, reject) => {
+			const request = action(db.transaction(DB_STORE, mode).objectStore(DB_STORE));
+			request.onsuccess = () => resolve(request.result);
+			request.onerror = () => reject(request.error)
+		})
+	} finally {
+		db.close()
+	}
+}
+
+// Get the non-extractable AES-GCM key that encrypts the identity at rest, creating it on first use
+// 获取用于静态加密身份的不可导出 AES-GCM 密钥，首次使用时创建
+async function getWrappingKey() {
+	let key = await withStore('readonly', store => store.get('wrapping-key'));
+	if (!key) {
+		key = await crypto.subtle.generateKey({
+			name: 'AES-GCM',
+			length: 256
+		}, false, ['encrypt', 'decrypt']);
+		await withStore('readwrite', store => store.put(key, 'wrapping-key'))
+	}
+	return key
+}
+
+// Encrypt and store an identity secret
+// 加密并保存身份私钥
+async function saveIdentity(secret) {
+	const iv = crypto.getRandomValues(new Uint8Array(12));
+	const data = await crypto.subtle.encrypt({
+		name: 'AES-GCM',
+		iv
+	}, await getWrappingKey(), secret);
+	await withStore('readwrite', store => store.put({
+		iv,
+		data: new Uint8Array(data),
+		createdAt: Date.now()
+	}, 'identity'))
+}
+
+// Load the identity secret, null when no identity was created or it cannot be decrypted
+// 加载身份私钥，未创建身份或无法解密时返回 null
+export async function loadIdentity() {
+	try {
+		const record = await withStore('readonly', store => store.get('identity'));
+		if (!record) return null;
+		return new Uint8Array(await crypto.subtle.decrypt({
+			name: 'AES-GCM',
+			iv: record.iv
+		}, await getWrappingKey(), record.data))
+	} catch (error) {
+		console.error('Failed to load identity', error);
+		return null
+	}
+}
+
+// Create a new random identity, replacing the current one
+// 创建新的随机身份并替换当前身份
+export async function createIdentity() {
+	const secret = crypto.getRandomValues(new Uint8Array(32));
+	await saveIdentity(secret);
+	return secret
+}
+
+// Delete the stored identity
+// 删除已保存的身份
+export async function deleteIdentity() {
+	await withStore('readwrite', store => store.delete('identity'))
+}
+
+// Public key of an identity secret as hex
+// 身份私钥对应的十六进制公钥
+export function getIdentityPublicKey(secret) {
+	return new eddsa('ed25519').keyFromSecret([...secret]).getPublic('hex')
+}
+
+// Turn an identity public key into a 30-digit fingerprint
+// 将身份公钥转换为 30 位数字指纹
+export function getIdentityFingerprint(publicKey) {
+	const hash = sha256.array('nodecrypt-identity-fingerprint|' + publicKey);
+	let digits = '';
+	for (let i = 0; i < 30; i += 5) {
+		const value = hash.slice(i, i + 5).reduce((a, b) => a * 256 + b, 0);
+		digits += String(value % 100000).padStart(5, '0')
+	}
+	return digits
+}
+
+// Derive the AES-GCM key of a backup file from its passphrase
+// 从口令派生备份文件的 AES-GCM 密钥
+async function deriveBackupKey(passphrase, salt, iterations) {
+	const baseKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+	return crypto.subtle.deriveKey({
+		name: 'PBKDF2',
+		hash: 'SHA-256',
+		salt,
+		iterations
+	}, baseKey, {
+		name: 'AES-GCM',
+		length: 256
+	}, false, ['encrypt', 'decrypt'])
+}
+
+// Download the identity as a backup file encrypted with a passphrase
+// 将身份下载为使用口令加密的备份文件
+export async function exportIdentity(passphrase) {
+	const secret = await loadIdentity();
+	if (!secret) throw new Error('No identity to export');
+	const salt = crypto.getRandomValues(new Uint8Array(16));
+	const iv = crypto.getRandomValues(new Uint8Array(12));
+	const data = await crypto.subtle.encrypt({
+		name: 'AES-GCM',
+		iv
+	}, await deriveBackupKey(passphrase, salt, BACKUP_KDF_ITERATIONS), secret);
+	const blob = new Blob([JSON.stringify({
+		type: 'nodecrypt-identity',
+		version: 1,
+		iterations: BACKUP_KDF_ITERATIONS,
+		salt: toBase64(salt),
+		iv: toBase64(iv),
+		data: toBase64(data)
+	})], {
+		type: 'application/json'
+	});
+	const url = URL.createObjectURL(blob);
+	const a = document.createElement('a');
+	a.href = url;
+	a.download = 'nodecrypt-identity.json';
+	document.body.appendChild(a);
+	a.click();
+	document.body.removeChild(a);
+	URL.revokeObjectURL(url)
+}
+
+// Restore the identity from a backup file, throws when the file or passphrase is wrong
+// 从备份文件恢复身份，文件或口令错误时抛出异常
+export async function importIdentity(file, passphrase) {
+	const backup = JSON.parse(await file.text());
+	if (!backup || backup.type !== 'nodecrypt-identity' || backup.version !== 1) {
+		throw new Error('Not an identity backup')
+	}
+	const secret = new Uint8Array(await crypto.subtle.decrypt({
+		name: 'AES-GCM',
+		iv: fromBase64(backup.iv)
+	}, await deriveBackupKey(passphrase, fromBase64(backup.salt), backup.iterations), fromBase64(backup.data)));
+	if (secret.length !== 32) throw new Error('Invalid identity');
+	await saveIdentity(secret);
+	return secret
+}
+
+// Load the identity → name bindings
+// 加载身份 → 名称绑定
+function loadBindings() {
+	try {
+		return JSON.parse(localStorage.getItem(BINDINGS_STORAGE)) || {}
+	} catch {
+		return {}
+	}
+}
+
+// Compare a peer's identity with what we saw before: 'known' for the same key as last time,
+// 'changed' for a new key under a name another key used before, 'new' otherwise. Without identity,
+// 'unsigned' when a key used the name before and null otherwise
+// 将对等方身份与之前见过的比较：与上次相同的密钥为 'known'，名称曾被其他密钥使用过的新密钥为 'changed'，
+// 其他情况为 'new'。没有身份时，名称曾被某个密钥使用过则为 'unsigned'，否则返回 null
+export function checkIdentityBinding(identity, name) {
+	const bindings = loadBindings();
+	const bound = Object.keys(bindings).some(key => bindings[key] === name);
+	if (!identity) return bound ? 'unsigned' : null;
+	if (bindings[identity]) return 'known';
+	return bound ? 'changed' : 'new'
+}
+
+// Remember the name a peer identity used
+// 记住对等方身份使用的名称
+export function rememberIdentity(identity, name) {
+	if (!identity) return;
+	const bindings = loadBindings();
+	bindings[identity] = name;
+	localStorage.setItem(BINDINGS_STORAGE, JSON.stringify(bindings))
+}
+
+// Move a name to a new identity key the user confirmed, forgetting the keys that used it before
+// 将名称转移到用户确认的新身份密钥，并忘记之前使用该名称的密钥
+export function trustIdentity(identity, name) {
+	if (!identity) return;
+	const bindings = loadBindings();
+	Object.keys(bindings).forEach(key => {
+		if (bindings[key] === name) delete bindings[key]
+	});
+	bindings[identity] = name;
+	localStorage.setItem(BINDINGS_STORAGE, JSON.stringify(bindings))
+}
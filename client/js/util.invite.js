@@ -0,0 +1,121 @@
+// Invite links that carry the room secrets in the URL fragment, with an optional expiry and single use
+// 在 URL 片段中携带房间密钥的邀请链接，可设置过期时间和仅限一次使用
+
+import qrcode from 'qrcode-generator';
+import {
+	$,
+	createElement,
+	on
+} from './util.dom.js';
+import {
+	t
+} from './util.i18n.js';
+
+// Fragment key of invite links; the fragment is never sent to the server
+// 邀请链接的片段键名；URL 片段永远不会发送到服务器
+const INVITE_KEY = 'invite';
+
+// Expiry choices offered in the invite dialog, in milliseconds (0 for never)
+// 邀请对话框中提供的有效期选项，单位为毫秒（0 表示永不过期）
+const EXPIRY_OPTIONS = [
+	['invite.expiry_hour', '1 hour', 60 * 60 * 1000],
+	['invite.expiry_day', '24 hours', 24 * 60 * 60 * 1000],
+	['invite.expiry_week', '7 days', 7 * 24 * 60 * 60 * 1000],
+	['invite.expiry_never', 'Never', 0]
+];
+
+// Base64url without padding, for UTF-8 text
+// 不带填充的 Base64url 编码（UTF-8 文本）
+function toBase64Url(text) {
+	return btoa(unescape(encodeURIComponent(text))).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+function fromBase64Url(encoded) {
+	return decodeURIComponent(escape(atob(encoded.replace(/-/g, '+').replace(/_/g, '/'))))
+}
+
+// Build the invite link for a room and an invite created by NodeCrypt
+// 根据房间和 NodeCrypt 创建的邀请生成邀请链接
+export function buildInviteLink(roomName, password, invite) {
+	const payload = {
+		v: 1,
+		r: roomName,
+		p: password || '',
+		i: invite.id,
+		s: invite.secret,
+		e: invite.expires,
+		u: invite.single ? 1 : 0
+	};
+	return `${location.origin}${location.pathname}#${INVITE_KEY}=${toBase64Url(JSON.stringify(payload))}`
+}
+
+// Read an invite from the URL fragment: {room, password, invite, expires, single, expired}, or null when there is none
+// 从 URL 片段读取邀请：{room, password, invite, expires, single, expired}，没有邀请时返回 null
+export function readInviteLink(hash = location.hash) {
+	const params = new URLSearchParams(hash.replace(/^#/, ''));
+	const encoded = params.get(INVITE_KEY);
+	if (!encoded) return null;
+	try {
+		const payload = JSON.parse(fromBase64Url(encoded));
+		if (payload.v !== 1 || typeof payload.r !== 'string' || !payload.r || typeof payload.i !== 'string' || typeof payload.s !== 'string') {
+			return null
+		}
+		const expires = Number.isInteger(payload.e) ? payload.e : 0;
+		return {
+			room: payload.r,
+			password: typeof payload.p === 'string' ? payload.p : '',
+			invite: {
+				id: payload.i,
+				secret: payload.s
+			},
+			expires,
+			single: payload.u === 1,
+			expired: expires > 0 && Date.now() > expires
+		}
+	} catch (error) {
+		console.warn('Failed to read invite link:', error);
+		return null
+	}
+}
+
+// Render a link as an SVG QR code, generated locally
+// 在本地将链接渲染为 SVG 二维码
+function createInviteQR(url) {
+	const qr = qrcode(0, 'L');
+	qr.addData(url);
+	qr.make();
+	return qr.createSvgTag({
+		cellSize: 3,
+		margin: 2,
+		scalable: true
+	})
+}
+
+// Open the invite dialog for a room. A new invite is created whenever the options change; onCopy receives the link
+// 打开房间的邀请对话框。每次修改选项都会创建新的邀请；onCopy 接收链接
+export function openInviteModal(rd, onCopy) {
+	const modal = createElement('div', {
+		class: 'login-modal verify-modal'
+	}, `<div class="login-modal-bg"></div><div class="login-modal-card verify-card invite-card"><button class="login-modal-close login-modal-close-abs">&times;</button><h2>${t('invite.title', 'Invite link')}</h2><p class="verify-desc">${t('invite.description', 'The room name and password travel after the # of the link, which browsers never send to servers. Expiry and single use only hold for people who open the link as it is: it carries the room password, and anyone who takes the password out of it can still join. Change the room password to keep them out.')}</p><div class="invite-options"><label>${t('invite.expiry', 'Expires after')} <select class="invite-expiry">${EXPIRY_OPTIONS.map(([key, fallback, ms], i) => `<option value="${ms}" ${i === 1 ? 'selected' : ''}>${t(key, fallback)}</option>`).join('')}</select></label><label><input type="checkbox" class="invite-single"> ${t('invite.single_use', 'Single use')}</label></div><div class="invite-share"><div class="invite-qr"></div><div class="invite-link-box"><input type="text" class="verify-compare-input invite-link" readonly><button class="login-btn invite-copy-btn">${t('invite.copy', 'Copy link')}</button></div></div></div>`);
+	document.body.appendChild(modal);
+	on($('.login-modal-close', modal), 'click', () => modal.remove());
+	on($('.login-modal-bg', modal), 'click', () => modal.remove());
+	const expiry = $('.invite-expiry', modal);
+	const single = $('.invite-single', modal);
+	const linkInput = $('.invite-link', modal);
+	const qrBox = $('.invite-qr', modal);
+	const refresh = () => {
+		const duration = Number(expiry.value);
+		const invite = rd.chat.createInvite(duration ? Date.now() + duration : 0, single.checked);
+		const url = buildInviteLink(rd.roomName.trim(), rd.password || '', invite);
+		linkInput.value = url;
+		qrBox.innerHTML = createInviteQR(url)
+	};
+	on(expiry, 'change', refresh);
+	on(single, 'change', refresh);
+	on(linkInput, 'focus', () => linkInput.select());
+	on($('.invite-copy-btn', modal), 'click', () => {
+		if (onCopy) onCopy(linkInput.value)
+	});
+	refresh()
+}
@@ -18,11 +18,27 @@ import { THEMES, getCurrentTheme, applyTheme } from './util.theme.js';
 // Import i18n utilities
 // 导入国际化工具函数
 import { t, setLanguage, getCurrentLanguage, initI18n } from './util.i18n.js';
+
+// Import identity utilities
+// 导入身份工具函数
+import {
+	loadIdentity,
+	createIdentity,
+	deleteIdentity,
+	exportIdentity,
+	importIdentity,
+	getIdentityPublicKey,
+	getIdentityFingerprint
+} from './util.identity.js';
+import { formatSafetyNumber } from './util.verify.js';
 // Default settings
 // 默认设置
 const DEFAULT_SETTINGS = {
 	notify: false,
 	sound: false,
+	paranoid: false,
+	hybrid: false,
+	cover: false,
 	theme: 'theme1'
 	// 注意：我们不设置默认语言，让系统自动检测浏览器语言
 	// Note: We don't set a default language, let the system auto-detect browser language
@@ -49,12 +65,18 @@ function saveSettings(settings) {
 	const {
 		notify,
 		sound,
+		paranoid,
+		hybrid,
+		cover,
 		theme,
 		language
 	} = settings;
 	localStorage.setItem('settings', JSON.stringify({
 		notify,
 		sound,
+		paranoid,
+		hybrid,
+		cover,
 		theme,
 		language
 	}))
@@ -66,6 +88,102 @@ function applySettings(settings) {
 	// Initialize i18n with current language setting
 	// 根据当前语言设置初始化国际化
 	initI18n(settings);
+
+	// Pick the padding policy for new connections and tell open rooms about it
+	// 为新连接选择填充策略，并通知已打开的房间
+	const padding = settings.paranoid ? 'paranoid' : 'standard';
+	if (window.config && window.config.padding !== padding) {
+		window.config.padding = padding;
+		window.dispatchEvent(new CustomEvent('paddingChange', {
+			detail: padding
+		}));
+	}
+
+	// Opt in to hybrid post-quantum key agreement for peers we meet from now on
+	// 为之后遇到的对等方启用混合后量子密钥协商
+	if (window.config && window.config.hybrid !== !!settings.hybrid) {
+		window.config.hybrid = !!settings.hybrid;
+		window.dispatchEvent(new CustomEvent('hybridChange', {
+			detail: window.config.hybrid
+		}));
+	}
+
+	// Pick the cover traffic policy for new connections and tell open rooms about it
+	// 为新连接选择掩护流量策略，并通知已打开的房间
+	const cover = settings.cover ? 'standard' : 'off';
+	if (window.config && window.config.cover !== cover) {
+		window.config.cover = cover;
+		window.dispatchEvent(new CustomEvent('coverChange', {
+			detail: cover
+		}));
+	}
+}
+
+// Show whether an identity exists and its fingerprint
+// 显示是否存在身份及其指纹
+function renderIdentityState(container, secret) {
+	const checkbox = $('#settings-identity', container);
+	const desc = $('#settings-identity-desc', container);
+	const exportBtn = $('#settings-identity-export', container);
+	if (!checkbox || !desc) return;
+	checkbox.checked = !!secret;
+	exportBtn.disabled = !secret;
+	desc.textContent = secret ?
+		`${t('settings.identity_fingerprint', 'Fingerprint')}: ${formatSafetyNumber(getIdentityFingerprint(getIdentityPublicKey(secret)))}` :
+		t('settings.identity_key_desc', 'Sign your name with a key stored encrypted on this device, so others can tell it is you next time.')
+}
+
+// Wire up the identity switch and the encrypted backup export/import
+// 绑定身份开关以及加密备份的导出/导入
+function setupIdentitySettings(container) {
+	const checkbox = $('#settings-identity', container);
+	const passphraseInput = $('#settings-identity-passphrase', container);
+	const fileInput = $('#settings-identity-file', container);
+	if (!checkbox) return;
+	loadIdentity().then(secret => renderIdentityState(container, secret));
+	on(checkbox, 'change', async e => {
+		if (e.target.checked) {
+			renderIdentityState(container, await createIdentity());
+			return
+		}
+		if (!confirm(t('settings.identity_delete_confirm', 'Delete your identity key? Others will see a new key next time unless you import a backup.'))) {
+			e.target.checked = true;
+			return
+		}
+		await deleteIdentity();
+		renderIdentityState(container, null)
+	});
+	on($('#settings-identity-export', container), 'click', async () => {
+		if (!passphraseInput.value) {
+			alert(t('settings.identity_passphrase_required', 'Enter a passphrase to protect the backup.'));
+			return
+		}
+		try {
+			await exportIdentity(passphraseInput.value);
+			passphraseInput.value = ''
+		} catch (error) {
+			alert(t('settings.identity_export_failed', 'Could not export the identity.'))
+		}
+	});
+	on($('#settings-identity-import', container), 'click', () => {
+		if (!passphraseInput.value) {
+			alert(t('settings.identity_passphrase_required', 'Enter a passphrase to protect the backup.'));
+			return
+		}
+		fileInput.click()
+	});
+	on(fileInput, 'change', async () => {
+		const file = fileInput.files[0];
+		fileInput.value = '';
+		if (!file) return;
+		try {
+			renderIdentityState(container, await importIdentity(file, passphraseInput.value));
+			passphraseInput.value = '';
+			alert(t('settings.identity_imported', 'Identity imported. It is used for rooms you join from now on.'))
+		} catch (error) {
+			alert(t('settings.identity_import_failed', 'Could not import the identity. Check the file and passphrase.'))
+		}
+	})
 }
 
 // Ask for browser notification permission
@@ -114,6 +232,58 @@ function setupSettingsPanel() {
 					<span class="slider"></span>
 				</label>
 			</div>
+		</div>
+		<div class="settings-section">
+			<div class="settings-section-title">${t('settings.privacy', 'Privacy Settings')}</div>
+			<div class="settings-item">
+				<div class="settings-item-label">
+					<div>${t('settings.paranoid_padding', 'Paranoid Padding')}</div>
+					<div class="settings-item-description">${t('settings.paranoid_padding_desc', 'Pad every chat message to the same size so the relay cannot tell them apart by length. Uses more data.')}</div>
+				</div>
+				<label class="switch">
+					<input type="checkbox" id="settings-paranoid" ${settings.paranoid ? 'checked' : ''}>
+					<span class="slider"></span>
+				</label>
+			</div>
+			<div class="settings-item">
+				<div class="settings-item-label">
+					<div>${t('settings.hybrid_keys', 'Post-Quantum Key Exchange')}</div>
+					<div class="settings-item-description">${t('settings.hybrid_keys_desc', 'Combine X25519 with ML-KEM-768 for members who support it, against traffic recorded today and decrypted later. Applies to members you exchange keys with from now on.')}</div>
+				</div>
+				<label class="switch">
+					<input type="checkbox" id="settings-hybrid" ${settings.hybrid ? 'checked' : ''}>
+					<span class="slider"></span>
+				</label>
+			</div>
+			<div class="settings-item">
+				<div class="settings-item-label">
+					<div>${t('settings.cover_traffic', 'Cover Traffic')}</div>
+					<div class="settings-item-description">${t('settings.cover_traffic_desc', 'Send encrypted dummy messages at a steady rate so the relay cannot tell when and to whom you write. Uses up to about 4 MB per hour and pauses on metered or mobile connections.')}</div>
+				</div>
+				<label class="switch">
+					<input type="checkbox" id="settings-cover" ${settings.cover ? 'checked' : ''}>
+					<span class="slider"></span>
+				</label>
+			</div>
+		</div>
+		<div class="settings-section">
+			<div class="settings-section-title">${t('settings.identity', 'Identity')}</div>
+			<div class="settings-item">
+				<div class="settings-item-label">
+					<div>${t('settings.identity_key', 'Persistent Identity Key')}</div>
+					<div class="settings-item-description" id="settings-identity-desc">${t('settings.identity_key_desc', 'Sign your name with a key stored encrypted on this device, so others can tell it is you next time.')}</div>
+				</div>
+				<label class="switch">
+					<input type="checkbox" id="settings-identity">
+					<span class="slider"></span>
+				</label>
+			</div>
+			<div class="settings-identity-backup">
+				<input type="password" id="settings-identity-passphrase" class="settings-identity-passphrase" placeholder="${t('settings.identity_passphrase', 'Backup passphrase')}">
+				<button type="button" id="settings-identity-export" class="settings-identity-btn">${t('settings.identity_export', 'Export')}</button>
+				<button type="button" id="settings-identity-import" class="settings-identity-btn">${t('settings.identity_import', 'Import')}</button>
+				<input type="file" id="settings-identity-file" accept=".json,application/json" hidden>
+			</div>
 		</div>
 				<div class="settings-section">
 			<div class="settings-section-title">${t('settings.language', 'Language Settings')}</div>
@@ -141,6 +311,9 @@ function setupSettingsPanel() {
 		</div>
 	`;	const notifyCheckbox = $('#settings-notify', settingsContent);
 	const soundCheckbox = $('#settings-sound', settingsContent);
+	const paranoidCheckbox = $('#settings-paranoid', settingsContent);
+	const hybridCheckbox = $('#settings-hybrid', settingsContent);
+	const coverCheckbox = $('#settings-cover', settingsContent);
 	const languageSelect = $('#settings-language', settingsContent);
 	
 	// Language select event handler
@@ -211,6 +384,22 @@ function setupSettingsPanel() {
 		saveSettings(settings);
 		applySettings(settings)
 	});
+	on(paranoidCheckbox, 'change', e => {
+		settings.paranoid = e.target.checked;
+		saveSettings(settings);
+		applySettings(settings)
+	});
+	on(hybridCheckbox, 'change', e => {
+		settings.hybrid = e.target.checked;
+		saveSettings(settings);
+		applySettings(settings)
+	});
+	on(coverCheckbox, 'change', e => {
+		settings.cover = e.target.checked;
+		saveSettings(settings);
+		applySettings(settings)
+	});
+	setupIdentitySettings(settingsContent);
 	// Theme selection event handlers
 	// 主题选择事件处理
 	const themeSelector = $('#theme-selector', settingsContent);
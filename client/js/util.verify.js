@@ -0,0 +1,145 @@
+// Peer verification with safety numbers and emoji SAS
+// 使用安全码和表情短认证串验证对等方
+
+import qrcode from 'qrcode-generator';
+import {
+	$,
+	createElement,
+	on
+} from './util.dom.js';
+import {
+	escapeHTML
+} from './util.string.js';
+import {
+	t
+} from './util.i18n.js';
+
+// Prefix of the QR payload so scanned codes can be recognised
+// 二维码内容前缀，便于识别扫描结果
+const QR_PREFIX = 'nodecrypt-verify:';
+
+// Get the display name of a user object
+// 获取用户对象的显示名称
+function getUserName(user) {
+	return user.userName || user.username || user.name || ''
+}
+
+// Split a safety number into groups of five digits
+// 将安全码按五位一组拆分
+export function formatSafetyNumber(digits) {
+	return (digits.match(/\d{1,5}/g) || []).join(' ')
+}
+
+// Check whether a peer's current key was marked as verified
+// 检查对等方当前的密钥是否已被标记为已验证
+export function isPeerVerified(rd, user) {
+	const name = getUserName(user);
+	const code = rd && rd.chat ? rd.chat.getSafetyCode(user.clientId) : null;
+	return !!(code && rd.verifiedPeers[name] && rd.verifiedPeers[name].key === code.remoteKey)
+}
+
+// Check whether a verified peer came back with a different key
+// 检查已验证的对等方是否使用了不同的密钥
+export function isPeerKeyChanged(rd, user) {
+	return !!(rd && rd.keyChangedPeers.has(getUserName(user)))
+}
+
+// Compare a newly secured peer with its verified key. Returns 'changed' when the verified identity key changed,
+// 'session' when only the session keys of a peer verified without identity keys are new, and null otherwise
+// 将新建立安全连接的对等方与已验证的密钥比较。已验证的身份密钥变化时返回 'changed'，未使用身份密钥验证的
+// 对等方仅会话密钥更新时返回 'session'，其他情况返回 null
+export function checkVerifiedPeer(rd, user) {
+	const name = getUserName(user);
+	const verified = rd ? rd.verifiedPeers[name] : null;
+	if (!verified) return null;
+	const code = rd.chat ? rd.chat.getSafetyCode(user.clientId) : null;
+	if (!code || code.remoteKey === verified.key) return null;
+	delete rd.verifiedPeers[name];
+	if (verified.stable && user.identity !== verified.key) {
+		rd.keyChangedPeers.add(name);
+		return 'changed'
+	}
+	return 'session'
+}
+
+// Render the QR code for a safety number as SVG
+// 将安全码渲染为 SVG 二维码
+function createSafetyQR(safetyNumber) {
+	const qr = qrcode(0, 'M');
+	qr.addData(QR_PREFIX + safetyNumber);
+	qr.make();
+	return qr.createSvgTag({
+		cellSize: 4,
+		margin: 2,
+		scalable: true
+	})
+}
+
+// Open the verification dialog for a peer
+// 打开对等方的验证对话框
+export function openVerifyModal(rd, user, onChange) {
+	const code = rd && rd.chat ? rd.chat.getSafetyCode(user.clientId) : null;
+	const name = getUserName(user);
+	const safeName = escapeHTML(name);
+	if (!code) {
+		window.addSystemMsg(`${name}: ${t('verify.not_ready', 'keys are not exchanged yet, try again in a moment.')}`);
+		return
+	}
+	const verified = isPeerVerified(rd, user);
+	const modal = createElement('div', {
+		class: 'login-modal verify-modal'
+	}, `<div class="login-modal-bg"></div><div class="login-modal-card verify-card"><button class="login-modal-close login-modal-close-abs">&times;</button><h2>${t('verify.title', 'Verify {name}').replace('{name}', safeName)}</h2><p class="verify-desc">${t('verify.description', 'Compare these codes with {name} in person or over a trusted channel. If they match, nobody is intercepting your conversation.').replace('{name}', safeName)}</p><div class="verify-emoji">${code.emoji.map(e => `<span>${e}</span>`).join('')}</div><div class="verify-number">${formatSafetyNumber(code.safetyNumber)}</div><div class="verify-sides"><div><div class="verify-side-label">${t('verify.your_code', 'Your code')}</div><div class="verify-side-code">${formatSafetyNumber(code.localFingerprint)}</div></div><div><div class="verify-side-label">${t('verify.their_code', "{name}'s code").replace('{name}', safeName)}</div><div class="verify-side-code">${formatSafetyNumber(code.remoteFingerprint)}</div></div></div><div class="verify-qr">${createSafetyQR(code.safetyNumber)}</div>${code.stable ? '' : `<p class="verify-desc">${t('verify.session_only', 'This code comes from the keys of this session and changes when either of you reconnects. With identity keys on both sides it stays the same.')}</p>`}<input type="text" class="verify-compare-input" placeholder="${t('verify.paste_scanned', 'Paste the code scanned from their QR')}"><div class="verify-compare-result"></div><button class="login-btn verify-btn">${verified ? t('verify.unmark', 'Remove verification') : t('verify.mark', 'Mark as verified')}</button></div>`);
+	document.body.appendChild(modal);
+	on($('.login-modal-close', modal), 'click', () => modal.remove());
+	on($('.login-modal-bg', modal), 'click', () => modal.remove());
+	const input = $('.verify-compare-input', modal);
+	const result = $('.verify-compare-result', modal);
+	on(input, 'input', () => {
+		const scanned = input.value.trim().replace(QR_PREFIX, '').replace(/\D/g, '');
+		if (!scanned) {
+			result.textContent = '';
+			result.className = 'verify-compare-result';
+			return
+		}
+		const match = scanned === code.safetyNumber;
+		result.textContent = match ? t('verify.match', '✔ Codes match') : t('verify.mismatch', '✘ Codes do not match');
+		result.className = 'verify-compare-result ' + (match ? 'match' : 'mismatch')
+	});
+	on($('.verify-btn', modal), 'click', () => {
+		if (verified) {
+			delete rd.verifiedPeers[name]
+		} else {
+			rd.verifiedPeers[name] = {
+				key: code.remoteKey,
+				stable: code.stable
+			};
+			rd.keyChangedPeers.delete(name)
+		}
+		modal.remove();
+		if (onChange) onChange()
+	})
+}
+
+// Pending relay key dialogs by relay origin, so reconnects do not stack dialogs
+// 按中继来源记录待处理的公钥对话框，避免重连时重复弹出
+const serverKeyPrompts = {};
+
+// Ask the user whether to trust a relay whose key differs from the pinned one, resolves to true to continue
+// 询问用户是否信任公钥与固定值不同的中继，返回 true 表示继续连接
+export function confirmServerKeyChange(info) {
+	if (serverKeyPrompts[info.origin]) return serverKeyPrompts[info.origin];
+	serverKeyPrompts[info.origin] = new Promise(resolve => {
+		const modal = createElement('div', {
+			class: 'login-modal verify-modal'
+		}, `<div class="login-modal-bg"></div><div class="login-modal-card verify-card"><h2>${t('verify.server_key_changed_title', '⚠️ Relay key changed')}</h2><p class="verify-desc">${t('verify.server_key_changed_desc', 'The relay at {origin} presented a different key than the one seen before, without a valid rotation signature. Someone may be impersonating the relay. Only continue if the operator confirmed the key was reset.').replace('{origin}', escapeHTML(info.origin))}</p><div class="verify-sides"><div><div class="verify-side-label">${t('verify.pinned_key', 'Pinned key')}</div><div class="verify-side-code">${formatSafetyNumber(info.pinnedFingerprint)}</div></div><div><div class="verify-side-label">${t('verify.presented_key', 'Presented key')}</div><div class="verify-side-code">${formatSafetyNumber(info.presentedFingerprint)}</div></div></div><button class="login-btn verify-disconnect-btn">${t('verify.disconnect', 'Disconnect')}</button><button class="verify-trust-btn">${t('verify.trust_new_key', 'Trust the new key')}</button></div>`);
+		document.body.appendChild(modal);
+		const finish = (trusted) => {
+			delete serverKeyPrompts[info.origin];
+			modal.remove();
+			resolve(trusted)
+		};
+		on($('.verify-disconnect-btn', modal), 'click', () => finish(false));
+		on($('.verify-trust-btn', modal), 'click', () => finish(true))
+	});
+	return serverKeyPrompts[info.origin]
+}
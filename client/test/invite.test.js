@@ -0,0 +1,137 @@
+'use strict';
+
+// Invite proofs: a member accepts a newcomer's proof only for this session's peer keys, before the invite expires and,
+// for a single-use invite, only for the first newcomer
+// 邀请证明：成员只接受与本次会话对等密钥绑定、在邀请过期前出示的证明；一次性邀请只接受第一位新加入者
+
+const {
+	describe,
+	test,
+	before
+} = require('node:test');
+const assert = require('node:assert/strict');
+const {
+	loadNodeCrypt
+} = require('./load-nodecrypt.js');
+
+const MEMBER = 'm'.repeat(16);
+const NEWCOMER = 'n'.repeat(16);
+const LATECOMER = 'o'.repeat(16);
+
+
+// A member who knows an invite, and a newcomer with a pairwise channel to it holding the invite
+// 知道某邀请的成员，以及持有该邀请、与其建立点对点通道的新加入者
+const createPair = (NodeCrypt, newcomerId, expires, single) => {
+
+	const member = new NodeCrypt({}, {});
+	const newcomer = new NodeCrypt({}, {});
+	const invite = {
+		id: '0123456789abcdef',
+		secret: '00112233445566778899aabbccddeeff'
+	};
+
+	member.storeInvite({
+		i: invite.id,
+		s: invite.secret,
+		e: expires,
+		u: single ? 1 : 0
+	});
+	newcomer.setInvite(invite);
+	member.channel[newcomerId] = {
+		keys: member.clientEc.genKeyPair()
+	};
+	newcomer.channel[MEMBER] = {
+		keys: newcomer.clientEc.genKeyPair(),
+		remoteKey: member.channel[newcomerId].keys.getPublic('hex')
+	};
+	member.channel[newcomerId].remoteKey = newcomer.channel[MEMBER].keys.getPublic('hex');
+
+	return ({
+		member,
+		newcomer,
+		invite
+	});
+
+};
+
+
+// The username announcement a newcomer sends a member, with its invite proof
+// 新加入者发给成员的带邀请证明的用户名声明
+const announce = (newcomer) => {
+
+	return ({
+		j: newcomer.invite.id,
+		o: newcomer.inviteProof(newcomer.invite, newcomer.channel[MEMBER].keys.getPublic('hex'), newcomer.channel[MEMBER].remoteKey)
+	});
+
+};
+
+
+describe('invite proofs', () => {
+
+	let NodeCrypt = null;
+
+	before(async () => {
+		NodeCrypt = await loadNodeCrypt();
+	});
+
+	test('accepts a valid proof, and announcements without one', () => {
+		const {
+			member,
+			newcomer
+		} = createPair(NodeCrypt, NEWCOMER, 0, false);
+
+		assert.equal(member.checkInviteProof(NEWCOMER, announce(newcomer)), null);
+		assert.equal(member.checkInviteProof(NEWCOMER, {}), null);
+	});
+
+	test('refuses a proof made for other peer keys or with another secret', () => {
+		const {
+			member,
+			newcomer,
+			invite
+		} = createPair(NodeCrypt, NEWCOMER, 0, false);
+		const other = member.clientEc.genKeyPair().getPublic('hex');
+
+		assert.equal(member.checkInviteProof(NEWCOMER, {
+			j: invite.id,
+			o: newcomer.inviteProof(invite, other, newcomer.channel[MEMBER].remoteKey)
+		}), 'invalid');
+		assert.equal(member.checkInviteProof(NEWCOMER, {
+			j: invite.id,
+			o: newcomer.inviteProof({
+				id: invite.id,
+				secret: 'ff'.repeat(16)
+			}, newcomer.channel[MEMBER].keys.getPublic('hex'), newcomer.channel[MEMBER].remoteKey)
+		}), 'invalid');
+		assert.equal(member.checkInviteProof(NEWCOMER, {
+			j: invite.id
+		}), 'invalid');
+	});
+
+	test('refuses an expired invite', () => {
+		const {
+			member,
+			newcomer
+		} = createPair(NodeCrypt, NEWCOMER, Date.now() - 1000, false);
+
+		assert.equal(member.checkInviteProof(NEWCOMER, announce(newcomer)), 'expired');
+	});
+
+	test('lets a single-use invite in once', () => {
+		const {
+			member,
+			newcomer
+		} = createPair(NodeCrypt, NEWCOMER, 0, true);
+		const second = createPair(NodeCrypt, LATECOMER, 0, true);
+
+		// The second newcomer holds the same invite and has its own channel to the same member
+		// 第二位新加入者持有同一邀请，并与同一成员建立了自己的通道
+		member.channel[LATECOMER] = second.member.channel[LATECOMER];
+
+		assert.equal(member.checkInviteProof(NEWCOMER, announce(newcomer)), null);
+		assert.equal(member.checkInviteProof(NEWCOMER, announce(newcomer)), null);
+		assert.equal(member.checkInviteProof(LATECOMER, announce(second.newcomer)), 'used');
+	});
+
+});
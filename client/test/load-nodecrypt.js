@@ -0,0 +1,59 @@
+'use strict';
+
+// Load the browser client into a test process
+// 将浏览器客户端加载到测试进程中
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+	pathToFileURL
+} = require('url');
+
+// Bundle the client with Vite as the app build does, so its browser dependencies resolve, and load it from a
+// temporary file. Returns the NodeCrypt class
+// 与应用构建一样使用 Vite 打包客户端，使其浏览器依赖得以解析，并从临时文件加载。返回 NodeCrypt 类
+const loadNodeCrypt = async () => {
+
+	const {
+		build
+	} = await import('vite');
+	const result = await build({
+		configFile: false,
+		logLevel: 'silent',
+		build: {
+			lib: {
+				entry: path.join(__dirname, '../js/NodeCrypt.js'),
+				formats: ['es'],
+				fileName: 'nodecrypt'
+			},
+			write: false,
+			minify: false
+		}
+	});
+	const entry = (Array.isArray(result) ? result[0] : result).output.find((chunk) => chunk.isEntry);
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nodecrypt-'));
+	const file = path.join(dir, entry.fileName);
+
+	fs.writeFileSync(file, entry.code);
+
+	globalThis.window = globalThis;
+	globalThis.self = globalThis;
+	globalThis.JS_SHA256_NO_NODE_JS = true;
+
+	try {
+		await import(pathToFileURL(file).href);
+	} finally {
+		fs.rmSync(dir, {
+			recursive: true,
+			force: true
+		});
+	}
+
+	return (globalThis.NodeCrypt);
+
+};
+
+module.exports = {
+	loadNodeCrypt
+};
@@ -0,0 +1,93 @@
+'use strict';
+
+// Length-hiding padding of peer payloads: sizes of the buckets, and padding that comes off without touching the payload
+// 对等方负载的长度隐藏填充：桶的大小，以及去除填充时不改动负载内容
+
+const {
+	describe,
+	test,
+	before
+} = require('node:test');
+const assert = require('node:assert/strict');
+const {
+	loadNodeCrypt
+} = require('./load-nodecrypt.js');
+
+
+describe('payload padding', () => {
+
+	let NodeCrypt = null;
+
+	before(async () => {
+		NodeCrypt = await loadNodeCrypt();
+	});
+
+	test('pads to power-of-two buckets, then to multiples of the largest', () => {
+		const client = new NodeCrypt({}, {});
+
+		assert.equal(client.getPaddedLength(0), 256);
+		assert.equal(client.getPaddedLength(255), 256);
+		assert.equal(client.getPaddedLength(256), 512);
+		assert.equal(client.getPaddedLength(40000), 65536);
+		assert.equal(client.getPaddedLength(65535), 65536);
+		assert.equal(client.getPaddedLength(65536), 131072);
+		assert.equal(client.getPaddedLength(200000), 262144);
+	});
+
+	test('pads every message to the same size with the paranoid policy', () => {
+		const client = new NodeCrypt({}, {});
+
+		client.setPaddingPolicy('paranoid');
+
+		assert.equal(client.encodePayload({
+			t: 'hi'
+		}, true).length, 16384);
+		assert.equal(client.encodePayload({
+			t: 'x'.repeat(10000)
+		}, true).length, 16384);
+		assert.equal(client.getPaddedLength(16384), 32768);
+	});
+
+	test('removes the padding and nothing else', () => {
+		const client = new NodeCrypt({}, {});
+
+		for (
+			const message of [{
+				t: ''
+			}, {
+				t: 'ends with a marker byte \u0080'
+			}, {
+				t: 'x'.repeat(300)
+			}, {
+				t: '密码'
+			}]
+		) {
+			const encoded = client.encodePayload(message, true);
+
+			assert.equal(encoded.length, client.getPaddedLength(Buffer.byteLength(JSON.stringify(message))));
+			assert.deepEqual(client.decodePayload(encoded, true), message);
+		}
+	});
+
+	test('refuses padded payloads without the marker', () => {
+		const client = new NodeCrypt({}, {});
+		const data = Buffer.from(JSON.stringify({
+			t: 'hi'
+		}));
+
+		assert.equal(client.decodePayload(Buffer.concat([data, Buffer.alloc(32)]), true), null);
+		assert.equal(client.decodePayload(Buffer.alloc(32), true), null);
+		assert.equal(client.decodePayload(Buffer.alloc(0), true), null);
+	});
+
+	test('leaves unpadded payloads as they are', () => {
+		const client = new NodeCrypt({}, {});
+		const message = {
+			t: 'hi'
+		};
+
+		assert.deepEqual(client.encodePayload(message, false), Buffer.from(JSON.stringify(message)));
+		assert.deepEqual(client.decodePayload(client.encodePayload(message, false), false), message);
+	});
+
+});
@@ -0,0 +1,173 @@
+'use strict';
+
+// Forward secrecy of the pairwise double ratchet: a copy of a peer's ratchet taken mid-conversation, as an attacker
+// who compromises the device would get it, must not open any message that peer received before the copy
+// 点对点双棘轮的前向保密：在对话中途复制的对等方棘轮状态（相当于攻破设备的攻击者所得）不能解开该对等方
+// 在复制之前收到的任何消息
+
+const {
+	describe,
+	test,
+	before
+} = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const {
+	loadNodeCrypt
+} = require('./load-nodecrypt.js');
+
+const ALICE = 'a'.repeat(16);
+const BOB = 'b'.repeat(16);
+
+// Protocol version of the peers, with padded payloads
+// 对等方的协议版本，负载带填充
+const VERSION = 7;
+
+
+// A client with the given id holding a channel entry for a peer; the ratchet is set up once both sides exist
+// 持有某对等方通道条目、具有给定 id 的客户端；双方都创建后再初始化棘轮
+const createPeer = (NodeCrypt, clientId, peerId, shared) => {
+
+	const peer = new NodeCrypt({}, {});
+
+	peer.clientId = clientId;
+	peer.channel[peerId] = {
+		keys: peer.clientEc.genKeyPair(),
+		remoteKey: null,
+		shared: shared,
+		version: VERSION
+	};
+
+	return (peer);
+
+};
+
+
+// Alice and Bob after their key exchange, each with a ratchet for the other
+// 完成密钥交换后的 Alice 和 Bob，各自持有对方的棘轮
+const createPair = (NodeCrypt) => {
+
+	const shared = crypto.randomBytes(32);
+	const alice = createPeer(NodeCrypt, ALICE, BOB, shared);
+	const bob = createPeer(NodeCrypt, BOB, ALICE, shared);
+
+	alice.channel[BOB].remoteKey = bob.channel[ALICE].keys.getPublic('hex');
+	bob.channel[ALICE].remoteKey = alice.channel[BOB].keys.getPublic('hex');
+	alice.channel[BOB].ratchet = alice.initRatchet(BOB);
+	bob.channel[ALICE].ratchet = bob.initRatchet(ALICE);
+
+	return ({
+		alice,
+		bob
+	});
+
+};
+
+
+// Encrypt a message from one peer and check the other one opens it
+// 由一方加密消息并检查另一方能够解开
+const deliver = (from, to, text) => {
+
+	const message = {
+		t: text
+	};
+	const encrypted = from.ratchetEncrypt(to.clientId, message);
+
+	assert.deepEqual(to.ratchetDecrypt(from.clientId, encrypted, to.channel[from.clientId]), message);
+
+	return (encrypted);
+
+};
+
+
+// A stranger holding a copy of a client's ratchet for a peer
+// 持有某客户端针对某对等方棘轮副本的第三方
+const copyRatchet = (NodeCrypt, client, peerId) => {
+
+	const ratchet = client.channel[peerId].ratchet;
+	const copy = new NodeCrypt({}, {});
+
+	copy.clientId = client.clientId;
+	copy.channel[peerId] = {
+		version: VERSION,
+		ratchet: {
+			...ratchet,
+			skipped: new Map(ratchet.skipped)
+		}
+	};
+
+	return (copy);
+
+};
+
+
+describe('double ratchet', () => {
+
+	let NodeCrypt = null;
+
+	before(async () => {
+		NodeCrypt = await loadNodeCrypt();
+	});
+
+	test('a copied ratchet opens none of the messages received before the copy', () => {
+		const {
+			alice,
+			bob
+		} = createPair(NodeCrypt);
+		const received = [];
+
+		// Several turns, so Bob's ratchet went through DH steps and its chains moved on
+		// 多轮往来，使 Bob 的棘轮经过多次 DH 步进且各条链均已推进
+		received.push(deliver(alice, bob, 'one'));
+		received.push(deliver(alice, bob, 'two'));
+		deliver(bob, alice, 'reply one');
+		received.push(deliver(alice, bob, 'three'));
+		deliver(bob, alice, 'reply two');
+		received.push(deliver(alice, bob, 'four'));
+		received.push(deliver(alice, bob, 'five'));
+
+		const stolen = copyRatchet(NodeCrypt, bob, ALICE);
+
+		for (
+			const encrypted of received
+		) {
+			assert.equal(stolen.ratchetDecrypt(ALICE, encrypted, stolen.channel[ALICE]), null);
+		}
+
+		// The copy is live: it opens the next message, so the failures above come from the ratchet and not a broken copy
+		// 副本是有效的：它能解开下一条消息，说明上面的失败来自棘轮本身而不是副本损坏
+		const next = {
+			t: 'six'
+		};
+
+		assert.deepEqual(stolen.ratchetDecrypt(ALICE, alice.ratchetEncrypt(BOB, next), stolen.channel[ALICE]), next);
+	});
+
+	test('a message skipped before the copy still opens with it, and only once', () => {
+		const {
+			alice,
+			bob
+		} = createPair(NodeCrypt);
+
+		deliver(alice, bob, 'one');
+
+		const late = alice.ratchetEncrypt(BOB, {
+			t: 'late'
+		});
+
+		deliver(alice, bob, 'three');
+
+		const stolen = copyRatchet(NodeCrypt, bob, ALICE);
+
+		// Keys of skipped messages are kept until they arrive, so they are the one exception
+		// 被跳过消息的密钥会保留到消息到达，因此是唯一的例外
+		assert.deepEqual(stolen.ratchetDecrypt(ALICE, late, stolen.channel[ALICE]), {
+			t: 'late'
+		});
+		assert.deepEqual(bob.ratchetDecrypt(ALICE, late, bob.channel[ALICE]), {
+			t: 'late'
+		});
+		assert.equal(bob.ratchetDecrypt(ALICE, late, bob.channel[ALICE]), null);
+	});
+
+});
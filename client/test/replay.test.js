@@ -0,0 +1,138 @@
+'use strict';
+
+// Replay protection of peer messages: each counter is accepted once within a sliding window, and the send time is
+// measured against the sender's own clock
+// 对等方消息的重放保护：滑动窗口内每个计数器只接受一次，发送时间按发送者自己的时钟计算
+
+const {
+	describe,
+	test,
+	before
+} = require('node:test');
+const assert = require('node:assert/strict');
+const {
+	loadNodeCrypt
+} = require('./load-nodecrypt.js');
+
+const PEER = 'p'.repeat(16);
+
+
+// A client holding a channel entry for a peer of the given protocol version
+// 持有给定协议版本对等方通道条目的客户端
+const createClient = (NodeCrypt, version) => {
+
+	const client = new NodeCrypt({}, {});
+
+	client.channel[PEER] = {
+		version: version
+	};
+
+	return (client);
+
+};
+
+
+describe('replay window', () => {
+
+	let NodeCrypt = null;
+
+	before(async () => {
+		NodeCrypt = await loadNodeCrypt();
+	});
+
+	test('accepts each counter once, also out of order', () => {
+		const client = createClient(NodeCrypt, 7);
+		const now = Date.now();
+
+		assert.equal(client.checkReplay(PEER, {
+			q: 2,
+			ts: now
+		}), true);
+		assert.equal(client.checkReplay(PEER, {
+			q: 1,
+			ts: now
+		}), true);
+		assert.equal(client.checkReplay(PEER, {
+			q: 3,
+			ts: now
+		}), true);
+		assert.equal(client.checkReplay(PEER, {
+			q: 2,
+			ts: now
+		}), false);
+		assert.equal(client.checkReplay(PEER, {
+			q: 3,
+			ts: now
+		}), false);
+	});
+
+	test('drops counters that fell out of the window', () => {
+		const client = createClient(NodeCrypt, 7);
+		const now = Date.now();
+
+		assert.equal(client.checkReplay(PEER, {
+			q: client.REPLAY_WINDOW + 10,
+			ts: now
+		}), true);
+		assert.equal(client.checkReplay(PEER, {
+			q: 10,
+			ts: now
+		}), false);
+		assert.equal(client.checkReplay(PEER, {
+			q: 11,
+			ts: now
+		}), true);
+	});
+
+	test('accepts a peer with a wrong clock and drops messages held back from it', () => {
+		const client = createClient(NodeCrypt, 7);
+		const peerNow = () => Date.now() - 60 * 60 * 1000;
+
+		assert.equal(client.checkReplay(PEER, {
+			q: 1,
+			ts: peerNow()
+		}), true);
+		assert.equal(client.checkReplay(PEER, {
+			q: 2,
+			ts: peerNow()
+		}), true);
+		assert.equal(client.checkReplay(PEER, {
+			q: 3,
+			ts: peerNow() - client.REPLAY_MAX_AGE - 60000
+		}), false);
+	});
+
+	test('drops messages without a counter or send time', () => {
+		const client = createClient(NodeCrypt, 7);
+
+		for (
+			const message of [{}, {
+				q: 1
+			}, {
+				ts: Date.now()
+			}, {
+				q: 0,
+				ts: Date.now()
+			}, {
+				q: 1.5,
+				ts: Date.now()
+			}, {
+				q: 1,
+				ts: NaN
+			}, {
+				q: 1,
+				ts: String(Date.now())
+			}]
+		) {
+			assert.equal(client.checkReplay(PEER, message), false);
+		}
+	});
+
+	test('leaves peers before protocol version 6 alone', () => {
+		const client = createClient(NodeCrypt, 5);
+
+		assert.equal(client.checkReplay(PEER, {}), true);
+		assert.equal(client.checkReplay(PEER, {}), true);
+	});
+
+});
@@ -0,0 +1,188 @@
+'use strict';
+
+// Role lists: who may sign one, what a moderator may change in it, and how a newcomer learns the room's owner
+// 角色列表：谁可以签署，管理员可以修改其中哪些内容，以及新加入者如何得知房主
+
+const {
+	describe,
+	test,
+	before
+} = require('node:test');
+const assert = require('node:assert/strict');
+const {
+	loadNodeCrypt
+} = require('./load-nodecrypt.js');
+
+const SENDER = 's'.repeat(16);
+
+
+// The owner, a moderator, a plain member and a stranger, and the owner's list making the moderator one
+// 房主、管理员、普通成员和陌生人，以及房主任命该管理员的列表
+const createRoom = (NodeCrypt) => {
+
+	const owner = new NodeCrypt({}, {});
+	const moderator = new NodeCrypt({}, {});
+	const member = new NodeCrypt({}, {});
+	const stranger = new NodeCrypt({}, {});
+	const key = (client) => client.getRoleKey().getPublic('hex');
+	const roles = owner.signRoles({
+		o: key(owner),
+		n: 1,
+		m: [key(moderator)],
+		k: [],
+		u: [],
+		s: 0,
+		a: 0
+	});
+
+	return ({
+		owner,
+		moderator,
+		member,
+		stranger,
+		roles,
+		key
+	});
+
+};
+
+
+// A client that already holds the given list, as every member does after joining
+// 已持有给定列表的客户端，与每位成员加入后的状态相同
+const createMember = (NodeCrypt, roles, callbacks) => {
+
+	const client = new NodeCrypt({}, callbacks || {});
+
+	client.applyRoles(roles, null);
+
+	return (client);
+
+};
+
+
+describe('role lists', () => {
+
+	let NodeCrypt = null;
+
+	before(async () => {
+		NodeCrypt = await loadNodeCrypt();
+	});
+
+	test('a newcomer takes the owner\'s list, and a moderator\'s list only with the owner\'s list it builds on', () => {
+		const room = createRoom(NodeCrypt);
+		const muted = room.moderator.signRoles(Object.assign({}, room.roles, {
+			u: [room.key(room.member)]
+		}));
+
+		assert.equal(new NodeCrypt({}, {}).adoptRoles(SENDER, muted), false);
+		assert.equal(new NodeCrypt({}, {}).adoptRoles(SENDER, muted, muted), false);
+
+		const newcomer = new NodeCrypt({}, {});
+
+		assert.equal(newcomer.adoptRoles(SENDER, muted, room.roles), true);
+		assert.deepEqual(newcomer.roles, muted);
+		assert.equal(new NodeCrypt({}, {}).adoptRoles(SENDER, room.roles), true);
+	});
+
+	test('a newcomer refuses a list a moderator signed to vouch for itself', () => {
+		const room = createRoom(NodeCrypt);
+		const newcomer = new NodeCrypt({}, {});
+		const forged = room.stranger.signRoles({
+			o: room.key(room.owner),
+			n: 1,
+			m: [room.key(room.stranger)],
+			k: [],
+			u: [],
+			s: 0,
+			a: 0
+		});
+
+		assert.equal(newcomer.adoptRoles(SENDER, forged), false);
+		assert.equal(newcomer.adoptRoles(SENDER, forged, forged), false);
+		assert.equal(newcomer.roles, null);
+	});
+
+	test('refuses a version the owner could never go past', () => {
+		const room = createRoom(NodeCrypt);
+		const client = createMember(NodeCrypt, room.roles);
+
+		assert.equal(client.adoptRoles(SENDER, room.moderator.signRoles(Object.assign({}, room.roles, {
+			n: Number.MAX_SAFE_INTEGER - 1
+		}))), false);
+		assert.equal(client.adoptRoles(SENDER, room.roles), false);
+
+		const next = room.moderator.signRoles(Object.assign({}, room.roles, {
+			s: 10
+		}));
+
+		assert.equal(client.adoptRoles(SENDER, next), true);
+		assert.equal(client.adoptRoles(SENDER, room.owner.signRoles(Object.assign({}, next, {
+			s: 0
+		}))), true);
+		assert.equal(client.getRoomModes().slow, 0);
+	});
+
+	test('a moderator can kick or mute members but not the owner or other moderators', () => {
+		const room = createRoom(NodeCrypt);
+		const second = new NodeCrypt({}, {});
+		const roles = room.owner.signRoles(Object.assign({}, room.roles, {
+			m: [room.key(room.moderator), room.key(second)]
+		}));
+		const client = createMember(NodeCrypt, roles);
+		const change = (changes) => room.moderator.signRoles(Object.assign({}, client.roles, changes));
+
+		for (
+			const target of [room.key(room.owner), room.key(second)]
+		) {
+			assert.equal(client.adoptRoles(SENDER, change({
+				k: [target]
+			})), false);
+			assert.equal(client.adoptRoles(SENDER, change({
+				u: [target]
+			})), false);
+		}
+		assert.equal(client.adoptRoles(SENDER, change({
+			m: [room.key(room.moderator)]
+		})), false);
+		assert.equal(client.adoptRoles(SENDER, change({
+			u: [room.key(room.member)]
+		})), true);
+		assert.equal(client.adoptRoles(SENDER, change({
+			k: [room.key(room.member)]
+		})), true);
+	});
+
+	test('a muted moderator cannot sign lists', () => {
+		const room = createRoom(NodeCrypt);
+		const client = createMember(NodeCrypt, room.owner.signRoles(Object.assign({}, room.roles, {
+			u: [room.key(room.moderator)]
+		})));
+
+		assert.equal(client.adoptRoles(SENDER, room.moderator.signRoles(Object.assign({}, client.roles, {
+			s: 30
+		}))), false);
+	});
+
+	test('keeps the first owner and warns once about lists of another owner', () => {
+		const room = createRoom(NodeCrypt);
+		const warnings = [];
+		const client = createMember(NodeCrypt, room.roles, {
+			onRolesChanged: (info) => warnings.push(...info.changes.filter((change) => change.type === 'owner_conflict'))
+		});
+		const other = room.stranger.signRoles({
+			o: room.key(room.stranger),
+			n: 5,
+			m: [],
+			k: [],
+			u: [],
+			s: 0,
+			a: 0
+		});
+
+		assert.equal(client.adoptRoles(SENDER, other), false);
+		assert.equal(client.adoptRoles(SENDER, room.stranger.signRoles(other)), false);
+		assert.equal(client.roles.o, room.key(room.owner));
+		assert.equal(warnings.length, 1);
+	});
+
+});
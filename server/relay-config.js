@@ -0,0 +1,417 @@
+'use strict';
+
+// Configuration of the Node relay. Every option can come from the JSON file named by --config or NODECRYPT_CONFIG,
+// an environment variable or a command line flag; flags win over environment variables, which win over the file
+// Node 中继的配置。每个选项都可以来自 --config 或 NODECRYPT_CONFIG 指定的 JSON 文件、环境变量或命令行参数；
+// 命令行参数优先于环境变量，环境变量优先于配置文件
+
+const fs = require('fs');
+const path = require('path');
+const {
+	LIMITS,
+	THROTTLE_LIMIT,
+	parseLimit
+} = require('./relay-core.js');
+
+// name: key in the JSON file and in the loaded config, flag: command line flag, env: environment variable
+// name：JSON 文件和加载后配置中的键名，flag：命令行参数，env：环境变量
+const OPTIONS = [{
+	name: 'host',
+	flag: '--host',
+	env: 'NODECRYPT_HOST',
+	type: 'string',
+	value: '127.0.0.1',
+	help: 'Address to bind'
+}, {
+	name: 'port',
+	flag: '--port',
+	env: 'NODECRYPT_PORT',
+	type: 'integer',
+	min: 0,
+	max: 65535,
+	value: 8088,
+	help: 'Port to listen on'
+}, {
+	name: 'tlsCert',
+	flag: '--tls-cert',
+	env: 'NODECRYPT_TLS_CERT',
+	type: 'path',
+	value: null,
+	help: 'PEM certificate chain; with --tls-key the relay serves wss:// itself'
+}, {
+	name: 'tlsKey',
+	flag: '--tls-key',
+	env: 'NODECRYPT_TLS_KEY',
+	type: 'path',
+	value: null,
+	help: 'PEM private key for --tls-cert'
+}, {
+	name: 'keyFile',
+	flag: '--key-file',
+	env: 'NODECRYPT_KEY_FILE',
+	type: 'path',
+	value: path.join(__dirname, 'relay-keys.json'),
+	help: 'File keeping the relay keys, rotation certificates and room salt across restarts'
+}, {
+	name: 'keyRotationHours',
+	flag: '--key-rotation-hours',
+	env: 'NODECRYPT_KEY_ROTATION_HOURS',
+	type: 'integer',
+	min: 0,
+	max: 24 * 365,
+	value: 24,
+	help: 'Rotate the relay keys once they are this old, 0 to never rotate'
+}, {
+	name: 'seenTimeout',
+	flag: '--seen-timeout',
+	env: 'NODECRYPT_SEEN_TIMEOUT',
+	type: 'integer',
+	min: 1000,
+	max: 24 * 60 * 60 * 1000,
+	value: 60000,
+	help: 'Milliseconds of silence before a connection is dropped'
+}, {
+	name: 'maxFrame',
+	flag: '--max-frame',
+	env: 'NODECRYPT_MAX_FRAME',
+	type: 'integer',
+	min: 64 * 1024,
+	max: 64 * 1024 * 1024,
+	value: 8 * 1024 * 1024,
+	help: 'Largest encrypted frame in characters'
+}, {
+	name: 'legacyHandshake',
+	flag: '--legacy-handshake',
+	env: 'NODECRYPT_LEGACY_HANDSHAKE',
+	type: 'boolean',
+	value: true,
+	help: 'Accept v1 (RSA + AES-CBC) handshakes from clients that do not speak v2 yet'
+}, {
+	name: 'handshakeLimit',
+	flag: '--handshake-limit',
+	env: 'NODECRYPT_HANDSHAKE_LIMIT',
+	type: 'limit',
+	value: LIMITS.handshake.address,
+	help: 'New connections per source address, per second / burst'
+}, {
+	name: 'controlLimit',
+	flag: '--control-limit',
+	env: 'NODECRYPT_CONTROL_LIMIT',
+	type: 'limit',
+	value: LIMITS.control.connection,
+	help: 'Frames per connection, per second / burst'
+}, {
+	name: 'controlAddressLimit',
+	flag: '--control-address-limit',
+	env: 'NODECRYPT_CONTROL_ADDRESS_LIMIT',
+	type: 'limit',
+	value: LIMITS.control.address,
+	help: 'Frames per source address, per second / burst'
+}, {
+	name: 'bulkLimit',
+	flag: '--bulk-limit',
+	env: 'NODECRYPT_BULK_LIMIT',
+	type: 'limit',
+	value: LIMITS.bulk.connection,
+	help: 'KiB of frames per connection, per second / burst'
+}, {
+	name: 'bulkAddressLimit',
+	flag: '--bulk-address-limit',
+	env: 'NODECRYPT_BULK_ADDRESS_LIMIT',
+	type: 'limit',
+	value: LIMITS.bulk.address,
+	help: 'KiB of frames per source address, per second / burst'
+}, {
+	name: 'throttleLimit',
+	flag: '--throttle-limit',
+	env: 'NODECRYPT_THROTTLE_LIMIT',
+	type: 'integer',
+	min: 0,
+	max: 60 * 1000,
+	value: THROTTLE_LIMIT,
+	help: 'Milliseconds a client over a limit is held back before it is disconnected'
+}, {
+	name: 'debug',
+	flag: '--debug',
+	env: 'NODECRYPT_DEBUG',
+	type: 'boolean',
+	value: false,
+	help: 'Log every connection and frame'
+}];
+
+
+// Load the config from command line arguments (without node and the script) and an environment. Throws on
+// unknown flags, malformed values or a TLS certificate without its key
+// 从命令行参数（不含 node 和脚本路径）和环境变量加载配置。遇到未知参数、格式错误的值或缺少私钥的 TLS 证书时抛出异常
+const loadConfig = (argv, env) => {
+
+	const flags = parseFlags(argv || []);
+	const environment = env || {};
+	const file = flags.config || environment.NODECRYPT_CONFIG;
+	const json = file ? readConfigFile(file) : {};
+	const config = {
+		help: flags.help === true
+	};
+
+	for (
+		const option of OPTIONS
+	) {
+		let value = option.value;
+
+		if (
+			Object.prototype.hasOwnProperty.call(json, option.name)
+		) {
+			value = parseValue(option, json[option.name], file, path.dirname(path.resolve(file)));
+		}
+
+		if (
+			isString(environment[option.env])
+		) {
+			value = parseValue(option, environment[option.env], option.env);
+		}
+
+		if (
+			Object.prototype.hasOwnProperty.call(flags, option.name)
+		) {
+			value = parseValue(option, flags[option.name], option.flag);
+		}
+
+		config[option.name] = value;
+	}
+
+	if (
+		!config.tlsCert !== !config.tlsKey
+	) {
+		throw new Error('--tls-cert and --tls-key must be set together');
+	}
+
+	return (config);
+
+};
+
+
+// Usage text for --help
+// --help 的用法说明
+const getUsage = () => {
+
+	const lines = [
+		'Usage: node server.js [options]',
+		'',
+		'  ' + pad('--config <file>') + 'JSON file with any of the options below by name (NODECRYPT_CONFIG)',
+		'  ' + pad('--help') + 'Show this help',
+		''
+	];
+
+	for (
+		const option of OPTIONS
+	) {
+		const flag = option.type === 'boolean' ?
+			'--[no-]' + option.flag.slice(2) :
+			option.flag + ' <' + (option.type === 'path' ? 'file' : option.type === 'integer' ? 'n' : option.type === 'limit' ? 'rate/burst' : 'value') + '>';
+		const value = option.type === 'limit' ? option.value.rate + '/' + option.value.burst : option.value;
+
+		lines.push('  ' + pad(flag) + option.help);
+		lines.push('  ' + pad('') + option.name + ', ' + option.env + (value !== null ? ', default ' + value : ''));
+	}
+
+	return (lines.join('\n'));
+
+};
+
+
+const pad = (text) => {
+	return (text + ' '.repeat(Math.max(2, 40 - text.length)));
+};
+
+
+// Turn --name value, --name=value, --flag and --no-flag into {optionName: text or boolean}
+// 将 --name value、--name=value、--flag 和 --no-flag 转换为 {选项名: 文本或布尔值}
+const parseFlags = (argv) => {
+
+	const flags = {};
+
+	for (
+		let i = 0; i < argv.length; i++
+	) {
+		const arg = argv[i];
+		const equals = arg.indexOf('=');
+		const flag = equals > 0 ? arg.slice(0, equals) : arg;
+		const inline = equals > 0 ? arg.slice(equals + 1) : null;
+
+		if (
+			flag === '--help' ||
+			flag === '-h'
+		) {
+			flags.help = true;
+			continue;
+		}
+
+		if (
+			flag === '--config'
+		) {
+			flags.config = inline !== null ? inline : argv[++i];
+
+			if (
+				!flags.config
+			) {
+				throw new Error('--config needs a file');
+			}
+
+			continue;
+		}
+
+		const negated = flag.indexOf('--no-') === 0;
+		const option = OPTIONS.find((candidate) => {
+			return (candidate.flag === (negated ? '--' + flag.slice(5) : flag));
+		});
+
+		if (
+			!option ||
+			(negated && option.type !== 'boolean')
+		) {
+			throw new Error('unknown option ' + arg);
+		}
+
+		if (
+			option.type === 'boolean'
+		) {
+			flags[option.name] = inline !== null ? inline : !negated;
+			continue;
+		}
+
+		const value = inline !== null ? inline : argv[++i];
+
+		if (
+			value === undefined
+		) {
+			throw new Error(flag + ' needs a value');
+		}
+
+		flags[option.name] = value;
+	}
+
+	return (flags);
+
+};
+
+
+const readConfigFile = (file) => {
+
+	let json = null;
+
+	try {
+		json = JSON.parse(fs.readFileSync(file, 'utf8'));
+	} catch (error) {
+		throw new Error('cannot read config file ' + file + ': ' + error.message);
+	}
+
+	if (
+		!json ||
+		Object.prototype.toString.call(json) !== '[object Object]'
+	) {
+		throw new Error('config file ' + file + ' must hold a JSON object');
+	}
+
+	for (
+		const name in json
+	) {
+		if (
+			!OPTIONS.some((option) => option.name === name)
+		) {
+			throw new Error('unknown option ' + name + ' in ' + file);
+		}
+	}
+
+	return (json);
+
+};
+
+
+// Check and convert one value; text from flags and variables, or JSON values from the file. Relative paths are
+// resolved against base, the config file's directory, or else the working directory
+// 校验并转换单个值；来自参数和环境变量的文本，或来自配置文件的 JSON 值。相对路径基于 base（配置文件所在目录）
+// 解析，未提供时基于当前工作目录
+const parseValue = (option, value, source, base) => {
+
+	if (
+		option.type === 'boolean'
+	) {
+		if (
+			value === true ||
+			value === false
+		) {
+			return (value);
+		}
+
+		if (
+			/^(1|true|yes|on)$/i.test(String(value))
+		) {
+			return (true);
+		}
+
+		if (
+			/^(0|false|no|off)$/i.test(String(value))
+		) {
+			return (false);
+		}
+
+		throw new Error(source + ' must be true or false');
+	}
+
+	if (
+		option.type === 'integer'
+	) {
+		const number = typeof value === 'number' ? value : /^\d+$/.test(String(value)) ? Number(value) : NaN;
+
+		if (
+			!Number.isInteger(number) ||
+			number < option.min ||
+			number > option.max
+		) {
+			throw new Error(source + ' must be an integer from ' + option.min + ' to ' + option.max);
+		}
+
+		return (number);
+	}
+
+	// Rate limits are written rate/burst, a rate of 0 turns the limit off
+	// 限速写作 rate/burst，rate 为 0 时关闭该限制
+	if (
+		option.type === 'limit'
+	) {
+		const limit = parseLimit(value);
+
+		if (
+			!limit
+		) {
+			throw new Error(source + ' must be rate/burst, such as 20/100');
+		}
+
+		return (limit);
+	}
+
+	if (
+		!isString(value)
+	) {
+		throw new Error(source + ' must be a string');
+	}
+
+	return (option.type === 'path' ? path.resolve(base || '.', value) : value);
+
+};
+
+
+const isString = (value) => {
+	return (
+		value &&
+		Object.prototype.toString.call(value) === '[object String]' ?
+		true :
+		false
+	);
+};
+
+
+module.exports = {
+	loadConfig,
+	getUsage
+};
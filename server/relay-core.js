@@ -0,0 +1,1126 @@
+'use strict';
+
+// Transport-agnostic relay core shared by the Node server (server.js) and the Cloudflare Worker (worker/index.js).
+// The host owns the sockets and injects three adapters:
+//   transport: send(connection, text), close(connection) and optionally terminate(connection) for stale sockets,
+//              save(connection, state) to keep each client's state with its socket for restore(), and
+//              seen(connection) for the last time the host answered the client without the relay (auto pongs)
+//   crypto:    clientId(), createEcdh(), signLegacy(), signTranscript(), sha256(), hkdf() and the frame codec
+//              (encryptFrame, decryptFrame, encryptMessage, decryptMessage, which must be synchronous)
+//   storage:   getKeys(), resolving to the relay identity {rsaPublic, rsaPrivate, edPublic, edPrivate, rotations, roomSalt}
+// 与传输层无关的中继核心，由 Node 服务器（server.js）和 Cloudflare Worker（worker/index.js）共用。
+// 宿主负责管理套接字并注入三个适配器：
+//   transport：send(connection, text)、close(connection)，以及可选的用于清理过期套接字的 terminate(connection)、
+//              将客户端状态随套接字保存以供 restore() 使用的 save(connection, state)，
+//              和返回宿主在中继之外最后一次应答客户端（自动 pong）时间的 seen(connection)
+//   crypto：   clientId()、createEcdh()、signLegacy()、signTranscript()、sha256()、hkdf() 和帧编解码
+//              （encryptFrame、decryptFrame、encryptMessage、decryptMessage，必须是同步的）
+//   storage：  getKeys()，返回中继身份 {rsaPublic, rsaPrivate, edPublic, edPrivate, rotations, roomSalt}
+
+// Handshake frames must fit in this many characters, encrypted frames in maxFrame (MAX_FRAME by default)
+// 握手帧不得超过此字符数，加密帧不得超过 maxFrame（默认为 MAX_FRAME）
+const MAX_HANDSHAKE = 2048;
+const MAX_FRAME = 8 * 1024 * 1024;
+
+// Token buckets per connection and per source address: rate in tokens per second, burst in tokens, a rate of 0 turns
+// the bucket off. Handshakes count new connections, control counts frames and bulk counts KiB of frames. A connection
+// only ever makes one handshake, so handshakes are limited per address alone
+// 每个连接和每个来源地址的令牌桶：rate 为每秒令牌数，burst 为令牌上限，rate 为 0 时关闭该桶。握手按新连接计数，
+// 控制按帧计数，批量按帧的 KiB 数计数。每个连接只会握手一次，因此握手只按地址限制
+const LIMITS = {
+	handshake: {
+		address: {
+			rate: 1,
+			burst: 20
+		}
+	},
+	control: {
+		connection: {
+			rate: 100,
+			burst: 500
+		},
+		address: {
+			rate: 200,
+			burst: 1000
+		}
+	},
+	bulk: {
+		connection: {
+			rate: 8192,
+			burst: 65536
+		},
+		address: {
+			rate: 16384,
+			burst: 131072
+		}
+	}
+};
+
+// Clients over a limit are held back, frames keeping their order; one that would wait longer than this many
+// milliseconds is disconnected
+// 超出限制的客户端会被延迟处理，帧保持原有顺序；需要等待超过此毫秒数的客户端将被断开
+const THROTTLE_LIMIT = 10000;
+
+// Create a relay. Options: transport, crypto and storage adapters, log(source, message, level), seenTimeout in
+// milliseconds, maxFrame in characters, legacyHandshake to accept v1 (RSA + AES-CBC) handshakes, limits overriding
+// parts of LIMITS and throttleLimit in milliseconds
+// 创建中继。选项：transport、crypto 和 storage 适配器，log(source, message, level)，以毫秒为单位的 seenTimeout，
+// 以字符为单位的 maxFrame，是否接受 v1（RSA + AES-CBC）握手的 legacyHandshake，覆盖部分 LIMITS 的 limits，
+// 以及以毫秒为单位的 throttleLimit
+const createRelay = (options) => {
+
+	const transport = options.transport;
+	const crypto = options.crypto;
+	const storage = options.storage;
+	const logEvent = options.log || (() => {});
+	const seenTimeout = options.seenTimeout || 60000;
+	const maxFrame = options.maxFrame || MAX_FRAME;
+	const legacyHandshake = options.legacyHandshake !== false;
+	const limits = mergeLimits(options.limits);
+	const throttleLimit = isNumber(options.throttleLimit) ? options.throttleLimit : THROTTLE_LIMIT;
+
+	// Handshake versions this relay speaks, highest first; v3 is v2 with length-hiding padded frames
+	// 本中继支持的握手版本，从高到低；v3 为带长度隐藏填充的 v2 帧
+	const versions = legacyHandshake ? [3, 2, 1] : [3, 2];
+
+	const clients = {};
+	const channels = {};
+	// Source address -> {clients, buckets}, kept after its last client leaves until the buckets are full again
+	// 来源地址 -> {clients, buckets}，最后一个客户端离开后仍保留，直到令牌桶重新填满
+	const addresses = {};
+
+
+	// Register a new connection from a source address (optional) and push the server-key frame, returns its client
+	// id or null when it was refused
+	// 注册来自某来源地址（可选）的新连接并推送 server-key 帧，返回其客户端 id，被拒绝时返回 null
+	const open = (connection, address) => {
+
+		sweep();
+
+		const clientId = crypto.clientId();
+
+		if (
+			!clientId ||
+			clients[clientId]
+		) {
+			closeConnection(connection);
+			return (null);
+		}
+
+		const client = {
+			id: clientId,
+			connection: connection,
+			address: isString(address) ? address : null,
+			buckets: createBuckets('connection'),
+			seen: getTime(),
+			keys: null,
+			shared: null,
+			version: 0,
+			channel: null,
+			queue: Promise.resolve()
+		};
+		const due = take(client, 'handshake', 1);
+
+		if (
+			due === null
+		) {
+			logEvent('rate-limit', [client.address, 'handshake'], 'info');
+			closeConnection(connection);
+			return (null);
+		}
+
+		logEvent('connection', clientId, 'debug');
+
+		clients[clientId] = client;
+		addClientAddress(client);
+
+		saveClient(client);
+
+		enqueue(clientId, 'sending-public-key', () => waitUntil(due).then(() => sendServerKey(clientId)));
+
+		return (clientId);
+
+	};
+
+
+	// Register a connection the host kept while this relay was gone, such as a hibernated Durable Object waking up,
+	// from the state last passed to transport.save. Returns its client id, or null when the state is unusable
+	// 根据最后一次传给 transport.save 的状态，重新注册宿主在本中继不存在期间保留的连接（例如休眠后被唤醒的
+	// Durable Object）。返回其客户端 id，状态无法使用时返回 null
+	const restore = (connection, state) => {
+
+		const client = importClient(state);
+
+		if (
+			!client ||
+			clients[client.id]
+		) {
+			return (null);
+		}
+
+		client.connection = connection;
+		client.buckets = createBuckets('connection');
+		clients[client.id] = client;
+		addClientAddress(client);
+
+		if (
+			client.channel &&
+			!channels[client.channel]
+		) {
+			channels[client.channel] = [client.id];
+		} else if (client.channel) {
+			channels[client.channel].push(client.id);
+		}
+
+		logEvent('restore', client.id, 'debug');
+
+		return (client.id);
+
+	};
+
+
+	// Handle one text frame from a client. Frames are processed one at a time per client, so a frame sent right
+	// after the hello waits for the asynchronous handshake instead of being taken for a legacy key
+	// 处理来自客户端的一个文本帧。每个客户端的帧按顺序逐个处理，紧随 hello 发送的帧会等待异步握手完成，
+	// 而不会被误当作旧版密钥
+	const receive = (clientId, message) => {
+
+		const client = clients[clientId];
+
+		if (
+			!isString(message) ||
+			!client
+		) {
+			return (Promise.resolve());
+		}
+
+		client.seen = getTime();
+
+		// Every frame counts against the control limits and its size against the bulk limits
+		// 每一帧都计入控制限制，其大小计入批量限制
+		const due = take(client, 'control', 1);
+		const bulkDue = due !== null && message !== 'ping' ? take(client, 'bulk', Math.ceil(message.length / 1024)) : due;
+
+		if (
+			bulkDue === null
+		) {
+			logEvent('rate-limit', [clientId, client.address, due === null ? 'control' : 'bulk'], 'info');
+			close(clientId);
+			closeConnection(client.connection);
+			return (Promise.resolve());
+		}
+
+		if (
+			message === 'ping'
+		) {
+			sendMessage(client.connection, 'pong');
+			return (Promise.resolve());
+		}
+
+		logEvent('message', [clientId, message], 'debug');
+
+		return (enqueue(clientId, 'message', () => waitUntil(Math.max(due, bulkDue)).then(() => handleMessage(clientId, message))));
+
+	};
+
+
+	// Forget a closed connection and tell the rest of its channel
+	// 移除已关闭的连接并通知其频道中的其他成员
+	const close = (clientId) => {
+
+		const client = clients[clientId];
+
+		if (
+			!client
+		) {
+			return;
+		}
+
+		logEvent('close', clientId, 'debug');
+
+		delete(clients[clientId]);
+
+		if (
+			client.address &&
+			addresses[client.address]
+		) {
+			addresses[client.address].clients--;
+		}
+
+		const channel = client.channel;
+		const members = channel ? channels[channel] : null;
+
+		if (
+			!members ||
+			members.indexOf(clientId) < 0
+		) {
+			return;
+		}
+
+		members.splice(members.indexOf(clientId), 1);
+
+		if (
+			members.length === 0
+		) {
+			delete(channels[channel]);
+		} else {
+			broadcastMemberList(channel);
+		}
+
+	};
+
+
+	// Drop connections that have not sent anything for seenTimeout, including from their channel's member list
+	// 移除超过 seenTimeout 未发送任何内容的连接，并将其从频道成员列表中删除
+	const sweep = () => {
+
+		const seenThreshold = getTime() - seenTimeout;
+
+		for (
+			const clientId of Object.keys(clients)
+		) {
+			const connection = clients[clientId].connection;
+			const seen = transport.seen ? Math.max(clients[clientId].seen, transport.seen(connection) || 0) : clients[clientId].seen;
+
+			if (
+				seen < seenThreshold
+			) {
+				logEvent('connection-seen', clientId, 'debug');
+				close(clientId);
+
+				try {
+					(transport.terminate || transport.close)(connection);
+				} catch (error) {
+					logEvent('connection-seen', error, 'error');
+				}
+			}
+		}
+
+		const now = getTime();
+
+		for (
+			const address of Object.keys(addresses)
+		) {
+			if (
+				addresses[address].clients <= 0 &&
+				Object.values(addresses[address].buckets).every((bucket) => isBucketFull(bucket, now))
+			) {
+				delete(addresses[address]);
+			}
+		}
+
+	};
+
+
+	// True when no client is connected
+	// 没有任何客户端连接时为 true
+	const isIdle = () => {
+		return (Object.keys(clients).length === 0);
+	};
+
+
+	const addClientAddress = (client) => {
+		if (
+			client.address
+		) {
+			getAddress(client.address).clients++;
+		}
+	};
+
+
+	// Rate limit state of a source address, created on first use
+	// 来源地址的限速状态，首次使用时创建
+	const getAddress = (address) => {
+
+		if (
+			!addresses[address]
+		) {
+			addresses[address] = {
+				clients: 0,
+				buckets: createBuckets('address')
+			};
+		}
+
+		return (addresses[address]);
+
+	};
+
+
+	const createBuckets = (scope) => {
+
+		const buckets = {};
+
+		for (
+			const kind in limits
+		) {
+			const limit = limits[kind][scope];
+
+			if (
+				limit &&
+				limit.rate > 0
+			) {
+				buckets[kind] = {
+					rate: limit.rate,
+					burst: limit.burst,
+					tokens: limit.burst,
+					time: getTime()
+				};
+			}
+		}
+
+		return (buckets);
+
+	};
+
+
+	// Take cost tokens of a kind from the client's bucket and its address's bucket. Tokens may run into debt so later
+	// frames queue behind earlier ones; returns the time the client's frame may be handled, or null without taking
+	// anything when that is more than throttleLimit away
+	// 从客户端及其地址的某类令牌桶中取出 cost 个令牌。令牌可以透支，使后续帧排在之前的帧之后；返回该帧可被处理的
+	// 时间，若超过 throttleLimit 则不取令牌并返回 null
+	const take = (client, kind, cost) => {
+
+		const now = getTime();
+		const buckets = [client.buckets[kind], client.address ? getAddress(client.address).buckets[kind] : null].filter((bucket) => bucket);
+		let wait = 0;
+
+		for (
+			const bucket of buckets
+		) {
+			bucket.tokens = Math.min(bucket.burst, bucket.tokens + (now - bucket.time) * bucket.rate / 1000);
+			bucket.time = now;
+			wait = Math.max(wait, Math.max(0, cost - bucket.tokens) * 1000 / bucket.rate);
+		}
+
+		if (
+			wait > throttleLimit
+		) {
+			return (null);
+		}
+
+		for (
+			const bucket of buckets
+		) {
+			bucket.tokens -= cost;
+		}
+
+		return (now + wait);
+
+	};
+
+
+	// Chain a task behind the client's earlier frames
+	// 将任务排在该客户端之前的帧之后执行
+	const enqueue = (clientId, source, task) => {
+
+		const client = clients[clientId];
+
+		client.queue = client.queue.then(task).catch((error) => {
+			logEvent(source, [clientId, error], 'error');
+		});
+
+		return (client.queue);
+
+	};
+
+
+	const sendServerKey = async (clientId) => {
+
+		const keys = await storage.getKeys();
+		const client = clients[clientId];
+
+		if (
+			!client
+		) {
+			return;
+		}
+
+		logEvent('sending-public-key', clientId, 'debug');
+
+		client.keys = keys;
+
+		sendMessage(client.connection, JSON.stringify({
+			type: 'server-key',
+			key: keys.rsaPublic,
+			edKey: keys.edPublic,
+			versions: versions,
+			rotations: keys.rotations || [],
+			roomSalt: keys.roomSalt
+		}));
+
+	};
+
+
+	const handleMessage = async (clientId, message) => {
+
+		const client = clients[clientId];
+
+		if (
+			!client
+		) {
+			return;
+		}
+
+		if (
+			!client.shared &&
+			message.length < MAX_HANDSHAKE &&
+			message.charAt(0) === '{'
+		) {
+
+			try {
+				await handleHandshakeV2(clientId, message);
+			} catch (error) {
+				logEvent('message-handshake', [clientId, error], 'error');
+				closeConnection(client.connection);
+			}
+
+			return;
+
+		}
+
+		if (
+			!client.shared &&
+			message.length < MAX_HANDSHAKE
+		) {
+
+			if (
+				!legacyHandshake
+			) {
+				closeConnection(client.connection);
+				return;
+			}
+
+			try {
+				await handleHandshakeV1(clientId, message);
+			} catch (error) {
+				logEvent('message-key', [clientId, error], 'error');
+				closeConnection(client.connection);
+			}
+
+			return;
+
+		}
+
+		if (
+			client.shared &&
+			message.length <= maxFrame
+		) {
+			processEncryptedMessage(clientId, message);
+		}
+
+	};
+
+
+	// Handle a v1 handshake: answer the client's ECDH key with ours signed by the RSA key, AES-CBC frames follow
+	// 处理 v1 握手：用 RSA 密钥签名的本端 ECDH 公钥回应客户端的 ECDH 公钥，之后使用 AES-CBC 帧
+	const handleHandshakeV1 = async (clientId, message) => {
+
+		const client = clients[clientId];
+		const relayKeys = client.keys || await storage.getKeys();
+		const keys = await crypto.createEcdh();
+		const signature = await crypto.signLegacy(relayKeys.rsaPrivate, keys.publicKey);
+		const secret = await keys.deriveSecret(message);
+
+		if (
+			!clients[clientId]
+		) {
+			return;
+		}
+
+		client.shared = secret.slice(8, 40);
+		client.version = 1;
+
+		saveClient(client);
+
+		sendMessage(client.connection, keys.publicKey + '|' + signature);
+
+	};
+
+
+	// Handle a v2 handshake: verify the client hello, sign the transcript with Ed25519 and derive per-direction keys.
+	// v3 is the same handshake with padded frames
+	// 处理 v2 握手：校验客户端 hello，用 Ed25519 签名握手记录并派生双向独立密钥。v3 为带填充帧的相同握手
+	const handleHandshakeV2 = async (clientId, message) => {
+
+		const client = clients[clientId];
+		const hello = JSON.parse(message);
+
+		if (
+			!isObject(hello) ||
+			hello.a !== 'h' ||
+			!isArray(hello.v) ||
+			(
+				hello.v.indexOf(2) < 0 &&
+				hello.v.indexOf(3) < 0
+			) ||
+			!isString(hello.k)
+		) {
+			throw new Error('unsupported handshake');
+		}
+
+		const version = hello.v.indexOf(3) >= 0 ? 3 : 2;
+		const relayKeys = client.keys || await storage.getKeys();
+		const keys = await crypto.createEcdh();
+		const transcript = 'nodecrypt-relay-v' + version + '|' + message + '|' + keys.publicKey;
+		const secret = await keys.deriveSecret(hello.k);
+		const signature = await crypto.signTranscript(relayKeys.edPrivate, transcript);
+		const salt = await crypto.sha256(transcript);
+		const send = await crypto.hkdf(secret, salt, 'nodecrypt relay v2 s2c');
+		const recv = await crypto.hkdf(secret, salt, 'nodecrypt relay v2 c2s');
+
+		if (
+			!clients[clientId]
+		) {
+			return;
+		}
+
+		client.version = version;
+		client.shared = {
+			send: send,
+			recv: recv,
+			sendSeq: 0,
+			recvSeq: 0,
+			padded: version >= 3
+		};
+
+		saveClient(client);
+
+		sendMessage(client.connection, JSON.stringify({
+			a: 'h',
+			v: version,
+			k: keys.publicKey,
+			s: signature
+		}));
+
+	};
+
+
+	// Process encrypted messages
+	// 处理加密消息
+	const processEncryptedMessage = (clientId, message) => {
+
+		let decrypted = null;
+
+		try {
+			decrypted = decryptFromClient(clients[clientId], message);
+
+			if (
+				decrypted === null
+			) {
+				logEvent('process-encrypted-message', [clientId, 'frame rejected'], 'error');
+				closeConnection(clients[clientId].connection);
+				return;
+			}
+
+			logEvent('message-decrypted', [clientId, decrypted], 'debug');
+
+			if (
+				!isObject(decrypted) ||
+				!isString(decrypted.a)
+			) {
+				return;
+			}
+
+			const action = decrypted.a;
+
+			if (action === 'j') {
+				handleJoinChannel(clientId, decrypted);
+			} else if (action === 'c') {
+				handleClientMessage(clientId, decrypted);
+			} else if (action === 'w') {
+				handleChannelMessage(clientId, decrypted);
+			} else if (action === 'b') {
+				handleBroadcastMessage(clientId, decrypted);
+			}
+
+		} catch (error) {
+			logEvent('process-encrypted-message', [clientId, error], 'error');
+		} finally {
+			decrypted = null;
+		}
+
+	};
+
+
+	// Handle channel join requests
+	// 处理加入频道请求
+	const handleJoinChannel = (clientId, decrypted) => {
+
+		if (
+			!isRoomId(decrypted.p) ||
+			clients[clientId].channel
+		) {
+			return;
+		}
+
+		try {
+			const channel = decrypted.p;
+
+			clients[clientId].channel = channel;
+
+			if (!channels[channel]) {
+				channels[channel] = [clientId];
+			} else {
+				channels[channel].push(clientId);
+			}
+
+			saveClient(clients[clientId]);
+
+			broadcastMemberList(channel);
+
+		} catch (error) {
+			logEvent('message-join', [clientId, error], 'error');
+		}
+
+	};
+
+
+	// Handle client messages. Only the payload, the envelope version and the hybrid key agreement material are relayed
+	// 处理客户端消息。只转发负载、信封版本和混合密钥协商材料
+	const handleClientMessage = (clientId, decrypted) => {
+
+		if (
+			!isString(decrypted.p) ||
+			!isString(decrypted.c) ||
+			!clients[clientId].channel
+		) {
+			return;
+		}
+
+		try {
+			relayToMember(clientId, decrypted.c, decrypted.p, decrypted.v, decrypted.k);
+		} catch (error) {
+			logEvent('message-client', [clientId, error], 'error');
+		}
+
+	};
+
+
+	// Handle channel messages: one payload per member, keyed by client id
+	// 处理频道消息：每个成员一份负载，以客户端 id 为键
+	const handleChannelMessage = (clientId, decrypted) => {
+
+		if (
+			!isObject(decrypted.p) ||
+			!clients[clientId].channel
+		) {
+			return;
+		}
+
+		try {
+			for (const member in decrypted.p) {
+				if (
+					isString(decrypted.p[member])
+				) {
+					relayToMember(clientId, member, decrypted.p[member], decrypted.v, isObject(decrypted.k) ? decrypted.k[member] : null);
+				}
+			}
+		} catch (error) {
+			logEvent('message-channel', [clientId, error], 'error');
+		}
+
+	};
+
+
+	// Handle one sender-key ciphertext fanned out to several members
+	// 处理由中继分发给多个成员的同一条发送者密钥密文
+	const handleBroadcastMessage = (clientId, decrypted) => {
+
+		if (
+			!isString(decrypted.p) ||
+			!isArray(decrypted.r) ||
+			!clients[clientId].channel
+		) {
+			return;
+		}
+
+		try {
+			const channel = clients[clientId].channel;
+			const members = [...new Set(decrypted.r)];
+
+			for (const member of members) {
+				const targetClient = clients[member];
+
+				if (
+					isString(member) &&
+					member !== clientId &&
+					isClientInChannel(targetClient, channel)
+				) {
+					sendMessage(targetClient.connection, encryptForClient(targetClient, {
+						a: 'b',
+						p: decrypted.p,
+						c: clientId
+					}));
+				}
+			}
+
+		} catch (error) {
+			logEvent('message-broadcast', [clientId, error], 'error');
+		}
+
+	};
+
+
+	// Forward a pairwise payload to a member of the sender's channel as an 'c' frame
+	// 将点对点负载以 'c' 帧转发给发送者所在频道的成员
+	const relayToMember = (clientId, member, payload, version, kem) => {
+
+		const targetClient = clients[member];
+
+		if (
+			!isClientInChannel(targetClient, clients[clientId].channel)
+		) {
+			return;
+		}
+
+		const messageObj = {
+			a: 'c',
+			p: payload,
+			c: clientId
+		};
+
+		if (isNumber(version)) {
+			messageObj.v = version;
+		}
+
+		// Hybrid key agreement material travels next to the public key
+		// 混合密钥协商材料随公钥一起转发
+		if (isString(kem)) {
+			messageObj.k = kem;
+		}
+
+		sendMessage(targetClient.connection, encryptForClient(targetClient, messageObj));
+
+		messageObj.p = null;
+
+	};
+
+
+	// Broadcast member list to channel
+	// 向频道广播成员列表
+	const broadcastMemberList = (channel) => {
+
+		try {
+			const members = channels[channel];
+
+			for (const member of members) {
+				const client = clients[member];
+
+				if (isClientInChannel(client, channel)) {
+					sendMessage(client.connection, encryptForClient(client, {
+						a: 'l',
+						p: members.filter(value => value !== member),
+						s: member
+					}));
+				}
+			}
+		} catch (error) {
+			logEvent('broadcast-member-list', error, 'error');
+		}
+
+	};
+
+
+	// Encrypt a frame for a client using its negotiated handshake version
+	// 按客户端协商的握手版本加密帧
+	const encryptForClient = (client, message) => {
+
+		if (
+			client.version < 2
+		) {
+			return (crypto.encryptMessage(message, client.shared));
+		}
+
+		const encrypted = crypto.encryptFrame(message, client.shared);
+
+		saveClient(client);
+
+		return (encrypted);
+
+	};
+
+
+	// Decrypt a frame from a client, null when a v2 frame fails authentication or sequencing
+	// 解密来自客户端的帧，v2 帧认证或序号校验失败时返回 null
+	const decryptFromClient = (client, message) => {
+
+		if (
+			client.version < 2
+		) {
+			return (crypto.decryptMessage(message, client.shared));
+		}
+
+		const decrypted = crypto.decryptFrame(message, client.shared);
+
+		saveClient(client);
+
+		return (decrypted);
+
+	};
+
+
+	// Hand the client's state to the host, which keeps it with the socket; v2 frame counters change with every frame
+	// 将客户端状态交给宿主随套接字保存；v2 帧计数器随每一帧变化
+	const saveClient = (client) => {
+
+		if (
+			!transport.save
+		) {
+			return;
+		}
+
+		try {
+			transport.save(client.connection, exportClient(client));
+		} catch (error) {
+			logEvent('saveClient', [client.id, error], 'error');
+		}
+
+	};
+
+
+	const sendMessage = (connection, message) => {
+		try {
+			transport.send(connection, message);
+		} catch (error) {
+			logEvent('sendMessage', error, 'error');
+		}
+	};
+
+
+	const closeConnection = (connection) => {
+		try {
+			transport.close(connection);
+		} catch (error) {
+			logEvent('closeConnection', error, 'error');
+		}
+	};
+
+
+	return ({
+		open: open,
+		restore: restore,
+		receive: receive,
+		close: close,
+		sweep: sweep,
+		isIdle: isIdle
+	});
+
+};
+
+
+// Plain JSON state of a client for transport.save: keys as base64, no socket and no relay keys. Clients that had not
+// finished their handshake get the relay keys again from storage
+// 供 transport.save 使用的客户端纯 JSON 状态：密钥为 base64，不含套接字和中继密钥。尚未完成握手的客户端会从
+// storage 重新获取中继密钥
+const exportClient = (client) => {
+
+	const shared = client.shared;
+
+	return ({
+		id: client.id,
+		address: client.address,
+		seen: client.seen,
+		version: client.version,
+		channel: client.channel,
+		shared: !shared ? null : client.version >= 2 ? {
+			send: shared.send.toString('base64'),
+			recv: shared.recv.toString('base64'),
+			sendSeq: shared.sendSeq,
+			recvSeq: shared.recvSeq,
+			padded: shared.padded
+		} : shared.toString('base64')
+	});
+
+};
+
+
+// Client record from exportClient's state, null when it is malformed
+// 由 exportClient 的状态还原客户端记录，格式错误时返回 null
+const importClient = (state) => {
+
+	if (
+		!isObject(state) ||
+		!isString(state.id) ||
+		(state.address && !isString(state.address)) ||
+		!isNumber(state.seen) ||
+		[0, 1, 2, 3].indexOf(state.version) < 0 ||
+		(state.channel !== null && !isRoomId(state.channel))
+	) {
+		return (null);
+	}
+
+	let shared = null;
+
+	if (
+		state.version >= 2 &&
+		isObject(state.shared) &&
+		isString(state.shared.send) &&
+		isString(state.shared.recv) &&
+		isNumber(state.shared.sendSeq) &&
+		isNumber(state.shared.recvSeq)
+	) {
+		shared = {
+			send: Buffer.from(state.shared.send, 'base64'),
+			recv: Buffer.from(state.shared.recv, 'base64'),
+			sendSeq: state.shared.sendSeq,
+			recvSeq: state.shared.recvSeq,
+			padded: state.shared.padded === true
+		};
+	} else if (
+		state.version === 1 &&
+		isString(state.shared)
+	) {
+		shared = Buffer.from(state.shared, 'base64');
+	} else if (
+		state.version !== 0 ||
+		state.shared !== null
+	) {
+		return (null);
+	}
+
+	return ({
+		id: state.id,
+		connection: null,
+		address: state.address || null,
+		buckets: null,
+		seen: state.seen,
+		keys: null,
+		shared: shared,
+		version: state.version,
+		channel: state.channel,
+		queue: Promise.resolve()
+	});
+
+};
+
+
+// Read a limit written rate/burst, such as 20/100; a rate of 0 turns the limit off. null when malformed
+// 读取写作 rate/burst（例如 20/100）的限速；rate 为 0 时关闭该限制。格式错误时返回 null
+const parseLimit = (text) => {
+
+	const match = /^(\d+(?:\.\d+)?)\/(\d+)$/.exec(String(text));
+
+	if (
+		!match ||
+		(Number(match[1]) > 0 && Number(match[2]) < 1)
+	) {
+		return (null);
+	}
+
+	return ({
+		rate: Number(match[1]),
+		burst: Number(match[2])
+	});
+
+};
+
+
+// LIMITS with the kinds and scopes given in overrides replaced
+// 用 overrides 中给出的类别和范围替换后的 LIMITS
+const mergeLimits = (overrides) => {
+
+	const limits = {};
+
+	for (
+		const kind in LIMITS
+	) {
+		limits[kind] = Object.assign({}, LIMITS[kind], isObject(overrides) && isObject(overrides[kind]) ? overrides[kind] : {});
+	}
+
+	return (limits);
+
+};
+
+
+const isBucketFull = (bucket, now) => {
+	return (bucket.tokens + (now - bucket.time) * bucket.rate / 1000 >= bucket.burst);
+};
+
+
+// Resolve at the given time, at once when it has passed
+// 在给定时间完成，时间已过则立即完成
+const waitUntil = (time) => {
+	return (
+		time > getTime() ?
+		new Promise((resolve) => setTimeout(resolve, time - getTime())) :
+		Promise.resolve()
+	);
+};
+
+
+const isClientInChannel = (client, channel) => {
+	return (
+		client &&
+		client.connection &&
+		client.shared &&
+		client.channel &&
+		client.channel === channel ?
+		true :
+		false
+	);
+};
+
+
+const getTime = () => {
+	return (new Date().getTime());
+};
+
+
+const isString = (value) => {
+	return (
+		value &&
+		Object.prototype.toString.call(value) === '[object String]' ?
+		true :
+		false
+	);
+};
+
+
+// Room identifiers are a legacy SHA-256 of the room name or a 'v2:' salted PBKDF2 of it, both hex encoded
+// 房间标识符为房间名的旧版 SHA-256，或带 'v2:' 前缀的加盐 PBKDF2，均为十六进制编码
+const isRoomId = (value) => {
+	return (
+		isString(value) &&
+		/^(v2:)?[0-9a-f]{64}$/.test(value) ?
+		true :
+		false
+	);
+};
+
+
+const isNumber = (value) => {
+	return (
+		typeof value === 'number' &&
+		isFinite(value) ?
+		true :
+		false
+	);
+};
+
+
+const isArray = (value) => {
+	return (
+		value &&
+		Object.prototype.toString.call(value) === '[object Array]' ?
+		true :
+		false
+	);
+};
+
+
+const isObject = (value) => {
+	return (
+		value &&
+		Object.prototype.toString.call(value) === '[object Object]' ?
+		true :
+		false
+	);
+};
+
+
+module.exports = {
+	createRelay,
+	parseLimit,
+	LIMITS,
+	THROTTLE_LIMIT
+};
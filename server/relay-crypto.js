@@ -0,0 +1,270 @@
+'use strict';
+
+// Crypto adapter for the relay core on Node's crypto module: handshake primitives and the relay frame codec
+// 基于 Node crypto 模块的中继核心加密适配器：握手原语与中继帧编解码
+
+const crypto = require('crypto');
+
+// Padding buckets for v3 frames: powers of two from 256 bytes, then multiples of 64 KiB
+// v3 帧的填充桶：从 256 字节起按 2 的幂增长，超过后按 64 KiB 的倍数填充
+const FRAME_PADDING = {
+	min: 256,
+	max: 65536
+};
+
+
+// Create the adapter; log(source, message, level) receives codec errors
+// 创建适配器；log(source, message, level) 接收编解码错误
+const createNodeCrypto = (log) => {
+
+	const logEvent = log || (() => {});
+
+
+	const clientId = () => {
+		try {
+			return (crypto.randomBytes(8).toString('hex'));
+		} catch (error) {
+			logEvent('generateClientId', error, 'error');
+			return (null);
+		}
+	};
+
+
+	// Ephemeral secp384r1 key pair; publicKey is the uncompressed point in hex
+	// 临时 secp384r1 密钥对；publicKey 为十六进制编码的未压缩点
+	const createEcdh = () => {
+		const keys = crypto.createECDH('secp384r1');
+
+		keys.generateKeys();
+
+		return ({
+			publicKey: keys.getPublicKey('hex'),
+			deriveSecret: (peerKey) => {
+				return (keys.computeSecret(peerKey, 'hex', null));
+			}
+		});
+	};
+
+
+	// RSA PKCS#1 v1.5 SHA-256 signature over the raw bytes of a hex public key, base64 encoded
+	// 对十六进制公钥原始字节的 RSA PKCS#1 v1.5 SHA-256 签名，base64 编码
+	const signLegacy = (privateKey, publicKey) => {
+		return (crypto.sign('sha256', Buffer.from(publicKey, 'hex'), {
+			key: privateKey,
+			padding: crypto.constants.RSA_PKCS1_PADDING,
+			dsaEncoding: 'ieee-p1363'
+		}).toString('base64'));
+	};
+
+
+	// Ed25519 signature over UTF-8 text, base64 encoded
+	// 对 UTF-8 文本的 Ed25519 签名，base64 编码
+	const signTranscript = (privateKey, text) => {
+		return (crypto.sign(null, Buffer.from(text, 'utf8'), privateKey).toString('base64'));
+	};
+
+
+	const sha256 = (text) => {
+		return (crypto.createHash('sha256').update(text, 'utf8').digest());
+	};
+
+
+	const hkdf = (secret, salt, info) => {
+		return (Buffer.from(crypto.hkdfSync('sha256', secret, salt, info, 32)));
+	};
+
+
+	const encryptFrame = (message, session) => {
+
+		let encrypted = '';
+
+		try {
+
+			const seq = session.sendSeq;
+			const plaintext = Buffer.from(JSON.stringify(message), 'utf8');
+			const cipher = crypto.createCipheriv('aes-256-gcm', session.send, frameNonce(seq));
+			const ciphertext = Buffer.concat([cipher.update(session.padded ? padFrame(plaintext) : plaintext), cipher.final(), cipher.getAuthTag()]);
+
+			session.sendSeq++;
+			encrypted = seq + '|' + ciphertext.toString('base64');
+
+		} catch (error) {
+			logEvent('encryptFrame', error, 'error');
+		}
+
+		return (encrypted);
+
+	};
+
+
+	const decryptFrame = (message, session) => {
+
+		try {
+
+			const parts = message.split('|');
+			const seq = Number(parts[0]);
+
+			if (
+				parts.length !== 2 ||
+				seq !== session.recvSeq
+			) {
+				return (null);
+			}
+
+			const data = Buffer.from(parts[1], 'base64');
+			const decipher = crypto.createDecipheriv('aes-256-gcm', session.recv, frameNonce(seq));
+
+			decipher.setAuthTag(data.slice(data.length - 16));
+
+			const decrypted = Buffer.concat([decipher.update(data.slice(0, data.length - 16)), decipher.final()]);
+			const plaintext = session.padded ? unpadFrame(decrypted) : decrypted;
+
+			if (
+				!plaintext
+			) {
+				return (null);
+			}
+
+			session.recvSeq++;
+
+			return (JSON.parse(plaintext.toString('utf8')));
+
+		} catch (error) {
+			logEvent('decryptFrame', error, 'error');
+		}
+
+		return (null);
+
+	};
+
+
+	const encryptMessage = (message, key) => {
+
+		let encrypted = '';
+
+		try {
+
+			const messageBuffer = Buffer.from(JSON.stringify(message), 'utf8');
+
+			const paddedBuffer = (messageBuffer.length % 16) !== 0 ?
+				Buffer.concat([messageBuffer, Buffer.alloc(16 - (messageBuffer.length % 16))]) :
+				messageBuffer;
+
+			const iv = crypto.randomBytes(16);
+			const cipher = crypto.createCipheriv('aes-256-cbc', key, iv);
+			cipher.setAutoPadding(false);
+
+			encrypted = iv.toString('base64') + '|' + cipher.update(paddedBuffer, '', 'base64') + cipher.final('base64');
+
+		} catch (error) {
+			logEvent('encryptMessage', error, 'error');
+		}
+
+		return (encrypted);
+
+	};
+
+
+	const decryptMessage = (message, key) => {
+
+		let decrypted = {};
+
+		try {
+
+			const parts = message.split('|');
+			const decipher = crypto.createDecipheriv(
+				'aes-256-cbc',
+				key,
+				Buffer.from(parts[0], 'base64')
+			);
+
+			decipher.setAutoPadding(false);
+
+			const decryptedText = decipher.update(parts[1], 'base64', 'utf8') + decipher.final('utf8');
+			decrypted = JSON.parse(decryptedText.replace(/\0+$/, ''));
+
+		} catch (error) {
+			logEvent('decryptMessage', error, 'error');
+		}
+
+		return (decrypted);
+
+	};
+
+
+	return ({
+		clientId: clientId,
+		createEcdh: createEcdh,
+		signLegacy: signLegacy,
+		signTranscript: signTranscript,
+		sha256: sha256,
+		hkdf: hkdf,
+		encryptFrame: encryptFrame,
+		decryptFrame: decryptFrame,
+		encryptMessage: encryptMessage,
+		decryptMessage: decryptMessage
+	});
+
+};
+
+
+// Build the AES-GCM nonce for a sequence number
+// 根据序号构建 AES-GCM nonce
+const frameNonce = (seq) => {
+	const nonce = Buffer.alloc(12);
+	nonce.writeUInt32BE(Math.floor(seq / 0x100000000), 4);
+	nonce.writeUInt32BE(seq >>> 0, 8);
+	return (nonce);
+};
+
+
+// Pad data with a 0x80 marker and zeros up to its bucket size
+// 使用 0x80 标记和零字节将数据填充到所在桶的大小
+const padFrame = (data) => {
+	let size = FRAME_PADDING.min;
+
+	while (
+		size < data.length + 1 &&
+		size < FRAME_PADDING.max
+	) {
+		size *= 2;
+	}
+
+	if (
+		size < data.length + 1
+	) {
+		size = Math.ceil((data.length + 1) / FRAME_PADDING.max) * FRAME_PADDING.max;
+	}
+
+	const padded = Buffer.alloc(size);
+
+	data.copy(padded);
+	padded[data.length] = 0x80;
+
+	return (padded);
+};
+
+
+// Strip the padding added by padFrame, null when the marker is missing
+// 去除 padFrame 添加的填充，缺少标记时返回 null
+const unpadFrame = (data) => {
+	let end = data.length - 1;
+
+	while (
+		end >= 0 &&
+		data[end] === 0
+	) {
+		end--;
+	}
+
+	return (
+		end >= 0 && data[end] === 0x80 ?
+		data.subarray(0, end) :
+		null
+	);
+};
+
+
+module.exports = {
+	createNodeCrypto
+};
@@ -0,0 +1,246 @@
+'use strict';
+
+// Storage adapter for the relay core that keeps the relay keys in a file, so pinned keys survive restarts. Keys older
+// than the rotation period are replaced as soon as no client is connected, like the Worker's createdAt and
+// pendingKeyRotation logic, and the new keys are signed with the old Ed25519 key
+// 中继核心的存储适配器，将中继密钥保存在文件中，使客户端固定的密钥在重启后仍然有效。超过轮换周期的密钥会在
+// 没有客户端连接时立即更换，与 Worker 的 createdAt 和 pendingKeyRotation 逻辑一致，新密钥由旧 Ed25519 密钥签名
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Rotation certificates kept in the file and sent with server-key
+// 保存在文件中并随 server-key 发送的轮换证书数量
+const MAX_ROTATIONS = 7;
+
+
+// Generate a new RSA key pair
+// 生成一个新的 RSA 密钥对
+const generateRSAKeyPair = () => {
+	console.log('Generating new RSA keypair...');
+
+	const {
+		publicKey,
+		privateKey
+	} = crypto.generateKeyPairSync('rsa', {
+		modulusLength: 2048
+	});
+
+	return ({
+		rsaPublic: publicKey.export({
+			type: 'spki',
+			format: 'der'
+		}).toString('base64'),
+		rsaPrivate: privateKey
+	});
+};
+
+
+// Generate a new Ed25519 signing key pair for the v2 handshake
+// 为 v2 握手生成新的 Ed25519 签名密钥对
+const generateEdKeyPair = () => {
+	console.log('Generating new Ed25519 keypair...');
+
+	const {
+		publicKey,
+		privateKey
+	} = crypto.generateKeyPairSync('ed25519');
+
+	return ({
+		edPublic: publicKey.export({
+			type: 'spki',
+			format: 'der'
+		}).slice(-32).toString('base64'),
+		edPrivate: privateKey
+	});
+};
+
+
+// Create the key store. Options: file, rotationHours (0 never rotates) and log(source, message, level).
+// Reads the key file, or creates it with new keys; throws when an existing file cannot be used
+// 创建密钥存储。选项：file、rotationHours（0 表示从不轮换）和 log(source, message, level)。
+// 读取密钥文件，不存在时用新密钥创建；已有文件无法使用时抛出异常
+const createKeyStore = (options) => {
+
+	const file = options.file;
+	const rotationPeriod = (options.rotationHours || 0) * 60 * 60 * 1000;
+	const logEvent = options.log || (() => {});
+
+	let keys = null;
+	let rotations = [];
+	let roomSalt = null;
+	let pendingKeyRotation = false;
+
+
+	// Relay identity for the relay core
+	// 提供给中继核心的中继身份
+	const getKeys = () => {
+		return (Promise.resolve({
+			rsaPublic: keys.rsaPublic,
+			rsaPrivate: keys.rsaPrivate,
+			edPublic: keys.edPublic,
+			edPrivate: keys.edPrivate,
+			rotations: rotations,
+			roomSalt: roomSalt
+		}));
+	};
+
+
+	// Rotate keys that are due when no client is connected, otherwise remember to rotate once the relay is idle
+	// 没有客户端连接时轮换到期的密钥，否则记录下来，待中继空闲时再轮换
+	const checkRotation = (idle) => {
+
+		if (
+			!pendingKeyRotation &&
+			!(rotationPeriod > 0 && Date.now() - keys.createdAt > rotationPeriod)
+		) {
+			return;
+		}
+
+		if (
+			idle
+		) {
+			rotate();
+			return;
+		}
+
+		if (
+			!pendingKeyRotation
+		) {
+			pendingKeyRotation = true;
+			save();
+		}
+
+	};
+
+
+	// Replace the key pairs and sign the new public keys with the old Ed25519 key, so clients that pinned the old
+	// keys can follow the rotation without prompting. The room salt outlives rotations
+	// 更换密钥对，并用旧的 Ed25519 密钥签名新公钥，使固定了旧密钥的客户端无需提示即可接受轮换。房间盐不随轮换改变
+	const rotate = () => {
+
+		const previous = keys;
+
+		keys = generateKeys();
+
+		const signature = crypto.sign(null, Buffer.from('nodecrypt-relay-rotation|' + keys.rsaPublic + '|' + keys.edPublic, 'utf8'), previous.edPrivate);
+
+		rotations = rotations.concat([{
+			from: {
+				key: previous.rsaPublic,
+				edKey: previous.edPublic
+			},
+			to: {
+				key: keys.rsaPublic,
+				edKey: keys.edPublic
+			},
+			sig: signature.toString('base64')
+		}]).slice(-MAX_ROTATIONS);
+		pendingKeyRotation = false;
+
+		save();
+
+		logEvent('key-rotation', keys.edPublic, 'info');
+
+	};
+
+
+	const generateKeys = () => {
+		return (Object.assign({
+			createdAt: Date.now()
+		}, generateRSAKeyPair(), generateEdKeyPair()));
+	};
+
+
+	const load = () => {
+
+		if (
+			!fs.existsSync(file)
+		) {
+			keys = generateKeys();
+			roomSalt = crypto.randomBytes(32).toString('base64');
+			save();
+			logEvent('key-file', 'created ' + file, 'info');
+			return;
+		}
+
+		let stored = null;
+
+		try {
+			stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+			keys = {
+				rsaPublic: stored.rsaPublic,
+				rsaPrivate: crypto.createPrivateKey({
+					key: Buffer.from(stored.rsaPrivate, 'base64'),
+					format: 'der',
+					type: 'pkcs8'
+				}),
+				edPublic: stored.edPublic,
+				edPrivate: crypto.createPrivateKey({
+					key: Buffer.from(stored.edPrivate, 'base64'),
+					format: 'der',
+					type: 'pkcs8'
+				}),
+				createdAt: Number(stored.createdAt) || Date.now()
+			};
+		} catch (error) {
+			throw new Error('cannot read key file ' + file + ': ' + error.message);
+		}
+
+		rotations = Array.isArray(stored.rotations) ? stored.rotations.slice(-MAX_ROTATIONS) : [];
+		roomSalt = stored.roomSalt;
+		pendingKeyRotation = stored.pendingKeyRotation === true;
+
+		if (
+			!roomSalt
+		) {
+			roomSalt = crypto.randomBytes(32).toString('base64');
+			save();
+		}
+
+	};
+
+
+	// Write the file atomically and readable by the owner only
+	// 以原子方式写入文件，且仅所有者可读
+	const save = () => {
+
+		const temporary = file + '.tmp';
+
+		fs.writeFileSync(temporary, JSON.stringify({
+			rsaPublic: keys.rsaPublic,
+			rsaPrivate: keys.rsaPrivate.export({
+				type: 'pkcs8',
+				format: 'der'
+			}).toString('base64'),
+			edPublic: keys.edPublic,
+			edPrivate: keys.edPrivate.export({
+				type: 'pkcs8',
+				format: 'der'
+			}).toString('base64'),
+			createdAt: keys.createdAt,
+			pendingKeyRotation: pendingKeyRotation,
+			rotations: rotations,
+			roomSalt: roomSalt
+		}, null, '\t'), {
+			mode: 0o600
+		});
+		fs.renameSync(temporary, file);
+
+	};
+
+
+	load();
+
+	return ({
+		getKeys: getKeys,
+		checkRotation: checkRotation
+	});
+
+};
+
+
+module.exports = {
+	createKeyStore
+};
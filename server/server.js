@@ -2,585 +2,210 @@
 
 'use strict';
 
-const crypto = require('crypto');
+const fs = require('fs');
+const https = require('https');
 const ws = require('ws');
+const {
+	createRelay
+} = require('./relay-core.js');
+const {
+	createNodeCrypto
+} = require('./relay-crypto.js');
+const {
+	createKeyStore
+} = require('./relay-keys.js');
+const {
+	loadConfig,
+	getUsage
+} = require('./relay-config.js');
+
+// How often key age is checked against the rotation period
+// 检查密钥是否到达轮换周期的时间间隔
+const KEY_ROTATION_CHECK = 60 * 60 * 1000;
+
+let config = null;
+
+try {
+	config = loadConfig(process.argv.slice(2), process.env);
+} catch (error) {
+	console.error(error.message + ', see --help');
+	process.exit(1);
+}
+
+if (
+	config.help
+) {
+	console.log(getUsage());
+	process.exit(0);
+}
 
-// Generate a new RSA key pair
-// 生成一个新的 RSA 密钥对
-const generateRSAKeyPair = () => {
-	try {
-		console.log('Generating new RSA keypair...');
-		const {
-			publicKey,
-			privateKey
-		} = crypto.generateKeyPairSync('rsa', {
-			modulusLength: 2048,
-			publicKeyEncoding: {
-				type: 'spki',
-				format: 'der'
-			},
-			privateKeyEncoding: {
-				type: 'pkcs8',
-				format: 'der'
-			}
-		});
-
-		return {
-			rsaPublic: Buffer.from(publicKey).toString('base64'),
-			rsaPrivate: crypto.createPrivateKey({
-				key: privateKey,
-				format: 'der',
-				type: 'pkcs8'
-			})
-		};
-	} catch (error) {
-		console.error('Error generating RSA key pair:', error);
-		process.exit(1);
-	}
-};
-
-const keyPair = generateRSAKeyPair();
-console.log('RSA key pair generated successfully');
-
-const config = {
-	rsaPrivate: keyPair.rsaPrivate,
-	rsaPublic: keyPair.rsaPublic,
-	wsHost: '127.0.0.1',
-	wsPort: 8088,
-	seenTimeout: 60000,
-	debug: false
-};
-
-
-const wss = new ws.Server({
-	host: config.wsHost,
-	port: config.wsPort,
-	perMessageDeflate: false
-});
-
-console.log('server started', config.wsHost, config.wsPort);
-
-
-var clients = {};
-var channels = {};
-
-// WebSocket server connection event handler
-// WebSocket 服务器连接事件处理程序
-wss.on('connection', (connection) => {
-
-	if (
-		!connection
-	) {
-		return;
-	}
-
-
-	const seenThreshold = (getTime() - config.seenTimeout);
-
-	for (
-		const clientId in clients
-	) {
-		if (
-			clients[clientId].seen < seenThreshold
-		) {
-			try {
-				logEvent('connection-seen', clientId, 'debug');
-				clients[clientId].connection.terminate();
-			} catch (error) {
-				logEvent('connection-seen', error, 'error');
-			}
-		}
-	}
-
-
-	const clientId = generateClientId();
-
+// Log events with timestamps and levels
+// 记录带时间戳和级别的事件
+const logEvent = (source, message, level) => {
 	if (
-		!clientId ||
-		clients[clientId]
+		level !== 'debug' ||
+		config.debug
 	) {
-		closeConnection(connection);
-		return;
-	}
-
-	logEvent('connection', clientId, 'debug');
 
+		const date = new Date(),
+			dateString = date.getFullYear() + '-' +
+			('0' + (date.getMonth() + 1)).slice(-2) + '-' +
+			('0' + date.getDate()).slice(-2) + ' ' +
+			('0' + date.getHours()).slice(-2) + ':' +
+			('0' + date.getMinutes()).slice(-2) + ':' +
+			('0' + date.getSeconds()).slice(-2);
 
-	clients[clientId] = {
-		connection: connection,
-		seen: getTime(),
-		key: null,
-		channel: null
-	};
+		console.log('[' + dateString + ']', (level ? level.toUpperCase() : 'INFO'), source + (message ? ':' : ''), (message ? message : ''));
 
-	try {
-		logEvent('sending-public-key', clientId, 'debug');
-		sendMessage(connection, JSON.stringify({
-			type: 'server-key',
-			key: config.rsaPublic
-		}));
-	} catch (error) {
-		logEvent('sending-public-key', error, 'error');
 	}
+};
 
+let keyStore = null;
 
-
-	connection.on('message', (message) => {
-
-		if (
-			!isString(message) ||
-			!clients[clientId]
-		) {
-			return;
-		}
-
-		clients[clientId].seen = getTime();
-
-		if (
-			message === 'ping'
-		) {
-			sendMessage(connection, 'pong');
-			return;
-		}
-
-		logEvent('message', [clientId, message], 'debug');
-
-		if (
-			!clients[clientId].shared &&
-			message.length < 2048
-		) {
-
-
-			try {
-
-				const keys = crypto.createECDH('secp384r1');
-
-				keys.generateKeys();
-
-				const publicKey = keys.getPublicKey();
-				const signature = crypto.sign('sha256', publicKey, {
-					key: config.rsaPrivate,
-					padding: crypto.constants.RSA_PKCS1_PADDING,
-					dsaEncoding: 'ieee-p1363'
-				});
-
-				clients[clientId].shared = keys.computeSecret(message, 'hex', null).slice(8, 40);
-
-				sendMessage(connection, publicKey.toString('hex') + '|' + signature.toString('base64'));
-
-			} catch (error) {
-				logEvent('message-key', [clientId, error], 'error');
-				closeConnection(connection);
-			}
-
-			return;
-
-		}
-
-		if (
-			clients[clientId].shared &&
-			message.length <= (8 * 1024 * 1024)
-		) {
-
-			processEncryptedMessage(clientId, message);
-
-		}
-
+try {
+	keyStore = createKeyStore({
+		file: config.keyFile,
+		rotationHours: config.keyRotationHours,
+		log: logEvent
 	});
+} catch (error) {
+	console.error('Error loading relay keys:', error.message);
+	process.exit(1);
+}
+
+console.log('Relay keys loaded from', config.keyFile);
+
+// With a certificate the relay terminates TLS itself and serves wss://, otherwise it expects a proxy in front
+// 配置证书时中继自行终止 TLS 并提供 wss://，否则需要前置代理
+const tlsServer = config.tlsCert ? https.createServer({
+	cert: fs.readFileSync(config.tlsCert),
+	key: fs.readFileSync(config.tlsKey)
+}) : null;
+
+const wss = tlsServer ? new ws.Server({
+	server: tlsServer,
+	perMessageDeflate: false
+}) : new ws.Server({
+	host: config.host,
+	port: config.port,
+	perMessageDeflate: false
+});
 
+(tlsServer || wss).on('listening', () => {
+	console.log('server started', config.host, wss.address().port, tlsServer ? 'wss' : 'ws');
+});
 
+if (
+	tlsServer
+) {
+	tlsServer.listen(config.port, config.host);
+}
 
-	connection.on('close', (event) => {
-
-		logEvent('close', [clientId, event], 'debug');
-
-
-		const channel = clients[clientId].channel;
-
-		if (
-			channel &&
-			channels[channel]
-		) {
-
-			channels[channel].splice(channels[channel].indexOf(clientId), 1);
 
+// The relay protocol lives in relay-core.js, shared with the Cloudflare Worker; this host only wires ws sockets to it
+// 中继协议位于与 Cloudflare Worker 共用的 relay-core.js 中；此宿主只负责将 ws 套接字接入其中
+const relay = createRelay({
+	transport: {
+		send: (connection, message) => {
 			if (
-				channels[channel].length === 0
+				connection.readyState &&
+				connection.readyState === ws.OPEN
 			) {
-
-
-				delete(channels[channel]);
-
-			} else {
-
-
-				try {
-
-					const members = channels[channel];
-
-					for (
-						const member of members
-					) {
-
-						const client = clients[member];
-
-						if (
-							isClientInChannel(client, channel)
-						) {
-							sendMessage(client.connection, encryptMessage({
-								a: 'l',
-								p: members.filter((value) => {
-									return (
-										value !== member ?
-										true :
-										false
-									);
-								})
-							}, client.shared));
-						}
-
-					}
-
-				} catch (error) {
-					logEvent('close-list', [clientId, error], 'error');
-				}
-
+				connection.send(message);
 			}
-
+		},
+		close: (connection) => {
+			connection.close();
+		},
+		terminate: (connection) => {
+			connection.terminate();
 		}
-
-
-		if (
-			clients[clientId]
-		) {
-			delete(clients[clientId]);
+	},
+	crypto: createNodeCrypto(logEvent),
+	storage: keyStore,
+	log: logEvent,
+	seenTimeout: config.seenTimeout,
+	maxFrame: config.maxFrame,
+	legacyHandshake: config.legacyHandshake,
+	limits: {
+		handshake: {
+			address: config.handshakeLimit
+		},
+		control: {
+			connection: config.controlLimit,
+			address: config.controlAddressLimit
+		},
+		bulk: {
+			connection: config.bulkLimit,
+			address: config.bulkAddressLimit
 		}
-
-	});
-
+	},
+	throttleLimit: config.throttleLimit
 });
 
-// Process encrypted messages
-// 处理加密消息
-const processEncryptedMessage = (clientId, message) => {
-	let decrypted = null;
-
-	try {
-		decrypted = decryptMessage(message, clients[clientId].shared);
-
-		logEvent('message-decrypted', [clientId, decrypted], 'debug');
-
-		if (
-			!isObject(decrypted) ||
-			!isString(decrypted.a)
-		) {
-			return;
-		}
-
-		const action = decrypted.a;
-
-		if (action === 'j') {
-			handleJoinChannel(clientId, decrypted);
-		} else if (action === 'c') {
-			handleClientMessage(clientId, decrypted);
-		} else if (action === 'w') {
-			handleChannelMessage(clientId, decrypted);
-		}
-
-	} catch (error) {
-		logEvent('process-encrypted-message', [clientId, error], 'error');
-	} finally {
-		decrypted = null;
-	}
-};
-
-// Handle channel join requests
-// 处理加入频道请求
-const handleJoinChannel = (clientId, decrypted) => {
-	if (
-		!isString(decrypted.p) ||
-		clients[clientId].channel
-	) {
-		return;
-	}
-
-	try {
-		const channel = decrypted.p;
-
-		clients[clientId].channel = channel;
-
-		if (!channels[channel]) {
-			channels[channel] = [clientId];
-		} else {
-			channels[channel].push(clientId);
-		}
-
-		broadcastMemberList(channel);
-
-	} catch (error) {
-		logEvent('message-join', [clientId, error], 'error');
-	}
-};
+// WebSocket server connection event handler
+// WebSocket 服务器连接事件处理程序
+wss.on('connection', (connection, request) => {
 
-// Handle client messages
-// 处理客户端消息
-const handleClientMessage = (clientId, decrypted) => {
 	if (
-		!isString(decrypted.p) ||
-		!isString(decrypted.c) ||
-		!clients[clientId].channel
+		!connection
 	) {
 		return;
 	}
 
-	try {
-		const channel = clients[clientId].channel;
-		const targetClient = clients[decrypted.c];
-
-		if (isClientInChannel(targetClient, channel)) {
-			const messageObj = {
-				a: 'c',
-				p: decrypted.p,
-				c: clientId
-			};
-
-			const encrypted = encryptMessage(messageObj, targetClient.shared);
-			sendMessage(targetClient.connection, encrypted);
+	// Drop stale connections first so a pending key rotation can run once nobody is left
+	// 先清理过期连接，使待处理的密钥轮换在没有客户端时得以执行
+	relay.sweep();
+	keyStore.checkRotation(relay.isIdle());
 
-			messageObj.p = null;
-		}
-
-	} catch (error) {
-		logEvent('message-client', [clientId, error], 'error');
-	}
-};
+	const clientId = relay.open(connection, getAddress(request));
 
-// Handle channel messages
-// 处理频道消息
-const handleChannelMessage = (clientId, decrypted) => {
 	if (
-		!isObject(decrypted.p) ||
-		!clients[clientId].channel
+		!clientId
 	) {
 		return;
 	}
 
-	try {
-		const channel = clients[clientId].channel;
-
-		for (const member in decrypted.p) {
-			const targetClient = clients[member];
-
-			if (
-				isString(decrypted.p[member]) &&
-				isClientInChannel(targetClient, channel)
-			) {
-				const messageObj = {
-					a: 'c',
-					p: decrypted.p[member],
-					c: clientId
-				};
-
-				const encrypted = encryptMessage(messageObj, targetClient.shared);
-				sendMessage(targetClient.connection, encrypted);
-
-				messageObj.p = null;
-			}
-		}
-
-	} catch (error) {
-		logEvent('message-channel', [clientId, error], 'error');
-	}
-};
-
-// Broadcast member list to channel
-// 向频道广播成员列表
-const broadcastMemberList = (channel) => {
-	try {
-		const members = channels[channel];
-
-		for (const member of members) {
-			const client = clients[member];
-
-			if (isClientInChannel(client, channel)) {
-				const filteredMembers = members.filter(value => value !== member);
+	connection.on('message', (message) => {
+		relay.receive(clientId, message);
+	});
 
-				const listObj = {
-					a: 'l',
-					p: filteredMembers
-				};
+	connection.on('close', () => {
+		relay.close(clientId);
+	});
 
-				const encrypted = encryptMessage(listObj, client.shared);
-				sendMessage(client.connection, encrypted);
+});
 
-				listObj.p = null;
-			}
-		}
-	} catch (error) {
-		logEvent('broadcast-member-list', error, 'error');
-	}
-};
 
+// Source address for rate limits. X-Real-IP is only believed from a proxy on this host, such as the Docker image's nginx
+// 用于限速的来源地址。仅当请求来自本机代理（例如 Docker 镜像中的 nginx）时才采信 X-Real-IP
+const getAddress = (request) => {
 
+	const peer = request && request.socket ? request.socket.remoteAddress : null;
+	const forwarded = request ? request.headers['x-real-ip'] : null;
 
-// Log events with timestamps and levels
-// 记录带时间戳和级别的事件
-const logEvent = (source, message, level) => {
 	if (
-		level !== 'debug' ||
-		config.debug
+		forwarded &&
+		(
+			peer === '127.0.0.1' ||
+			peer === '::1' ||
+			peer === '::ffff:127.0.0.1'
+		)
 	) {
-
-		const date = new Date(),
-			dateString = date.getFullYear() + '-' +
-			('0' + (date.getMonth() + 1)).slice(-2) + '-' +
-			('0' + date.getDate()).slice(-2) + ' ' +
-			('0' + date.getHours()).slice(-2) + ':' +
-			('0' + date.getMinutes()).slice(-2) + ':' +
-			('0' + date.getSeconds()).slice(-2);
-
-		console.log('[' + dateString + ']', (level ? level.toUpperCase() : 'INFO'), source + (message ? ':' : ''), (message ? message : ''));
-
-	}
-};
-
-
-const generateClientId = () => {
-	try {
-		return (crypto.randomBytes(8).toString('hex'));
-	} catch (error) {
-		logEvent('generateClientId', error, 'error');
-		return (null);
-	}
-};
-
-
-const closeConnection = (connection) => {
-	try {
-		connection.close();
-	} catch (error) {
-		logEvent('closeConnection', error, 'error');
-	}
-};
-
-
-const isClientInChannel = (client, channel) => {
-	return (
-		client &&
-		client.connection &&
-		client.shared &&
-		client.channel &&
-		client.channel === channel ?
-		true :
-		false
-	);
-};
-
-
-const sendMessage = (connection, message) => {
-	try {
-		if (
-			connection.readyState &&
-			connection.readyState === ws.OPEN
-		) {
-			connection.send(message);
-		}
-	} catch (error) {
-		logEvent('sendMessage', error, 'error');
-	}
-};
-
-
-const encryptMessage = (message, key) => {
-
-	let encrypted = '';
-
-	try {
-
-		const messageBuffer = Buffer.from(JSON.stringify(message), 'utf8');
-
-		const paddedBuffer = (messageBuffer.length % 16) !== 0 ?
-			Buffer.concat([messageBuffer, Buffer.alloc(16 - (messageBuffer.length % 16))]) :
-			messageBuffer;
-
-		const iv = crypto.randomBytes(16);
-		const cipher = crypto.createCipheriv('aes-256-cbc', key, iv);
-		cipher.setAutoPadding(false);
-
-		encrypted = iv.toString('base64') + '|' + cipher.update(paddedBuffer, '', 'base64') + cipher.final('base64');
-
-	} catch (error) {
-		logEvent('encryptMessage', error, 'error');
-	}
-
-	return (encrypted);
-
-};
-
-
-const decryptMessage = (message, key) => {
-
-	let decrypted = {};
-
-	try {
-
-		const parts = message.split('|');
-		const decipher = crypto.createDecipheriv(
-			'aes-256-cbc',
-			key,
-			Buffer.from(parts[0], 'base64')
-		);
-
-		decipher.setAutoPadding(false);
-
-		const decryptedText = decipher.update(parts[1], 'base64', 'utf8') + decipher.final('utf8');
-		decrypted = JSON.parse(decryptedText.replace(/\0+$/, ''));
-
-	} catch (error) {
-		logEvent('decryptMessage', error, 'error');
+		return (forwarded);
 	}
 
-	return (decrypted);
-
-};
-
-
-const getTime = () => {
-	return (new Date().getTime());
-};
-
+	return (peer);
 
-const isString = (value) => {
-	return (
-		value &&
-		Object.prototype.toString.call(value) === '[object String]' ?
-		true :
-		false
-	);
 };
 
 
-const isArray = (value) => {
-	return (
-		value &&
-		Object.prototype.toString.call(value) === '[object Array]' ?
-		true :
-		false
-	);
-};
-
-
-const isObject = (value) => {
-	return (
-		value &&
-		Object.prototype.toString.call(value) === '[object Object]' ?
-		true :
-		false
-	);
-};
-
 setInterval(() => {
 	if (global.gc) {
 		global.gc();
 	}
-}, 30000);
\ No newline at end of file
+}, 30000);
+
+setInterval(() => {
+	keyStore.checkRotation(relay.isIdle());
+}, KEY_ROTATION_CHECK);
@@ -0,0 +1,122 @@
+'use strict';
+
+// Tests for the Node relay's config layer
+// Node 中继配置层的测试
+
+const {
+	describe,
+	test,
+	beforeEach,
+	afterEach
+} = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+	loadConfig
+} = require('../relay-config.js');
+
+let directory = null;
+
+beforeEach(() => {
+	directory = fs.mkdtempSync(path.join(os.tmpdir(), 'nodecrypt-relay-'));
+});
+
+afterEach(() => {
+	fs.rmSync(directory, {
+		recursive: true,
+		force: true
+	});
+});
+
+
+describe('loadConfig', () => {
+
+	test('uses the defaults without flags, variables or file', () => {
+		const config = loadConfig([], {});
+
+		assert.equal(config.host, '127.0.0.1');
+		assert.equal(config.port, 8088);
+		assert.equal(config.seenTimeout, 60000);
+		assert.equal(config.keyRotationHours, 24);
+		assert.equal(config.legacyHandshake, true);
+		assert.equal(config.debug, false);
+		assert.equal(config.tlsCert, null);
+		assert.equal(path.basename(config.keyFile), 'relay-keys.json');
+	});
+
+	test('lets flags win over variables and variables over the file', () => {
+		const file = path.join(directory, 'relay.json');
+
+		fs.writeFileSync(file, JSON.stringify({
+			host: '0.0.0.0',
+			port: 9000,
+			seenTimeout: 30000,
+			keyFile: 'keys/relay.json',
+			debug: true
+		}));
+
+		const config = loadConfig(['--config', file, '--port=9443', '--no-debug'], {
+			NODECRYPT_PORT: '9100',
+			NODECRYPT_SEEN_TIMEOUT: '45000'
+		});
+
+		assert.equal(config.host, '0.0.0.0');
+		assert.equal(config.port, 9443);
+		assert.equal(config.seenTimeout, 45000);
+		assert.equal(config.debug, false);
+		assert.equal(config.keyFile, path.join(directory, 'keys', 'relay.json'));
+	});
+
+	test('reads the config file named by NODECRYPT_CONFIG', () => {
+		const file = path.join(directory, 'relay.json');
+
+		fs.writeFileSync(file, JSON.stringify({
+			legacyHandshake: false
+		}));
+
+		assert.equal(loadConfig([], {
+			NODECRYPT_CONFIG: file
+		}).legacyHandshake, false);
+	});
+
+	test('reads rate limits as rate/burst', () => {
+		const config = loadConfig(['--control-limit', '5/10'], {
+			NODECRYPT_BULK_ADDRESS_LIMIT: '0/0'
+		});
+
+		assert.deepEqual(config.controlLimit, {
+			rate: 5,
+			burst: 10
+		});
+		assert.deepEqual(config.bulkAddressLimit, {
+			rate: 0,
+			burst: 0
+		});
+		assert.deepEqual(config.handshakeLimit, {
+			rate: 1,
+			burst: 20
+		});
+		assert.throws(() => loadConfig(['--bulk-limit', '5'], {}), /--bulk-limit must be rate\/burst/);
+		assert.throws(() => loadConfig(['--handshake-limit', '0.5/0'], {}), /must be rate\/burst/);
+	});
+
+	test('rejects unknown options, malformed values and half a TLS setup', () => {
+		const file = path.join(directory, 'relay.json');
+
+		fs.writeFileSync(file, JSON.stringify({
+			prot: 9000
+		}));
+
+		assert.throws(() => loadConfig(['--bogus'], {}), /unknown option --bogus/);
+		assert.throws(() => loadConfig(['--port'], {}), /needs a value/);
+		assert.throws(() => loadConfig(['--port', '70000'], {}), /--port must be an integer/);
+		assert.throws(() => loadConfig([], {
+			NODECRYPT_DEBUG: 'maybe'
+		}), /NODECRYPT_DEBUG must be true or false/);
+		assert.throws(() => loadConfig(['--config', file], {}), /unknown option prot/);
+		assert.throws(() => loadConfig(['--tls-cert', 'cert.pem'], {}), /must be set together/);
+	});
+
+});
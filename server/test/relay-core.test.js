@@ -0,0 +1,780 @@
+'use strict';
+
+// Conformance suite for the relay core: scripted fake sockets play the client side of the protocol against the core
+// wired to each host's crypto adapter, so the Node server and the Worker behave the same on the wire
+// 中继核心一致性测试：脚本化的假套接字扮演协议的客户端，分别对接入各宿主加密适配器的核心进行测试，
+// 保证 Node 服务器与 Worker 在线路上的行为一致
+
+const {
+	describe,
+	test,
+	before
+} = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const {
+	createRelay
+} = require('../relay-core.js');
+const {
+	createNodeCrypto
+} = require('../relay-crypto.js');
+
+// Client-side frame codec; sessions are built with the client's send and receive keys
+// 客户端帧编解码；会话使用客户端的发送和接收密钥构建
+const codec = createNodeCrypto();
+
+// DER prefix turning a raw 32-byte Ed25519 public key into SPKI
+// 将 32 字节原始 Ed25519 公钥转换为 SPKI 的 DER 前缀
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+const ROOM_A = crypto.createHash('sha256').update('room a').digest('hex');
+const ROOM_B = 'v2:' + crypto.createHash('sha256').update('room b').digest('hex');
+
+// Relay identities in the shape each host keeps them
+// 按各宿主保存方式生成的中继身份
+const createNodeKeys = () => {
+	const rsa = crypto.generateKeyPairSync('rsa', {
+		modulusLength: 2048
+	});
+	const ed = crypto.generateKeyPairSync('ed25519');
+
+	return ({
+		rsaPublic: rsa.publicKey.export({
+			type: 'spki',
+			format: 'der'
+		}).toString('base64'),
+		rsaPrivate: rsa.privateKey,
+		edPublic: ed.publicKey.export({
+			type: 'spki',
+			format: 'der'
+		}).slice(-32).toString('base64'),
+		edPrivate: ed.privateKey,
+		rotations: [],
+		roomSalt: crypto.randomBytes(32).toString('base64')
+	});
+};
+
+const createWebKeys = async () => {
+	const subtle = crypto.webcrypto.subtle;
+	const rsa = await subtle.generateKey({
+		name: 'RSASSA-PKCS1-v1_5',
+		modulusLength: 2048,
+		publicExponent: new Uint8Array([1, 0, 1]),
+		hash: 'SHA-256'
+	}, true, ['sign', 'verify']);
+	const ed = await subtle.generateKey({
+		name: 'Ed25519'
+	}, true, ['sign', 'verify']);
+
+	return ({
+		rsaPublic: Buffer.from(await subtle.exportKey('spki', rsa.publicKey)).toString('base64'),
+		rsaPrivate: rsa.privateKey,
+		edPublic: Buffer.from(await subtle.exportKey('raw', ed.publicKey)).toString('base64'),
+		edPrivate: ed.privateKey,
+		rotations: [],
+		roomSalt: crypto.randomBytes(32).toString('base64')
+	});
+};
+
+// The crypto adapter and relay identity of each host
+// 各宿主的加密适配器和中继身份
+const HOSTS = {
+	'server.js': async () => {
+		return ({
+			crypto: createNodeCrypto(),
+			keys: createNodeKeys()
+		});
+	},
+	'worker': async () => {
+		const {
+			workerCrypto
+		} = await import('../../worker/relay-crypto.js');
+
+		return ({
+			crypto: workerCrypto,
+			keys: await createWebKeys()
+		});
+	}
+};
+
+
+// A fake socket records what the relay sends and whether it closed it
+// 假套接字记录中继发送的内容以及是否被关闭
+const createSocket = () => {
+	return ({
+		sent: [],
+		closed: false,
+		terminated: false
+	});
+};
+
+const transport = {
+	send: (socket, message) => {
+		if (
+			!socket.closed
+		) {
+			socket.sent.push(message);
+		}
+	},
+	close: (socket) => {
+		socket.closed = true;
+	},
+	terminate: (socket) => {
+		socket.terminated = true;
+		socket.closed = true;
+	}
+};
+
+const wait = (ms) => {
+	return (new Promise((resolve) => setTimeout(resolve, ms)));
+};
+
+
+// A scripted client connected to the relay, from a source address when one is given
+// 连接到中继的脚本化客户端，可指定来源地址
+const connect = async (relay, address) => {
+	const socket = createSocket();
+	const id = relay.open(socket, address);
+
+	assert.ok(id);
+
+	await wait(0);
+
+	const serverKey = JSON.parse(socket.sent.shift());
+
+	return ({
+		id,
+		socket,
+		serverKey,
+		session: null,
+		version: 0,
+		send: function (message) {
+			return (relay.receive(this.id, this.version >= 2 ? codec.encryptFrame(message, this.session) : codec.encryptMessage(message, this.session)));
+		},
+		// Decrypt and remove every frame the relay sent so far
+		// 解密并取出中继迄今发送的所有帧
+		frames: function () {
+			const frames = this.socket.sent.splice(0).map((frame) => {
+				return (this.version >= 2 ? codec.decryptFrame(frame, this.session) : codec.decryptMessage(frame, this.session));
+			});
+
+			assert.ok(frames.every((frame) => frame !== null));
+
+			return (frames);
+		}
+	});
+};
+
+// Run the v2/v3 handshake from the client side and check the relay's transcript signature
+// 从客户端执行 v2/v3 握手并校验中继的握手记录签名
+const handshake = async (relay, client, versions) => {
+	const ecdh = crypto.createECDH('secp384r1');
+
+	ecdh.generateKeys();
+
+	const hello = JSON.stringify({
+		a: 'h',
+		v: versions || [3, 2],
+		k: ecdh.getPublicKey('hex')
+	});
+
+	await relay.receive(client.id, hello);
+
+	const reply = JSON.parse(client.socket.sent.shift());
+	const transcript = 'nodecrypt-relay-v' + reply.v + '|' + hello + '|' + reply.k;
+	const edKey = crypto.createPublicKey({
+		key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(client.serverKey.edKey, 'base64')]),
+		format: 'der',
+		type: 'spki'
+	});
+
+	assert.equal(reply.a, 'h');
+	assert.ok(crypto.verify(null, Buffer.from(transcript, 'utf8'), edKey, Buffer.from(reply.s, 'base64')));
+
+	const secret = ecdh.computeSecret(reply.k, 'hex');
+	const salt = crypto.createHash('sha256').update(transcript).digest();
+
+	client.version = reply.v;
+	client.session = {
+		send: Buffer.from(crypto.hkdfSync('sha256', secret, salt, 'nodecrypt relay v2 c2s', 32)),
+		recv: Buffer.from(crypto.hkdfSync('sha256', secret, salt, 'nodecrypt relay v2 s2c', 32)),
+		sendSeq: 0,
+		recvSeq: 0,
+		padded: reply.v >= 3
+	};
+
+	return (client);
+};
+
+// Run the legacy v1 handshake and check the relay's RSA signature
+// 执行旧版 v1 握手并校验中继的 RSA 签名
+const handshakeV1 = async (relay, client) => {
+	const ecdh = crypto.createECDH('secp384r1');
+
+	ecdh.generateKeys();
+
+	await relay.receive(client.id, ecdh.getPublicKey('hex'));
+
+	const parts = client.socket.sent.shift().split('|');
+	const rsaKey = crypto.createPublicKey({
+		key: Buffer.from(client.serverKey.key, 'base64'),
+		format: 'der',
+		type: 'spki'
+	});
+
+	assert.ok(crypto.verify('sha256', Buffer.from(parts[0], 'hex'), {
+		key: rsaKey,
+		padding: crypto.constants.RSA_PKCS1_PADDING
+	}, Buffer.from(parts[1], 'base64')));
+
+	client.version = 1;
+	client.session = ecdh.computeSecret(parts[0], 'hex').slice(8, 40);
+
+	return (client);
+};
+
+const join = async (relay, room, versions, address) => {
+	const client = await handshake(relay, await connect(relay, address), versions);
+
+	await client.send({
+		a: 'j',
+		p: room
+	});
+
+	return (client);
+};
+
+
+for (const host in HOSTS) {
+
+	describe('relay core with the ' + host + ' crypto adapter', () => {
+
+		let adapter = null;
+
+		const createTestRelay = (options) => {
+			return (createRelay(Object.assign({
+				transport,
+				crypto: adapter.crypto,
+				storage: {
+					getKeys: () => Promise.resolve(adapter.keys)
+				}
+			}, options)));
+		};
+
+		before(async () => {
+			adapter = await HOSTS[host]();
+		});
+
+		test('pushes a server-key frame on connect', async () => {
+			const relay = createTestRelay();
+			const client = await connect(relay);
+
+			assert.deepEqual(client.serverKey, {
+				type: 'server-key',
+				key: adapter.keys.rsaPublic,
+				edKey: adapter.keys.edPublic,
+				versions: [3, 2, 1],
+				rotations: [],
+				roomSalt: adapter.keys.roomSalt
+			});
+		});
+
+		test('v3 handshake signs the transcript and pads frames to buckets', async () => {
+			const relay = createTestRelay();
+			const client = await join(relay, ROOM_A);
+			const frame = client.socket.sent[0];
+
+			assert.equal(client.version, 3);
+			assert.equal(Buffer.from(frame.split('|')[1], 'base64').length, 256 + 16);
+			assert.deepEqual(client.frames(), [{
+				a: 'l',
+				p: [],
+				s: client.id
+			}]);
+		});
+
+		test('v2 handshake sends unpadded frames', async () => {
+			const relay = createTestRelay();
+			const client = await join(relay, ROOM_A, [2]);
+
+			assert.equal(client.version, 2);
+			assert.ok(Buffer.from(client.socket.sent[0].split('|')[1], 'base64').length < 256);
+			assert.deepEqual(client.frames(), [{
+				a: 'l',
+				p: [],
+				s: client.id
+			}]);
+		});
+
+		test('v1 handshake relays AES-CBC frames', async () => {
+			const relay = createTestRelay();
+			const client = await handshakeV1(relay, await connect(relay));
+
+			await client.send({
+				a: 'j',
+				p: ROOM_A
+			});
+
+			assert.deepEqual(client.frames(), [{
+				a: 'l',
+				p: [],
+				s: client.id
+			}]);
+		});
+
+		test('refuses v1 when legacy handshakes are disabled', async () => {
+			const relay = createTestRelay({
+				legacyHandshake: false
+			});
+			const client = await connect(relay);
+
+			assert.deepEqual(client.serverKey.versions, [3, 2]);
+
+			await relay.receive(client.id, 'ab'.repeat(97));
+
+			assert.ok(client.socket.closed);
+		});
+
+		test('closes the connection on a malformed hello', async () => {
+			const relay = createTestRelay();
+			const client = await connect(relay);
+
+			await relay.receive(client.id, JSON.stringify({
+				a: 'h',
+				v: [1],
+				k: '04'
+			}));
+
+			assert.ok(client.socket.closed);
+		});
+
+		test('sends each member of a channel the others, never itself', async () => {
+			const relay = createTestRelay();
+			const alice = await join(relay, ROOM_A);
+			const bob = await join(relay, ROOM_A);
+			const carol = await join(relay, ROOM_B);
+
+			assert.deepEqual(alice.frames(), [{
+				a: 'l',
+				p: [],
+				s: alice.id
+			}, {
+				a: 'l',
+				p: [bob.id],
+				s: alice.id
+			}]);
+			assert.deepEqual(bob.frames(), [{
+				a: 'l',
+				p: [alice.id],
+				s: bob.id
+			}]);
+			assert.deepEqual(carol.frames(), [{
+				a: 'l',
+				p: [],
+				s: carol.id
+			}]);
+		});
+
+		test('ignores invalid room ids and a second join', async () => {
+			const relay = createTestRelay();
+			const alice = await handshake(relay, await connect(relay));
+
+			await alice.send({
+				a: 'j',
+				p: 'not a room'
+			});
+
+			assert.deepEqual(alice.frames(), []);
+
+			await alice.send({
+				a: 'j',
+				p: ROOM_A
+			});
+			await alice.send({
+				a: 'j',
+				p: ROOM_B
+			});
+
+			assert.deepEqual(alice.frames(), [{
+				a: 'l',
+				p: [],
+				s: alice.id
+			}]);
+		});
+
+		test('relays c frames with only the payload, version and key material', async () => {
+			const relay = createTestRelay();
+			const alice = await join(relay, ROOM_A);
+			const bob = await join(relay, ROOM_A);
+			const carol = await join(relay, ROOM_B);
+
+			alice.frames();
+			bob.frames();
+			carol.frames();
+
+			await alice.send({
+				a: 'c',
+				c: bob.id,
+				p: 'payload',
+				v: 2,
+				k: 'kem',
+				n: 'dropped'
+			});
+			await alice.send({
+				a: 'c',
+				c: carol.id,
+				p: 'other room'
+			});
+
+			assert.deepEqual(bob.frames(), [{
+				a: 'c',
+				p: 'payload',
+				c: alice.id,
+				v: 2,
+				k: 'kem'
+			}]);
+			assert.deepEqual(carol.frames(), []);
+		});
+
+		test('fans w frames out as one c frame per member', async () => {
+			const relay = createTestRelay();
+			const alice = await join(relay, ROOM_A);
+			const bob = await join(relay, ROOM_A);
+			const dave = await join(relay, ROOM_A);
+			const carol = await join(relay, ROOM_B);
+
+			alice.frames();
+			bob.frames();
+			dave.frames();
+			carol.frames();
+
+			await alice.send({
+				a: 'w',
+				p: {
+					[bob.id]: 'for bob',
+					[dave.id]: 'for dave',
+					[carol.id]: 'for carol'
+				},
+				k: {
+					[bob.id]: 'kem bob'
+				},
+				v: 2
+			});
+
+			assert.deepEqual(bob.frames(), [{
+				a: 'c',
+				p: 'for bob',
+				c: alice.id,
+				v: 2,
+				k: 'kem bob'
+			}]);
+			assert.deepEqual(dave.frames(), [{
+				a: 'c',
+				p: 'for dave',
+				c: alice.id,
+				v: 2
+			}]);
+			assert.deepEqual(carol.frames(), []);
+		});
+
+		test('fans b frames out once to each listed member of the channel', async () => {
+			const relay = createTestRelay();
+			const alice = await join(relay, ROOM_A);
+			const bob = await join(relay, ROOM_A);
+			const carol = await join(relay, ROOM_B);
+
+			alice.frames();
+			bob.frames();
+			carol.frames();
+
+			await alice.send({
+				a: 'b',
+				p: 'sealed',
+				r: [bob.id, bob.id, alice.id, carol.id, 42]
+			});
+
+			assert.deepEqual(bob.frames(), [{
+				a: 'b',
+				p: 'sealed',
+				c: alice.id
+			}]);
+			assert.deepEqual(alice.frames(), []);
+			assert.deepEqual(carol.frames(), []);
+		});
+
+		test('updates the member list on close and forgets empty channels', async () => {
+			const relay = createTestRelay();
+			const alice = await join(relay, ROOM_A);
+			const bob = await join(relay, ROOM_A);
+
+			alice.frames();
+			bob.frames();
+
+			relay.close(bob.id);
+			relay.close(bob.id);
+
+			assert.deepEqual(alice.frames(), [{
+				a: 'l',
+				p: [],
+				s: alice.id
+			}]);
+
+			relay.close(alice.id);
+
+			const dave = await join(relay, ROOM_A);
+
+			assert.deepEqual(dave.frames(), [{
+				a: 'l',
+				p: [],
+				s: dave.id
+			}]);
+
+			relay.close(dave.id);
+
+			assert.ok(relay.isIdle());
+		});
+
+		test('closes the connection on a replayed frame', async () => {
+			const relay = createTestRelay();
+			const alice = await handshake(relay, await connect(relay));
+			const frame = codec.encryptFrame({
+				a: 'j',
+				p: ROOM_A
+			}, alice.session);
+
+			await relay.receive(alice.id, frame);
+
+			assert.ok(!alice.socket.closed);
+
+			await relay.receive(alice.id, frame);
+
+			assert.ok(alice.socket.closed);
+		});
+
+		test('handles frames in order while the relay keys are still loading', async () => {
+			let release = null;
+			const loading = new Promise((resolve) => {
+				release = resolve;
+			});
+			const relay = createTestRelay({
+				storage: {
+					getKeys: () => loading.then(() => adapter.keys)
+				}
+			});
+			const socket = createSocket();
+			const id = relay.open(socket);
+			const ecdh = crypto.createECDH('secp384r1');
+
+			ecdh.generateKeys();
+
+			const done = relay.receive(id, JSON.stringify({
+				a: 'h',
+				v: [3, 2],
+				k: ecdh.getPublicKey('hex')
+			}));
+
+			release();
+			await done;
+
+			assert.equal(JSON.parse(socket.sent[0]).type, 'server-key');
+			assert.equal(JSON.parse(socket.sent[1]).a, 'h');
+			assert.ok(!socket.closed);
+		});
+
+		test('sweeps silent connections out of their channel', async () => {
+			const relay = createTestRelay({
+				seenTimeout: 20
+			});
+			const alice = await join(relay, ROOM_A);
+			const bob = await join(relay, ROOM_A);
+
+			alice.frames();
+			bob.frames();
+
+			await wait(40);
+			await relay.receive(alice.id, 'ping');
+
+			assert.equal(alice.socket.sent.shift(), 'pong');
+
+			relay.sweep();
+
+			assert.ok(bob.socket.terminated);
+			assert.ok(!alice.socket.closed);
+			assert.deepEqual(alice.frames(), [{
+				a: 'l',
+				p: [],
+				s: alice.id
+			}]);
+		});
+
+		test('counts activity the host answered itself when sweeping', async () => {
+			const relay = createTestRelay({
+				seenTimeout: 20,
+				transport: Object.assign({}, transport, {
+					seen: (socket) => socket === alice.socket ? Date.now() : 0
+				})
+			});
+			const alice = await join(relay, ROOM_A);
+			const bob = await join(relay, ROOM_A);
+
+			await wait(40);
+
+			relay.sweep();
+
+			assert.ok(!alice.socket.closed);
+			assert.ok(bob.socket.terminated);
+		});
+
+		test('picks saved clients up in a new relay, in the middle of a handshake or a conversation', async () => {
+			// Saved state goes through JSON, as it would through a socket attachment
+			// 保存的状态经过 JSON 序列化，与经过套接字附件时相同
+			const saving = Object.assign({}, transport, {
+				save: (socket, state) => {
+					socket.state = JSON.parse(JSON.stringify(state));
+				}
+			});
+			const relay = createTestRelay({
+				transport: saving
+			});
+			const alice = await join(relay, ROOM_A);
+			const bob = await handshakeV1(relay, await connect(relay));
+			const carol = await connect(relay);
+
+			await bob.send({
+				a: 'j',
+				p: ROOM_A
+			});
+			alice.frames();
+			bob.frames();
+
+			const woken = createTestRelay({
+				transport: saving
+			});
+
+			for (const client of [alice, bob, carol]) {
+				assert.equal(woken.restore(client.socket, client.socket.state), client.id);
+			}
+
+			assert.equal(woken.restore(alice.socket, alice.socket.state), null);
+			assert.equal(woken.restore(createSocket(), {
+				id: 'broken',
+				version: 2
+			}), null);
+
+			await woken.receive(alice.id, codec.encryptFrame({
+				a: 'c',
+				c: bob.id,
+				p: 'after waking'
+			}, alice.session));
+
+			assert.deepEqual(bob.frames(), [{
+				a: 'c',
+				p: 'after waking',
+				c: alice.id
+			}]);
+
+			await handshake(woken, carol);
+			await woken.receive(carol.id, codec.encryptFrame({
+				a: 'j',
+				p: ROOM_A
+			}, carol.session));
+
+			assert.deepEqual(alice.frames(), [{
+				a: 'l',
+				p: [bob.id, carol.id],
+				s: alice.id
+			}]);
+			assert.deepEqual(carol.frames(), [{
+				a: 'l',
+				p: [alice.id, bob.id],
+				s: carol.id
+			}]);
+		});
+
+		test('holds a client over its frame limit back in order, then disconnects it', async () => {
+			const relay = createTestRelay({
+				limits: {
+					control: {
+						connection: {
+							rate: 10,
+							burst: 2
+						}
+					}
+				},
+				throttleLimit: 300
+			});
+			const alice = await join(relay, ROOM_A);
+			const bob = await join(relay, ROOM_A);
+			const start = Date.now();
+
+			alice.frames();
+			bob.frames();
+
+			await Promise.all(['one', 'two', 'three'].map((payload) => {
+				return (alice.send({
+					a: 'c',
+					c: bob.id,
+					p: payload
+				}));
+			}));
+
+			assert.ok(Date.now() - start >= 250);
+			assert.deepEqual(bob.frames().map((frame) => frame.p), ['one', 'two', 'three']);
+
+			for (const payload of ['four', 'five', 'six', 'seven']) {
+				alice.send({
+					a: 'c',
+					c: bob.id,
+					p: payload
+				});
+			}
+
+			assert.ok(alice.socket.closed);
+			assert.deepEqual(bob.frames(), [{
+				a: 'l',
+				p: [],
+				s: bob.id
+			}]);
+		});
+
+		test('limits handshakes and frames per source address', async () => {
+			const relay = createTestRelay({
+				limits: {
+					handshake: {
+						address: {
+							rate: 1,
+							burst: 3
+						}
+					},
+					control: {
+						address: {
+							rate: 1,
+							burst: 5
+						}
+					}
+				},
+				throttleLimit: 0
+			});
+			const alice = await join(relay, ROOM_A, null, '203.0.113.1');
+			const bob = await join(relay, ROOM_A, null, '203.0.113.1');
+			const carol = await connect(relay, '203.0.113.1');
+			const socket = createSocket();
+
+			assert.equal(relay.open(socket, '203.0.113.1'), null);
+			assert.ok(socket.closed);
+			assert.ok(await connect(relay, '198.51.100.7'));
+			assert.ok(await connect(relay));
+
+			await relay.receive(alice.id, 'ping');
+
+			assert.equal(alice.socket.sent.pop(), 'pong');
+
+			await relay.receive(carol.id, 'ping');
+
+			assert.ok(carol.socket.closed);
+			assert.ok(!bob.socket.closed);
+		});
+
+	});
+
+}
@@ -0,0 +1,117 @@
+'use strict';
+
+// Tests for the Node relay's persisted key file
+// Node 中继持久化密钥文件的测试
+
+const {
+	describe,
+	test,
+	beforeEach,
+	afterEach
+} = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+	createKeyStore
+} = require('../relay-keys.js');
+
+// DER prefix turning a raw 32-byte Ed25519 public key into SPKI
+// 将 32 字节原始 Ed25519 公钥转换为 SPKI 的 DER 前缀
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+let directory = null;
+
+beforeEach(() => {
+	directory = fs.mkdtempSync(path.join(os.tmpdir(), 'nodecrypt-relay-'));
+});
+
+afterEach(() => {
+	fs.rmSync(directory, {
+		recursive: true,
+		force: true
+	});
+});
+
+
+describe('key store', () => {
+
+	test('keeps the relay keys and room salt across restarts', async () => {
+		const file = path.join(directory, 'keys.json');
+		const first = await createKeyStore({
+			file,
+			rotationHours: 24
+		}).getKeys();
+		const second = await createKeyStore({
+			file,
+			rotationHours: 24
+		}).getKeys();
+
+		assert.equal(second.rsaPublic, first.rsaPublic);
+		assert.equal(second.edPublic, first.edPublic);
+		assert.equal(second.roomSalt, first.roomSalt);
+		assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+	});
+
+	test('rotates due keys once idle and signs the new keys with the old one', async () => {
+		const file = path.join(directory, 'keys.json');
+		const store = createKeyStore({
+			file,
+			rotationHours: 1
+		});
+		const before = await store.getKeys();
+
+		store.checkRotation(true);
+		assert.equal((await store.getKeys()).edPublic, before.edPublic);
+
+		const stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+		stored.createdAt = Date.now() - 2 * 60 * 60 * 1000;
+		fs.writeFileSync(file, JSON.stringify(stored));
+
+		const restarted = createKeyStore({
+			file,
+			rotationHours: 1
+		});
+
+		restarted.checkRotation(false);
+		assert.equal((await restarted.getKeys()).edPublic, before.edPublic);
+		assert.equal(JSON.parse(fs.readFileSync(file, 'utf8')).pendingKeyRotation, true);
+
+		restarted.checkRotation(true);
+
+		const after = await restarted.getKeys();
+		const rotation = after.rotations[0];
+		const oldKey = crypto.createPublicKey({
+			key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(before.edPublic, 'base64')]),
+			format: 'der',
+			type: 'spki'
+		});
+
+		assert.notEqual(after.edPublic, before.edPublic);
+		assert.equal(after.roomSalt, before.roomSalt);
+		assert.deepEqual(rotation.from, {
+			key: before.rsaPublic,
+			edKey: before.edPublic
+		});
+		assert.deepEqual(rotation.to, {
+			key: after.rsaPublic,
+			edKey: after.edPublic
+		});
+		assert.ok(crypto.verify(null, Buffer.from('nodecrypt-relay-rotation|' + after.rsaPublic + '|' + after.edPublic, 'utf8'), oldKey, Buffer.from(rotation.sig, 'base64')));
+		assert.equal(JSON.parse(fs.readFileSync(file, 'utf8')).pendingKeyRotation, false);
+	});
+
+	test('refuses a damaged key file instead of replacing the keys', () => {
+		const file = path.join(directory, 'keys.json');
+
+		fs.writeFileSync(file, '{"rsaPublic":');
+
+		assert.throws(() => createKeyStore({
+			file
+		}), /cannot read key file/);
+	});
+
+});
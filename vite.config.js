@@ -1,7 +1,27 @@
 import {
 	defineConfig
 } from 'vite';
-export default defineConfig({
+// Whether a package module belongs with the crypto libraries: it is one of them, or everything importing it does.
+// path holds the modules being checked, so an import cycle does not decide the answer
+// 某个依赖模块是否应与加密库放在一起：它本身是加密库，或引用它的全部模块都是。path 保存正在检查的模块，使循环引用不影响结果
+const isCryptoOnly = (id, getModuleInfo, path) => {
+	if (/aes-js|elliptic|js-chacha20|js-sha256|@noble/.test(id)) {
+		return true
+	}
+	const info = getModuleInfo(id);
+	if (!info || !id.includes('node_modules')) {
+		return false
+	}
+	const importers = [...info.importers, ...info.dynamicImporters].filter(importer => !path.has(importer));
+	path.add(id);
+	const result = importers.length > 0 && importers.every(importer => isCryptoOnly(importer, getModuleInfo, path));
+	path.delete(id);
+	return result
+};
+
+// The crypto benchmark page is served by the dev server and only built with --mode benchmark (npm run build:benchmark)
+// 加密性能测试页面由开发服务器提供，仅在 --mode benchmark（npm run build:benchmark）时构建
+export default defineConfig(({ mode }) => ({
 	// Root directory
 	// 根目录
 	root: 'client',
@@ -37,19 +57,27 @@ export default defineConfig({
 		},
 		// Rollup options
 		// Rollup 选项
-		rollupOptions: {			// Input file
-			// 输入文件
-			input: 'client/index.html',
+		rollupOptions: {			// Input files: the chat app, and the crypto benchmark page in benchmark mode
+			// 输入文件：聊天应用，以及 benchmark 模式下的加密性能测试页面
+			input: mode === 'benchmark' ? {
+				main: 'client/index.html',
+				benchmark: 'client/benchmark.html'
+			} : {
+				main: 'client/index.html'
+			},
 			// Output options
 			// 输出选项
 			output: {
-				// Manual chunks
-				// 手动分块
-				manualChunks: (id) => {
+				// Manual chunks: the crypto libraries, and the packages only they use (bn.js, hash.js and the other
+				// helpers of elliptic), go together so crypto-libs never imports from vendor-deps and back
+				// 手动分块：加密库及仅被其使用的包（bn.js、hash.js 等 elliptic 的辅助包）放在一起，使 crypto-libs 与 vendor-deps 不会互相引用
+				manualChunks: (id, { getModuleInfo }) => {
 					if (id.includes('node_modules')) {
-						if (/aes-js|elliptic|js-chacha20|js-sha256/.test(id)) {
-							return 'crypto-libs'
-						}
+						return isCryptoOnly(id, getModuleInfo, new Set()) ? 'crypto-libs' : 'vendor-deps'
+					}
+					// Rollup's CommonJS helpers are used by packages in both chunks
+					// Rollup 的 CommonJS 辅助函数被两个代码块中的包共同使用
+					if (id.includes('commonjsHelpers')) {
 						return 'vendor-deps'
 					}
 					return undefined
@@ -66,6 +94,11 @@ export default defineConfig({
 		// 代码块大小警告限制
 		chunkSizeWarningLimit: 1000,
 	},
+	// Worker options: the crypto workers are ES modules
+	// Worker 选项：加密 Worker 为 ES 模块
+	worker: {
+		format: 'es',
+	},
 	// Resolve options
 	// 解析选项
 	resolve: {
@@ -90,6 +123,6 @@ export default defineConfig({
 	optimizeDeps: {
 		// Include
 		// 包含
-		include: ['buffer', 'aes-js', 'elliptic', 'js-chacha20', 'js-sha256', '@dicebear/core', '@dicebear/micah'],
+		include: ['buffer', 'aes-js', 'elliptic', 'js-chacha20', 'js-sha256', '@noble/ciphers/chacha', '@noble/ciphers/aes', '@noble/post-quantum/ml-kem.js', 'qrcode-generator', '@dicebear/core', '@dicebear/micah'],
 	},
-});
\ No newline at end of file
+}));
\ No newline at end of file
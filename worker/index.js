@@ -1,4 +1,54 @@
-import { generateClientId, encryptMessage, decryptMessage, logEvent, isString, isObject, getTime } from './utils.js';
+import { createRelay, parseLimit, LIMITS, THROTTLE_LIMIT } from '../server/relay-core.js';
+import { workerCrypto } from './relay-crypto.js';
+import { logEvent } from './utils.js';
+
+// The directory instance keeps the global room salt and serves clients that do not name a shard
+const DIRECTORY = 'chat-room';
+
+// Shards are named by the first hex digits of a hash of the room identifier, see NodeCrypt.getRoomShard
+const isShard = (value) => typeof value === 'string' && /^[0-9a-f]{4}$/.test(value);
+
+// Rate limit variables from wrangler [vars], named and written like the Node relay's environment (rate/burst)
+const LIMIT_VARS = {
+  handshake: { address: 'NODECRYPT_HANDSHAKE_LIMIT' },
+  control: { connection: 'NODECRYPT_CONTROL_LIMIT', address: 'NODECRYPT_CONTROL_ADDRESS_LIMIT' },
+  bulk: { connection: 'NODECRYPT_BULK_LIMIT', address: 'NODECRYPT_BULK_ADDRESS_LIMIT' }
+};
+
+// The limits set in env, overriding the relay defaults; throws on a malformed value like the Node relay does at startup
+const readLimits = (env) => {
+  const limits = {};
+  for (const kind in LIMIT_VARS) {
+    for (const scope in LIMIT_VARS[kind]) {
+      const name = LIMIT_VARS[kind][scope];
+      if (env[name] === undefined) continue;
+      const limit = parseLimit(env[name]);
+      if (!limit) throw new Error(name + ' must be rate/burst, such as 20/100');
+      limits[kind] = { ...limits[kind], [scope]: limit };
+    }
+  }
+  return limits;
+};
+
+// Milliseconds a client over a limit is held back before it is disconnected, undefined for the relay default
+const readThrottleLimit = (env) => {
+  const value = env.NODECRYPT_THROTTLE_LIMIT;
+  if (value === undefined) return undefined;
+  const number = /^\d+$/.test(String(value)) ? Number(value) : NaN;
+  if (!(number <= 60000)) throw new Error('NODECRYPT_THROTTLE_LIMIT must be an integer from 0 to 60000');
+  return number;
+};
+
+// Whether v1 (RSA + AES-CBC) handshakes are accepted, true unless NODECRYPT_LEGACY_HANDSHAKE turns them off; accepts
+// the same words as the Node relay's variable
+const readLegacyHandshake = (env) => {
+  const value = env.NODECRYPT_LEGACY_HANDSHAKE;
+  if (value === undefined) return true;
+  if (typeof value === 'boolean') return value;
+  if (/^(1|true|yes|on)$/i.test(String(value))) return true;
+  if (/^(0|false|no|off)$/i.test(String(value))) return false;
+  throw new Error('NODECRYPT_LEGACY_HANDSHAKE must be true or false');
+};
 
 export default {
   async fetch(request, env, ctx) {
@@ -7,11 +57,33 @@ export default {
     // 处理WebSocket请求
     const upgradeHeader = request.headers.get('Upgrade');
     if (upgradeHeader && upgradeHeader === 'websocket') {
-      const id = env.CHAT_ROOM.idFromName('chat-room');
+      // New connections are limited per source address here, before a shard is picked: spreading them over shards
+      // gains nothing, and a refused client never makes a shard start up and create its keys
+      const address = request.headers.get('CF-Connecting-IP');
+      if (address) {
+        const limiter = env.RELAY_LIMITER.get(env.RELAY_LIMITER.idFromName(address));
+        const { wait } = await (await limiter.fetch('https://limiter/handshake')).json();
+        if (wait === null) {
+          logEvent('rate-limit', [address, 'handshake'], 'info');
+          return new Response('Too many connections', { status: 429 });
+        }
+        if (wait > 0) {
+          await new Promise((resolve) => setTimeout(resolve, wait));
+        }
+      }
+
+      // Each room shard runs in its own Durable Object with its own keys, rotation and cleanup
+      const shard = url.searchParams.get('shard');
+      const id = env.CHAT_ROOM.idFromName(isShard(shard) ? 'shard:' + shard : DIRECTORY);
       const stub = env.CHAT_ROOM.get(id);
       return stub.fetch(request);
     }
 
+    // Relay info clients read before connecting: the room salt they need to pick their shard
+    if (url.pathname === '/api/relay') {
+      return env.CHAT_ROOM.get(env.CHAT_ROOM.idFromName(DIRECTORY)).fetch(request);
+    }
+
     // 处理API请求
     if (url.pathname.startsWith('/api/')) {
       // ...API 逻辑...
@@ -23,20 +95,106 @@ export default {
   }
 };
 
+// One per source address, holding the handshake bucket that relay-core would keep per address, so it covers every
+// shard. It lives in memory: an evicted limiter starts over with a full bucket, which only happens after a minute or
+// more without connections from that address
+export class RelayLimiter {
+  constructor(state, env) {
+    const limits = readLimits(env);
+    this.limit = limits.handshake && limits.handshake.address ? limits.handshake.address : LIMITS.handshake.address;
+    this.throttleLimit = readThrottleLimit(env) ?? THROTTLE_LIMIT;
+    this.bucket = { tokens: this.limit.burst, time: Date.now() };
+  }
+
+  // Take a token for a new connection. Answers how many milliseconds it waits first, or null to refuse it when that
+  // would be longer than the throttle limit
+  async fetch() {
+    const { rate, burst } = this.limit;
+    if (!(rate > 0)) {
+      return Response.json({ wait: 0 });
+    }
+
+    const now = Date.now();
+    this.bucket.tokens = Math.min(burst, this.bucket.tokens + (now - this.bucket.time) * rate / 1000);
+    this.bucket.time = now;
+
+    const wait = Math.max(0, 1 - this.bucket.tokens) * 1000 / rate;
+    if (wait > this.throttleLimit) {
+      return Response.json({ wait: null });
+    }
+
+    this.bucket.tokens -= 1;
+    return Response.json({ wait });
+  }
+}
+
 export class ChatRoom {  constructor(state, env) {
     this.state = state;
+    this.env = env;
     
-    // Use objects like original server.js instead of Maps
-    this.clients = {};
-    this.channels = {};
+    // Rotation certificates signed by the previous key, sent with server-key
+    this.keyRotations = [];
     
     this.config = {
       seenTimeout: 60000,
-      debug: false
+      // Accept v1 (RSA + AES-CBC) handshakes from clients that do not speak v2 yet, until the deployment turns them off
+      legacyHandshake: readLegacyHandshake(env),
+      debug: false,
+      limits: readLimits(env),
+      throttleLimit: readThrottleLimit(env)
     };
+
+    // The relay protocol lives in server/relay-core.js, shared with the Node server; this object only wires sockets and keys to it
+    this.relay = createRelay({
+      transport: {
+        send: (connection, message) => {
+          // In Cloudflare Workers, WebSocket.READY_STATE_OPEN is 1
+          if (connection.readyState === 1) {
+            connection.send(message);
+          }
+        },
+        close: (connection) => connection.close(),
+        // Each client's shared keys, frame counters and channel ride along with its socket, so they outlive eviction
+        save: (connection, state) => connection.serializeAttachment(state),
+        // Pings are answered by the runtime without waking the object; count them as activity when sweeping
+        seen: (connection) => {
+          const time = this.state.getWebSocketAutoResponseTimestamp(connection);
+          return time ? time.getTime() : 0;
+        }
+      },
+      crypto: workerCrypto,
+      storage: {
+        getKeys: () => this.getKeys()
+      },
+      log: logEvent,
+      seenTimeout: this.config.seenTimeout,
+      legacyHandshake: this.config.legacyHandshake,
+      // New connections were already limited per source address by RelayLimiter before reaching this shard
+      limits: { ...this.config.limits, handshake: { address: { rate: 0, burst: 0 } } },
+      throttleLimit: this.config.throttleLimit
+    });
     
-    // Initialize RSA key pair
-    this.initRSAKeyPair();
+    // Sockets are accepted as hibernatable: the object may be evicted while clients stay connected, and is rebuilt
+    // from their attachments when the next frame, close or alarm arrives. Idle rooms then cost nothing
+    this.state.setWebSocketAutoResponse(new WebSocketRequestResponsePair('ping', 'pong'));
+
+    for (const connection of this.state.getWebSockets()) {
+      if (!this.relay.restore(connection, connection.deserializeAttachment())) {
+        connection.close(1011, 'relay state lost');
+      }
+    }
+  }
+
+  // Load or create the key pair once, however many requests reach a new shard while it starts. Only admitted
+  // connections and alarms ask for it, so a shard nobody connected to never creates keys
+  ensureKeyPair() {
+    if (!this.keyPairTask) {
+      this.keyPairTask = this.initRSAKeyPair().catch((error) => {
+        this.keyPairTask = null;
+        throw error;
+      });
+    }
+    return this.keyPairTask;
   }
 
   async initRSAKeyPair() {
@@ -70,6 +228,22 @@ export class ChatRoom {  constructor(state, env) {
         await this.state.storage.put('rsaKeyPair', stored);
         console.log('RSA key pair generated and stored');
       }
+
+      // v2 握手使用的 Ed25519 签名密钥，与 RSA 密钥一同存储和轮换
+      if (!stored.edPrivateData) {
+        console.log('Generating new Ed25519 keypair...');
+        const edKeyPair = await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']);
+        const [edPublicBuffer, edPrivateBuffer] = await Promise.all([
+          crypto.subtle.exportKey('raw', edKeyPair.publicKey),
+          crypto.subtle.exportKey('pkcs8', edKeyPair.privateKey)
+        ]);
+
+        stored.edPublic = btoa(String.fromCharCode(...new Uint8Array(edPublicBuffer)));
+        stored.edPrivateData = Array.from(new Uint8Array(edPrivateBuffer));
+
+        await this.state.storage.put('rsaKeyPair', stored);
+        console.log('Ed25519 key pair generated and stored');
+      }
       
       // Reconstruct the private key
       if (stored.rsaPrivateData) {
@@ -84,29 +258,114 @@ export class ChatRoom {  constructor(state, env) {
           },
           false,
           ['sign']
-        );      }
-        this.keyPair = stored;
-      
-      // 检查密钥是否需要轮换（如果已创建超过24小时）
-      if (stored.createdAt && (Date.now() - stored.createdAt > 24 * 60 * 60 * 1000)) {
-        // 如果没有任何客户端，则执行密钥轮换
-        if (Object.keys(this.clients).length === 0) {
-          console.log('密钥已使用24小时，进行轮换...');
-          await this.state.storage.delete('rsaKeyPair');
-          this.keyPair = null;
-          await this.initRSAKeyPair();
-        } else {
-          // 否则标记需要在客户端全部断开后进行轮换
-          await this.state.storage.put('pendingKeyRotation', true);
-        }
+        );
       }
+
+      stored.edPrivate = await crypto.subtle.importKey(
+        'pkcs8',
+        new Uint8Array(stored.edPrivateData),
+        { name: 'Ed25519' },
+        false,
+        ['sign']
+      );
+      this.keyPair = stored;
+      this.keyRotations = (await this.state.storage.get('keyRotations')) || [];
+
+      await this.getRoomSalt();
+      await this.checkKeyAge();
     } catch (error) {
       console.error('Error initializing RSA key pair:', error);
       throw error;
     }
   }
 
+  // 检查密钥是否需要轮换（如果已创建超过24小时）
+  async checkKeyAge() {
+    if (this.keyPair.createdAt && (Date.now() - this.keyPair.createdAt > 24 * 60 * 60 * 1000)) {
+      // 如果没有任何客户端，则执行密钥轮换
+      if (this.relay.isIdle()) {
+        console.log('密钥已使用24小时，进行轮换...');
+        await this.rotateKeyPair();
+      } else {
+        // 否则标记需要在客户端全部断开后进行轮换
+        await this.state.storage.put('pendingKeyRotation', true);
+      }
+    }
+  }
+
+  // Replace the key pair and sign the new public keys with the old Ed25519 key,
+  // so clients that pinned the old keys can follow the rotation without prompting
+  // 更换密钥对，并用旧的 Ed25519 密钥签名新公钥，使固定了旧密钥的客户端无需提示即可接受轮换
+  async rotateKeyPair() {
+    const previous = this.keyPair;
+    await this.state.storage.delete('rsaKeyPair');
+    this.keyPair = null;
+    await this.initRSAKeyPair();
+
+    if (!previous || !previous.edPrivate || !this.keyPair) {
+      return;
+    }
+
+    const signature = await crypto.subtle.sign(
+      { name: 'Ed25519' },
+      previous.edPrivate,
+      new TextEncoder().encode('nodecrypt-relay-rotation|' + this.keyPair.rsaPublic + '|' + this.keyPair.edPublic)
+    );
+
+    // 只保留最近一周的轮换记录
+    this.keyRotations = this.keyRotations.concat([{
+      from: { key: previous.rsaPublic, edKey: previous.edPublic },
+      to: { key: this.keyPair.rsaPublic, edKey: this.keyPair.edPublic },
+      sig: btoa(String.fromCharCode(...new Uint8Array(signature)))
+    }]).slice(-7);
+    await this.state.storage.put('keyRotations', this.keyRotations);
+  }
+
+  // Salt for the clients' slow room identifier KDF. It outlives key rotations so every member of a room keeps deriving the same identifier.
+  // It is global: the directory instance creates it and shards copy it, so the identifier, and the shard picked from it, never depends on the shard
+  // 客户端慢速房间标识符 KDF 使用的盐，不随密钥轮换，保证同一房间的成员始终派生出相同的标识符。
+  // 盐是全局的：由目录实例创建，分片从目录复制，因此标识符以及由其选出的分片与所在分片无关
+  async getRoomSalt() {
+    // Share one lookup between the constructor and concurrent requests, so they cannot each create or copy a different salt
+    if (!this.roomSaltTask) {
+      this.roomSaltTask = this.loadRoomSalt().catch((error) => {
+        this.roomSaltTask = null;
+        throw error;
+      });
+    }
+    return this.roomSaltTask;
+  }
+
+  async loadRoomSalt() {
+    let roomSalt = await this.state.storage.get('roomSalt');
+    const directory = this.env.CHAT_ROOM.idFromName(DIRECTORY);
+
+    if (!roomSalt && this.state.id.equals(directory)) {
+      roomSalt = btoa(String.fromCharCode(...crypto.getRandomValues(new Uint8Array(32))));
+      await this.state.storage.put('roomSalt', roomSalt);
+    } else if (!roomSalt) {
+      const response = await this.env.CHAT_ROOM.get(directory).fetch('https://relay/api/relay');
+      const info = await response.json();
+
+      if (typeof info.roomSalt !== 'string') {
+        throw new Error('directory sent no room salt');
+      }
+
+      roomSalt = info.roomSalt;
+      await this.state.storage.put('roomSalt', roomSalt);
+    }
+
+    this.roomSalt = roomSalt;
+    return roomSalt;
+  }
+
   async fetch(request) {
+    if (new URL(request.url).pathname === '/api/relay') {
+      return new Response(JSON.stringify({ shards: true, roomSalt: await this.getRoomSalt() }), {
+        headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' }
+      });
+    }
+
     // Check for WebSocket upgrade
     const upgradeHeader = request.headers.get('Upgrade');
     if (!upgradeHeader || upgradeHeader !== 'websocket') {
@@ -115,365 +374,109 @@ export class ChatRoom {  constructor(state, env) {
 
     // Ensure RSA keys are initialized
     if (!this.keyPair) {
-      await this.initRSAKeyPair();
+      await this.ensureKeyPair();
     }
 
     const webSocketPair = new WebSocketPair();
     const [client, server] = Object.values(webSocketPair);
 
+    // 清理旧连接，没有其他客户端时执行待处理的密钥轮换
+    this.relay.sweep();
+    await this.rotatePendingKeyPair();
+
     // Accept the WebSocket connection
-    this.handleSession(server);
+    this.state.acceptWebSocket(server);
+
+    // Frame limits apply per connection and per source address as the Node relay does, but the address buckets are
+    // this shard's own: an address connected to several shards has the address budget on each of them
+    if (this.relay.open(server, request.headers.get('CF-Connecting-IP'))) {
+      await this.scheduleSweep();
+    }
 
     return new Response(null, {
       status: 101,
       webSocket: client,
     });
-  }  // WebSocket connection event handler
-  async handleSession(connection) {    connection.accept();
-
-    // 清理旧连接
-    await this.cleanupOldConnections();
-
-    const clientId = generateClientId();
+  }
 
-    if (!clientId || this.clients[clientId]) {
-      this.closeConnection(connection);
-      return;
+  // Relay identity handed to the relay core: current keys, rotation certificates and the room salt
+  async getKeys() {
+    if (!this.keyPair) {
+      await this.ensureKeyPair();
     }
 
-    logEvent('connection', clientId, 'debug');    // Store client information
-    this.clients[clientId] = {
-      connection: connection,
-      seen: getTime(),
-      key: null,
-      shared: null,
-      channel: null
+    return {
+      rsaPublic: this.keyPair.rsaPublic,
+      rsaPrivate: this.keyPair.rsaPrivate,
+      edPublic: this.keyPair.edPublic,
+      edPrivate: this.keyPair.edPrivate,
+      rotations: this.keyRotations,
+      roomSalt: await this.getRoomSalt()
     };
-
-    // Send RSA public key
-    try {
-      logEvent('sending-public-key', clientId, 'debug');
-      this.sendMessage(connection, JSON.stringify({
-        type: 'server-key',
-        key: this.keyPair.rsaPublic
-      }));
-    } catch (error) {
-      logEvent('sending-public-key', error, 'error');
-    }    // Handle messages
-    connection.addEventListener('message', async (event) => {
-      const message = event.data;
-
-      if (!isString(message) || !this.clients[clientId]) {
-        return;
-      }
-
-      this.clients[clientId].seen = getTime();
-
-      if (message === 'ping') {
-        this.sendMessage(connection, 'pong');
-        return;
-      }
-
-      logEvent('message', [clientId, message], 'debug');      // Handle key exchange
-      if (!this.clients[clientId].shared && message.length < 2048) {
-        try {
-          // Generate ECDH key pair using P-384 curve (equivalent to secp384r1)
-          const keys = await crypto.subtle.generateKey(
-            {
-              name: 'ECDH',
-              namedCurve: 'P-384'
-            },
-            true,
-            ['deriveBits', 'deriveKey']
-          );
-
-          const publicKeyBuffer = await crypto.subtle.exportKey('raw', keys.publicKey);
-          
-          // Sign the public key using PKCS1 padding (compatible with original)
-          const signature = await crypto.subtle.sign(
-            {
-              name: 'RSASSA-PKCS1-v1_5'
-            },
-            this.keyPair.rsaPrivate,
-            publicKeyBuffer
-          );
-
-          // Convert hex string to Uint8Array for client public key
-          const clientPublicKeyHex = message;
-          const clientPublicKeyBytes = new Uint8Array(clientPublicKeyHex.match(/.{1,2}/g).map(byte => parseInt(byte, 16)));
-          
-          // Import client's public key
-          const clientPublicKey = await crypto.subtle.importKey(
-            'raw',
-            clientPublicKeyBytes,
-            { name: 'ECDH', namedCurve: 'P-384' },
-            false,
-            []
-          );
-
-          // Derive shared secret bits (equivalent to computeSecret in Node.js)
-          const sharedSecretBits = await crypto.subtle.deriveBits(
-            {
-              name: 'ECDH',
-              public: clientPublicKey
-            },
-            keys.privateKey,
-            384 // P-384 produces 48 bytes (384 bits)
-          );          // Take bytes 8-40 (32 bytes) for AES-256 key
-          this.clients[clientId].shared = new Uint8Array(sharedSecretBits).slice(8, 40);
-
-          const response = Array.from(new Uint8Array(publicKeyBuffer))
-            .map(b => b.toString(16).padStart(2, '0')).join('') + 
-            '|' + btoa(String.fromCharCode(...new Uint8Array(signature)));
-          
-          this.sendMessage(connection, response);
-
-        } catch (error) {
-          logEvent('message-key', [clientId, error], 'error');
-          this.closeConnection(connection);
-        }
-
-        return;
-      }
-
-      // Handle encrypted messages
-      if (this.clients[clientId].shared && message.length <= (8 * 1024 * 1024)) {
-        this.processEncryptedMessage(clientId, message);
-      }
-    });    // Handle connection close
-    connection.addEventListener('close', async (event) => {
-      logEvent('close', [clientId, event], 'debug');
-
-      const channel = this.clients[clientId].channel;
-
-      if (channel && this.channels[channel]) {
-        this.channels[channel].splice(this.channels[channel].indexOf(clientId), 1);
-
-        if (this.channels[channel].length === 0) {
-          delete(this.channels[channel]);
-        } else {
-          try {
-            const members = this.channels[channel];
-
-            for (const member of members) {
-              const client = this.clients[member];              if (this.isClientInChannel(client, channel)) {
-                this.sendMessage(client.connection, encryptMessage({
-                  a: 'l',
-                  p: members.filter((value) => {
-                    return (value !== member ? true : false);
-                  })
-                }, client.shared));
-              }
-            }
-
-          } catch (error) {
-            logEvent('close-list', [clientId, error], 'error');
-          }
-        }
-      }
-
-      if (this.clients[clientId]) {
-        delete(this.clients[clientId]);
-      }
-    });
   }
-  // Process encrypted messages
-  processEncryptedMessage(clientId, message) {
-    let decrypted = null;
-
-    try {
-      decrypted = decryptMessage(message, this.clients[clientId].shared);
-
-      logEvent('message-decrypted', [clientId, decrypted], 'debug');
-
-      if (!isObject(decrypted) || !isString(decrypted.a)) {
-        return;
-      }
 
-      const action = decrypted.a;
+  // Hibernatable WebSocket handlers; the client id comes from the socket's attachment
+  async webSocketMessage(connection, message) {
+    const state = connection.deserializeAttachment();
 
-      if (action === 'j') {
-        this.handleJoinChannel(clientId, decrypted);
-      } else if (action === 'c') {
-        this.handleClientMessage(clientId, decrypted);
-      } else if (action === 'w') {
-        this.handleChannelMessage(clientId, decrypted);
-      }
-
-    } catch (error) {
-      logEvent('process-encrypted-message', [clientId, error], 'error');
-    } finally {
-      decrypted = null;
+    if (state) {
+      await this.relay.receive(state.id, message);
     }
   }
-  // Handle channel join requests
-  handleJoinChannel(clientId, decrypted) {
-    if (!isString(decrypted.p) || this.clients[clientId].channel) {
-      return;
-    }
 
-    try {
-      const channel = decrypted.p;
-
-      this.clients[clientId].channel = channel;
+  async webSocketClose(connection) {
+    this.closeSession(connection);
+  }
 
-      if (!this.channels[channel]) {
-        this.channels[channel] = [clientId];
-      } else {
-        this.channels[channel].push(clientId);
-      }
+  async webSocketError(connection) {
+    this.closeSession(connection);
+  }
 
-      this.broadcastMemberList(channel);
+  closeSession(connection) {
+    const state = connection.deserializeAttachment();
 
-    } catch (error) {
-      logEvent('message-join', [clientId, error], 'error');
-    }
-  }
-  // Handle client messages
-  handleClientMessage(clientId, decrypted) {
-    if (!isString(decrypted.p) || !isString(decrypted.c) || !this.clients[clientId].channel) {
-      return;
+    if (state) {
+      this.relay.close(state.id);
     }
 
     try {
-      const channel = this.clients[clientId].channel;
-      const targetClient = this.clients[decrypted.c];
-
-      if (this.isClientInChannel(targetClient, channel)) {
-        const messageObj = {
-          a: 'c',
-          p: decrypted.p,
-          c: clientId
-        };
-
-        const encrypted = encryptMessage(messageObj, targetClient.shared);
-        this.sendMessage(targetClient.connection, encrypted);
-
-        messageObj.p = null;
-      }
-
+      connection.close();
     } catch (error) {
-      logEvent('message-client', [clientId, error], 'error');
+      logEvent('closeSession', error, 'debug');
     }
-  }  // Handle channel messages
-  handleChannelMessage(clientId, decrypted) {
-    if (!isObject(decrypted.p) || !this.clients[clientId].channel) {
-      return;
-    }
-    
-    try {
-      const channel = this.clients[clientId].channel;
-      // 过滤有效的目标成员
-      const validMembers = Object.keys(decrypted.p).filter(member => {
-        const targetClient = this.clients[member];
-        return isString(decrypted.p[member]) && this.isClientInChannel(targetClient, channel);
-      });
-
-      // 处理所有有效的目标成员
-      for (const member of validMembers) {
-        const targetClient = this.clients[member];
-        const messageObj = {
-          a: 'c',
-          p: decrypted.p[member],
-          c: clientId
-        };        const encrypted = encryptMessage(messageObj, targetClient.shared);
-        this.sendMessage(targetClient.connection, encrypted);
-
-        messageObj.p = null;
-      }
+  }
 
-    } catch (error) {
-      logEvent('message-channel', [clientId, error], 'error');
+  // Stale clients are swept by an alarm while anyone is connected, instead of when the next client arrives, and
+  // key rotation waits for the room to empty. No alarm is left once it does, so the object can sleep
+  async scheduleSweep() {
+    if ((await this.state.storage.getAlarm()) === null) {
+      await this.state.storage.setAlarm(Date.now() + this.config.seenTimeout);
     }
   }
-  // Broadcast member list to channel
-  broadcastMemberList(channel) {
-    try {
-      const members = this.channels[channel];
 
-      for (const member of members) {
-        const client = this.clients[member];
+  async alarm() {
+    await this.ensureKeyPair();
 
-        if (this.isClientInChannel(client, channel)) {
-          const messageObj = {
-            a: 'l',
-            p: members.filter((value) => {
-              return (value !== member ? true : false);
-            })
-          };
+    this.relay.sweep();
+    await this.rotatePendingKeyPair();
+    await this.checkKeyAge();
 
-          const encrypted = encryptMessage(messageObj, client.shared);
-          this.sendMessage(client.connection, encrypted);
-
-          messageObj.p = null;
-        }
-      }
-    } catch (error) {
-      logEvent('broadcast-member-list', error, 'error');
+    if (!this.relay.isIdle()) {
+      await this.scheduleSweep();
     }
-  }  // Check if client is in channel
-  isClientInChannel(client, channel) {
-    return (
-      client &&
-      client.connection &&
-      client.shared &&
-      client.channel &&
-      client.channel === channel ?
-      true :
-      false
-    );
   }
-  // Send message helper
-  sendMessage(connection, message) {
-    try {
-      // In Cloudflare Workers, WebSocket.READY_STATE_OPEN is 1
-      if (connection.readyState === 1) {
-        connection.send(message);
-      }
-    } catch (error) {
-      logEvent('sendMessage', error, 'error');
-    }
-  }  // Close connection helper
-  closeConnection(connection) {
-    try {
-      connection.close();    } catch (error) {
-      logEvent('closeConnection', error, 'error');
-    }
-  }
-  
-  // 连接清理方法
-  async cleanupOldConnections() {
-    const seenThreshold = getTime() - this.config.seenTimeout;
-    const clientsToRemove = [];
-
-    // 先收集需要移除的客户端，避免在迭代时修改对象
-    for (const clientId in this.clients) {
-      if (this.clients[clientId].seen < seenThreshold) {
-        clientsToRemove.push(clientId);
-      }
-    }
 
-    // 然后一次性移除所有过期客户端
-    for (const clientId of clientsToRemove) {
-      try {
-        logEvent('connection-seen', clientId, 'debug');
-        this.clients[clientId].connection.close();
-        delete this.clients[clientId];
-      } catch (error) {
-        logEvent('connection-seen', error, 'error');      }
+  // 如果没有任何客户端，检查是否需要轮换密钥
+  async rotatePendingKeyPair() {
+    if (!this.relay.isIdle()) {
+      return;
     }
-    
-    // 如果没有任何客户端和房间，检查是否需要轮换密钥
-    if (Object.keys(this.clients).length === 0 && Object.keys(this.channels).length === 0) {
-      const pendingRotation = await this.state.storage.get('pendingKeyRotation');
-      if (pendingRotation) {
-        console.log('没有活跃客户端或房间，执行密钥轮换...');
-        await this.state.storage.delete('rsaKeyPair');        await this.state.storage.delete('pendingKeyRotation');
-        this.keyPair = null;
-        await this.initRSAKeyPair();
-      }
+
+    const pendingRotation = await this.state.storage.get('pendingKeyRotation');
+    if (pendingRotation) {
+      console.log('没有活跃客户端，执行密钥轮换...');
+      await this.state.storage.delete('pendingKeyRotation');
+      await this.rotateKeyPair();
     }
-    
-    return clientsToRemove.length; // 返回清理的连接数量
   }
 }
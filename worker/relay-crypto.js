@@ -0,0 +1,58 @@
+import { generateClientId, encryptMessage, decryptMessage, encryptFrame, decryptFrame } from './utils.js';
+
+// Crypto adapter for the relay core: handshake primitives on WebCrypto, frames on the node:crypto codec in utils.js
+// 中继核心的加密适配器：握手原语使用 WebCrypto，帧使用 utils.js 中基于 node:crypto 的编解码
+
+const toHex = (bytes) => Array.from(new Uint8Array(bytes)).map(b => b.toString(16).padStart(2, '0')).join('');
+
+const fromHex = (hex) => new Uint8Array(hex.match(/.{1,2}/g).map(byte => parseInt(byte, 16)));
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+
+export const workerCrypto = {
+  clientId: generateClientId,
+
+  // Ephemeral P-384 key pair (secp384r1); publicKey is the uncompressed point in hex
+  async createEcdh() {
+    const keys = await crypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-384' }, true, ['deriveBits']);
+    const publicKey = toHex(await crypto.subtle.exportKey('raw', keys.publicKey));
+
+    return {
+      publicKey,
+      async deriveSecret(peerKey) {
+        const clientPublicKey = await crypto.subtle.importKey('raw', fromHex(peerKey), { name: 'ECDH', namedCurve: 'P-384' }, false, []);
+        // P-384 produces 48 bytes (384 bits), like computeSecret in Node.js
+        return Buffer.from(await crypto.subtle.deriveBits({ name: 'ECDH', public: clientPublicKey }, keys.privateKey, 384));
+      }
+    };
+  },
+
+  // RSA PKCS#1 v1.5 SHA-256 signature over the raw bytes of a hex public key, base64 encoded
+  async signLegacy(privateKey, publicKey) {
+    return toBase64(await crypto.subtle.sign({ name: 'RSASSA-PKCS1-v1_5' }, privateKey, fromHex(publicKey)));
+  },
+
+  // Ed25519 signature over UTF-8 text, base64 encoded
+  async signTranscript(privateKey, text) {
+    return toBase64(await crypto.subtle.sign({ name: 'Ed25519' }, privateKey, new TextEncoder().encode(text)));
+  },
+
+  async sha256(text) {
+    return Buffer.from(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)));
+  },
+
+  async hkdf(secret, salt, info) {
+    const hkdfKey = await crypto.subtle.importKey('raw', secret, 'HKDF', false, ['deriveBits']);
+    return Buffer.from(await crypto.subtle.deriveBits({
+      name: 'HKDF',
+      hash: 'SHA-256',
+      salt: salt,
+      info: new TextEncoder().encode(info)
+    }, hkdfKey, 256));
+  },
+
+  encryptFrame,
+  decryptFrame,
+  encryptMessage,
+  decryptMessage
+};
@@ -101,6 +101,107 @@ export const decryptMessage = (message, key) => {
 
 };
 
+// Build the AES-GCM nonce for a sequence number
+export const frameNonce = (seq) => {
+  const nonce = Buffer.alloc(12);
+  nonce.writeUInt32BE(Math.floor(seq / 0x100000000), 4);
+  nonce.writeUInt32BE(seq >>> 0, 8);
+  return (nonce);
+};
+
+// Padding buckets for v3 frames: powers of two from 256 bytes, then multiples of 64 KiB
+const FRAME_PADDING = { min: 256, max: 65536 };
+
+// Pad data with a 0x80 marker and zeros up to its bucket size
+const padFrame = (data) => {
+  let size = FRAME_PADDING.min;
+
+  while (size < data.length + 1 && size < FRAME_PADDING.max) {
+    size *= 2;
+  }
+
+  if (size < data.length + 1) {
+    size = Math.ceil((data.length + 1) / FRAME_PADDING.max) * FRAME_PADDING.max;
+  }
+
+  const padded = Buffer.alloc(size);
+
+  data.copy(padded);
+  padded[data.length] = 0x80;
+
+  return (padded);
+};
+
+// Strip the padding added by padFrame, null when the marker is missing
+const unpadFrame = (data) => {
+  let end = data.length - 1;
+
+  while (end >= 0 && data[end] === 0) {
+    end--;
+  }
+
+  return (end >= 0 && data[end] === 0x80 ? data.subarray(0, end) : null);
+};
+
+// Encrypt a v2 frame with the session's send key and sequence number, padded for v3 sessions
+export const encryptFrame = (message, session) => {
+
+  let encrypted = '';
+
+  try {
+
+    const seq = session.sendSeq;
+    const plaintext = Buffer.from(JSON.stringify(message), 'utf8');
+    const cipher = crypto.createCipheriv('aes-256-gcm', session.send, frameNonce(seq));
+    const ciphertext = Buffer.concat([cipher.update(session.padded ? padFrame(plaintext) : plaintext), cipher.final(), cipher.getAuthTag()]);
+
+    session.sendSeq++;
+    encrypted = seq + '|' + ciphertext.toString('base64');
+
+  } catch (error) {
+    logEvent('encryptFrame', error, 'error');
+  }
+
+  return (encrypted);
+
+};
+
+// Decrypt a v2 frame, null when authentication or sequencing fails
+export const decryptFrame = (message, session) => {
+
+  try {
+
+    const parts = message.split('|');
+    const seq = Number(parts[0]);
+
+    if (parts.length !== 2 || seq !== session.recvSeq) {
+      return (null);
+    }
+
+    const data = Buffer.from(parts[1], 'base64');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', session.recv, frameNonce(seq));
+
+    decipher.setAuthTag(data.subarray(data.length - 16));
+
+    const decrypted = Buffer.concat([decipher.update(data.subarray(0, data.length - 16)), decipher.final()]);
+    const plaintext = session.padded ? unpadFrame(decrypted) : decrypted;
+
+    if (!plaintext) {
+      return (null);
+    }
+
+    session.recvSeq++;
+
+    return (JSON.parse(plaintext.toString('utf8')));
+
+  } catch (error) {
+    logEvent('decryptFrame', error, 'error');
+  }
+
+  return (null);
+
+};
+
 export const logEvent = (source, message, level) => {
   if (
     level !== 'debug' ||
@@ -124,6 +225,11 @@ export const getTime = () => {
   return (new Date().getTime());
 };
 
+// Room identifiers are a legacy SHA-256 of the room name or a 'v2:' salted PBKDF2 of it, both hex encoded
+export const isRoomId = (value) => {
+  return (isString(value) && /^(v2:)?[0-9a-f]{64}$/.test(value) ? true : false);
+};
+
 export const isString = (value) => {
   return (
     value &&
@@ -133,6 +239,15 @@ export const isString = (value) => {
   );
 };
 
+export const isNumber = (value) => {
+  return (
+    typeof value === 'number' &&
+    isFinite(value) ?
+    true :
+    false
+  );
+};
+
 export const isArray = (value) => {
   return (
     value &&